@@ -122,7 +122,11 @@
     const result = text ? (function () { try { return JSON.parse(text); } catch (_) { return {}; } })() : {};
 
     if (!response.ok) {
-      throw new Error(result.error?.message || result.message || `API Error: ${response.status}`);
+      const err = new Error(result.error?.message || result.message || `API Error: ${response.status}`);
+      // Callers that handle specific statuses (e.g. 409 edit conflicts) read these
+      err.status = response.status;
+      err.response = result;
+      throw err;
     }
 
     return result;
@@ -1262,6 +1266,16 @@
   return apiRequest('/api/banking/settings/upcoming-dates-reminders', 'PUT', settings);
 }
 
+/**
+ * Send a sample upcoming dates reminder to one address. POST /api/banking/settings/upcoming-dates-reminders/test (REQUIRES AUTHENTICATION)
+ * Contract: docs/UPCOMING_DATES_REMINDERS_BACKEND.md
+ * @param {object} payload - { toEmail: string, daysBefore?: number[] } (unsaved offsets can be tested before saving)
+ * @returns {Promise<object>} { success: true, message: 'Test reminder sent' } or 400/403/503
+ */
+  async function sendUpcomingDatesReminderTest(payload) {
+  return apiRequest('/api/banking/settings/upcoming-dates-reminders/test', 'POST', payload);
+}
+
 /**
  * Asana custom field GIDs (deduped). Backend uses ASANA_START_DATE_CUSTOM_FIELD_GID env for Start Date sync.
  * Keys are canonical names; same field name in different projects may have different GIDs (e.g. Priority).
@@ -1529,12 +1543,16 @@
 /**
  * Get PUD rows for a single property (on-demand for Portfolio Overview drill-down).
  * @param {string} property - Property name
+ * @param {object} opts - { asOf?: 'YYYY-MM-DD' } (PUD snapshot on or before that date; latest when omitted)
  * @returns {Promise<{ success: boolean, rows: object[], count: number }>}
  */
-  async function getLeasingPud(property) {
-  const p = encodeURIComponent(String(property || '').trim());
+  async function getLeasingPud(property, opts = {}) {
+  const p = String(property || '').trim();
   if (!p) return { success: false, rows: [], count: 0 };
-  return apiRequest('/api/leasing/pud?property=' + p);
+  const params = new URLSearchParams();
+  params.set('property', p);
+  if (opts.asOf) params.set('asOf', opts.asOf);
+  return apiRequest('/api/leasing/pud?' + params.toString());
 }
 
 /**
@@ -1646,8 +1664,8 @@
 }
 
 /**
- * Create a new bank target (REQUIRES AUTHENTICATION)
- * @param {object} data - { BankId, AssetsText?, City?, State?, ExposureWithStoa?, ContactText?, Comments? }
+ * Create a new bank target (REQUIRES AUTHENTICATION). Contract: docs/BANKING_BACKEND.md
+ * @param {object} data - { BankId, AssetsText?, City?, State?, ExposureWithStoa?, TargetExposure? (dollars, number or null), ContactText?, Comments? }
  * @returns {Promise<object>} { success: true, data: {...} }
  */
   async function createBankTarget(data) {
@@ -2898,12 +2916,36 @@
   API.markAllNotificationsRead = function() {
     return apiRequest('/api/pipeline/notifications/read-all', 'PUT');
   };
+  /** Current user's per-event preferences: { stage_change: { inApp, email }, date_approaching, file_uploaded, mention } */
+  API.getNotificationPreferences = function() {
+    return apiRequest('/api/pipeline/notifications/preferences');
+  };
+  API.saveNotificationPreferences = function(prefs) {
+    return apiRequest('/api/pipeline/notifications/preferences', 'PUT', prefs);
+  };
   API.getUsers = function() {
     return apiRequest('/api/auth/users');
   };
   API.updateUserRole = function(userId, role) {
     return apiRequest('/api/auth/users/' + userId + '/role', 'PUT', { role: role });
   };
+  /** Visibility scope: { regions: [...], dealIds: [...] }; both empty = sees every deal */
+  API.updateUserScope = function(userId, scope) {
+    return apiRequest('/api/auth/users/' + userId + '/scope', 'PUT', scope);
+  };
+  API.saveDealPipelineBatch = function(rows) {
+    return apiRequest('/api/pipeline/deal-pipeline/batch', 'POST', { rows: rows });
+  };
+  /** versions: { survivor, duplicate } — the UpdatedAt of each deal as loaded; a 409 names the stale one */
+  API.mergeDealPipelines = function(survivorId, duplicateId, fields, versions) {
+    versions = versions || {};
+    return apiRequest('/api/pipeline/deal-pipeline/' + survivorId + '/merge', 'POST', {
+      DuplicateDealPipelineId: duplicateId,
+      Fields: fields,
+      SurvivorUpdatedAt: versions.survivor || null,
+      DuplicateUpdatedAt: versions.duplicate || null
+    });
+  };
   API.getDealContacts = function(dealId) {
     return apiRequest('/api/pipeline/deal-pipeline/' + dealId + '/contacts');
   };
@@ -2919,6 +2961,9 @@
   API.getDealCustomFields = function(dealId) {
     return apiRequest('/api/pipeline/deal-pipeline/' + dealId + '/custom-fields');
   };
+  API.getCustomFieldValuesForDeals = function(dealIds) {
+    return apiRequest('/api/pipeline/custom-fields/values?dealIds=' + encodeURIComponent(dealIds.join(',')));
+  };
   API.setDealCustomField = function(dealId, fieldId, value) {
     return apiRequest('/api/pipeline/deal-pipeline/' + dealId + '/custom-fields/' + fieldId, 'PUT', { value: value });
   };
@@ -2956,6 +3001,81 @@
     return apiRequest('/api/pipeline/scoring/score-all', 'POST');
   };
 
+  // ============================================================
+  // WORKFLOW AUTOMATION RULES
+  // ============================================================
+
+  API.getWorkflowRules = function() {
+    return apiRequest('/api/pipeline/workflow-rules');
+  };
+  API.getWorkflowRuleById = function(ruleId) {
+    return apiRequest('/api/pipeline/workflow-rules/' + ruleId);
+  };
+  API.createWorkflowRule = function(data) {
+    return apiRequest('/api/pipeline/workflow-rules', 'POST', data);
+  };
+  API.updateWorkflowRule = function(ruleId, data) {
+    return apiRequest('/api/pipeline/workflow-rules/' + ruleId, 'PUT', data);
+  };
+  API.deleteWorkflowRule = function(ruleId) {
+    return apiRequest('/api/pipeline/workflow-rules/' + ruleId, 'DELETE');
+  };
+  API.setWorkflowRuleActive = function(ruleId, isActive) {
+    return apiRequest('/api/pipeline/workflow-rules/' + ruleId + '/active', 'PUT', { isActive: !!isActive });
+  };
+  API.getWorkflowRuleRuns = function(ruleId, limit) {
+    return apiRequest('/api/pipeline/workflow-rules/' + ruleId + '/runs?limit=' + (limit || 50));
+  };
+
+  // ============================================================
+  // DUE DILIGENCE CHECKLIST (Under Contract deals)
+  // ============================================================
+
+  API.getDueDiligenceItems = function(dealId) {
+    return apiRequest('/api/pipeline/deal-pipeline/' + dealId + '/due-diligence');
+  };
+  API.createDueDiligenceItem = function(dealId, data) {
+    return apiRequest('/api/pipeline/deal-pipeline/' + dealId + '/due-diligence', 'POST', data);
+  };
+  API.updateDueDiligenceItem = function(itemId, data) {
+    return apiRequest('/api/pipeline/due-diligence/' + itemId, 'PUT', data);
+  };
+  API.deleteDueDiligenceItem = function(itemId) {
+    return apiRequest('/api/pipeline/due-diligence/' + itemId, 'DELETE');
+  };
+  /** Open item counts per deal: [{ DealPipelineId, OpenCount }] */
+  API.getDueDiligenceOpenSummary = function() {
+    return apiRequest('/api/pipeline/due-diligence/open-summary');
+  };
+
+  // ============================================================
+  // UNDERWRITING SCENARIOS (deal edit modal calculator; Base / Downside / Lender case, versioned)
+  // ============================================================
+
+  /** Scenarios for a deal with their latest inputs: [{ UnderwritingScenarioId, Name, IsActive, Version, Inputs, UpdatedAt, UpdatedBy }] */
+  API.getUnderwritingScenarios = function(dealId) {
+    return apiRequest('/api/pipeline/deal-pipeline/' + dealId + '/underwriting/scenarios');
+  };
+  /** data: { Name, Inputs, IsActive? } — the first scenario for a deal is made active */
+  API.createUnderwritingScenario = function(dealId, data) {
+    return apiRequest('/api/pipeline/deal-pipeline/' + dealId + '/underwriting/scenarios', 'POST', data);
+  };
+  /** Saves a new version of the scenario; data: { Inputs, Name? } */
+  API.updateUnderwritingScenario = function(scenarioId, data) {
+    return apiRequest('/api/pipeline/underwriting-scenarios/' + scenarioId, 'PUT', data);
+  };
+  API.deleteUnderwritingScenario = function(scenarioId) {
+    return apiRequest('/api/pipeline/underwriting-scenarios/' + scenarioId, 'DELETE');
+  };
+  /** Version history, newest first: [{ Version, Inputs, CreatedAt, CreatedBy }] */
+  API.getUnderwritingScenarioVersions = function(scenarioId) {
+    return apiRequest('/api/pipeline/underwriting-scenarios/' + scenarioId + '/versions');
+  };
+  /** Make this the deal's active scenario (clears IsActive on the others) */
+  API.promoteUnderwritingScenario = function(scenarioId) {
+    return apiRequest('/api/pipeline/underwriting-scenarios/' + scenarioId + '/promote', 'POST');
+  };
+
   // ============================================================
   // EXPOSE ALL FUNCTIONS TO API OBJECT
   // ============================================================
@@ -3089,6 +3209,7 @@
   API.sendCovenantReminderNow = sendCovenantReminderNow;
   API.getUpcomingDatesReminderSettings = getUpcomingDatesReminderSettings;
   API.saveUpcomingDatesReminderSettings = saveUpcomingDatesReminderSettings;
+  API.sendUpcomingDatesReminderTest = sendUpcomingDatesReminderTest;
   API.getAsanaUpcomingTasks = getAsanaUpcomingTasks;
   API.getAsanaProjectCustomFields = getAsanaProjectCustomFields;
   API.updateAsanaTaskStartDate = updateAsanaTaskStartDate;
@@ -0,0 +1,208 @@
+/**
+ * app-activity.js — Global activity feed (deal creates, updates, stage changes, deletes across the pipeline)
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var ACTIVITY_EVENT_TYPES = [
+    { key: 'created', label: 'Created' },
+    { key: 'field_update', label: 'Updated' },
+    { key: 'stage_change', label: 'Stage change' },
+    { key: 'deleted', label: 'Deleted' }
+];
+var ACTIVITY_MAX_DAYS = 90;
+
+var ACTIVITY_ICONS = { stage_change: '↗', field_update: '✏', created: '✨', deleted: '🗑' };
+
+/** Filter state kept across re-renders of the view; from/to are YYYY-MM-DD */
+var activityViewState = { user: '', stage: '', type: '', from: '', to: '' };
+var _activityCache = { days: 0, items: null };
+
+function _activityType(item) {
+    return item.type || item.activityType || 'field_update';
+}
+
+function _activityUser(item) {
+    return item.user || item.userEmail || item.createdBy || '';
+}
+
+function _activityDealId(item) {
+    var id = item.dealPipelineId || item.DealPipelineId || item.dealId;
+    return id != null ? String(id) : '';
+}
+
+/**
+ * Field-level changes for an activity item as [{ field, before, after }].
+ * Accepts `changes` as an array or a { Field: { old, new } } map (or a JSON string of either),
+ * or a single fieldName/oldValue/newValue triple.
+ */
+function activityChanges(item) {
+    var changes = item.changes || item.details || null;
+    if (typeof changes === 'string') {
+        try { changes = JSON.parse(changes); } catch (e) { changes = null; }
+    }
+    if (Array.isArray(changes)) {
+        return changes.map(function(c) {
+            return { field: c.field || c.fieldName || '', before: c.oldValue !== undefined ? c.oldValue : c.before, after: c.newValue !== undefined ? c.newValue : c.after };
+        }).filter(function(c) { return c.field; });
+    }
+    if (changes && typeof changes === 'object') {
+        return Object.keys(changes).filter(function(k) { return changes[k] && typeof changes[k] === 'object'; }).map(function(k) {
+            var c = changes[k];
+            return { field: k, before: c.old !== undefined ? c.old : c.before, after: c['new'] !== undefined ? c['new'] : c.after };
+        });
+    }
+    if (item.fieldName || item.field) {
+        return [{ field: item.fieldName || item.field, before: item.oldValue, after: item.newValue }];
+    }
+    return [];
+}
+
+function _activityValue(v) {
+    if (v == null || v === '') return '<span class="activity-diff-empty">empty</span>';
+    return escapeHtml(String(v));
+}
+
+function _activityDiffHtml(changes) {
+    if (!changes.length) return '';
+    return '<table class="activity-diff"><tbody>' + changes.map(function(c) {
+        return '<tr><th>' + escapeHtml(c.field) + '</th>' +
+            '<td class="activity-diff-before">' + _activityValue(c.before) + '</td>' +
+            '<td class="activity-diff-arrow">→</td>' +
+            '<td class="activity-diff-after">' + _activityValue(c.after) + '</td></tr>';
+    }).join('') + '</tbody></table>';
+}
+
+function _activityDaysFor(from) {
+    var start = parseLocalDateOnly(from);
+    if (!start) return 7;
+    var days = Math.ceil((Date.now() - start.getTime()) / 86400000) + 1;
+    return Math.max(1, Math.min(ACTIVITY_MAX_DAYS, days));
+}
+
+/**
+ * Top-level Activity view: chronological feed with user / stage / event type / date range filters.
+ * Entering the view refetches; filter changes reuse the fetched window unless the range grows.
+ */
+async function renderActivityView(deals, keepCache) {
+    var container = document.getElementById('deal-list-container');
+    if (!container) return;
+    if (!activityViewState.from) {
+        var weekAgo = new Date();
+        weekAgo.setDate(weekAgo.getDate() - 6);
+        activityViewState.from = toNormalizedDateString(weekAgo);
+    }
+    var days = _activityDaysFor(activityViewState.from);
+    if (!keepCache || !_activityCache.items || _activityCache.days < days) {
+        container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading activity…</div>';
+        try {
+            var res = await API.getGlobalActivity(days);
+            _activityCache = { days: days, items: apiList(res) };
+        } catch (e) {
+            if (currentView === 'activity') container.innerHTML = '<div class="error-state"><p class="error-message">Could not load activity: ' + escapeHtml(e.message || 'Unknown error') + '</p></div>';
+            return;
+        }
+        if (currentView !== 'activity') return;
+    }
+
+    var dealsById = {};
+    (window.allDeals || deals || []).forEach(function(d) { if (d.DealPipelineId != null) dealsById[String(d.DealPipelineId)] = d; });
+    // Scoped users only see events on deals inside their scope
+    var items = _activityCache.items.filter(function(item) {
+        return canViewDealRow({ DealPipelineId: _activityDealId(item) || null, ProjectId: item.projectId ?? item.ProjectId, Region: item.region || item.Region });
+    }).sort(function(a, b) {
+        return new Date(b.createdAt || b.timestamp || 0) - new Date(a.createdAt || a.timestamp || 0);
+    });
+    var users = {};
+    items.forEach(function(item) { var u = _activityUser(item); if (u) users[u] = true; });
+
+    var st = activityViewState;
+    var fromDate = parseLocalDateOnly(st.from);
+    var toDate = st.to ? parseLocalDateOnly(st.to) : null;
+    if (toDate) toDate.setDate(toDate.getDate() + 1);
+    var filtered = items.filter(function(item) {
+        var when = new Date(item.createdAt || item.timestamp || 0);
+        if (fromDate && when < fromDate) return false;
+        if (toDate && when >= toDate) return false;
+        if (st.user && _activityUser(item) !== st.user) return false;
+        if (st.type && _activityType(item) !== st.type) return false;
+        if (st.stage) {
+            var deal = dealsById[_activityDealId(item)];
+            var stage = deal ? (deal.Stage || deal.stage) : item.stage;
+            if (normalizeStage(stage || '') !== st.stage) return false;
+        }
+        return true;
+    });
+
+    var option = function(value, label, selected) {
+        return '<option value="' + escapeHtml(value) + '"' + (value === selected ? ' selected' : '') + '>' + escapeHtml(label) + '</option>';
+    };
+    var html =
+        '<div class="upcoming-dates-view activity-view">' +
+            '<h2 class="upcoming-dates-view-title">Activity</h2>' +
+            '<p class="upcoming-dates-view-desc">Every deal create, update, stage change and delete across the pipeline, newest first (up to ' + ACTIVITY_MAX_DAYS + ' days back).</p>' +
+            '<div class="guarantor-controls activity-filters">' +
+                '<label>User <select data-activity-filter="user">' + option('', 'All users', st.user) +
+                    Object.keys(users).sort().map(function(u) { return option(u, u, st.user); }).join('') + '</select></label>' +
+                '<label>Stage <select data-activity-filter="stage">' + option('', 'All stages', st.stage) +
+                    STAGE_DISPLAY_ORDER.map(function(s) { return option(s, s, st.stage); }).join('') + '</select></label>' +
+                '<label>Event <select data-activity-filter="type">' + option('', 'All events', st.type) +
+                    ACTIVITY_EVENT_TYPES.map(function(t) { return option(t.key, t.label, st.type); }).join('') + '</select></label>' +
+                '<label>From <input type="date" data-activity-filter="from" value="' + escapeHtml(st.from) + '" /></label>' +
+                '<label>To <input type="date" data-activity-filter="to" value="' + escapeHtml(st.to) + '" /></label>' +
+            '</div>' +
+            '<div class="covenant-summary"><span><strong>' + filtered.length + '</strong> of ' + items.length + ' events</span></div>';
+
+    if (!filtered.length) {
+        html += '<p class="no-data">No activity matches these filters.</p>';
+    } else {
+        var lastDay = '';
+        html += '<div class="activity-timeline activity-feed">';
+        filtered.forEach(function(item) {
+            var when = item.createdAt || item.timestamp;
+            var day = when ? formatDate(when) : 'Unknown date';
+            if (day !== lastDay) {
+                html += '<div class="covenant-group-title">' + escapeHtml(day) + '</div>';
+                lastDay = day;
+            }
+            var type = _activityType(item);
+            var dealId = _activityDealId(item);
+            var deal = dealsById[dealId];
+            var dealName = (deal && deal.Name) || item.dealName || item.DealName || (dealId ? 'Deal #' + dealId : '');
+            var dealHtml = deal
+                ? '<a href="#" class="activity-deal-link" data-deal-id="' + escapeHtml(dealId) + '">' + escapeHtml(dealName) + '</a>'
+                : (dealName ? '<strong>' + escapeHtml(dealName) + '</strong>' : '');
+            var meta = [];
+            if (_activityUser(item)) meta.push('by ' + escapeHtml(_activityUser(item)));
+            if (when) meta.push(escapeHtml(_formatRelativeTime(when)));
+            html += '<div class="activity-item">' +
+                '<div class="activity-icon activity-icon-' + escapeHtml(type) + '">' + (ACTIVITY_ICONS[type] || '✏') + '</div>' +
+                '<div class="activity-content">' +
+                    '<div class="activity-description">' + (dealHtml ? dealHtml + ' — ' : '') + escapeHtml(item.description || item.message || '') + '</div>' +
+                    _activityDiffHtml(activityChanges(item)) +
+                    (meta.length ? '<div class="activity-meta">' + meta.join(' · ') + '</div>' : '') +
+                '</div></div>';
+        });
+        html += '</div>';
+    }
+    html += '</div>';
+    container.innerHTML = html;
+
+    container.querySelectorAll('[data-activity-filter]').forEach(function(el) {
+        el.addEventListener('change', function() {
+            activityViewState[el.getAttribute('data-activity-filter')] = el.value;
+            renderActivityView(deals, true);
+        });
+    });
+    container.querySelectorAll('.activity-deal-link').forEach(function(a) {
+        a.addEventListener('click', function(e) {
+            e.preventDefault();
+            var deal = dealsById[a.getAttribute('data-deal-id')];
+            if (deal) showDealDetail(deal);
+        });
+    });
+}
+
+window.renderActivityView = renderActivityView;
+window.activityChanges = activityChanges;
@@ -860,6 +860,7 @@ window.saveDealPipelineRow = async function(dealIdOrEvent, projectId) {
         console.error('Save failed: isAuthenticated =', isAuthenticated, 'isEditMode =', isEditMode);
         return;
     }
+    if (!requireCapability('editDeal')) return;
     
     // Warn if not in edit mode, but allow save if authenticated
     if (!isEditMode) {
@@ -881,6 +882,7 @@ window.saveDealPipelineRow = async function(dealIdOrEvent, projectId) {
         showToast('Could not find deal row to save.', 'error');
         return;
     }
+    if (!isNewDeal && !requireCapability('editDeal', window._dealPipelineDealsForEdit && window._dealPipelineDealsForEdit[dealId])) return;
     
     const fields = row.querySelectorAll('.deal-pipeline-field');
     const data = {};
@@ -893,6 +895,14 @@ window.saveDealPipelineRow = async function(dealIdOrEvent, projectId) {
         return;
     }
     
+    // Validate custom field cells (saved after the deal itself)
+    const rowCustomFields = typeof collectCustomFieldInputs === 'function' && row.querySelector('.deal-pipeline-custom-field')
+        ? collectCustomFieldInputs(row) : null;
+    if (rowCustomFields && rowCustomFields.errors.length) {
+        showToast(rowCustomFields.errors.join(' '), 'error');
+        return;
+    }
+    
     // Check if this project has Procore data (to exclude Procore fields from save)
     const rowProjectId = row.dataset.projectId;
     const procoreMatch = rowProjectId ? window.PROCORE_MATCHES?.get(parseInt(rowProjectId)) : null;
@@ -1064,6 +1074,9 @@ window.saveDealPipelineRow = async function(dealIdOrEvent, projectId) {
         }
     });
     
+    // A new deal must land inside the user's scope (same check as Save All)
+    if (isNewDeal && !requireCapability('editDeal', data)) return;
+    
     try {
         let result;
         if (isNewDeal) {
@@ -1071,16 +1084,7 @@ window.saveDealPipelineRow = async function(dealIdOrEvent, projectId) {
             // Then use that ProjectId to create the DealPipeline
             
             // Separate Project fields from DealPipeline fields
-            const projectData = {
-                ProjectName: data.ProjectName,
-                City: data.City || null,
-                State: data.State || null,
-                Region: data.Region || null,
-                Units: data.UnitCount || data.Units || null,
-                ProductType: data.ProductType || null,
-                Stage: data.Stage || 'Prospective',
-                EstimatedConstructionStartDate: data.StartDate || data.EstimatedConstructionStartDate || null
-            };
+            const projectData = dealPipelineProjectPayload(data);
             
             // Remove Project fields from DealPipeline data (they'll be in the Project)
             const dealPipelineData = { ...data };
@@ -1114,12 +1118,14 @@ window.saveDealPipelineRow = async function(dealIdOrEvent, projectId) {
                 showToast('Deal created successfully!', 'success');
             }
         } else {
-            // Update existing deal
-            result = await API.updateDealPipeline(parseInt(dealId), data);
+            // Update existing deal (version-checked, same as Save All)
+            const loaded = window._dealPipelineDealsForEdit && window._dealPipelineDealsForEdit[dealId];
+            result = await updateDealPipelineWithVersion(parseInt(dealId), data, loaded, data.ProjectName);
             if (result.success) {
+                await rememberSavedDealVersion(loaded, data, result);
                 row.classList.remove('has-changes');
                 updateSaveAllButtonVisibility();
-                showToast('Deal updated successfully!', 'success');
+                showToast(result.keptTheirs ? 'Kept the other changes; yours were discarded.' : 'Deal updated successfully!', 'success');
             }
         }
         
@@ -1136,6 +1142,15 @@ window.saveDealPipelineRow = async function(dealIdOrEvent, projectId) {
                 row.dataset.projectId = result.data.ProjectId || '';
             }
             
+            const savedDealId = isNewDeal ? (result.data && result.data.DealPipelineId) : parseInt(dealId);
+            if (rowCustomFields && savedDealId && !result.keptTheirs) {
+                const cfResult = await saveDealCustomFields(savedDealId, rowCustomFields.values);
+                if (cfResult.errors.length) showToast('Deal saved, but some custom fields failed: ' + cfResult.errors.join('; '), 'error');
+            }
+            if (savedDealId && typeof API.scoreDeal === 'function') {
+                await API.scoreDeal(savedDealId).catch(e => console.warn('Rescore after save:', e));
+            }
+            
             // Refresh data from database
             // Refresh the deal pipeline table (use API for instant fresh data after save)
             await renderDealPipelineTable({ forceApi: true });
@@ -1212,6 +1227,7 @@ window.deleteDealPipelineRow = async function(dealId) {
         showToast('You must be logged in and in edit mode to delete deals.', 'info');
         return;
     }
+    if (!requireCapability('deleteDeal')) return;
     
     const delConfirmed = await domoConfirm('Are you sure you want to delete this deal? This action cannot be undone.', { confirmLabel: 'Delete' });
     if (!delConfirmed) {
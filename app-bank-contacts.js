@@ -1,188 +1,227 @@
 /**
- * app-bank-contacts.js — Bank view, product type view, deal files view, contacts view
+ * app-bank-contacts.js — Lender dashboard, product type view, deal files view, contacts view
  * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
  */
 
 /* jshint esversion: 11 */
 
-async function renderByBank(deals) {
-    const filtered = applyFilters(deals, true); // Exclude START deals
-    
-    // Fetch banks from bank database
-    let banksData = [];
-    try {
-        const banksResponse = await API.getAllBanks();
-        if (banksResponse.success) {
-            banksData = banksResponse.data || [];
-        }
-    } catch (error) {
-        console.warn('Failed to load banks from database:', error);
-    }
-    
-    // Build bank name mapping first
-    buildBankNameMap(filtered);
-    
-    const grouped = {};
-    
-    filtered.forEach(deal => {
-        const bank = deal.Bank || deal.bank || 'Unknown';
-        // Use canonical bank name for grouping
-        const canonicalBank = getCanonicalBankName(bank);
-        if (!grouped[canonicalBank]) {
-            grouped[canonicalBank] = [];
+function _lenderNum(v) {
+    const n = parseFloat(String(v ?? '').replace(/[$,\s]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+function _lenderMoney(v) {
+    if (v == null) return '—';
+    const abs = Math.abs(v);
+    const s = abs >= 1e6 ? (abs / 1e6).toFixed(1) + 'M' : abs >= 1e3 ? Math.round(abs / 1e3) + 'K' : String(Math.round(abs));
+    return (v < 0 ? '-$' : '$') + s;
+}
+
+/**
+ * Per-bank exposure from active loans. A loan with participations counts each participant's
+ * ExposureAmount (or share × loan amount); a loan without participations counts fully to its lender.
+ * Participations that are paid off are ignored.
+ */
+function computeLenderExposure(loans, participations) {
+    const byBank = {};
+    const bucket = (bankId) => (byBank[bankId] = byBank[bankId] || { actual: 0, loans: [], participations: 0 });
+    const partsByLoan = {};
+    (participations || []).forEach(p => {
+        if (p.PaidOff) return;
+        const key = p.LoanId != null ? String(p.LoanId) : '';
+        (partsByLoan[key] = partsByLoan[key] || []).push(p);
+    });
+    (loans || []).filter(l => l.IsActive !== false).forEach(loan => {
+        const amount = _lenderNum(loan.LoanAmount) || 0;
+        const parts = partsByLoan[String(loan.LoanId)] || [];
+        if (loan.LenderId != null) bucket(loan.LenderId).loans.push({ loan, role: 'Lead' });
+        if (!parts.length) {
+            if (loan.LenderId != null) bucket(loan.LenderId).actual += amount;
+            return;
         }
-        grouped[canonicalBank].push(deal);
+        parts.forEach(p => {
+            if (p.BankId == null) return;
+            const b = bucket(p.BankId);
+            const pct = _lenderNum(p.ParticipationPercent);
+            b.actual += _lenderNum(p.ExposureAmount) ?? (pct != null ? amount * pct / 100 : 0);
+            b.participations++;
+            if (String(p.BankId) !== String(loan.LenderId)) b.loans.push({ loan, role: 'Participant' });
+        });
     });
-    
-    // Match deals to bank database records
-    const banks = Object.keys(grouped).filter(b => b !== 'Unknown').sort();
-    if (grouped['Unknown']) banks.push('Unknown');
-    
-    // Get current sort for bank view
-    const bankSortConfig = window.bankSort || { by: 'name', order: 'asc' };
-    
-    // Sort deals within each bank group
-    banks.forEach(bankName => {
-        grouped[bankName].sort((a, b) => sortDeal(a, b, bankSortConfig));
+    (partsByLoan[''] || []).forEach(p => {
+        if (p.BankId == null) return;
+        const b = bucket(p.BankId);
+        b.actual += _lenderNum(p.ExposureAmount) || 0;
+        b.participations++;
     });
-    
+    return byBank;
+}
+
+/**
+ * "By Bank" lender dashboard: one card per bank with target vs actual exposure, a gap-to-target bar,
+ * active loans / participations and assigned banking contacts. Portfolio-wide (deal filters do not apply).
+ */
+async function renderByBank(deals) {
+    const none = () => ({ success: true, data: [] });
+    const [banksRes, targetsRes, loansRes, partsRes, contactsRes] = await Promise.all([
+        API.getAllBanks().catch(none),
+        API.getAllBankTargets().catch(none),
+        API.getAllLoans().catch(none),
+        API.getAllParticipations().catch(none),
+        API.getAllBankingContacts().catch(none)
+    ]);
+    const banks = apiList(banksRes);
+    const targetsByBank = {};
+    apiList(targetsRes).forEach(t => { if (t.BankId != null) targetsByBank[t.BankId] = t; });
+    // Scoped users see exposure from the loans on their own deals only
+    const loans = apiList(loansRes).filter(canViewDealRow);
+    const loanIds = new Set(loans.map(l => String(l.LoanId)));
+    const parts = apiList(partsRes).filter(p => p.LoanId != null ? loanIds.has(String(p.LoanId)) : canViewDealRow(p));
+    const exposure = computeLenderExposure(loans, parts);
+    const contacts = apiList(contactsRes);
+    const dealsByProject = {};
+    (deals || []).forEach(d => { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+    const admin = can('manageReferenceData');
+
+    const rows = banks.map(bank => {
+        const target = targetsByBank[bank.BankId] || null;
+        const exp = exposure[bank.BankId] || { actual: 0, loans: [], participations: 0 };
+        const targetAmount = target ? _lenderNum(target.TargetExposure) : null;
+        const nameKey = normalizeBankName(bank.BankName || '');
+        const bankContacts = contacts.filter(c => (c.BankId != null && String(c.BankId) === String(bank.BankId)) ||
+            (nameKey && normalizeBankName(c.BankName || c.Company || '') === nameKey));
+        return {
+            bank, target, targetAmount, contacts: bankContacts,
+            actual: exp.actual, loans: exp.loans, participations: exp.participations,
+            headroom: targetAmount != null ? targetAmount - exp.actual : null
+        };
+    }).filter(r => r.target || r.loans.length || r.participations || r.contacts.length);
+
+    const sortConfig = window.lenderDashboardSort || { by: 'headroom', order: 'desc' };
+    rows.sort((a, b) => {
+        let cmp;
+        if (sortConfig.by === 'name') cmp = (a.bank.BankName || '').localeCompare(b.bank.BankName || '');
+        else if (sortConfig.by === 'actual') cmp = a.actual - b.actual;
+        else {
+            // Banks without a target sort after every bank with one
+            if (a.headroom == null || b.headroom == null) return (a.headroom == null) - (b.headroom == null);
+            cmp = a.headroom - b.headroom;
+        }
+        return sortConfig.order === 'asc' ? cmp : -cmp;
+    });
+
+    const sortBtn = (by, label) => `<button type="button" class="toggle-btn lender-sort-btn ${sortConfig.by === by ? 'active' : ''}" data-sort-by="${by}">${label}${sortConfig.by === by ? (sortConfig.order === 'asc' ? ' ↑' : ' ↓') : ''}</button>`;
+
     return `
-        ${renderActiveFilters()}
-        ${banks.map(bankName => {
-        const bankDeals = grouped[bankName];
-        const totalUnits = bankDeals.reduce((sum, d) => sum + parseInt(d['Unit Count'] || d.unitCount || 0), 0);
-        
-        // Find matching bank in database
-        const bankRecord = banksData.find(b => {
-            const bankNameLower = bankName.toLowerCase();
-            const recordNameLower = (b.BankName || '').toLowerCase();
-            return recordNameLower === bankNameLower || 
-                   recordNameLower.includes(bankNameLower) || 
-                   bankNameLower.includes(recordNameLower);
-        });
-        
-        return `
-            <div class="stage-group">
-                <div class="stage-group-header">
-                    <span class="bank-name-clickable" data-bank-name="${escapeHtml(bankName)}" data-bank-id="${bankRecord?.BankId || ''}" style="cursor: pointer; text-decoration: underline; color: var(--primary-green);">
-                        <span class="bank-icon">Bank:</span> ${escapeHtml(bankName)}
-                    </span>
-                    <span style="margin-left: auto; opacity: 0.7;">
-                        ${bankDeals.length} deals | ${totalUnits.toLocaleString()} units
-                    </span>
+        <div class="lender-dashboard">
+            <div class="lender-dashboard-header">
+                <div>
+                    <h2 class="upcoming-dates-view-title">Lenders</h2>
+                    <p class="upcoming-dates-view-desc">Target vs actual exposure from active loans and participations across the whole portfolio. Headroom is target minus actual; pitch the lenders with the most headroom first.</p>
                 </div>
-                <div class="stage-group-content">
-                    <div class="stage-group-table-wrapper">
-                        <table class="deal-list-table bank-table">
-                            <thead>
-                                <tr>
-                                    <th class="sortable-header ${bankSortConfig.by === 'name' ? 'sorted' : ''}" data-sort-by="name" data-sort-order="${bankSortConfig.by === 'name' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Name ${bankSortConfig.by === 'name' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header ${bankSortConfig.by === 'stage' ? 'sorted' : ''}" data-sort-by="stage" data-sort-order="${bankSortConfig.by === 'stage' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Stage ${bankSortConfig.by === 'stage' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header ${bankSortConfig.by === 'units' ? 'sorted' : ''}" data-sort-by="units" data-sort-order="${bankSortConfig.by === 'units' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Unit Count ${bankSortConfig.by === 'units' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header ${bankSortConfig.by === 'date' ? 'sorted' : ''}" data-sort-by="date" data-sort-order="${bankSortConfig.by === 'date' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Start Date ${bankSortConfig.by === 'date' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header ${bankSortConfig.by === 'product' ? 'sorted' : ''}" data-sort-by="product" data-sort-order="${bankSortConfig.by === 'product' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Product Type ${bankSortConfig.by === 'product' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header ${bankSortConfig.by === 'location' ? 'sorted' : ''}" data-sort-by="location" data-sort-order="${bankSortConfig.by === 'location' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Location ${bankSortConfig.by === 'location' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header col-yoc ${bankSortConfig.by === 'yoc' ? 'sorted' : ''}" data-sort-by="yoc" data-sort-order="${bankSortConfig.by === 'yoc' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;" title="Yield on Cost">
-                                        YoC ${bankSortConfig.by === 'yoc' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header col-date-added ${bankSortConfig.by === 'dateAdded' ? 'sorted' : ''}" data-sort-by="dateAdded" data-sort-order="${bankSortConfig.by === 'dateAdded' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Added ${bankSortConfig.by === 'dateAdded' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header col-updated ${bankSortConfig.by === 'updated' ? 'sorted' : ''}" data-sort-by="updated" data-sort-order="${bankSortConfig.by === 'updated' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Updated ${bankSortConfig.by === 'updated' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th class="sortable-header col-notes ${bankSortConfig.by === 'notes' ? 'sorted' : ''}" data-sort-by="notes" data-sort-order="${bankSortConfig.by === 'notes' ? (bankSortConfig.order === 'asc' ? 'desc' : 'asc') : 'asc'}" style="cursor: pointer;">
-                                        Notes ${bankSortConfig.by === 'notes' ? (bankSortConfig.order === 'asc' ? '↑' : '↓') : ''}
-                                    </th>
-                                    <th>Actions</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${bankDeals.map(deal => {
-                                    const stage = normalizeStage(deal.Stage || deal.stage);
-                                    const stageConfig = STAGE_CONFIG[stage] || STAGE_CONFIG['Prospective'];
-                                    return `
-                                        <tr class="deal-row" data-deal-name="${escapeHtml(deal.Name || deal.name)}">
-                                            <td class="deal-name" data-label="Name">
-                                                ${deal.commentsCount ? `<span class="comments-count">${deal.commentsCount}</span>` : ''}
-                                                ${escapeHtml(deal.Name || deal.name || 'Unnamed Deal')}
-                                            </td>
-                                            <td class="deal-cell" data-label="Stage">
-                                                <span class="stage-badge clickable ${stageConfig.class}" data-stage="${stage}">${stage}</span>
-                                            </td>
-                                            <td class="deal-cell unit-count" data-label="Unit Count">${deal['Unit Count'] || deal.unitCount || deal.units || '-'}</td>
-                                            <td class="deal-cell date-display ${isOverdue(deal['Start Date'] || deal.startDate) ? 'overdue' : ''}" data-label="Start Date">
-                                                ${formatDate(deal['Start Date'] || deal.startDate) || '-'}
-                                            </td>
-                                            <td class="deal-cell secondary" data-label="Product Type">${deal['Product Type'] || deal.productType || '-'}</td>
-                                            <td class="deal-cell" data-label="Location">
-                                                ${(() => {
-                                                    const location = getDealLocation(deal);
-                                                    return location ? 
-                                                        `<span class="location-badge clickable" data-location="${location}">${location}</span>` : 
-                                                        '-';
-                                                })()}
-                                            </td>
-                                            <td class="deal-cell yoc-cell" data-label="Yield on Cost">${(() => {
-                                                const yoc = deal._yieldOnCost;
-                                                if (yoc != null && !isNaN(yoc)) return `<span class="yoc-value">${yoc.toFixed(1)}%</span>`;
-                                                return '<span class="yoc-na">N/A</span>';
-                                            })()}</td>
-                                            <td class="deal-cell date-display date-added-cell" data-label="Date Added">${(() => {
-                                                const ca = deal.CreatedAt;
-                                                if (!ca) return '-';
-                                                const d = new Date(ca);
-                                                if (isNaN(d.getTime())) return '-';
-                                                return `${String(d.getMonth()+1).padStart(2,'0')}/${String(d.getDate()).padStart(2,'0')}/${d.getFullYear()}`;
-                                            })()}</td>
-                                            <td class="deal-cell date-display updated-cell" data-label="Last Updated">${(() => {
-                                                const ua = deal.UpdatedAt || deal.CreatedAt;
-                                                if (!ua) return '-';
-                                                const d = new Date(ua);
-                                                if (isNaN(d.getTime())) return '-';
-                                                const now = new Date();
-                                                const diffMs = now - d;
-                                                const diffDays = Math.floor(diffMs / 86400000);
-                                                if (diffDays === 0) return 'Today';
-                                                if (diffDays === 1) return 'Yesterday';
-                                                if (diffDays < 30) return `${diffDays}d ago`;
-                                                return `${String(d.getMonth()+1).padStart(2,'0')}/${String(d.getDate()).padStart(2,'0')}/${d.getFullYear()}`;
-                                            })()}</td>
-                                            <td class="deal-cell notes-cell" data-label="Notes" title="${(deal.Notes || deal.notes || '').replace(/"/g, '&quot;')}">
-                                                ${deal.Notes || deal.notes ? 
-                                                    `<span class="notes-preview">${(deal.Notes || deal.notes).substring(0, 100)}${(deal.Notes || deal.notes).length > 100 ? '...' : ''}</span>` : 
-                                                    '-'
-                                                }
-                                            </td>
-                                            <td class="deal-cell actions-cell" data-label="Actions">
-                                                <button type="button" class="deal-files-view-btn" data-deal-name="${((deal.Name || deal.name) || '').replace(/"/g, '&quot;')}" title="Open deal and view/download/upload files" onclick="event.stopPropagation();">View deal & files</button>
-                                                ${isAuthenticated && isEditMode ? `<button class="deal-edit-btn-small" onclick="event.stopPropagation(); window.openDealEditModal(window.allDeals.find(d => (d.Name || d.name) === '${(deal.Name || deal.name || '').replace(/'/g, "\\'")}'))">Edit</button>` : ''}
-                                            </td>
-                                        </tr>
-                                    `;
-                                }).join('')}
-                            </tbody>
-                        </table>
-                    </div>
+                <div class="lender-sort" role="group" aria-label="Sort lenders">
+                    ${sortBtn('headroom', 'Headroom')}${sortBtn('actual', 'Exposure')}${sortBtn('name', 'Name')}
                 </div>
             </div>
-        `;
-    }).join('')}
+            <div class="lender-cards">
+            ${rows.length ? rows.map(r => {
+                const pct = r.targetAmount ? Math.round(r.actual / r.targetAmount * 100) : null;
+                const over = pct != null && pct > 100;
+                const location = [r.target?.City || r.bank.City, r.target?.State || r.bank.State].filter(Boolean).join(', ');
+                return `
+                <div class="lender-card" data-bank-id="${escapeHtml(String(r.bank.BankId))}">
+                    <div class="lender-card-header">
+                        <span class="bank-name-clickable" data-bank-name="${escapeHtml(r.bank.BankName || '')}" data-bank-id="${escapeHtml(String(r.bank.BankId))}">${escapeHtml(r.bank.BankName || 'Unnamed bank')}</span>
+                        <span class="lender-card-meta">${escapeHtml([location, r.target?.AssetsText].filter(Boolean).join(' · '))}</span>
+                    </div>
+                    <div class="lender-metrics">
+                        <div><label>Target</label><span class="lender-target-value">${_lenderMoney(r.targetAmount)}</span></div>
+                        <div><label>Actual</label><span>${_lenderMoney(r.actual)}</span></div>
+                        <div><label>Headroom</label><span class="${r.headroom != null && r.headroom < 0 ? 'lender-over' : ''}">${_lenderMoney(r.headroom)}</span></div>
+                    </div>
+                    ${pct != null ? `<div class="lender-gap-bar ${over ? 'lender-gap-over' : ''}" title="${pct}% of target"><div class="lender-gap-fill" style="width:${Math.min(100, pct)}%;"></div></div>
+                        <div class="lender-card-meta">${pct}% of target${over ? ' — over target' : ''}</div>` : '<div class="lender-card-meta">No target set</div>'}
+                    ${admin ? `<div class="lender-target-edit"><input type="number" min="0" step="100000" class="lender-target-input" value="${r.targetAmount ?? ''}" placeholder="Target exposure" aria-label="Target exposure" /><button type="button" class="contacts-btn lender-target-save">Save target</button></div>` : ''}
+                    <button type="button" class="lender-details-toggle">${r.loans.length} active loan${r.loans.length !== 1 ? 's' : ''} · ${r.participations} participation${r.participations !== 1 ? 's' : ''} · ${r.contacts.length} contact${r.contacts.length !== 1 ? 's' : ''} ▸</button>
+                    <div class="lender-details" style="display:none;">
+                        ${r.loans.length ? `<ul class="lender-loans">${r.loans.map(({ loan, role }) => {
+                            const deal = dealsByProject[loan.ProjectId];
+                            return `<li data-loan-id="${escapeHtml(String(loan.LoanId))}">${deal ? `<a href="#" class="lender-deal-link" data-project-id="${escapeHtml(String(loan.ProjectId))}">${escapeHtml(deal.Name)}</a>` : escapeHtml(loan.ProjectName || 'Project ' + loan.ProjectId)}
+                                — ${escapeHtml(loan.LoanPhase || 'Loan')}, ${_lenderMoney(_lenderNum(loan.LoanAmount))} <span class="covenant-status">${role}</span> <span class="lender-participation-flag"></span></li>`;
+                        }).join('')}</ul>` : '<div class="lender-card-meta">No active loans.</div>'}
+                        ${r.contacts.length ? `<ul class="lender-contacts">${r.contacts.map(c => `
+                            <li><strong>${escapeHtml(c.FullName || c.Name || '')}</strong>${c.Role ? ` <span class="lender-card-meta">${escapeHtml(c.Role)}</span>` : ''}
+                                ${c.Email ? ` · <a href="mailto:${escapeHtml(c.Email)}">${escapeHtml(c.Email)}</a>` : ''}
+                                <span class="lender-card-meta"> · last contact ${escapeHtml(formatContactDate(c.DateOfContact || c.LastContactDate))}</span></li>`).join('')}</ul>`
+                            : `<div class="lender-card-meta">${r.target?.ContactText ? 'Contact: ' + escapeHtml(r.target.ContactText) : 'No banking contacts assigned.'}</div>`}
+                    </div>
+                </div>`;
+            }).join('') : '<p class="no-data">No banks with targets, loans or contacts.</p>'}
+            </div>
+        </div>
     `;
 }
 
+/** Wire sort, target edits, detail toggles (with participation total checks) and deal links on the lender dashboard */
+function setupLenderDashboardHandlers(container) {
+    container.querySelectorAll('.lender-sort-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const cur = window.lenderDashboardSort || { by: 'headroom', order: 'desc' };
+            const by = btn.dataset.sortBy;
+            window.lenderDashboardSort = { by, order: cur.by === by ? (cur.order === 'asc' ? 'desc' : 'asc') : (by === 'name' ? 'asc' : 'desc') };
+            switchView('lenders', window.allDeals || []);
+        });
+    });
+    container.querySelectorAll('.lender-details-toggle').forEach(btn => {
+        let checked = false;
+        btn.addEventListener('click', () => {
+            const details = btn.nextElementSibling;
+            const open = details.style.display === 'none';
+            details.style.display = open ? '' : 'none';
+            if (!open || checked) return;
+            checked = true;
+            details.querySelectorAll('li[data-loan-id]').forEach(li => {
+                API.getLoanParticipationSummary(li.dataset.loanId).then(res => {
+                    const s = res && res.data;
+                    if (s && s.mismatch) {
+                        li.querySelector('.lender-participation-flag').innerHTML = `<span class="covenant-status covenant-status-fail" title="Participations do not add up to the loan amount">${_lenderMoney(_lenderNum(s.participationTotal))} of ${_lenderMoney(_lenderNum(s.loanAmount))} participated</span>`;
+                    }
+                }).catch(() => {});
+            });
+        });
+    });
+    container.querySelectorAll('.lender-deal-link').forEach(a => {
+        a.addEventListener('click', (e) => {
+            e.preventDefault();
+            const deal = (window.allDeals || []).find(d => String(d.ProjectId) === a.dataset.projectId);
+            if (deal) showDealDetail(deal);
+        });
+    });
+    container.querySelectorAll('.lender-target-save').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const card = btn.closest('.lender-card');
+            const raw = card.querySelector('.lender-target-input').value.trim();
+            const value = raw === '' ? null : parseFloat(raw);
+            if (value != null && (isNaN(value) || value < 0)) {
+                showToast('Target exposure must be a positive amount.', 'error');
+                return;
+            }
+            btn.disabled = true;
+            try {
+                const targets = await API.getAllBankTargets();
+                const existing = apiList(targets).find(t => String(t.BankId) === card.dataset.bankId);
+                if (existing) await API.updateBankTarget(existing.BankTargetId, { TargetExposure: value });
+                else await API.createBankTarget({ BankId: parseInt(card.dataset.bankId, 10), TargetExposure: value });
+                showToast('Target saved.', 'success');
+                switchView('lenders', window.allDeals || []);
+            } catch (err) {
+                btn.disabled = false;
+                showToast('Failed to save target: ' + (err.message || 'Unknown error'), 'error');
+            }
+        });
+    });
+}
+
 // Render by Product Type
 function renderByProductType(deals) {
     const filtered = applyFilters(deals, true); // Exclude START deals
@@ -551,8 +590,10 @@ function renderContactsView(contacts) {
                         </div>
                         <div class="contacts-card-meta">${type ? `<span class="contacts-card-type">${type}</span>` : ''} ${city || state ? `<span>${[city, state].filter(Boolean).join(', ')}</span>` : ''}</div>
                         <div class="contacts-card-dates">Contact: ${dateContact} · Follow-up: ${nextFollow}</div>
+                        <div class="contacts-card-deals" hidden></div>
                     </div>
                     <div class="contacts-card-actions">
+                        <button type="button" class="contacts-btn contacts-deals-btn" data-contact-id="${id}" aria-expanded="false" title="Deals this person is linked to">Deals</button>
                         <button type="button" class="contacts-btn contacts-view-btn" data-contact-id="${id}" title="View / Edit">Edit</button>
                         <button type="button" class="contacts-btn contacts-send-reminder-btn" data-contact-id="${id}" data-contact-name="${name}" data-contact-email="${email}" title="Send reminder now (immediate)">Remind</button>
                         <button type="button" class="contacts-btn contacts-delete-btn" data-contact-id="${id}" data-contact-name="${name}" title="Delete">Delete</button>
@@ -631,6 +672,11 @@ function setupContactsViewHandlers(container) {
             if (c) showContactModal(c);
         });
     });
+    container.querySelectorAll('.contacts-deals-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            if (typeof toggleContactDeals === 'function') toggleContactDeals(this.closest('.contacts-card'), this.dataset.contactId);
+        });
+    });
     container.querySelectorAll('.contacts-send-reminder-btn').forEach(btn => {
         btn.addEventListener('click', function() {
             const id = this.dataset.contactId ? parseInt(this.dataset.contactId, 10) : null;
@@ -19,17 +19,26 @@ function _destroyAllCharts() {
     Object.keys(_chartInstances).forEach(_destroyChart);
 }
 
+/** Theme colors used when the CSS variables are not available */
+var CHART_THEME_FALLBACK = {
+    textPrimary: '#1f2937',
+    textSecondary: '#6b7280',
+    primaryGreen: '#7e8a6b',
+    white: '#ffffff',
+    borderColor: '#e5e7eb'
+};
+
 /**
  * Shared Chart.js defaults matching the dashboard palette
  */
 function _getChartDefaults() {
     var style = getComputedStyle(document.documentElement);
     return {
-        textPrimary: style.getPropertyValue('--text-primary').trim() || '#1f2937',
-        textSecondary: style.getPropertyValue('--text-secondary').trim() || '#6b7280',
-        primaryGreen: style.getPropertyValue('--primary-green').trim() || '#7e8a6b',
-        white: style.getPropertyValue('--white').trim() || '#ffffff',
-        borderColor: style.getPropertyValue('--border-color').trim() || '#e5e7eb',
+        textPrimary: style.getPropertyValue('--text-primary').trim() || CHART_THEME_FALLBACK.textPrimary,
+        textSecondary: style.getPropertyValue('--text-secondary').trim() || CHART_THEME_FALLBACK.textSecondary,
+        primaryGreen: style.getPropertyValue('--primary-green').trim() || CHART_THEME_FALLBACK.primaryGreen,
+        white: style.getPropertyValue('--white').trim() || CHART_THEME_FALLBACK.white,
+        borderColor: style.getPropertyValue('--border-color').trim() || CHART_THEME_FALLBACK.borderColor,
         fontFamily: "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif"
     };
 }
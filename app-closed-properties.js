@@ -0,0 +1,329 @@
+/**
+ * app-closed-properties.js — Closed properties registry (inline edit, sort, Excel export)
+ * Also the shared source for the "Stoa Existing Properties" map layer in app-map-layers.js.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+/** Registry columns; `edit` is the input type for inline editing (omitted = read-only). */
+var CLOSED_PROPERTY_COLUMNS = [
+    { key: 'ProjectName', label: 'Property' },
+    { key: 'City', label: 'City', edit: 'text' },
+    { key: 'State', label: 'State', edit: 'text' },
+    { key: 'Status', label: 'Type', edit: 'text' },
+    { key: 'ClosingDate', label: 'Closing Date', edit: 'date' },
+    { key: 'Acreage', label: 'Acreage', edit: 'number' },
+    { key: 'Units', label: 'Units', edit: 'number' },
+    { key: 'Price', label: 'Price', edit: 'number' },
+    { key: 'PricePerSF', label: '$/SF', edit: 'number' },
+    { key: 'ActOfSale', label: 'Act of Sale', edit: 'text' },
+    { key: 'PurchasingEntity', label: 'Purchasing Entity', edit: 'text' },
+    { key: 'CashFlag', label: 'Cash', edit: 'checkbox' }
+];
+
+var closedPropertiesSort = { by: 'ClosingDate', order: 'desc' };
+var _closedPropertiesCache = null;
+
+/** All closed properties, cached; the map layer and the registry share this list. */
+function loadClosedProperties(force) {
+    if (_closedPropertiesCache && !force) return Promise.resolve(_closedPropertiesCache);
+    return API.getAllClosedProperties().then(function(res) {
+        _closedPropertiesCache = apiList(res);
+        return _closedPropertiesCache;
+    });
+}
+
+function _cpValue(p, key) {
+    if (key === 'ClosingDate') return p.ClosingDate || p.LandClosingDate || '';
+    return p[key];
+}
+
+function _cpDisplay(p, col) {
+    var v = _cpValue(p, col.key);
+    if (col.key === 'CashFlag') return v ? 'Yes' : '';
+    if (v == null || v === '') return '';
+    if (col.key === 'ClosingDate') return formatDate(v);
+    if (col.key === 'Price') return '$' + Number(v).toLocaleString(undefined, { maximumFractionDigits: 0 });
+    if (col.key === 'PricePerSF') return '$' + Number(v).toFixed(2);
+    return String(v);
+}
+
+function _cpCompare(a, b, key) {
+    var va = _cpValue(a, key), vb = _cpValue(b, key);
+    if (va == null || va === '') return (vb == null || vb === '') ? 0 : 1;
+    if (vb == null || vb === '') return -1;
+    if (key === 'ClosingDate') return new Date(va) - new Date(vb);
+    if (typeof va === 'number' || typeof va === 'boolean' || (!isNaN(parseFloat(va)) && isFinite(va))) return Number(va) - Number(vb);
+    return String(va).localeCompare(String(vb));
+}
+
+function _cpInputValue(col, input) {
+    if (col.edit === 'checkbox') return input.checked;
+    var raw = input.value.trim();
+    if (raw === '') return null;
+    if (col.edit === 'number') {
+        var n = parseFloat(raw.replace(/[$,]/g, ''));
+        return isNaN(n) ? undefined : n;
+    }
+    return raw;
+}
+
+async function exportClosedPropertiesToExcel(properties) {
+    if (typeof ExcelJS === 'undefined') {
+        showToast('Excel library not loaded. Please refresh the page and try again.', 'error');
+        return;
+    }
+    var workbook = new ExcelJS.Workbook();
+    var sheet = workbook.addWorksheet('Closed Properties');
+    sheet.columns = CLOSED_PROPERTY_COLUMNS.map(function(col) {
+        return { header: col.label, key: col.key, width: col.key === 'ProjectName' || col.key === 'PurchasingEntity' ? 30 : 14 };
+    });
+    properties.forEach(function(p) {
+        var row = {};
+        CLOSED_PROPERTY_COLUMNS.forEach(function(col) {
+            var v = _cpValue(p, col.key);
+            if (col.key === 'CashFlag') row[col.key] = v ? 'Yes' : 'No';
+            else if (col.key === 'ClosingDate') row[col.key] = v ? parseLocalDateOnly(String(v).slice(0, 10)) : null;
+            else row[col.key] = v == null ? '' : v;
+        });
+        sheet.addRow(row);
+    });
+    var header = sheet.getRow(1);
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF7E8A6B' } };
+    sheet.getColumn('Price').numFmt = '$#,##0';
+    sheet.getColumn('PricePerSF').numFmt = '$#,##0.00';
+    sheet.getColumn('ClosingDate').numFmt = 'mm/dd/yyyy';
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    var buffer = await workbook.xlsx.writeBuffer();
+    var blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    saveAs(blob, 'STOA_Closed_Properties_' + toNormalizedDateString(new Date()) + '.xlsx');
+}
+
+/**
+ * Admin form to add a closed property for a pipeline project that has none yet.
+ * Picking a deal pre-fills city, state, acreage, units and price from it.
+ */
+function openClosedPropertyCreator(deals, properties, onSaved) {
+    var existing = document.getElementById('closed-property-create-modal');
+    if (existing) existing.remove();
+    var closedProjects = {};
+    (properties || []).forEach(function(p) { closedProjects[p.ProjectId] = true; });
+    var candidates = (deals || []).filter(function(d) { return d.ProjectId && !closedProjects[d.ProjectId]; })
+        .sort(function(a, b) { return (a.Name || '').localeCompare(b.Name || ''); });
+    var fields = CLOSED_PROPERTY_COLUMNS.filter(function(col) { return col.edit; });
+    var modal = document.createElement('div');
+    modal.className = 'deal-detail-overlay contacts-modal-overlay';
+    modal.id = 'closed-property-create-modal';
+    modal.innerHTML =
+        '<div class="contacts-modal" role="dialog" aria-labelledby="closed-property-create-title">' +
+            '<h3 id="closed-property-create-title">Add closed property</h3>' +
+            (candidates.length ? '' : '<p class="contacts-reminder-desc">Every pipeline project already has a closed property record.</p>') +
+            '<form class="contacts-form closed-property-create-form">' +
+                '<label>Project <span class="required">*</span></label>' +
+                '<select name="ProjectId" required><option value="">Select a deal…</option>' +
+                    candidates.map(function(d) { return '<option value="' + escapeHtml(String(d.ProjectId)) + '">' + escapeHtml(d.Name || 'Project ' + d.ProjectId) + '</option>'; }).join('') +
+                '</select>' +
+                fields.map(function(col) {
+                    if (col.edit === 'checkbox') return '<label class="custom-fields-required-label"><input type="checkbox" name="' + col.key + '" /> ' + escapeHtml(col.label) + '</label>';
+                    return '<label>' + escapeHtml(col.label) + '</label><input type="' + col.edit + '"' + (col.edit === 'number' ? ' step="any" min="0"' : '') + ' name="' + col.key + '" />';
+                }).join('') +
+                '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+                '<div class="contacts-form-actions">' +
+                    '<button type="submit" class="contacts-btn contacts-save-btn">Add</button>' +
+                    '<button type="button" class="contacts-btn contacts-cancel-btn">Cancel</button>' +
+                '</div>' +
+            '</form>' +
+        '</div>';
+    document.body.appendChild(modal);
+
+    var form = modal.querySelector('form');
+    var errEl = form.querySelector('.custom-fields-detail-error');
+    var escHandler = function(e) { if (e.key === 'Escape') close(); };
+    document.addEventListener('keydown', escHandler);
+    function close() {
+        document.removeEventListener('keydown', escHandler);
+        modal.remove();
+    }
+    function showError(msg) {
+        errEl.textContent = msg || '';
+        errEl.style.display = msg ? 'block' : 'none';
+    }
+    modal.addEventListener('click', function(e) { if (e.target === modal) close(); });
+    modal.querySelector('.contacts-cancel-btn').addEventListener('click', close);
+
+    form.elements.ProjectId.addEventListener('change', function() {
+        var deal = candidates.filter(function(d) { return String(d.ProjectId) === form.elements.ProjectId.value; })[0];
+        var src = deal ? (deal._original || deal) : {};
+        var defaults = { City: src.City, State: src.State, Acreage: src.Acreage, Units: src.UnitCount != null ? src.UnitCount : src.Units, Price: src.LandPrice };
+        Object.keys(defaults).forEach(function(key) {
+            if (!form.elements[key].value && defaults[key] != null) form.elements[key].value = defaults[key];
+        });
+    });
+
+    form.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        var projectId = parseInt(form.elements.ProjectId.value, 10);
+        if (!projectId) {
+            showError('Choose the project this closed property belongs to.');
+            return;
+        }
+        var data = { ProjectId: projectId };
+        for (var i = 0; i < fields.length; i++) {
+            var value = _cpInputValue(fields[i], form.elements[fields[i].key]);
+            if (value === undefined) {
+                showError(fields[i].label + ' must be a number.');
+                return;
+            }
+            if (value != null) data[fields[i].key] = value;
+        }
+        var saveBtn = form.querySelector('.contacts-save-btn');
+        saveBtn.disabled = true;
+        showError('');
+        try {
+            await API.createClosedProperty(data);
+            close();
+            showToast('Closed property added.', 'success');
+            if (typeof refreshStoaPropertiesLayer === 'function') refreshStoaPropertiesLayer();
+            if (onSaved) onSaved();
+        } catch (err) {
+            saveBtn.disabled = false;
+            showError('Failed to add closed property: ' + (err.message || 'Unknown error'));
+        }
+    });
+}
+
+/** Top-level closed properties registry view */
+async function renderClosedPropertiesView(deals) {
+    var container = document.getElementById('deal-list-container');
+    if (!container) return;
+    if (!_closedPropertiesCache) container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading closed properties…</div>';
+    var properties;
+    try {
+        properties = (await loadClosedProperties(true)).filter(canViewDealRow);
+    } catch (e) {
+        if (currentView === 'closed-properties') container.innerHTML = '<div class="error-state"><p class="error-message">Could not load closed properties: ' + escapeHtml(e.message || 'Unknown error') + '</p></div>';
+        return;
+    }
+    if (currentView !== 'closed-properties') return;
+
+    var admin = can('manageReferenceData');
+    var dealsByProject = {};
+    (window.allDeals || deals || []).forEach(function(d) { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+    var sorted = properties.slice().sort(function(a, b) {
+        var cmp = _cpCompare(a, b, closedPropertiesSort.by);
+        return closedPropertiesSort.order === 'asc' ? cmp : -cmp;
+    });
+
+    container.innerHTML =
+        '<div class="upcoming-dates-view closed-properties-view">' +
+            '<div class="lender-dashboard-header">' +
+                '<div><h2 class="upcoming-dates-view-title">Closed Properties</h2>' +
+                '<p class="upcoming-dates-view-desc">' + properties.length + ' closed properties. ' + (admin ? 'Click a cell to edit; changes also update the Stoa Properties map layer.' : 'These feed the Stoa Properties map layer.') + '</p></div>' +
+                '<div class="closed-properties-actions">' +
+                    (admin ? '<button type="button" class="contacts-btn" id="closed-properties-add">Add closed property</button>' : '') +
+                    '<button type="button" class="contacts-btn" id="closed-properties-export">Export to Excel</button>' +
+                '</div>' +
+            '</div>' +
+            (sorted.length ? '<table class="deal-list-table closed-properties-table"><thead><tr>' +
+                CLOSED_PROPERTY_COLUMNS.map(function(col) {
+                    var active = closedPropertiesSort.by === col.key;
+                    return '<th class="sortable-header" data-sort-by="' + col.key + '">' + escapeHtml(col.label) + (active ? (closedPropertiesSort.order === 'asc' ? ' ▲' : ' ▼') : '') + '</th>';
+                }).join('') + '<th></th></tr></thead><tbody>' +
+                sorted.map(function(p) {
+                    var deal = dealsByProject[p.ProjectId];
+                    return '<tr data-closed-id="' + escapeHtml(String(p.ClosedPropertyId)) + '">' +
+                        CLOSED_PROPERTY_COLUMNS.map(function(col) {
+                            var editable = admin && col.edit;
+                            return '<td' + (editable ? ' class="closed-property-editable" data-field="' + col.key + '" tabindex="0"' : (col.key === 'ProjectName' ? ' class="deal-name"' : '')) + '>' + escapeHtml(_cpDisplay(p, col)) + '</td>';
+                        }).join('') +
+                        '<td>' + (deal ? '<button type="button" class="deal-detail-btn closed-property-open-deal" data-project-id="' + escapeHtml(String(p.ProjectId)) + '">Open deal</button>' : '') + '</td>' +
+                    '</tr>';
+                }).join('') + '</tbody></table>'
+            : '<p class="no-data">No closed properties.</p>') +
+        '</div>';
+
+    var byId = {};
+    properties.forEach(function(p) { byId[String(p.ClosedPropertyId)] = p; });
+
+    container.querySelectorAll('.closed-properties-table th[data-sort-by]').forEach(function(th) {
+        th.addEventListener('click', function() {
+            var by = th.dataset.sortBy;
+            closedPropertiesSort = { by: by, order: closedPropertiesSort.by === by && closedPropertiesSort.order === 'asc' ? 'desc' : 'asc' };
+            renderClosedPropertiesView(deals);
+        });
+    });
+    container.querySelectorAll('.closed-property-open-deal').forEach(function(btn) {
+        btn.addEventListener('click', function() { showDealDetail(dealsByProject[btn.dataset.projectId]); });
+    });
+    document.getElementById('closed-properties-add')?.addEventListener('click', function() {
+        openClosedPropertyCreator(window.allDeals || deals || [], properties, function() { renderClosedPropertiesView(deals); });
+    });
+    document.getElementById('closed-properties-export').addEventListener('click', function() {
+        exportClosedPropertiesToExcel(sorted).catch(function(err) {
+            showToast('Failed to export closed properties: ' + (err.message || 'Unknown error'), 'error');
+        });
+    });
+
+    container.querySelectorAll('.closed-property-editable').forEach(function(td) {
+        var startEdit = function() {
+            if (td.querySelector('input')) return;
+            var p = byId[td.closest('tr').dataset.closedId];
+            var col = CLOSED_PROPERTY_COLUMNS.filter(function(c) { return c.key === td.dataset.field; })[0];
+            var current = _cpValue(p, col.key);
+            var input = document.createElement('input');
+            input.type = col.edit;
+            input.className = 'closed-property-input';
+            if (col.edit === 'checkbox') input.checked = !!current;
+            else if (col.edit === 'date') input.value = current ? String(current).slice(0, 10) : '';
+            else input.value = current == null ? '' : current;
+            td.textContent = '';
+            td.appendChild(input);
+            input.focus();
+            var done = false;
+            var finish = async function(save) {
+                if (done) return;
+                done = true;
+                var value = save ? _cpInputValue(col, input) : current;
+                if (value === undefined) {
+                    showToast(col.label + ' must be a number.', 'error');
+                    value = current;
+                    save = false;
+                }
+                var norm = function(v) { return v == null ? '' : String(v); };
+                var unchanged = col.edit === 'checkbox' ? !!value === !!current
+                    : col.edit === 'date' ? norm(value) === norm(current).slice(0, 10) : norm(value) === norm(current);
+                if (!save || unchanged) {
+                    td.textContent = _cpDisplay(p, col);
+                    return;
+                }
+                var data = {};
+                data[col.key] = value;
+                td.textContent = 'Saving…';
+                try {
+                    await API.updateClosedProperty(p.ClosedPropertyId, data);
+                    p[col.key] = value;
+                    if (col.key === 'ClosingDate') p.LandClosingDate = value;
+                    td.textContent = _cpDisplay(p, col);
+                    if (typeof refreshStoaPropertiesLayer === 'function') refreshStoaPropertiesLayer();
+                } catch (err) {
+                    td.textContent = _cpDisplay(p, col);
+                    showToast('Failed to update ' + col.label + ': ' + (err.message || 'Unknown error'), 'error');
+                }
+            };
+            if (col.edit === 'checkbox') input.addEventListener('change', function() { finish(true); });
+            input.addEventListener('blur', function() { finish(true); });
+            input.addEventListener('keydown', function(e) {
+                if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+                if (e.key === 'Escape') { e.preventDefault(); finish(false); }
+            });
+        };
+        td.addEventListener('click', startEdit);
+        td.addEventListener('keydown', function(e) { if (e.key === 'Enter' && e.target === td) startEdit(); });
+    });
+}
+
+window.loadClosedProperties = loadClosedProperties;
+window.renderClosedPropertiesView = renderClosedPropertiesView;
+window.openClosedPropertyCreator = openClosedPropertyCreator;
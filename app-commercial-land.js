@@ -0,0 +1,346 @@
+/**
+ * app-commercial-land.js — Commercial Land disposition view (listing board + master tract acreage rollup)
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var COMMERCIAL_LISTING_STATUSES = ['Available', 'Under Contract', 'Sold'];
+var SQFT_PER_ACRE = 43560;
+
+function _clNum(v) {
+    var n = parseFloat(String(v == null ? '' : v).replace(/[$,\s]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+function _clMoney(v, decimals) {
+    if (v == null) return '—';
+    return '$' + v.toLocaleString(undefined, { minimumFractionDigits: decimals || 0, maximumFractionDigits: decimals || 0 });
+}
+
+function _clAcres(v) {
+    return v == null ? '—' : v.toLocaleString(undefined, { maximumFractionDigits: 2 }) + ' ac';
+}
+
+function _clSf(v) {
+    return v == null ? '—' : Math.round(v).toLocaleString() + ' SF';
+}
+
+/**
+ * Listing status bucket. A blank status counts as Available; any other value that is not a
+ * known status is returned as entered so the board shows it in its own column.
+ */
+function _clStatus(listing) {
+    var raw = String(listing.ListingStatus || '').trim();
+    var s = raw.toLowerCase();
+    if (!s || s === 'available' || s === 'listed') return 'Available';
+    if (s.indexOf('sold') !== -1 || s.indexOf('closed') !== -1) return 'Sold';
+    if (s.indexOf('contract') !== -1) return 'Under Contract';
+    return raw;
+}
+
+/** Price metrics for a listing: $/acre, $/SF (land area) and days on market (to closing once sold). */
+function commercialListingMetrics(listing) {
+    var price = _clNum(listing.LandPrice);
+    var acres = _clNum(listing.Acreage);
+    var listed = parseLocalDateOnly(listing.ListedDate);
+    var end = _clStatus(listing) === 'Sold' ? (parseLocalDateOnly(listing.ClosingDate) || new Date()) : new Date();
+    return {
+        price: price,
+        acres: acres,
+        perAcre: price != null && acres ? price / acres : null,
+        perSf: price != null && acres ? price / (acres * SQFT_PER_ACRE) : null,
+        daysOnMarket: listed ? Math.max(0, Math.floor((end - listed) / 86400000)) : null
+    };
+}
+
+/**
+ * Acreage rollup per master tract (a CommercialAcreage record): listed outparcels on the same
+ * project are summed by status (unrecognised statuses under `other`); whatever is left of the tract is unlisted.
+ */
+function buildCommercialAcreageRollup(acreage, listings) {
+    var byProject = {};
+    (acreage || []).forEach(function(a) {
+        if (a.ProjectId == null) return;
+        byProject[a.ProjectId] = { tract: a, total: _clNum(a.Acreage) || 0, Available: 0, 'Under Contract': 0, Sold: 0, other: 0 };
+    });
+    (listings || []).forEach(function(l) {
+        var row = byProject[l.ProjectId];
+        if (!row) return;
+        var status = _clStatus(l);
+        row[COMMERCIAL_LISTING_STATUSES.indexOf(status) !== -1 ? status : 'other'] += _clNum(l.Acreage) || 0;
+    });
+    return Object.keys(byProject).map(function(k) {
+        var r = byProject[k];
+        r.unlisted = Math.max(0, r.total - r.Available - r['Under Contract'] - r.Sold - r.other);
+        return r;
+    });
+}
+
+/** Square footage and building footprint: the listing's own values, else its master tract's. */
+function _clBuildingFigures(listing, tract) {
+    var pick = function(key) {
+        var v = _clNum(listing[key]);
+        return v != null ? v : (tract ? _clNum(tract[key]) : null);
+    };
+    return { squareFootage: pick('SquareFootage'), footprint: pick('BuildingFootprintSF') };
+}
+
+function _clStatusOptions(current) {
+    var statuses = COMMERCIAL_LISTING_STATUSES.indexOf(current) === -1 ? [current].concat(COMMERCIAL_LISTING_STATUSES) : COMMERCIAL_LISTING_STATUSES;
+    return statuses.map(function(s) { return '<option value="' + escapeHtml(s) + '"' + (s === current ? ' selected' : '') + '>' + escapeHtml(s) + '</option>'; }).join('');
+}
+
+function _clListingCard(l, deal, tract, admin) {
+    var m = commercialListingMetrics(l);
+    var b = _clBuildingFigures(l, tract);
+    var name = (deal && deal.Name) || l.ProjectName || 'Project ' + l.ProjectId;
+    var status = _clStatus(l);
+    return '<div class="commercial-card' + (deal ? ' clickable' : '') + '" data-project-id="' + escapeHtml(String(l.ProjectId)) + '">' +
+        '<div class="commercial-card-title">' + escapeHtml(name) + '</div>' +
+        '<div class="commercial-card-meta">' + escapeHtml([l.City, l.State].filter(Boolean).join(', ')) + '</div>' +
+        '<div class="deal-detail-grid commercial-card-grid">' +
+            '<div class="deal-detail-item"><label>Acreage</label><span>' + _clAcres(m.acres) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Price</label><span>' + _clMoney(m.price) + '</span></div>' +
+            '<div class="deal-detail-item"><label>$/acre</label><span>' + _clMoney(m.perAcre) + '</span></div>' +
+            '<div class="deal-detail-item"><label>$/SF</label><span>' + _clMoney(m.perSf, 2) + '</span></div>' +
+            '<div class="deal-detail-item"><label>' + (status === 'Sold' ? 'Days to close' : 'Days on market') + '</label><span>' + (m.daysOnMarket != null ? m.daysOnMarket : '—') + '</span></div>' +
+            '<div class="deal-detail-item"><label>Broker</label><span>' + escapeHtml(l.Broker || '—') + '</span></div>' +
+            '<div class="deal-detail-item"><label>Square footage</label><span>' + _clSf(b.squareFootage) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Building footprint</label><span>' + _clSf(b.footprint) + '</span></div>' +
+        '</div>' +
+        (status !== 'Available' && l.PurchasingEntity ? '<div class="commercial-card-meta">Buyer: ' + escapeHtml(l.PurchasingEntity) + '</div>' : '') +
+        (admin ? '<div class="commercial-card-actions">' +
+            '<select class="commercial-status-select" data-listing-id="' + escapeHtml(String(l.CommercialListedId)) + '" aria-label="Listing status">' + _clStatusOptions(status) + '</select>' +
+            '<button type="button" class="contacts-btn commercial-edit-listing" data-listing-id="' + escapeHtml(String(l.CommercialListedId)) + '">Edit</button>' +
+            '</div>' : '') +
+    '</div>';
+}
+
+/**
+ * Admin form for one listing. Square footage and building footprint are saved on the project's
+ * master tract record (created if the project has none).
+ */
+function openCommercialListingEditor(listing, tract, onSaved) {
+    var existing = document.getElementById('commercial-listing-modal');
+    if (existing) existing.remove();
+    var status = _clStatus(listing);
+    var b = _clBuildingFigures(listing, tract);
+    var val = function(v) { return escapeHtml(v == null ? '' : String(v)); };
+    var date = function(v) { return v ? escapeHtml(String(v).slice(0, 10)) : ''; };
+    var modal = document.createElement('div');
+    modal.className = 'deal-detail-overlay contacts-modal-overlay';
+    modal.id = 'commercial-listing-modal';
+    modal.innerHTML =
+        '<div class="contacts-modal" role="dialog" aria-labelledby="commercial-listing-title">' +
+            '<h3 id="commercial-listing-title">Edit listing – ' + escapeHtml(listing.ProjectName || 'Project ' + listing.ProjectId) + '</h3>' +
+            '<form class="contacts-form commercial-listing-form">' +
+                '<label>Status</label><select name="ListingStatus">' + _clStatusOptions(status) + '</select>' +
+                '<label>Listed date</label><input type="date" name="ListedDate" value="' + date(listing.ListedDate) + '" />' +
+                '<label>Acreage</label><input type="number" step="any" min="0" name="Acreage" value="' + val(listing.Acreage) + '" />' +
+                '<label>Land price</label><input type="number" step="any" min="0" name="LandPrice" value="' + val(listing.LandPrice) + '" />' +
+                '<label>Square footage</label><input type="number" step="any" min="0" name="SquareFootage" value="' + val(b.squareFootage) + '" />' +
+                '<label>Building footprint (SF)</label><input type="number" step="any" min="0" name="BuildingFootprintSF" value="' + val(b.footprint) + '" />' +
+                '<label>Broker</label><input type="text" name="Broker" value="' + val(listing.Broker) + '" />' +
+                '<label>Owner</label><input type="text" name="Owner" value="' + val(listing.Owner) + '" />' +
+                '<label>Purchasing entity</label><input type="text" name="PurchasingEntity" value="' + val(listing.PurchasingEntity) + '" />' +
+                '<label>Closing date</label><input type="date" name="ClosingDate" value="' + date(listing.ClosingDate) + '" />' +
+                '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+                '<div class="contacts-form-actions">' +
+                    '<button type="submit" class="contacts-btn contacts-save-btn">Save</button>' +
+                    '<button type="button" class="contacts-btn contacts-cancel-btn">Cancel</button>' +
+                '</div>' +
+            '</form>' +
+        '</div>';
+    document.body.appendChild(modal);
+
+    var form = modal.querySelector('form');
+    var errEl = form.querySelector('.custom-fields-detail-error');
+    var escHandler = function(e) { if (e.key === 'Escape') close(); };
+    document.addEventListener('keydown', escHandler);
+    function close() {
+        document.removeEventListener('keydown', escHandler);
+        modal.remove();
+    }
+    modal.addEventListener('click', function(e) { if (e.target === modal) close(); });
+    modal.querySelector('.contacts-cancel-btn').addEventListener('click', close);
+
+    form.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        var text = function(name) { var v = form.elements[name].value.trim(); return v === '' ? null : v; };
+        var num = function(name) { var v = text(name); return v == null ? null : _clNum(v); };
+        var data = {
+            ListingStatus: form.elements.ListingStatus.value,
+            ListedDate: text('ListedDate'),
+            Acreage: num('Acreage'),
+            LandPrice: num('LandPrice'),
+            Broker: text('Broker'),
+            Owner: text('Owner'),
+            PurchasingEntity: text('PurchasingEntity'),
+            ClosingDate: text('ClosingDate')
+        };
+        var building = { SquareFootage: num('SquareFootage'), BuildingFootprintSF: num('BuildingFootprintSF') };
+        var buildingChanged = building.SquareFootage !== b.squareFootage || building.BuildingFootprintSF !== b.footprint;
+        var saveBtn = form.querySelector('.contacts-save-btn');
+        saveBtn.disabled = true;
+        errEl.style.display = 'none';
+        try {
+            await API.updateCommercialListed(listing.CommercialListedId, data);
+            if (buildingChanged) {
+                if (tract) await API.updateCommercialAcreage(tract.CommercialAcreageId, building);
+                else await API.createCommercialAcreage(Object.assign({ ProjectId: listing.ProjectId }, building));
+            }
+            close();
+            showToast('Listing saved.', 'success');
+            if (onSaved) onSaved();
+        } catch (err) {
+            saveBtn.disabled = false;
+            errEl.textContent = 'Failed to save listing: ' + (err.message || 'Unknown error');
+            errEl.style.display = 'block';
+        }
+    });
+}
+
+/** Top-level "Commercial Land" view for deals in the 'Commercial Land - Listed' stage */
+async function renderCommercialLandView(deals) {
+    var container = document.getElementById('deal-list-container');
+    if (!container) return;
+    container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading commercial land…</div>';
+    var none = function() { return { success: true, data: [] }; };
+    var listings, acreage;
+    try {
+        var results = await Promise.all([API.getAllCommercialListed(), API.getAllCommercialAcreage().catch(none)]);
+        listings = apiList(results[0]);
+        acreage = apiList(results[1]);
+    } catch (e) {
+        if (currentView === 'commercial-land') container.innerHTML = '<div class="error-state"><p class="error-message">Could not load commercial listings: ' + escapeHtml(e.message || 'Unknown error') + '</p></div>';
+        return;
+    }
+    if (currentView !== 'commercial-land') return;
+    listings = listings.filter(canViewDealRow);
+    acreage = acreage.filter(canViewDealRow);
+
+    var admin = can('manageReferenceData');
+    var dealsByProject = {};
+    (window.allDeals || deals || []).forEach(function(d) { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+    var tractsByProject = {};
+    acreage.forEach(function(a) { if (a.ProjectId != null) tractsByProject[a.ProjectId] = a; });
+    var listingsById = {};
+    listings.forEach(function(l) { listingsById[String(l.CommercialListedId)] = l; });
+    var listedProjects = {};
+    listings.forEach(function(l) { listedProjects[l.ProjectId] = true; });
+    var unlistedDeals = (window.allDeals || deals || []).filter(function(d) {
+        return normalizeStage(d.Stage || d.stage) === 'Commercial Land - Listed' && d.ProjectId && !listedProjects[d.ProjectId];
+    });
+
+    // Known statuses always get a column; unrecognised ones are appended as they appear
+    var boardStatuses = COMMERCIAL_LISTING_STATUSES.slice();
+    var columns = {};
+    COMMERCIAL_LISTING_STATUSES.forEach(function(s) { columns[s] = []; });
+    listings.forEach(function(l) {
+        var status = _clStatus(l);
+        if (!columns[status]) { columns[status] = []; boardStatuses.push(status); }
+        columns[status].push(l);
+    });
+    columns.Available.sort(function(a, b) { return (commercialListingMetrics(b).daysOnMarket || 0) - (commercialListingMetrics(a).daysOnMarket || 0); });
+
+    var html =
+        '<div class="upcoming-dates-view commercial-land-view">' +
+            '<h2 class="upcoming-dates-view-title">Commercial Land</h2>' +
+            '<p class="upcoming-dates-view-desc">Outparcel listings by status. $/SF is on land area; days on market run from the listed date to today, or to closing once sold.</p>' +
+            '<div class="commercial-board">' +
+            boardStatuses.map(function(s) {
+                var acres = columns[s].reduce(function(sum, l) { return sum + (_clNum(l.Acreage) || 0); }, 0);
+                var value = columns[s].reduce(function(sum, l) { return sum + (_clNum(l.LandPrice) || 0); }, 0);
+                return '<div class="commercial-column">' +
+                    '<div class="commercial-column-header"><strong>' + escapeHtml(s) + '</strong> <span class="commercial-card-meta">' + columns[s].length + ' · ' + _clAcres(acres) + ' · ' + _clMoney(value) + '</span></div>' +
+                    (columns[s].length ? columns[s].map(function(l) { return _clListingCard(l, dealsByProject[l.ProjectId], tractsByProject[l.ProjectId], admin); }).join('') : '<p class="no-data">None</p>') +
+                '</div>';
+            }).join('') +
+            '</div>';
+
+    if (unlistedDeals.length) {
+        html += '<h3 class="covenant-group-title">In stage without a listing record</h3><ul class="commercial-unlisted">' +
+            unlistedDeals.map(function(d) {
+                return '<li><a href="#" class="commercial-deal-link" data-project-id="' + escapeHtml(String(d.ProjectId)) + '">' + escapeHtml(d.Name || '') + '</a>' +
+                    (admin ? ' <button type="button" class="contacts-btn commercial-create-listing" data-project-id="' + escapeHtml(String(d.ProjectId)) + '">Create listing</button>' : '') + '</li>';
+            }).join('') + '</ul>';
+    }
+
+    var rollup = buildCommercialAcreageRollup(acreage, listings);
+    var hasOther = rollup.some(function(r) { return r.other > 0; });
+    html += '<h3 class="covenant-group-title">Master tract acreage</h3>';
+    if (!rollup.length) {
+        html += '<p class="no-data">No master tract acreage recorded.</p>';
+    } else {
+        html += '<table class="deal-list-table commercial-rollup"><thead><tr><th>Tract</th><th>Total</th><th>Sold</th><th>Under Contract</th><th>Listed</th>' + (hasOther ? '<th>Other status</th>' : '') + '<th>Unlisted</th><th></th></tr></thead><tbody>' +
+            rollup.map(function(r) {
+                var deal = dealsByProject[r.tract.ProjectId];
+                var pct = function(v) { return r.total ? (v / r.total * 100).toFixed(1) : 0; };
+                return '<tr class="upcoming-date-row' + (deal ? ' clickable' : '') + '" data-project-id="' + escapeHtml(String(r.tract.ProjectId)) + '">' +
+                    '<td class="deal-name">' + escapeHtml((deal && deal.Name) || r.tract.ProjectName || 'Project ' + r.tract.ProjectId) + '</td>' +
+                    '<td>' + _clAcres(r.total) + '</td><td>' + _clAcres(r.Sold) + '</td><td>' + _clAcres(r['Under Contract']) + '</td>' +
+                    '<td>' + _clAcres(r.Available) + '</td>' + (hasOther ? '<td>' + _clAcres(r.other) + '</td>' : '') + '<td>' + _clAcres(r.unlisted) + '</td>' +
+                    '<td><div class="commercial-rollup-bar" title="' + pct(r.Sold) + '% sold">' +
+                        '<span class="commercial-bar-sold" style="width:' + pct(r.Sold) + '%"></span>' +
+                        '<span class="commercial-bar-contract" style="width:' + pct(r['Under Contract']) + '%"></span>' +
+                        '<span class="commercial-bar-listed" style="width:' + pct(r.Available) + '%"></span>' +
+                    '</div></td></tr>';
+            }).join('') + '</tbody></table>';
+    }
+    html += '</div>';
+    container.innerHTML = html;
+
+    var openDeal = function(projectId) {
+        var deal = dealsByProject[projectId];
+        if (deal) showDealDetail(deal);
+    };
+    container.querySelectorAll('.commercial-card.clickable, .commercial-rollup tr.clickable').forEach(function(el) {
+        el.addEventListener('click', function(e) {
+            if (e.target.closest('select, button')) return;
+            openDeal(el.dataset.projectId);
+        });
+    });
+    container.querySelectorAll('.commercial-deal-link').forEach(function(a) {
+        a.addEventListener('click', function(e) { e.preventDefault(); openDeal(a.dataset.projectId); });
+    });
+    container.querySelectorAll('.commercial-status-select').forEach(function(sel) {
+        sel.addEventListener('change', async function() {
+            var data = { ListingStatus: sel.value };
+            if (sel.value === 'Sold') data.ClosingDate = toNormalizedDateString(new Date());
+            sel.disabled = true;
+            try {
+                await API.updateCommercialListed(sel.dataset.listingId, data);
+                showToast('Listing marked ' + sel.value + '.', 'success');
+                renderCommercialLandView(deals);
+            } catch (err) {
+                sel.disabled = false;
+                showToast('Failed to update listing: ' + (err.message || 'Unknown error'), 'error');
+            }
+        });
+    });
+    container.querySelectorAll('.commercial-edit-listing').forEach(function(btn) {
+        btn.addEventListener('click', function() {
+            var l = listingsById[btn.dataset.listingId];
+            if (l) openCommercialListingEditor(l, tractsByProject[l.ProjectId], function() { renderCommercialLandView(deals); });
+        });
+    });
+    container.querySelectorAll('.commercial-create-listing').forEach(function(btn) {
+        btn.addEventListener('click', async function() {
+            btn.disabled = true;
+            try {
+                await API.createCommercialListed({ ProjectId: parseInt(btn.dataset.projectId, 10), ListingStatus: 'Available', ListedDate: toNormalizedDateString(new Date()) });
+                showToast('Listing created.', 'success');
+                renderCommercialLandView(deals);
+            } catch (err) {
+                btn.disabled = false;
+                showToast('Failed to create listing: ' + (err.message || 'Unknown error'), 'error');
+            }
+        });
+    });
+}
+
+window.renderCommercialLandView = renderCommercialLandView;
+window.openCommercialListingEditor = openCommercialListingEditor;
+window.commercialListingMetrics = commercialListingMetrics;
+window.buildCommercialAcreageRollup = buildCommercialAcreageRollup;
@@ -1,6 +1,7 @@
 /**
  * app-comparables.js — Comparables Analysis View
- * Plain <script> (not ES module). Select 2-5 deals to compare side-by-side.
+ * Plain <script> (not ES module). Select 2-5 deals to compare side-by-side,
+ * or compare the underwriting scenarios of one deal.
  */
 
 /* jshint esversion: 11 */
@@ -8,6 +9,9 @@
 // Track selected deal IDs for comparison
 window._compareSelectedIds = new Set();
 window._compareChartInstance = null;
+// 'deals' or 'scenarios' (underwriting scenarios of one deal)
+window._compareMode = 'deals';
+window._compareScenarioDealId = null;
 
 function renderComparablesView(deals) {
     const filtered = typeof applyFilters === 'function' ? applyFilters(deals, true) : deals;
@@ -20,8 +24,22 @@ function renderComparablesView(deals) {
     let html = '<div class="compare-wrapper">';
     html += '<div class="compare-header">';
     html += '<h2 class="compare-title">Comparables Analysis</h2>';
-    html += '<p class="compare-subtitle">Select 2-5 deals to compare side-by-side</p>';
+    html += '<p class="compare-subtitle">' + (window._compareMode === 'scenarios' ? 'Compare the underwriting scenarios of one deal side-by-side' : 'Select 2-5 deals to compare side-by-side') + '</p>';
+    html += '<div class="compare-mode-toggle" role="group" aria-label="Compare">';
+    html += '<button type="button" class="compare-mode-btn' + (window._compareMode === 'deals' ? ' active' : '') + '" data-mode="deals">Deals</button>';
+    html += '<button type="button" class="compare-mode-btn' + (window._compareMode === 'scenarios' ? ' active' : '') + '" data-mode="scenarios">Scenarios</button>';
     html += '</div>';
+    html += '</div>';
+
+    if (window._compareMode === 'scenarios') {
+        html += _renderScenarioPicker(filtered);
+        html += '<div id="compare-scenario-results"></div>';
+        html += '</div>'; // close wrapper
+        container.innerHTML = html;
+        _setupComparablesHandlers(container, filtered);
+        _loadScenarioComparison();
+        return;
+    }
 
     // Deal selector
     html += '<div class="compare-selector">';
@@ -91,9 +109,9 @@ function _compareStageClass(stage) {
     return 'prospective';
 }
 
-function _renderComparisonTable(deals) {
+function _renderComparisonTable(deals, metrics, nameOf) {
     // Define metrics with labels, accessor, formatter, and whether higher is better (true), lower is better (false), or neutral (null)
-    const metrics = [
+    metrics = metrics || [
         { label: 'Project Name', get: d => d.ProjectName || d['Project Name'] || d.name || '', fmt: v => escapeHtml(v || ''), rank: null },
         { label: 'Stage', get: d => { const s = d.Stage || d.stage || ''; return typeof normalizeStage === 'function' ? normalizeStage(s) : s; }, fmt: v => escapeHtml(v || ''), rank: null },
         { label: 'City / State', get: d => [d.City || d.city, d.State || d.state].filter(Boolean).join(', '), fmt: v => escapeHtml(v || ''), rank: null },
@@ -106,12 +124,13 @@ function _renderComparisonTable(deals) {
         { label: 'Bank', get: d => d.Bank || d.bank || '', fmt: v => escapeHtml(v || '-'), rank: null },
         { label: 'Start Date', get: d => d.StartDate || d['Start Date'] || d['Start Date Custom'] || '', fmt: v => _fmtDate(v), rank: null },
         { label: 'Close Date', get: d => d.CloseDate || d['Close Date'] || d.closeDate || '', fmt: v => _fmtDate(v), rank: null },
-        { label: 'Opportunity Zone', get: d => d.OpportunityZone ? 'Yes' : 'No', fmt: v => v, rank: null }
+        { label: 'Opportunity Zone', get: d => d.OpportunityZone ? 'Yes' : 'No', fmt: v => v, rank: null },
+        { label: 'Deal Score', get: d => _numVal(d.DealScore), fmt: v => v != null ? String(Math.round(v)) : '-', rank: true }
     ];
 
     let html = '<div class="compare-table-wrap"><table class="compare-table"><thead><tr><th class="compare-metric-header">Metric</th>';
     deals.forEach(d => {
-        const name = d.ProjectName || d['Project Name'] || d.name || '';
+        const name = nameOf ? nameOf(d) : (d.ProjectName || d['Project Name'] || d.name || '');
         html += '<th class="compare-deal-header">' + escapeHtml(name) + '</th>';
     });
     html += '</tr></thead><tbody>';
@@ -161,15 +180,6 @@ function _renderComparisonChart(deals) {
 }
 
 function _initCompareChart(deals) {
-    if (typeof Chart === 'undefined') return;
-    const canvas = document.getElementById('compare-chart');
-    if (!canvas) return;
-
-    if (window._compareChartInstance) {
-        window._compareChartInstance.destroy();
-        window._compareChartInstance = null;
-    }
-
     const labels = deals.map(d => {
         const name = d.ProjectName || d['Project Name'] || d.name || '';
         return name.length > 20 ? name.substring(0, 18) + '...' : name;
@@ -183,36 +193,55 @@ function _initCompareChart(deals) {
         return (lp && uc) ? Math.round(lp / uc) : 0;
     });
 
+    _drawCompareChart(labels, [
+        {
+            label: 'Unit Count',
+            data: unitCounts,
+            backgroundColor: 'rgba(126, 138, 107, 0.7)',
+            borderColor: 'rgba(126, 138, 107, 1)',
+            borderWidth: 1,
+            yAxisID: 'y'
+        },
+        {
+            label: 'Land Price ($K)',
+            data: landPrices,
+            backgroundColor: 'rgba(37, 99, 235, 0.7)',
+            borderColor: 'rgba(37, 99, 235, 1)',
+            borderWidth: 1,
+            yAxisID: 'y1'
+        },
+        {
+            label: '$/Unit',
+            data: perUnit,
+            backgroundColor: 'rgba(245, 158, 11, 0.7)',
+            borderColor: 'rgba(245, 158, 11, 1)',
+            borderWidth: 1,
+            yAxisID: 'y1'
+        }
+    ], 'Unit Count', 'Dollars ($K / $/Unit)', function(ctx) {
+        let val = ctx.parsed.y;
+        if (ctx.dataset.label === 'Land Price ($K)') return ctx.dataset.label + ': $' + val.toLocaleString() + 'K';
+        if (ctx.dataset.label === '$/Unit') return ctx.dataset.label + ': $' + val.toLocaleString();
+        return ctx.dataset.label + ': ' + val.toLocaleString();
+    });
+}
+
+/** Two-axis bar chart into #compare-chart (left axis `y`, right axis `y1`). */
+function _drawCompareChart(labels, datasets, yTitle, y1Title, tooltipLabel) {
+    if (typeof Chart === 'undefined') return;
+    const canvas = document.getElementById('compare-chart');
+    if (!canvas) return;
+
+    if (window._compareChartInstance) {
+        window._compareChartInstance.destroy();
+        window._compareChartInstance = null;
+    }
+
     window._compareChartInstance = new Chart(canvas, {
         type: 'bar',
         data: {
             labels: labels,
-            datasets: [
-                {
-                    label: 'Unit Count',
-                    data: unitCounts,
-                    backgroundColor: 'rgba(126, 138, 107, 0.7)',
-                    borderColor: 'rgba(126, 138, 107, 1)',
-                    borderWidth: 1,
-                    yAxisID: 'y'
-                },
-                {
-                    label: 'Land Price ($K)',
-                    data: landPrices,
-                    backgroundColor: 'rgba(37, 99, 235, 0.7)',
-                    borderColor: 'rgba(37, 99, 235, 1)',
-                    borderWidth: 1,
-                    yAxisID: 'y1'
-                },
-                {
-                    label: '$/Unit',
-                    data: perUnit,
-                    backgroundColor: 'rgba(245, 158, 11, 0.7)',
-                    borderColor: 'rgba(245, 158, 11, 1)',
-                    borderWidth: 1,
-                    yAxisID: 'y1'
-                }
-            ]
+            datasets: datasets
         },
         options: {
             responsive: true,
@@ -222,24 +251,135 @@ function _initCompareChart(deals) {
                 legend: { position: 'top' },
                 tooltip: {
                     callbacks: {
-                        label: function(ctx) {
-                            let val = ctx.parsed.y;
-                            if (ctx.dataset.label === 'Land Price ($K)') return ctx.dataset.label + ': $' + val.toLocaleString() + 'K';
-                            if (ctx.dataset.label === '$/Unit') return ctx.dataset.label + ': $' + val.toLocaleString();
-                            return ctx.dataset.label + ': ' + val.toLocaleString();
-                        }
+                        label: tooltipLabel
                     }
                 }
             },
             scales: {
-                y: { type: 'linear', display: true, position: 'left', title: { display: true, text: 'Unit Count' }, beginAtZero: true },
-                y1: { type: 'linear', display: true, position: 'right', title: { display: true, text: 'Dollars ($K / $/Unit)' }, beginAtZero: true, grid: { drawOnChartArea: false } }
+                y: { type: 'linear', display: true, position: 'left', title: { display: true, text: yTitle }, beginAtZero: true },
+                y1: { type: 'linear', display: true, position: 'right', title: { display: true, text: y1Title }, beginAtZero: true, grid: { drawOnChartArea: false } }
             }
         }
     });
 }
 
+/* ---------- Underwriting scenarios of one deal ---------- */
+
+function _renderScenarioPicker(deals) {
+    const options = deals.filter(d => d.DealPipelineId).slice().sort((a, b) => String(a.Name || '').localeCompare(String(b.Name || '')));
+    let html = '<div class="compare-selector compare-scenario-picker">';
+    html += '<label for="compare-scenario-deal">Deal</label> ';
+    html += '<select id="compare-scenario-deal"><option value="">Select a deal...</option>';
+    options.forEach(d => {
+        html += '<option value="' + escapeHtml(String(d.DealPipelineId)) + '"' + (String(d.DealPipelineId) === String(window._compareScenarioDealId) ? ' selected' : '') + '>' + escapeHtml(d.Name || d.ProjectName || '') + '</option>';
+    });
+    html += '</select></div>';
+    return html;
+}
+
+function _scenarioMetrics() {
+    const uw = s => s._uw;
+    const pct = v => v != null ? v.toFixed(2) + '%' : '-';
+    return [
+        { label: 'Status', get: s => s.IsActive ? 'Active' : '', fmt: v => v ? '<span class="covenant-status covenant-status-pass">' + v + '</span>' : '-', rank: null },
+        { label: 'Version', get: s => _numVal(s.Version), fmt: v => v != null ? 'v' + v : '-', rank: null },
+        { label: 'Last Saved', get: s => s.UpdatedAt || '', fmt: v => _fmtDate(v), rank: null },
+        { label: 'Units', get: s => uw(s).units || null, fmt: v => _fmtNum(v), rank: null },
+        { label: 'Gross Potential Rent', get: s => uw(s).gpr || null, fmt: v => _fmtCurrency(v), rank: true },
+        { label: 'Vacancy', get: s => _numVal(s._inputs.VacancyPct), fmt: pct, rank: false },
+        { label: 'Opex / Unit', get: s => _numVal(s._inputs.OpexPerUnit), fmt: v => _fmtCurrency(v), rank: false },
+        { label: 'Stabilized NOI', get: s => uw(s).noi, fmt: v => _fmtCurrency(v), rank: true },
+        { label: 'Land Price', get: s => _numVal(s._inputs.LandPrice), fmt: v => _fmtCurrency(v), rank: false },
+        { label: 'Total Cost', get: s => uw(s).totalCost, fmt: v => _fmtCurrency(v), rank: false },
+        { label: 'Cost / Unit', get: s => uw(s).costPerUnit, fmt: v => _fmtCurrency(v), rank: false },
+        { label: 'Cap Rate', get: s => _numVal(s._inputs.CapRate), fmt: pct, rank: null },
+        { label: 'Untrended Yield', get: s => uw(s).yieldPct, fmt: pct, rank: true },
+        { label: 'Development Spread', get: s => uw(s).spreadBps, fmt: v => v != null ? (v > 0 ? '+' : '') + v + ' bps' : '-', rank: true },
+        { label: 'Max Land Price', get: s => uw(s).maxLandPrice, fmt: v => _fmtCurrency(v), rank: true }
+    ];
+}
+
+async function _loadScenarioComparison() {
+    const results = document.getElementById('compare-scenario-results');
+    const dealId = window._compareScenarioDealId;
+    if (!results || !dealId) return;
+    if (typeof computeUnderwriting !== 'function') {
+        results.innerHTML = '<div class="compare-prompt">Underwriting calculator is not loaded.</div>';
+        return;
+    }
+    results.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading scenarios…</div>';
+    let scenarios;
+    try {
+        const res = await API.getUnderwritingScenarios(dealId);
+        scenarios = apiList(res);
+    } catch (err) {
+        if (window._compareScenarioDealId === dealId) results.innerHTML = '<div class="compare-prompt">Could not load scenarios: ' + escapeHtml(err.message || 'Unknown error') + '</div>';
+        return;
+    }
+    if (window._compareScenarioDealId !== dealId || !document.body.contains(results)) return;
+    if (scenarios.length < 2) {
+        results.innerHTML = '<div class="compare-prompt">' + (scenarios.length ? 'This deal has one scenario.' : 'This deal has no underwriting scenarios.') +
+            ' Add Base, Downside or Lender case scenarios in the deal\'s Underwriting tab.</div>';
+        return;
+    }
+    scenarios.forEach(s => {
+        s._inputs = underwritingScenarioInputs(s) || {};
+        s._uw = computeUnderwriting(s._inputs);
+    });
+    results.innerHTML = _renderComparisonTable(scenarios, _scenarioMetrics(), s => s.Name || 'Untitled') + _renderComparisonChart(scenarios);
+    setTimeout(() => {
+        _drawCompareChart(scenarios.map(s => s.Name || 'Untitled'), [
+            {
+                label: 'NOI ($K)',
+                data: scenarios.map(s => Math.round((s._uw.noi || 0) / 1000)),
+                backgroundColor: 'rgba(126, 138, 107, 0.7)',
+                borderColor: 'rgba(126, 138, 107, 1)',
+                borderWidth: 1,
+                yAxisID: 'y'
+            },
+            {
+                label: 'Max Land Price ($K)',
+                data: scenarios.map(s => Math.round((s._uw.maxLandPrice || 0) / 1000)),
+                backgroundColor: 'rgba(37, 99, 235, 0.7)',
+                borderColor: 'rgba(37, 99, 235, 1)',
+                borderWidth: 1,
+                yAxisID: 'y'
+            },
+            {
+                label: 'Untrended Yield (%)',
+                data: scenarios.map(s => s._uw.yieldPct != null ? Math.round(s._uw.yieldPct * 100) / 100 : 0),
+                backgroundColor: 'rgba(245, 158, 11, 0.7)',
+                borderColor: 'rgba(245, 158, 11, 1)',
+                borderWidth: 1,
+                yAxisID: 'y1'
+            }
+        ], 'Dollars ($K)', 'Yield (%)', function(ctx) {
+            const val = ctx.parsed.y;
+            if (ctx.dataset.yAxisID === 'y1') return ctx.dataset.label + ': ' + val.toFixed(2) + '%';
+            return ctx.dataset.label + ': $' + val.toLocaleString() + 'K';
+        });
+    }, 50);
+}
+
 function _setupComparablesHandlers(container, allFilteredDeals) {
+    // Deals / Scenarios mode
+    container.querySelectorAll('.compare-mode-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            if (window._compareMode === this.dataset.mode) return;
+            window._compareMode = this.dataset.mode;
+            renderComparablesView(typeof allDeals !== 'undefined' ? allDeals : allFilteredDeals);
+        });
+    });
+    const scenarioDeal = document.getElementById('compare-scenario-deal');
+    if (scenarioDeal) {
+        scenarioDeal.addEventListener('change', function() {
+            window._compareScenarioDealId = this.value || null;
+            const results = document.getElementById('compare-scenario-results');
+            if (results) results.innerHTML = '';
+            _loadScenarioComparison();
+        });
+    }
+
     // Card click to toggle selection
     container.querySelectorAll('.compare-deal-card').forEach(card => {
         card.addEventListener('click', function() {
@@ -288,7 +428,7 @@ function _setupComparablesHandlers(container, allFilteredDeals) {
 
     // Initialize chart if we have enough selected deals
     const selectedDeals = allFilteredDeals.filter(d => window._compareSelectedIds.has(_compareDealId(d)));
-    if (selectedDeals.length >= 2) {
+    if (window._compareMode === 'deals' && selectedDeals.length >= 2) {
         setTimeout(() => _initCompareChart(selectedDeals), 50);
     }
 }
@@ -0,0 +1,449 @@
+/**
+ * app-covenants.js — Debt & Covenants deal-detail section and portfolio covenant calendar
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var COVENANT_TYPES = ['DSCR', 'Occupancy', 'Liquidity Requirement', 'Other'];
+var FINANCING_TYPES = ['Construction', 'Permanent'];
+var COVENANT_DUE_SOON_DAYS = 30;
+var COVENANT_CALENDAR_DAYS = 90;
+
+/** Covenant fields by CovenantType: [dateField, requirementField, projectedField] */
+var COVENANT_TYPE_FIELDS = {
+    'DSCR': ['DSCRTestDate', 'DSCRRequirement', 'ProjectedDSCR'],
+    'Occupancy': ['OccupancyCovenantDate', 'OccupancyRequirement', 'ProjectedOccupancy'],
+    'Liquidity Requirement': [null, 'LiquidityRequirementLendingBank', null],
+    'Other': ['CovenantDate', 'Requirement', 'ProjectedValue']
+};
+
+function _covNum(v) {
+    if (v == null || v === '') return null;
+    var n = parseFloat(String(v).replace(/[$,%x\s]/gi, ''));
+    return isNaN(n) ? null : n;
+}
+
+function _covMoney(v) {
+    var n = _covNum(v);
+    return n == null ? '—' : '$' + n.toLocaleString(undefined, { maximumFractionDigits: 0 });
+}
+
+function _covDate(v) {
+    if (!v) return null;
+    var d = parseLocalDateOnly(String(v).slice(0, 10));
+    return d && !isNaN(d.getTime()) ? d : null;
+}
+
+function _covDaysUntil(d) {
+    if (!d) return null;
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.round((d - today) / 86400000);
+}
+
+/** Projected vs required: both numeric → pass/fail; otherwise pending (not yet projected) */
+function _covStatus(requirement, projected) {
+    var req = _covNum(requirement);
+    var proj = _covNum(projected);
+    if (req == null || proj == null) return 'pending';
+    return proj >= req ? 'pass' : 'fail';
+}
+
+/**
+ * Normalise covenants and DSCR tests into one list of dated tests:
+ * { source: 'covenant'|'dscr', id, projectId, loanId, financingType, label, date, requirement, projected, status, raw }
+ */
+function normalizeCovenantTests(covenants, dscrTests) {
+    var items = (covenants || []).map(function(c) {
+        var type = c.CovenantType || 'Other';
+        var f = COVENANT_TYPE_FIELDS[type] || COVENANT_TYPE_FIELDS.Other;
+        var isLiquidity = type === 'Liquidity Requirement';
+        return {
+            source: 'covenant',
+            id: c.CovenantId ?? c.id,
+            projectId: c.ProjectId,
+            loanId: c.LoanId || null,
+            financingType: c.FinancingType || 'Construction',
+            label: type === 'Other' && c.Notes ? 'Other — ' + String(c.Notes).slice(0, 40) : type,
+            date: f[0] ? _covDate(c[f[0]]) : null,
+            requirement: isLiquidity ? _covMoney(c[f[1]]) : (c[f[1]] ?? ''),
+            projected: f[2] ? (c[f[2]] ?? '') : '',
+            status: isLiquidity ? 'info' : _covStatus(c[f[1]], f[2] ? c[f[2]] : null),
+            raw: c
+        };
+    });
+    (dscrTests || []).forEach(function(t) {
+        items.push({
+            source: 'dscr',
+            id: t.DSCRTestId ?? t.id,
+            projectId: t.ProjectId,
+            loanId: t.LoanId || null,
+            financingType: t.FinancingType || 'Construction',
+            label: 'DSCR Test ' + (t.TestNumber || ''),
+            date: _covDate(t.TestDate),
+            requirement: t.Requirement ?? '',
+            projected: t.ProjectedValue ?? '',
+            status: _covStatus(t.Requirement, t.ProjectedValue),
+            raw: t
+        });
+    });
+    return items.sort(function(a, b) {
+        if (!a.date) return b.date ? 1 : 0;
+        if (!b.date) return -1;
+        return a.date - b.date;
+    });
+}
+
+function _covStatusBadge(status) {
+    var labels = { pass: 'Pass', fail: 'Fail', pending: 'Pending', info: '—' };
+    return '<span class="covenant-status covenant-status-' + status + '">' + labels[status] + '</span>';
+}
+
+function _covDeadlineHtml(d) {
+    if (!d) return '—';
+    var days = _covDaysUntil(d);
+    var text = days === 0 ? 'Today' : days < 0 ? Math.abs(days) + 'd ago' : 'in ' + days + 'd';
+    var cls = days < 0 ? 'covenant-deadline-past' : days <= COVENANT_DUE_SOON_DAYS ? 'covenant-deadline-soon' : '';
+    return formatDate(d) + ' <span class="covenant-deadline ' + cls + '">' + text + '</span>';
+}
+
+function _covLoanLabel(loan) {
+    var phase = loan.LoanPhase || loan.FinancingType || 'Loan';
+    var lender = loan.LenderName || loan.BankName || loan.Lender || '';
+    return phase + (lender ? ' — ' + lender : '') + (loan.LoanAmount ? ' (' + _covMoney(loan.LoanAmount) + ')' : '') + (loan.IsActive === false ? ' · inactive' : '');
+}
+
+/* ---------- Deal detail: Debt & Covenants ---------- */
+
+function _renderDealDetailCovenants(content, deal, ctx) {
+    if (!ctx.projectId) {
+        content.innerHTML = '<div class="activity-timeline-empty">Debt &amp; covenants are available once the deal is linked to a project.</div>';
+        return;
+    }
+    var none = function() { return { success: true, data: [] }; };
+    return Promise.all([
+        API.getLoansByProject(ctx.projectId).catch(none),
+        API.getCovenantsByProject(ctx.projectId).catch(none),
+        API.getDSCRTestsByProject(ctx.projectId).catch(none),
+        API.getLiquidityRequirementsByProject(ctx.projectId).catch(none)
+    ]).then(function(results) {
+        var loans = apiList(results[0]);
+        var covenants = apiList(results[1]);
+        var tests = normalizeCovenantTests(covenants, apiList(results[2]));
+        var liquidity = apiList(results[3]);
+        var admin = can('manageReferenceData');
+
+        function rowHtml(item) {
+            return '<tr data-source="' + item.source + '" data-id="' + escapeHtml(String(item.id)) + '">' +
+                '<td>' + escapeHtml(item.label) + '</td>' +
+                '<td>' + _covDeadlineHtml(item.date) + '</td>' +
+                '<td>' + escapeHtml(String(item.requirement || '—')) + '</td>' +
+                '<td>' + escapeHtml(String(item.projected || '—')) + '</td>' +
+                '<td>' + _covStatusBadge(item.status) + '</td>' +
+                (admin ? '<td class="custom-fields-manager-actions">' +
+                    '<button type="button" class="contacts-btn covenant-edit-btn">Edit</button>' +
+                    (item.source === 'covenant' ? '<button type="button" class="contacts-btn covenant-remind-btn">Remind</button>' : '') +
+                '</td>' : '') +
+            '</tr>';
+        }
+
+        function tableHtml(items) {
+            if (!items.length) return '<div class="activity-timeline-empty">No covenants or tests recorded.</div>';
+            return '<table class="custom-fields-manager-table covenant-table"><thead><tr><th>Test</th><th>Deadline</th><th>Required</th><th>Projected</th><th>Status</th>' + (admin ? '<th></th>' : '') + '</tr></thead><tbody>' +
+                items.map(rowHtml).join('') + '</tbody></table>';
+        }
+
+        function liquidityHtml(rows) {
+            if (!rows.length) return '';
+            return '<h4 class="covenant-group-title">Liquidity requirements</h4>' +
+                '<table class="custom-fields-manager-table covenant-table"><thead><tr><th>Financing</th><th>Total</th><th>Lending bank</th><th>Notes</th>' + (admin ? '<th></th>' : '') + '</tr></thead><tbody>' +
+                rows.map(function(l) {
+                    return '<tr data-source="liquidity" data-id="' + escapeHtml(String(l.LiquidityRequirementId ?? l.id)) + '">' +
+                        '<td>' + escapeHtml(l.FinancingType || 'Construction') + '</td>' +
+                        '<td>' + _covMoney(l.TotalAmount) + '</td>' +
+                        '<td>' + _covMoney(l.LendingBankAmount) + '</td>' +
+                        '<td>' + escapeHtml(l.Notes || '') + '</td>' +
+                        (admin ? '<td class="custom-fields-manager-actions"><button type="button" class="contacts-btn covenant-edit-btn">Edit</button></td>' : '') +
+                    '</tr>';
+                }).join('') + '</tbody></table>';
+        }
+
+        function render() {
+            var upcoming = tests.filter(function(t) { var d = _covDaysUntil(t.date); return d != null && d >= 0 && d <= COVENANT_DUE_SOON_DAYS; });
+            var failing = tests.filter(function(t) { return t.status === 'fail'; });
+            var groups = loans.map(function(loan) {
+                return { title: _covLoanLabel(loan), items: tests.filter(function(t) { return String(t.loanId) === String(loan.LoanId); }) };
+            });
+            var linked = {};
+            loans.forEach(function(l) { linked[String(l.LoanId)] = true; });
+            FINANCING_TYPES.forEach(function(ft) {
+                var items = tests.filter(function(t) { return !linked[String(t.loanId)] && t.financingType === ft; });
+                if (items.length) groups.push({ title: ft + ' (no loan linked)', items: items });
+            });
+            content.innerHTML =
+                '<div class="covenant-summary">' +
+                    '<span><strong>' + tests.length + '</strong> tests</span>' +
+                    '<span class="' + (upcoming.length ? 'covenant-deadline-soon' : '') + '"><strong>' + upcoming.length + '</strong> due in ' + COVENANT_DUE_SOON_DAYS + ' days</span>' +
+                    '<span class="' + (failing.length ? 'covenant-status-fail' : '') + '"><strong>' + failing.length + '</strong> failing</span>' +
+                '</div>' +
+                (groups.length ? groups.map(function(g) {
+                    return '<h4 class="covenant-group-title">' + escapeHtml(g.title) + '</h4>' + tableHtml(g.items);
+                }).join('') : tableHtml([])) +
+                liquidityHtml(liquidity) +
+                '<div class="covenant-inline-form"></div>' +
+                (admin ? '<div class="custom-fields-detail-actions">' +
+                    '<button type="button" class="deal-detail-btn covenant-add-btn" data-source="covenant">+ Covenant</button>' +
+                    '<button type="button" class="deal-detail-btn covenant-add-btn" data-source="dscr">+ DSCR test</button>' +
+                    '<button type="button" class="deal-detail-btn covenant-add-btn" data-source="liquidity">+ Liquidity requirement</button>' +
+                '</div>' : '');
+            var formEl = content.querySelector('.covenant-inline-form');
+            content.querySelectorAll('.covenant-add-btn').forEach(function(btn) {
+                btn.addEventListener('click', function() { showCovenantForm(formEl, btn.dataset.source, null); });
+            });
+            content.querySelectorAll('tr[data-source]').forEach(function(tr) {
+                var source = tr.dataset.source;
+                var raw = findRaw(source, tr.dataset.id);
+                tr.querySelector('.covenant-edit-btn')?.addEventListener('click', function() { showCovenantForm(formEl, source, raw); });
+                tr.querySelector('.covenant-remind-btn')?.addEventListener('click', function() { showReminderForm(formEl, raw); });
+            });
+        }
+
+        function findRaw(source, id) {
+            if (source === 'liquidity') return liquidity.find(function(l) { return String(l.LiquidityRequirementId ?? l.id) === id; });
+            var item = tests.find(function(t) { return t.source === source && String(t.id) === id; });
+            return item ? item.raw : null;
+        }
+
+        function fieldHtml(label, name, value, type) {
+            return '<div class="deal-detail-item"><label>' + label + '</label>' +
+                '<input type="' + (type || 'text') + '" name="' + name + '" value="' + escapeHtml(value == null ? '' : String(value)) + '"' + (type === 'number' ? ' step="any"' : '') + ' /></div>';
+        }
+
+        function selectHtml(label, name, options, value) {
+            return '<div class="deal-detail-item"><label>' + label + '</label><select name="' + name + '">' +
+                options.map(function(o) {
+                    var v = Array.isArray(o) ? o[0] : o;
+                    var l = Array.isArray(o) ? o[1] : o;
+                    return '<option value="' + escapeHtml(String(v)) + '"' + (String(v) === String(value ?? '') ? ' selected' : '') + '>' + escapeHtml(l) + '</option>';
+                }).join('') + '</select></div>';
+        }
+
+        function typeFieldsHtml(source, raw, covenantType) {
+            raw = raw || {};
+            if (source === 'dscr') {
+                return selectHtml('Test #', 'TestNumber', ['1', '2', '3'], raw.TestNumber) +
+                    fieldHtml('Test date', 'TestDate', (raw.TestDate || '').slice(0, 10), 'date') +
+                    fieldHtml('Requirement', 'Requirement', raw.Requirement, 'number') +
+                    fieldHtml('Projected DSCR', 'ProjectedValue', raw.ProjectedValue) +
+                    fieldHtml('Projected rate', 'ProjectedInterestRate', raw.ProjectedInterestRate);
+            }
+            if (source === 'liquidity') {
+                return fieldHtml('Total amount', 'TotalAmount', raw.TotalAmount, 'number') +
+                    fieldHtml('Lending bank amount', 'LendingBankAmount', raw.LendingBankAmount, 'number') +
+                    fieldHtml('Notes', 'Notes', raw.Notes);
+            }
+            var f = COVENANT_TYPE_FIELDS[covenantType];
+            if (covenantType === 'Liquidity Requirement') {
+                return fieldHtml('Lending bank liquidity', f[1], raw[f[1]], 'number') + fieldHtml('Notes', 'Notes', raw.Notes);
+            }
+            return fieldHtml('Test date', f[0], (raw[f[0]] || '').slice(0, 10), 'date') +
+                fieldHtml('Requirement', f[1], raw[f[1]]) +
+                fieldHtml('Projected', f[2], raw[f[2]]) +
+                (covenantType === 'DSCR' ? fieldHtml('Projected rate', 'ProjectedInterestRate', raw.ProjectedInterestRate) : '') +
+                fieldHtml('Notes', 'Notes', raw.Notes) +
+                fieldHtml('Reminder emails', 'ReminderEmails', (raw.ReminderEmails || []).join(', ')) +
+                fieldHtml('Remind days before', 'ReminderDaysBefore', (raw.ReminderDaysBefore || []).join(', '));
+        }
+
+        function showCovenantForm(formEl, source, raw) {
+            var titles = { covenant: 'covenant', dscr: 'DSCR test', liquidity: 'liquidity requirement' };
+            var covenantType = (raw && raw.CovenantType) || 'DSCR';
+            var loanOptions = [['', 'Not linked']].concat(loans.map(function(l) { return [l.LoanId, _covLoanLabel(l)]; }));
+            formEl.innerHTML =
+                '<h4 class="covenant-group-title">' + (raw ? 'Edit ' : 'Add ') + titles[source] + '</h4>' +
+                '<div class="custom-fields-detail-form">' +
+                    (source === 'covenant' ? selectHtml('Type', 'CovenantType', COVENANT_TYPES, covenantType) : '') +
+                    selectHtml('Financing', 'FinancingType', FINANCING_TYPES, raw && raw.FinancingType) +
+                    selectHtml('Loan', 'LoanId', loanOptions, raw && raw.LoanId) +
+                    '<div class="covenant-type-fields">' + typeFieldsHtml(source, raw, covenantType) + '</div>' +
+                '</div>' +
+                '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+                '<div class="custom-fields-detail-actions">' +
+                    '<button type="button" class="deal-detail-btn covenant-save-btn">Save</button>' +
+                    (raw ? '<button type="button" class="deal-detail-btn covenant-delete-btn">Delete</button>' : '') +
+                    '<button type="button" class="deal-detail-btn covenant-cancel-btn">Cancel</button>' +
+                '</div>';
+            var errEl = formEl.querySelector('.custom-fields-detail-error');
+            var typeSelect = formEl.querySelector('select[name="CovenantType"]');
+            if (typeSelect) {
+                typeSelect.addEventListener('change', function() {
+                    covenantType = typeSelect.value;
+                    formEl.querySelector('.covenant-type-fields').innerHTML = typeFieldsHtml(source, raw && raw.CovenantType === covenantType ? raw : null, covenantType);
+                });
+            }
+            formEl.querySelector('.covenant-cancel-btn').addEventListener('click', function() { formEl.innerHTML = ''; });
+            formEl.querySelector('.covenant-delete-btn')?.addEventListener('click', async function() {
+                var ok = await domoConfirm('Delete this ' + titles[source] + '?', { confirmLabel: 'Delete' });
+                if (!ok) return;
+                try {
+                    if (source === 'covenant') await API.deleteCovenant(raw.CovenantId ?? raw.id);
+                    else if (source === 'dscr') await API.deleteDSCRTest(raw.DSCRTestId ?? raw.id);
+                    else await API.deleteLiquidityRequirement(raw.LiquidityRequirementId ?? raw.id);
+                    showToast('Deleted.', 'success');
+                    ctx.reload();
+                } catch (err) {
+                    errEl.textContent = err.message || 'Delete failed.';
+                    errEl.style.display = 'block';
+                }
+            });
+            formEl.querySelector('.covenant-save-btn').addEventListener('click', async function() {
+                var data = { ProjectId: ctx.projectId };
+                formEl.querySelectorAll('input[name], select[name]').forEach(function(el) {
+                    var v = el.value.trim();
+                    if (el.type === 'number') data[el.name] = v === '' ? null : parseFloat(v);
+                    else data[el.name] = v === '' ? null : v;
+                });
+                data.LoanId = data.LoanId ? parseInt(data.LoanId, 10) : null;
+                if (source === 'dscr') data.TestNumber = parseInt(data.TestNumber, 10);
+                // Liquidity Requirement has no reminder inputs; leave its saved reminders alone
+                if (source === 'covenant' && 'ReminderEmails' in data) {
+                    data.ReminderEmails = (data.ReminderEmails || '').split(',').map(function(s) { return s.trim(); }).filter(Boolean);
+                    data.ReminderDaysBefore = (data.ReminderDaysBefore || '').split(',').map(function(s) { return parseInt(s, 10); }).filter(function(n) { return !isNaN(n) && n >= 0; });
+                    var badEmail = data.ReminderEmails.find(function(e) { return !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(e); });
+                    if (badEmail) {
+                        errEl.textContent = 'Invalid reminder email: ' + badEmail;
+                        errEl.style.display = 'block';
+                        return;
+                    }
+                }
+                this.disabled = true;
+                try {
+                    if (source === 'covenant') {
+                        if (raw) await API.updateCovenant(raw.CovenantId ?? raw.id, data);
+                        else await API.createCovenant(data);
+                    } else if (source === 'dscr') {
+                        if (raw) await API.updateDSCRTest(raw.DSCRTestId ?? raw.id, data);
+                        else await API.createDSCRTest(data);
+                    } else {
+                        if (raw) await API.updateLiquidityRequirement(raw.LiquidityRequirementId ?? raw.id, data);
+                        else await API.createLiquidityRequirement(data);
+                    }
+                    showToast('Saved.', 'success');
+                    ctx.reload();
+                } catch (err) {
+                    this.disabled = false;
+                    errEl.textContent = err.message || 'Save failed.';
+                    errEl.style.display = 'block';
+                }
+            });
+            formEl.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+
+        function showReminderForm(formEl, raw) {
+            var defaults = (raw.ReminderEmails || []).join(', ') || ((typeof currentUser !== 'undefined' && currentUser && currentUser.email) || '');
+            formEl.innerHTML =
+                '<h4 class="covenant-group-title">Send reminder now: ' + escapeHtml(raw.CovenantType || 'Covenant') + '</h4>' +
+                '<div class="custom-fields-detail-form">' + fieldHtml('To (comma separated)', 'ToEmails', defaults) + '</div>' +
+                '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+                '<div class="custom-fields-detail-actions">' +
+                    '<button type="button" class="deal-detail-btn covenant-send-btn">Send</button>' +
+                    '<button type="button" class="deal-detail-btn covenant-cancel-btn">Cancel</button>' +
+                '</div>';
+            var errEl = formEl.querySelector('.custom-fields-detail-error');
+            formEl.querySelector('.covenant-cancel-btn').addEventListener('click', function() { formEl.innerHTML = ''; });
+            formEl.querySelector('.covenant-send-btn').addEventListener('click', async function() {
+                var emails = formEl.querySelector('input[name="ToEmails"]').value.split(',').map(function(s) { return s.trim(); }).filter(Boolean);
+                if (!emails.length || emails.some(function(e) { return !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(e); })) {
+                    errEl.textContent = 'Enter one or more valid email addresses.';
+                    errEl.style.display = 'block';
+                    return;
+                }
+                this.disabled = true;
+                try {
+                    await API.sendCovenantReminderNow(raw.CovenantId ?? raw.id, { ToEmails: emails });
+                    showToast('Reminder sent to ' + emails.length + ' recipient' + (emails.length !== 1 ? 's' : '') + '.', 'success');
+                    formEl.innerHTML = '';
+                } catch (err) {
+                    this.disabled = false;
+                    errEl.textContent = err.message || 'Failed to send reminder.';
+                    errEl.style.display = 'block';
+                }
+            });
+        }
+
+        render();
+    });
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({ id: 'debt-covenants', title: 'Debt & Covenants', order: 20, render: _renderDealDetailCovenants });
+}
+
+/* ---------- Portfolio covenant calendar (view: covenants) ---------- */
+
+/** Every covenant and DSCR test due in the next 90 days across the portfolio, grouped by month */
+async function renderCovenantCalendarView(deals) {
+    var container = document.getElementById('deal-list-container');
+    if (!container) return;
+    container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading covenants…</div>';
+    var none = function() { return { success: true, data: [] }; };
+    var results = await Promise.all([API.getAllCovenants().catch(none), API.getAllDSCRTests().catch(none)]);
+    if (currentView !== 'covenants') return;
+
+    var dealsByProject = {};
+    (deals || []).forEach(function(d) { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+    // Only tests on deals inside the user's visibility scope
+    var items = normalizeCovenantTests(apiList(results[0]).filter(canViewDealRow), apiList(results[1]).filter(canViewDealRow)).filter(function(t) {
+        var days = _covDaysUntil(t.date);
+        return days != null && days >= 0 && days <= COVENANT_CALENDAR_DAYS;
+    });
+
+    var months = [];
+    items.forEach(function(t) {
+        var key = t.date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        var group = months.find(function(m) { return m.key === key; });
+        if (!group) months.push(group = { key: key, items: [] });
+        group.items.push(t);
+    });
+    var failing = items.filter(function(t) { return t.status === 'fail'; }).length;
+    var soon = items.filter(function(t) { return _covDaysUntil(t.date) <= COVENANT_DUE_SOON_DAYS; }).length;
+
+    container.innerHTML =
+        '<div class="upcoming-dates-view covenant-calendar-view">' +
+            '<h2 class="upcoming-dates-view-title">Covenant Calendar</h2>' +
+            '<p class="upcoming-dates-view-desc">Covenant and DSCR tests due in the next ' + COVENANT_CALENDAR_DAYS + ' days across the portfolio. Status compares the projected value to the requirement. Click a row to open the deal.</p>' +
+            '<div class="covenant-summary">' +
+                '<span><strong>' + items.length + '</strong> tests due</span>' +
+                '<span class="' + (soon ? 'covenant-deadline-soon' : '') + '"><strong>' + soon + '</strong> within ' + COVENANT_DUE_SOON_DAYS + ' days</span>' +
+                '<span class="' + (failing ? 'covenant-status-fail' : '') + '"><strong>' + failing + '</strong> projected to fail</span>' +
+            '</div>' +
+            (months.length ? months.map(function(m) {
+                return '<h3 class="covenant-month-title">' + escapeHtml(m.key) + '</h3>' +
+                    '<table class="deal-list-table upcoming-dates-table covenant-calendar-table"><thead><tr><th>Date</th><th>Deal</th><th>Test</th><th>Financing</th><th>Required</th><th>Projected</th><th>Status</th></tr></thead><tbody>' +
+                    m.items.map(function(t) {
+                        var deal = dealsByProject[t.projectId];
+                        var name = deal ? deal.Name : (t.raw.ProjectName || 'Project ' + t.projectId);
+                        return '<tr class="upcoming-date-row' + (deal ? ' clickable' : '') + '" data-project-id="' + escapeHtml(String(t.projectId)) + '">' +
+                            '<td>' + _covDeadlineHtml(t.date) + '</td>' +
+                            '<td class="deal-name">' + escapeHtml(name || '—') + '</td>' +
+                            '<td>' + escapeHtml(t.label) + '</td>' +
+                            '<td>' + escapeHtml(t.financingType) + '</td>' +
+                            '<td>' + escapeHtml(String(t.requirement || '—')) + '</td>' +
+                            '<td>' + escapeHtml(String(t.projected || '—')) + '</td>' +
+                            '<td>' + _covStatusBadge(t.status) + '</td>' +
+                        '</tr>';
+                    }).join('') + '</tbody></table>';
+            }).join('') : '<p class="no-data">No covenant or DSCR tests due in the next ' + COVENANT_CALENDAR_DAYS + ' days.</p>') +
+        '</div>';
+
+    container.querySelectorAll('.covenant-calendar-table tr.clickable').forEach(function(tr) {
+        tr.addEventListener('click', function() {
+            var deal = dealsByProject[tr.dataset.projectId];
+            if (deal) showDealDetail(deal);
+        });
+    });
+}
+
+window.renderCovenantCalendarView = renderCovenantCalendarView;
+window.normalizeCovenantTests = normalizeCovenantTests;
@@ -0,0 +1,557 @@
+/**
+ * app-custom-fields.js — Admin-defined custom deal fields: manager, rendering, validation, save
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'currency', 'select', 'boolean'];
+var CUSTOM_FIELD_TYPE_LABELS = { text: 'Text', number: 'Number', date: 'Date', currency: 'Currency', select: 'Select', boolean: 'Yes / No' };
+
+var _customFieldDefs = null;
+var _customFieldDefsPromise = null;
+var _dealCustomFieldValues = {};
+
+/* ---------- Definition helpers (tolerate PascalCase or camelCase from the API) ---------- */
+
+function _cfId(f) { return f ? (f.CustomFieldId ?? f.FieldId ?? f.customFieldId ?? f.id ?? null) : null; }
+function _cfLabel(f) { return (f && (f.Label || f.Name || f.FieldName || f.label || f.name)) || 'Field'; }
+function _cfType(f) {
+    var t = String((f && (f.FieldType || f.Type || f.fieldType || f.type)) || 'text').toLowerCase();
+    return CUSTOM_FIELD_TYPES.indexOf(t) >= 0 ? t : 'text';
+}
+function _cfRequired(f) { return !!(f && (f.IsRequired || f.Required || f.required)); }
+
+/** Select options may arrive as an array, a JSON string, or a comma/newline list */
+function _cfOptions(f) {
+    var raw = f && (f.Options ?? f.options);
+    if (Array.isArray(raw)) return raw.map(String).filter(Boolean);
+    if (typeof raw !== 'string' || !raw.trim()) return [];
+    try {
+        var parsed = JSON.parse(raw);
+        if (Array.isArray(parsed)) return parsed.map(String).filter(Boolean);
+    } catch (e) { /* plain list */ }
+    return raw.split(/[\n,]/).map(function(s) { return s.trim(); }).filter(Boolean);
+}
+
+/* ---------- Loading ---------- */
+
+/** Load active custom field definitions (cached; pass force to refetch) */
+function loadCustomFieldDefinitions(force) {
+    if (_customFieldDefs && !force) return Promise.resolve(_customFieldDefs);
+    if (_customFieldDefsPromise && !force) return _customFieldDefsPromise;
+    if (typeof API === 'undefined' || typeof API.getCustomFields !== 'function') return Promise.resolve([]);
+    _customFieldDefsPromise = API.getCustomFields().then(function(res) {
+        var list = apiList(res);
+        _customFieldDefs = list
+            .filter(function(f) { return f.IsActive !== false && f.isActive !== false; })
+            .sort(function(a, b) {
+                var so = (a.SortOrder ?? a.sortOrder ?? 0) - (b.SortOrder ?? b.sortOrder ?? 0);
+                return so !== 0 ? so : _cfLabel(a).localeCompare(_cfLabel(b));
+            });
+        return _customFieldDefs;
+    }).catch(function(err) {
+        console.warn('Failed to load custom fields:', err);
+        return _customFieldDefs || [];
+    }).finally(function() { _customFieldDefsPromise = null; });
+    return _customFieldDefsPromise;
+}
+
+/** Load one deal's custom field values as { fieldId: value } */
+function loadDealCustomFieldValues(dealPipelineId, force) {
+    if (!dealPipelineId) return Promise.resolve({});
+    if (_dealCustomFieldValues[dealPipelineId] && !force) return Promise.resolve(_dealCustomFieldValues[dealPipelineId]);
+    return API.getDealCustomFields(dealPipelineId).then(function(res) {
+        var map = _cfValueMap(apiList(res));
+        _dealCustomFieldValues[dealPipelineId] = map;
+        return map;
+    });
+}
+
+function _cfValueMap(list) {
+    var map = {};
+    if (Array.isArray(list)) {
+        list.forEach(function(v) {
+            var id = _cfId(v);
+            if (id != null) map[id] = v.Value ?? v.value ?? null;
+        });
+    } else if (list && typeof list === 'object') {
+        map = list;
+    }
+    return map;
+}
+
+/**
+ * Load values for many deals; returns { dealPipelineId: { fieldId: value } }. Deals not cached yet are
+ * fetched with one bulk request per 200 ids; a backend without the bulk endpoint (404) falls back to
+ * one request per deal with a small concurrency cap.
+ */
+async function loadCustomFieldValuesForDeals(dealPipelineIds, force) {
+    var ids = (dealPipelineIds || []).filter(Boolean);
+    var out = {};
+    var missing = ids.filter(function(id) {
+        if (_dealCustomFieldValues[id] && !force) {
+            out[id] = _dealCustomFieldValues[id];
+            return false;
+        }
+        return true;
+    });
+    try {
+        for (var start = 0; start < missing.length; start += 200) {
+            var chunk = missing.slice(start, start + 200);
+            var res = await API.getCustomFieldValuesForDeals(chunk);
+            var byDeal = (res && res.data) || {};
+            chunk.forEach(function(id) {
+                _dealCustomFieldValues[id] = _cfValueMap(byDeal[id]);
+                out[id] = _dealCustomFieldValues[id];
+            });
+        }
+        return out;
+    } catch (err) {
+        if (err.status !== 404) {
+            console.warn('Failed to load custom field values:', err);
+            missing.forEach(function(id) { if (!out[id]) out[id] = {}; });
+            return out;
+        }
+    }
+    var remaining = missing.filter(function(id) { return !out[id]; });
+    var next = 0;
+    async function worker() {
+        while (next < remaining.length) {
+            var id = remaining[next++];
+            try { out[id] = await loadDealCustomFieldValues(id, true); } catch (e) { out[id] = {}; }
+        }
+    }
+    var workers = [];
+    for (var i = 0; i < Math.min(4, remaining.length); i++) workers.push(worker());
+    await Promise.all(workers);
+    return out;
+}
+
+/* ---------- Render / read / validate ---------- */
+
+function _cfAttr(v) { return String(v == null ? '' : v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;'); }
+
+/**
+ * Input markup for one field. opts: { className, idPrefix }
+ * Every input carries data-custom-field-id so callers can read values back with readCustomFieldInput.
+ */
+function renderCustomFieldInput(field, value, opts) {
+    opts = opts || {};
+    var id = _cfId(field);
+    var cls = opts.className || 'custom-field-input';
+    var attrs = 'class="' + cls + '" data-custom-field-id="' + _cfAttr(id) + '" data-custom-field-type="' + _cfType(field) + '"' +
+        (opts.idPrefix ? ' id="' + opts.idPrefix + _cfAttr(id) + '"' : '') +
+        (_cfRequired(field) ? ' aria-required="true"' : '');
+    var v = value == null ? '' : value;
+    switch (_cfType(field)) {
+        case 'number':
+            return '<input type="number" step="any" ' + attrs + ' value="' + _cfAttr(v) + '" />';
+        case 'currency':
+            return '<div class="custom-field-currency"><span class="custom-field-currency-prefix">$</span><input type="number" step="0.01" ' + attrs + ' value="' + _cfAttr(v) + '" /></div>';
+        case 'date':
+            return '<input type="date" ' + attrs + ' value="' + _cfAttr(v ? String(v).slice(0, 10) : '') + '" />';
+        case 'boolean':
+            return '<input type="checkbox" ' + attrs + (v === true || v === 'true' || v === 1 || v === '1' ? ' checked' : '') + ' />';
+        case 'select':
+            var options = _cfOptions(field);
+            if (v !== '' && options.indexOf(String(v)) < 0) options = options.concat([String(v)]);
+            return '<select ' + attrs + '><option value="">Select...</option>' +
+                options.map(function(o) { return '<option value="' + _cfAttr(o) + '"' + (String(v) === o ? ' selected' : '') + '>' + escapeHtml(o) + '</option>'; }).join('') +
+                '</select>';
+        default:
+            return '<input type="text" ' + attrs + ' value="' + _cfAttr(v) + '" />';
+    }
+}
+
+/** Typed value from an input rendered by renderCustomFieldInput (null when empty) */
+function readCustomFieldInput(el, field) {
+    if (!el) return null;
+    var type = _cfType(field);
+    if (type === 'boolean') return !!el.checked;
+    var raw = String(el.value || '').trim();
+    if (raw === '') return null;
+    if (type === 'number' || type === 'currency') {
+        var n = parseFloat(raw.replace(/[$,]/g, ''));
+        return isNaN(n) ? raw : n;
+    }
+    return raw;
+}
+
+/** Returns an error message, or '' when the value is valid for the field */
+function validateCustomFieldValue(field, value) {
+    var label = _cfLabel(field);
+    var type = _cfType(field);
+    if (value == null || value === '') return _cfRequired(field) ? label + ' is required.' : '';
+    if ((type === 'number' || type === 'currency') && (typeof value !== 'number' || !isFinite(value))) return label + ' must be a number.';
+    if (type === 'currency' && value < 0) return label + ' cannot be negative.';
+    if (type === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(new Date(value).getTime()))) return label + ' must be a valid date.';
+    if (type === 'select') {
+        var options = _cfOptions(field);
+        if (options.length && options.indexOf(String(value)) < 0) return label + ' must be one of: ' + options.join(', ') + '.';
+    }
+    return '';
+}
+
+/** Display string for a stored value */
+function formatCustomFieldValue(field, value) {
+    if (value == null || value === '') return '—';
+    switch (_cfType(field)) {
+        case 'currency':
+            var c = parseFloat(value);
+            return isNaN(c) ? String(value) : '$' + c.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        case 'number':
+            var n = parseFloat(value);
+            return isNaN(n) ? String(value) : n.toLocaleString();
+        case 'date':
+            return formatDate(value);
+        case 'boolean':
+            return (value === true || value === 'true' || value === 1 || value === '1') ? 'Yes' : 'No';
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Read and validate every custom field input inside root.
+ * Returns { values: { fieldId: value }, errors: [message] }.
+ */
+function collectCustomFieldInputs(root, fields) {
+    var values = {};
+    var errors = [];
+    (fields || _customFieldDefs || []).forEach(function(f) {
+        var id = _cfId(f);
+        var el = root && root.querySelector('[data-custom-field-id="' + id + '"]');
+        if (!el) return;
+        var value = readCustomFieldInput(el, f);
+        var err = validateCustomFieldValue(f, value);
+        el.classList.toggle('custom-field-invalid', !!err);
+        if (err) errors.push(err);
+        values[id] = value;
+    });
+    return { values: values, errors: errors };
+}
+
+/**
+ * Save changed values for a deal (compares against the cached values).
+ * Returns { saved, errors } so callers can report partial failures.
+ */
+async function saveDealCustomFields(dealPipelineId, values) {
+    var result = { saved: 0, errors: [] };
+    if (!dealPipelineId || !values) return result;
+    var previous = _dealCustomFieldValues[dealPipelineId] || {};
+    var fieldsById = {};
+    (_customFieldDefs || []).forEach(function(f) { fieldsById[_cfId(f)] = f; });
+    var ids = Object.keys(values);
+    for (var i = 0; i < ids.length; i++) {
+        var id = ids[i];
+        var prev = previous[id] == null || previous[id] === '' ? null : previous[id];
+        var next = values[id];
+        if (_cfType(fieldsById[id]) === 'boolean' && prev != null) prev = prev === true || prev === 'true' || prev === 1 || prev === '1';
+        if (String(prev) === String(next)) continue;
+        try {
+            await API.setDealCustomField(dealPipelineId, id, next);
+            result.saved++;
+        } catch (err) {
+            result.errors.push(_cfLabel(fieldsById[id]) + ': ' + (err.message || 'Failed to save'));
+        }
+    }
+    if (result.saved) _dealCustomFieldValues[dealPipelineId] = Object.assign({}, previous, values);
+    return result;
+}
+
+/* ---------- Deal edit modal ---------- */
+
+/** Populate the Custom Fields block of #deal-edit-form for the deal being edited */
+async function populateDealEditCustomFields(deal) {
+    var section = document.getElementById('edit-custom-fields-section');
+    var container = document.getElementById('edit-custom-fields');
+    if (!section || !container) return;
+    container.innerHTML = '';
+    var fields = await loadCustomFieldDefinitions();
+    section.style.display = fields.length ? '' : 'none';
+    if (!fields.length) return;
+    var dealPipelineId = deal && (deal.DealPipelineId || (deal._original && deal._original.DealPipelineId));
+    var values = {};
+    if (dealPipelineId) {
+        try { values = await loadDealCustomFieldValues(dealPipelineId, true); } catch (e) { console.warn('Failed to load deal custom fields:', e); }
+    }
+    container.innerHTML = fields.map(function(f) {
+        var id = _cfId(f);
+        return '<div class="form-group' + (_cfType(f) === 'boolean' ? ' custom-field-checkbox-group' : '') + '">' +
+            '<label for="edit-cf-' + _cfAttr(id) + '">' + escapeHtml(_cfLabel(f)) + (_cfRequired(f) ? ' *' : '') + ':</label>' +
+            renderCustomFieldInput(f, values[id], { idPrefix: 'edit-cf-' }) +
+        '</div>';
+    }).join('');
+}
+
+/** Validate the edit form's custom fields; returns { values, errors } or null when there are none */
+function collectDealEditCustomFields() {
+    var container = document.getElementById('edit-custom-fields');
+    if (!container || !container.querySelector('[data-custom-field-id]')) return null;
+    return collectCustomFieldInputs(container);
+}
+
+/* ---------- Pipeline table (Core Data Management grid) ---------- */
+
+function renderCustomFieldHeaderCells(fields) {
+    return (fields || []).map(function(f) {
+        return '<th title="Custom field (' + _cfAttr(CUSTOM_FIELD_TYPE_LABELS[_cfType(f)]) + ')">' + escapeHtml(_cfLabel(f)) + ' <span class="custom-field-badge">Custom</span></th>';
+    }).join('');
+}
+
+function renderCustomFieldRowCells(fields, values) {
+    values = values || {};
+    return (fields || []).map(function(f) {
+        return '<td>' + renderCustomFieldInput(f, values[_cfId(f)], { className: 'deal-pipeline-custom-field' }) + '</td>';
+    }).join('');
+}
+
+/** Mark the row changed when a custom field cell is edited */
+function bindDealPipelineCustomFieldListeners(root) {
+    (root || document).querySelectorAll('.deal-pipeline-custom-field').forEach(function(el) {
+        el.addEventListener('change', function() {
+            var row = el.closest('tr');
+            if (!row) return;
+            row.classList.add('has-changes');
+            if (typeof updateSaveAllButtonVisibility === 'function') updateSaveAllButtonVisibility();
+        });
+    });
+}
+
+/** Validate and save a grid row's custom fields after the deal itself has been saved */
+async function saveDealPipelineRowCustomFields(row, dealPipelineId) {
+    if (!row || !row.querySelector('.deal-pipeline-custom-field')) return { saved: 0, errors: [] };
+    var collected = collectCustomFieldInputs(row);
+    if (collected.errors.length) return { saved: 0, errors: collected.errors };
+    return saveDealCustomFields(dealPipelineId, collected.values);
+}
+
+/* ---------- Deal detail popup ---------- */
+
+function _renderDealDetailCustomFields(content, deal, ctx) {
+    if (!ctx.dealPipelineId) {
+        content.innerHTML = '<div class="activity-timeline-empty">Custom fields are available for deals saved in the pipeline.</div>';
+        return;
+    }
+    return Promise.all([loadCustomFieldDefinitions(), loadDealCustomFieldValues(ctx.dealPipelineId, true)]).then(function(results) {
+        var fields = results[0];
+        var values = results[1];
+        if (!fields.length) {
+            content.innerHTML = '<div class="activity-timeline-empty">No custom fields have been defined yet.</div>';
+            return;
+        }
+        var editable = can('editDeal', deal);
+        function showValues() {
+            content.innerHTML = '<div class="deal-detail-grid">' + fields.map(function(f) {
+                return '<div class="deal-detail-item"><label>' + escapeHtml(_cfLabel(f)) + '</label><span>' + escapeHtml(formatCustomFieldValue(f, values[_cfId(f)])) + '</span></div>';
+            }).join('') + '</div>' +
+                (editable ? '<div class="custom-fields-detail-actions"><button type="button" class="deal-detail-btn custom-fields-edit-btn">Edit custom fields</button></div>' : '');
+            var editBtn = content.querySelector('.custom-fields-edit-btn');
+            if (editBtn) editBtn.addEventListener('click', showEditor);
+        }
+        function showEditor() {
+            content.innerHTML = '<div class="custom-fields-detail-form">' + fields.map(function(f) {
+                return '<div class="deal-detail-item"><label>' + escapeHtml(_cfLabel(f)) + (_cfRequired(f) ? ' *' : '') + '</label>' +
+                    renderCustomFieldInput(f, values[_cfId(f)]) + '</div>';
+            }).join('') + '</div>' +
+                '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+                '<div class="custom-fields-detail-actions">' +
+                    '<button type="button" class="deal-detail-btn custom-fields-save-btn">Save</button>' +
+                    '<button type="button" class="deal-detail-btn custom-fields-cancel-btn">Cancel</button>' +
+                '</div>';
+            var errEl = content.querySelector('.custom-fields-detail-error');
+            content.querySelector('.custom-fields-cancel-btn').addEventListener('click', showValues);
+            content.querySelector('.custom-fields-save-btn').addEventListener('click', async function() {
+                var collected = collectCustomFieldInputs(content, fields);
+                if (collected.errors.length) {
+                    errEl.textContent = collected.errors.join(' ');
+                    errEl.style.display = 'block';
+                    return;
+                }
+                this.disabled = true;
+                var res = await saveDealCustomFields(ctx.dealPipelineId, collected.values);
+                if (res.errors.length) {
+                    this.disabled = false;
+                    errEl.textContent = res.errors.join(' ');
+                    errEl.style.display = 'block';
+                    return;
+                }
+                values = _dealCustomFieldValues[ctx.dealPipelineId] || collected.values;
+                showToast(res.saved ? 'Custom fields saved.' : 'No changes to save.', res.saved ? 'success' : 'info');
+                showValues();
+            });
+        }
+        showValues();
+    });
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({ id: 'custom-fields', title: 'Custom Fields', order: 10, open: true, render: _renderDealDetailCustomFields });
+}
+
+/* ---------- Admin: custom field manager ---------- */
+
+/** Admin screen to define, edit, reorder and delete custom fields */
+function openCustomFieldsManager() {
+    if (!can('manageReferenceData')) {
+        showToast('Only admins can manage custom fields.', 'info');
+        return;
+    }
+    var existing = document.getElementById('custom-fields-manager-modal');
+    if (existing) existing.remove();
+    var modal = document.createElement('div');
+    modal.className = 'deal-detail-overlay contacts-modal-overlay';
+    modal.id = 'custom-fields-manager-modal';
+    modal.innerHTML =
+        '<div class="contacts-modal custom-fields-manager" role="dialog" aria-labelledby="custom-fields-manager-title">' +
+            '<h3 id="custom-fields-manager-title">Custom Fields</h3>' +
+            '<p class="contacts-reminder-desc">Fields defined here appear in the deal form, the deal detail popup and the Core Data Management grid.</p>' +
+            '<div class="custom-fields-manager-list"><div class="activity-timeline-loading">Loading...</div></div>' +
+            '<form class="contacts-form custom-fields-manager-form">' +
+                '<h4 class="custom-fields-manager-form-title">Add field</h4>' +
+                '<input type="hidden" name="fieldId" value="" />' +
+                '<label>Label <span class="required">*</span></label>' +
+                '<input type="text" name="label" required maxlength="100" />' +
+                '<label>Type</label>' +
+                '<select name="type">' + CUSTOM_FIELD_TYPES.map(function(t) { return '<option value="' + t + '">' + CUSTOM_FIELD_TYPE_LABELS[t] + '</option>'; }).join('') + '</select>' +
+                '<div class="custom-fields-options-wrap" style="display:none;">' +
+                    '<label>Options (one per line)</label>' +
+                    '<textarea name="options" rows="4"></textarea>' +
+                '</div>' +
+                '<label>Sort order</label>' +
+                '<input type="number" name="sortOrder" step="1" value="0" />' +
+                '<label class="custom-fields-required-label"><input type="checkbox" name="required" /> Required</label>' +
+                '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+                '<div class="contacts-form-actions">' +
+                    '<button type="submit" class="contacts-btn contacts-save-btn">Add field</button>' +
+                    '<button type="button" class="contacts-btn custom-fields-reset-btn" style="display:none;">New field</button>' +
+                    '<button type="button" class="contacts-btn contacts-cancel-btn">Close</button>' +
+                '</div>' +
+            '</form>' +
+        '</div>';
+    document.body.appendChild(modal);
+
+    var listEl = modal.querySelector('.custom-fields-manager-list');
+    var form = modal.querySelector('.custom-fields-manager-form');
+    var errEl = form.querySelector('.custom-fields-detail-error');
+    var optionsWrap = form.querySelector('.custom-fields-options-wrap');
+    var fields = [];
+
+    var escHandler = function(e) { if (e.key === 'Escape') close(); };
+    document.addEventListener('keydown', escHandler);
+    function close() {
+        document.removeEventListener('keydown', escHandler);
+        modal.remove();
+        if (document.getElementById('deal-pipeline-view')?.style.display !== 'none' && typeof renderDealPipelineTable === 'function') {
+            renderDealPipelineTable({ forceApi: true });
+        }
+    }
+    modal.addEventListener('click', function(e) { if (e.target === modal) close(); });
+    form.querySelector('.contacts-cancel-btn').addEventListener('click', close);
+    form.elements.type.addEventListener('change', function() {
+        optionsWrap.style.display = this.value === 'select' ? '' : 'none';
+    });
+
+    function resetForm(field) {
+        form.elements.fieldId.value = field ? _cfId(field) : '';
+        form.elements.label.value = field ? _cfLabel(field) : '';
+        form.elements.type.value = field ? _cfType(field) : 'text';
+        form.elements.options.value = field ? _cfOptions(field).join('\n') : '';
+        form.elements.sortOrder.value = field ? (field.SortOrder ?? field.sortOrder ?? 0) : (fields.length + 1) * 10;
+        form.elements.required.checked = field ? _cfRequired(field) : false;
+        optionsWrap.style.display = form.elements.type.value === 'select' ? '' : 'none';
+        form.querySelector('.custom-fields-manager-form-title').textContent = field ? 'Edit field' : 'Add field';
+        form.querySelector('.contacts-save-btn').textContent = field ? 'Save field' : 'Add field';
+        form.querySelector('.custom-fields-reset-btn').style.display = field ? '' : 'none';
+        errEl.style.display = 'none';
+    }
+    form.querySelector('.custom-fields-reset-btn').addEventListener('click', function() { resetForm(null); });
+
+    function renderList() {
+        if (!fields.length) {
+            listEl.innerHTML = '<div class="activity-timeline-empty">No custom fields yet. Add one below.</div>';
+            return;
+        }
+        listEl.innerHTML = '<table class="custom-fields-manager-table"><thead><tr><th>Label</th><th>Type</th><th>Required</th><th></th></tr></thead><tbody>' +
+            fields.map(function(f) {
+                var id = _cfId(f);
+                return '<tr data-field-id="' + _cfAttr(id) + '">' +
+                    '<td>' + escapeHtml(_cfLabel(f)) + '</td>' +
+                    '<td>' + CUSTOM_FIELD_TYPE_LABELS[_cfType(f)] + (_cfType(f) === 'select' ? ' <span class="custom-fields-options-count">(' + _cfOptions(f).length + ')</span>' : '') + '</td>' +
+                    '<td>' + (_cfRequired(f) ? 'Yes' : '') + '</td>' +
+                    '<td class="custom-fields-manager-actions">' +
+                        '<button type="button" class="contacts-btn custom-fields-edit-row" data-field-id="' + _cfAttr(id) + '">Edit</button>' +
+                        '<button type="button" class="contacts-btn custom-fields-delete-row" data-field-id="' + _cfAttr(id) + '">Delete</button>' +
+                    '</td></tr>';
+            }).join('') + '</tbody></table>';
+        listEl.querySelectorAll('.custom-fields-edit-row').forEach(function(btn) {
+            btn.addEventListener('click', function() {
+                var f = fields.find(function(x) { return String(_cfId(x)) === btn.dataset.fieldId; });
+                if (f) resetForm(f);
+            });
+        });
+        listEl.querySelectorAll('.custom-fields-delete-row').forEach(function(btn) {
+            btn.addEventListener('click', async function() {
+                var f = fields.find(function(x) { return String(_cfId(x)) === btn.dataset.fieldId; });
+                if (!f) return;
+                var ok = await domoConfirm('Delete the custom field "' + _cfLabel(f) + '"? Values stored on deals for this field will be removed.', { confirmLabel: 'Delete' });
+                if (!ok) return;
+                try {
+                    await API.deleteCustomField(_cfId(f));
+                    showToast('Custom field deleted.', 'success');
+                    refresh();
+                } catch (err) {
+                    showToast('Failed to delete custom field: ' + (err.message || 'Unknown error'), 'error');
+                }
+            });
+        });
+    }
+
+    function refresh() {
+        return loadCustomFieldDefinitions(true).then(function(list) {
+            fields = list;
+            renderList();
+            resetForm(null);
+        });
+    }
+
+    form.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        var label = form.elements.label.value.trim();
+        var type = form.elements.type.value;
+        var options = form.elements.options.value.split('\n').map(function(s) { return s.trim(); }).filter(Boolean);
+        var id = form.elements.fieldId.value;
+        var error = '';
+        if (!label) error = 'Label is required.';
+        else if (type === 'select' && !options.length) error = 'Select fields need at least one option.';
+        else if (fields.some(function(f) { return _cfLabel(f).toLowerCase() === label.toLowerCase() && String(_cfId(f)) !== id; })) error = 'A custom field named "' + label + '" already exists.';
+        if (error) {
+            errEl.textContent = error;
+            errEl.style.display = 'block';
+            return;
+        }
+        var payload = {
+            Label: label,
+            FieldType: type,
+            Options: type === 'select' ? options : null,
+            IsRequired: form.elements.required.checked,
+            SortOrder: parseInt(form.elements.sortOrder.value, 10) || 0
+        };
+        try {
+            if (id) await API.updateCustomField(id, payload);
+            else await API.createCustomField(payload);
+            showToast(id ? 'Custom field updated.' : 'Custom field added.', 'success');
+            refresh();
+        } catch (err) {
+            errEl.textContent = err.message || 'Failed to save custom field.';
+            errEl.style.display = 'block';
+        }
+    });
+
+    refresh();
+    form.elements.label.focus();
+}
+
+window.openCustomFieldsManager = openCustomFieldsManager;
+document.getElementById('custom-fields-admin-btn')?.addEventListener('click', openCustomFieldsManager);
@@ -0,0 +1,182 @@
+/**
+ * app-deal-conflicts.js — Optimistic concurrency for deal edits: updates send the UpdatedAt the editor
+ * loaded, and a 409 from the server opens a three-way merge (original / yours / theirs) per field.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+/** UpdatedAt of the record the editor loaded (mapped deals keep the raw row in _original). */
+function dealVersionOf(deal) {
+    if (!deal) return null;
+    return deal.UpdatedAt || (deal._original && deal._original.UpdatedAt) || null;
+}
+
+function isDealConflictError(err) {
+    return !!err && err.status === 409;
+}
+
+/** Comparable form of a field value: dates to YYYY-MM-DD, numbers and booleans to strings, blanks to ''. */
+function _dcfNorm(v) {
+    if (v == null || v === '') return '';
+    if (typeof v === 'boolean') return v ? 'true' : 'false';
+    var s = String(v).trim();
+    if (/^\d{4}-\d{2}-\d{2}(T|$)/.test(s)) return s.slice(0, 10);
+    if (s !== '' && !isNaN(Number(s))) return String(Number(s));
+    return s;
+}
+
+function _dcfDisplay(v) {
+    var n = _dcfNorm(v);
+    if (n === '') return '<span class="due-diligence-due">(empty)</span>';
+    if (n === 'true' || n === 'false') return n === 'true' ? 'Yes' : 'No';
+    return escapeHtml(n.length > 140 ? n.slice(0, 140) + '…' : n);
+}
+
+function _dcfLabel(key) {
+    return key.replace(/Id$/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+/**
+ * Field-by-field comparison of the edit against the server copy. Fields only one side changed resolve
+ * themselves; fields both sides changed differently are conflicts. Fields where yours and theirs agree
+ * are left out.
+ */
+function diffDealEdit(base, mine, theirs) {
+    var rows = [];
+    Object.keys(mine).forEach(function(key) {
+        var o = _dcfNorm(base ? base[key] : null);
+        var y = _dcfNorm(mine[key]);
+        var t = _dcfNorm(theirs[key]);
+        if (y === t) return;
+        var kind = t === o ? 'yours' : (y === o ? 'theirs' : 'conflict');
+        rows.push({ key: key, original: base ? base[key] : null, yours: mine[key], theirs: theirs[key], kind: kind });
+    });
+    return rows.sort(function(a, b) { return (a.kind === 'conflict' ? 0 : 1) - (b.kind === 'conflict' ? 0 : 1); });
+}
+
+/**
+ * Three-way merge dialog. Resolves with the payload to save (yours with the chosen theirs values
+ * swapped in) or null when the user cancels.
+ */
+function showDealMergeDialog(name, base, mine, theirs) {
+    var rows = diffDealEdit(base, mine, theirs);
+    var conflicts = rows.filter(function(r) { return r.kind === 'conflict'; }).length;
+    var who = theirs.UpdatedBy || theirs.ModifiedBy || 'Someone else';
+    var when = theirs.UpdatedAt ? new Date(theirs.UpdatedAt).toLocaleString() : '';
+    return new Promise(function(resolve) {
+        var modal = document.createElement('div');
+        modal.className = 'deal-detail-overlay contacts-modal-overlay';
+        modal.innerHTML =
+            '<div class="contacts-modal deal-merge-modal" role="dialog" aria-modal="true" aria-labelledby="deal-merge-title">' +
+                '<h3 id="deal-merge-title">' + escapeHtml(name || 'Deal') + ' changed while you were editing</h3>' +
+                '<p class="contacts-reminder-desc">' + escapeHtml(who) + ' saved this deal' + (when ? ' at ' + escapeHtml(when) : '') + '. ' +
+                    (conflicts ? conflicts + ' field' + (conflicts !== 1 ? 's were' : ' was') + ' changed by both of you. Pick a value for each.' : 'None of your changes overlap; review and save.') + '</p>' +
+                (rows.length ? '<table class="custom-fields-manager-table deal-merge-table"><thead><tr><th>Field</th><th>Original</th><th>Yours</th><th>Theirs</th></tr></thead><tbody>' +
+                    rows.map(function(r, i) {
+                        var pick = r.kind === 'theirs' ? 'theirs' : 'yours';
+                        var radio = function(side) {
+                            return '<label class="deal-merge-choice"><input type="radio" name="deal-merge-' + i + '" value="' + side + '"' + (pick === side ? ' checked' : '') + ' /> ' + _dcfDisplay(r[side]) + '</label>';
+                        };
+                        return '<tr class="deal-merge-row' + (r.kind === 'conflict' ? ' deal-merge-conflict' : '') + '" data-idx="' + i + '">' +
+                            '<th>' + escapeHtml(_dcfLabel(r.key)) + '</th>' +
+                            '<td>' + _dcfDisplay(r.original) + '</td>' +
+                            '<td>' + radio('yours') + '</td>' +
+                            '<td>' + radio('theirs') + '</td>' +
+                        '</tr>';
+                    }).join('') + '</tbody></table>'
+                : '<p class="activity-timeline-empty">Your values already match the saved copy.</p>') +
+                '<div class="contacts-form-actions">' +
+                    '<button type="button" class="contacts-btn contacts-save-btn deal-merge-save">Save merged</button>' +
+                    '<button type="button" class="contacts-btn deal-merge-theirs">Keep theirs</button>' +
+                    '<button type="button" class="contacts-btn contacts-cancel-btn">Cancel</button>' +
+                '</div>' +
+            '</div>';
+        document.body.appendChild(modal);
+
+        var escHandler = function(e) { if (e.key === 'Escape') done(null); };
+        document.addEventListener('keydown', escHandler);
+        function done(result) {
+            document.removeEventListener('keydown', escHandler);
+            modal.remove();
+            resolve(result);
+        }
+        modal.querySelector('.contacts-cancel-btn').addEventListener('click', function() { done(null); });
+        modal.querySelector('.deal-merge-theirs').addEventListener('click', function() { done({}); });
+        modal.querySelector('.deal-merge-save').addEventListener('click', function() {
+            var merged = Object.assign({}, mine);
+            rows.forEach(function(r, i) {
+                var checked = modal.querySelector('input[name="deal-merge-' + i + '"]:checked');
+                if (checked && checked.value === 'theirs') merged[r.key] = theirs[r.key] != null ? theirs[r.key] : null;
+            });
+            done(merged);
+        });
+        var first = modal.querySelector('.deal-merge-conflict input[type="radio"]') || modal.querySelector('.deal-merge-save');
+        if (first) first.focus();
+    });
+}
+
+/**
+ * API.updateDealPipeline with a version check. `base` is the record the edit started from; its UpdatedAt
+ * goes out with the payload. On 409 the user merges against the server copy and the merged payload is
+ * retried with the server's UpdatedAt (again, in case a third save lands meanwhile).
+ * Resolves with the API result, or { success: false, cancelled: true } when the user cancels.
+ */
+async function updateDealPipelineWithVersion(dealPipelineId, data, base, name) {
+    var payload = Object.assign({}, data);
+    var version = dealVersionOf(base);
+    if (version) payload.UpdatedAt = version;
+    try {
+        return await API.updateDealPipeline(dealPipelineId, payload);
+    } catch (err) {
+        if (!isDealConflictError(err)) throw err;
+        var theirs = err.response && err.response.data && err.response.data.DealPipelineId != null ? err.response.data : null;
+        if (!theirs) {
+            var res = await API.getDealPipelineById(dealPipelineId);
+            theirs = res && res.data;
+        }
+        if (!theirs) throw err;
+        var merged = await showDealMergeDialog(name || theirs.ProjectName, base && (base._original || base), data, theirs);
+        if (!merged) return { success: false, cancelled: true, error: { message: 'Save cancelled: the deal was changed by someone else.' } };
+        if (!Object.keys(merged).length) return { success: true, keptTheirs: true, data: theirs };
+        return updateDealPipelineWithVersion(dealPipelineId, merged, theirs, name);
+    }
+}
+
+/** Replace the loaded copy with the server row (its fields and its UpdatedAt). */
+function _applyServerDeal(loaded, row) {
+    loaded._original = Object.assign({}, loaded._original || {}, row);
+    if (row.UpdatedAt) loaded.UpdatedAt = row.UpdatedAt;
+}
+
+/**
+ * After a successful save, move the loaded copy forward so the next save from the same screen is not a
+ * false conflict. "Keep theirs" adopts the server row. A response without UpdatedAt keeps the previous
+ * version (never null, which would switch the check off) and re-fetches the deal to pick up the new one.
+ * Resolves once the loaded copy is current.
+ */
+function rememberSavedDealVersion(loaded, data, result) {
+    if (!loaded || !result) return Promise.resolve();
+    if (result.keptTheirs) {
+        if (result.data) _applyServerDeal(loaded, result.data);
+        return Promise.resolve();
+    }
+    var updatedAt = result.data && result.data.UpdatedAt;
+    loaded._original = Object.assign({}, loaded._original || {}, data || {}, updatedAt ? { UpdatedAt: updatedAt } : {});
+    if (updatedAt) {
+        loaded.UpdatedAt = updatedAt;
+        return Promise.resolve();
+    }
+    var id = loaded.DealPipelineId || loaded._original.DealPipelineId;
+    if (!id) return Promise.resolve();
+    return API.getDealPipelineById(id).then(function(res) {
+        if (res && res.data) _applyServerDeal(loaded, res.data);
+    }).catch(function(e) { console.warn('Could not refresh the deal version after save:', e); });
+}
+
+window.dealVersionOf = dealVersionOf;
+window.isDealConflictError = isDealConflictError;
+window.diffDealEdit = diffDealEdit;
+window.showDealMergeDialog = showDealMergeDialog;
+window.updateDealPipelineWithVersion = updateDealPipelineWithVersion;
+window.rememberSavedDealVersion = rememberSavedDealVersion;
@@ -0,0 +1,214 @@
+/**
+ * app-deal-contacts.js — Deal ↔ contact relationships: "People" deal-detail section (sellers, brokers,
+ * attorneys, lenders with role and notes) and the "Deals" list on Land Development contact cards.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var DEAL_CONTACT_ROLES = ['Seller', 'Broker', 'Attorney', 'Lender'];
+
+var _personsCache = null;
+
+function _dcPersonId(p) {
+    return p.PersonId != null ? p.PersonId : (p.ContactId != null ? p.ContactId : p.personId);
+}
+
+function _dcName(p) {
+    return p.FullName || p.Name || p.PersonName || p.fullName || 'Unnamed';
+}
+
+function _dcRole(c) {
+    var role = String(c.Role || c.role || '').trim();
+    var match = DEAL_CONTACT_ROLES.filter(function(r) { return r.toLowerCase() === role.toLowerCase(); })[0];
+    return match || role;
+}
+
+/** Core persons for the "add person" picker, cached for the session. */
+function _loadPersons() {
+    if (_personsCache) return Promise.resolve(_personsCache);
+    return API.getAllPersons().then(function(res) {
+        _personsCache = apiList(res).filter(function(p) { return p.PersonId != null; });
+        return _personsCache;
+    });
+}
+
+function _dealContactRowHtml(c, editable) {
+    var pid = _dcPersonId(c);
+    var role = _dcRole(c);
+    var contactLine = [c.Email || c.email, c.Phone || c.PhoneNumber || c.phone].filter(Boolean).map(function(v) { return escapeHtml(String(v)); }).join(' · ');
+    if (!editable) {
+        return '<li class="deal-contact-item">' +
+            '<div class="deal-contact-head"><span class="deal-contact-name">' + escapeHtml(_dcName(c)) + '</span>' +
+                (role ? '<span class="contacts-card-type">' + escapeHtml(role) + '</span>' : '') + '</div>' +
+            (contactLine ? '<div class="due-diligence-due">' + contactLine + '</div>' : '') +
+            (c.Notes || c.notes ? '<p class="deal-contact-notes">' + escapeHtml(String(c.Notes || c.notes)) + '</p>' : '') +
+        '</li>';
+    }
+    var roleOptions = DEAL_CONTACT_ROLES.indexOf(role) === -1 && role ? DEAL_CONTACT_ROLES.concat([role]) : DEAL_CONTACT_ROLES;
+    return '<li class="deal-contact-item" data-person-id="' + escapeHtml(String(pid)) + '">' +
+        '<div class="deal-contact-head"><span class="deal-contact-name">' + escapeHtml(_dcName(c)) + '</span>' +
+            (contactLine ? '<span class="due-diligence-due">' + contactLine + '</span>' : '') + '</div>' +
+        '<div class="deal-contact-edit">' +
+            '<select class="deal-contact-role" aria-label="Role">' + roleOptions.map(function(r) {
+                return '<option value="' + escapeHtml(r) + '"' + (r === role ? ' selected' : '') + '>' + escapeHtml(r) + '</option>';
+            }).join('') + '</select>' +
+            '<input type="text" class="deal-contact-notes-input" value="' + escapeHtml(String(c.Notes || c.notes || '')) + '" placeholder="Notes" aria-label="Notes" />' +
+            '<button type="button" class="contacts-btn deal-contact-save">Save</button>' +
+            '<button type="button" class="contacts-btn deal-contact-remove">Remove</button>' +
+        '</div>' +
+    '</li>';
+}
+
+async function _renderDealDetailPeople(content, deal, ctx) {
+    var dealId = ctx.dealPipelineId;
+    var editable = can('editDeal', deal);
+    var res = await API.getDealContacts(dealId);
+    var contacts = apiList(res);
+    var byRole = {};
+    contacts.forEach(function(c) {
+        var role = _dcRole(c) || 'Other';
+        (byRole[role] = byRole[role] || []).push(c);
+    });
+    var roles = DEAL_CONTACT_ROLES.filter(function(r) { return byRole[r]; })
+        .concat(Object.keys(byRole).filter(function(r) { return DEAL_CONTACT_ROLES.indexOf(r) === -1; }).sort());
+
+    content.innerHTML =
+        (contacts.length ? roles.map(function(role) {
+            return '<h4 class="covenant-group-title">' + escapeHtml(role) + (byRole[role].length > 1 ? 's' : '') + '</h4>' +
+                '<ul class="deal-contact-list">' + byRole[role].map(function(c) { return _dealContactRowHtml(c, editable); }).join('') + '</ul>';
+        }).join('') : '<div class="activity-timeline-empty">No people linked to this deal yet.</div>') +
+        (editable ?
+            '<div class="custom-fields-detail-form deal-contact-add">' +
+                '<div class="deal-detail-item"><label>Person</label><input type="text" class="deal-contact-person" list="deal-contact-persons" placeholder="Start typing a name…" autocomplete="off" />' +
+                    '<datalist id="deal-contact-persons"></datalist></div>' +
+                '<div class="deal-detail-item"><label>Role</label><select class="deal-contact-new-role">' + DEAL_CONTACT_ROLES.map(function(r) { return '<option value="' + r + '">' + r + '</option>'; }).join('') + '</select></div>' +
+                '<div class="deal-detail-item"><label>Notes</label><input type="text" class="deal-contact-new-notes" placeholder="e.g. listing broker, represents seller" /></div>' +
+            '</div>' +
+            '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+            '<div class="custom-fields-detail-actions"><button type="button" class="deal-detail-btn deal-contact-add-btn">Link person</button></div>'
+        : '');
+
+    if (!editable) return;
+    var errEl = content.querySelector('.custom-fields-detail-error');
+    function showError(msg) {
+        errEl.textContent = msg || '';
+        errEl.style.display = msg ? 'block' : 'none';
+    }
+
+    content.querySelectorAll('.deal-contact-item[data-person-id]').forEach(function(li) {
+        var personId = li.dataset.personId;
+        li.querySelector('.deal-contact-save').addEventListener('click', async function() {
+            this.disabled = true;
+            try {
+                await API.updateDealContact(dealId, personId, li.querySelector('.deal-contact-role').value, li.querySelector('.deal-contact-notes-input').value.trim() || null);
+                showToast('Contact updated.', 'success');
+                ctx.reload();
+            } catch (err) {
+                this.disabled = false;
+                showError(err.message || 'Failed to update contact.');
+            }
+        });
+        li.querySelector('.deal-contact-remove').addEventListener('click', async function() {
+            var name = li.querySelector('.deal-contact-name').textContent;
+            if (!(await domoConfirm('Remove ' + name + ' from this deal?', { confirmLabel: 'Remove' }))) return;
+            this.disabled = true;
+            try {
+                await API.removeDealContact(dealId, personId);
+                ctx.reload();
+            } catch (err) {
+                this.disabled = false;
+                showError(err.message || 'Failed to remove contact.');
+            }
+        });
+    });
+
+    var personInput = content.querySelector('.deal-contact-person');
+    var persons = [];
+    var labelFor = function(p) { return _dcName(p) + (p.Email ? ' <' + p.Email + '>' : ''); };
+    _loadPersons().then(function(list) {
+        var linked = {};
+        contacts.forEach(function(c) { linked[String(_dcPersonId(c))] = true; });
+        persons = list.filter(function(p) { return !linked[String(p.PersonId)]; });
+        content.querySelector('#deal-contact-persons').innerHTML = persons.map(function(p) {
+            return '<option value="' + escapeHtml(labelFor(p)) + '">';
+        }).join('');
+    }).catch(function(err) {
+        showError('Could not load people: ' + (err.message || 'Unknown error'));
+    });
+
+    content.querySelector('.deal-contact-add-btn').addEventListener('click', async function() {
+        var text = personInput.value.trim();
+        var person = persons.filter(function(p) { return labelFor(p) === text; })[0] ||
+            persons.filter(function(p) { return _dcName(p).toLowerCase() === text.toLowerCase(); })[0];
+        if (!person) {
+            showError(text ? 'No person named "' + text + '". Add them in Contacts first.' : 'Choose a person to link.');
+            return;
+        }
+        showError('');
+        this.disabled = true;
+        try {
+            await API.addDealContact(dealId, person.PersonId, content.querySelector('.deal-contact-new-role').value, content.querySelector('.deal-contact-new-notes').value.trim() || null);
+            showToast(_dcName(person) + ' linked to this deal.', 'success');
+            ctx.reload();
+        } catch (err) {
+            this.disabled = false;
+            showError(err.message || 'Failed to link person.');
+        }
+    });
+}
+
+/** Expand / collapse the "Deals" list on a Land Development contact card (loaded on first open). */
+async function toggleContactDeals(card, personId) {
+    var list = card.querySelector('.contacts-card-deals');
+    var btn = card.querySelector('.contacts-deals-btn');
+    if (!list) return;
+    var open = list.hasAttribute('hidden');
+    list.toggleAttribute('hidden', !open);
+    if (btn) btn.setAttribute('aria-expanded', String(open));
+    if (!open || list.dataset.loaded) return;
+    list.dataset.loaded = '1';
+    list.innerHTML = '<div class="activity-timeline-loading">Loading deals…</div>';
+    var deals;
+    try {
+        deals = apiList(await API.getContactDeals(personId)).filter(canViewDealRow);
+    } catch (err) {
+        list.dataset.loaded = '';
+        list.innerHTML = '<p class="contacts-error">Could not load deals: ' + escapeHtml(err.message || 'Unknown error') + '</p>';
+        return;
+    }
+    if (!deals.length) {
+        list.innerHTML = '<p class="contacts-empty">Not linked to any deals.</p>';
+        return;
+    }
+    var byId = {};
+    (window.allDeals || []).forEach(function(d) { if (d.DealPipelineId != null) byId[String(d.DealPipelineId)] = d; });
+    list.innerHTML = '<ul class="contacts-deals-list">' + deals.map(function(d, i) {
+        var stage = normalizeStage(d.Stage || (byId[String(d.DealPipelineId)] || {}).Stage || '');
+        return '<li><a href="#" class="contacts-deal-link" data-idx="' + i + '">' + escapeHtml(d.ProjectName || d.Name || (byId[String(d.DealPipelineId)] || {}).Name || 'Deal ' + d.DealPipelineId) + '</a>' +
+            (_dcRole(d) ? ' <span class="contacts-card-type">' + escapeHtml(_dcRole(d)) + '</span>' : '') +
+            (stage ? ' <span class="due-diligence-due">' + escapeHtml(stage) + '</span>' : '') + '</li>';
+    }).join('') + '</ul>';
+    list.querySelectorAll('.contacts-deal-link').forEach(function(a) {
+        a.addEventListener('click', function(e) {
+            e.preventDefault();
+            var d = deals[parseInt(a.dataset.idx, 10)];
+            var deal = byId[String(d.DealPipelineId)];
+            if (deal) showDealDetail(deal);
+            else showToast('This deal is not in the current pipeline list.', 'info');
+        });
+    });
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({
+        id: 'people',
+        title: 'People',
+        order: 5,
+        appliesTo: function(deal) { return !!(deal.DealPipelineId || (deal._original && deal._original.DealPipelineId)); },
+        render: _renderDealDetailPeople
+    });
+}
+
+window.DEAL_CONTACT_ROLES = DEAL_CONTACT_ROLES;
+window.toggleContactDeals = toggleContactDeals;
@@ -27,7 +27,7 @@ function _formatRelativeTime(dateStr) {
     } catch (e) { return String(dateStr); }
 }
 
-function buildAsanaOtherFieldsSection(modal, deal, matchedTask, asanaUrl, isAdmin) {
+function buildAsanaOtherFieldsSection(modal, deal, matchedTask, asanaUrl, canOverrideSync) {
     var container = modal && modal.querySelector('#deal-detail-asana-other-fields-content');
     if (!container || !matchedTask || typeof API === 'undefined' || !API.updateAsanaTaskCustomField) return;
     var taskGid = (matchedTask.gid || '').replace(/"/g, '&quot;');
@@ -44,9 +44,9 @@ function buildAsanaOtherFieldsSection(modal, deal, matchedTask, asanaUrl, isAdmi
             rows.push('<div class="deal-detail-asana-field-row"><strong>' + cfg.label + ':</strong> Database and Asana match (<span>' + displayDb + '</span>).</div>');
         } else {
             var asanaValEsc = (asanaVal || '').replace(/"/g, '&quot;').replace(/</g, '&lt;');
-            var dbBtn = isAdmin ? ' <button type="button" class="deal-detail-btn deal-detail-asana-override-field" data-task-gid="' + taskGid + '" data-field-key="' + (cfg.key || '').replace(/"/g, '&quot;') + '" data-db-value="' + (dbVal || '').replace(/"/g, '&quot;') + '">Override Asana with database value</button>' : '';
+            var dbBtn = canOverrideSync ? ' <button type="button" class="deal-detail-btn deal-detail-asana-override-field" data-task-gid="' + taskGid + '" data-field-key="' + (cfg.key || '').replace(/"/g, '&quot;') + '" data-db-value="' + (dbVal || '').replace(/"/g, '&quot;') + '">Override Asana with database value</button>' : '';
             // Bank is controlled by another department in the DB — only allow DB → Asana, not Asana → DB
-            var asanaBtn = (isAdmin && dealPipelineId && cfg.key !== 'bank') ? ' <button type="button" class="deal-detail-btn deal-detail-asana-override-db-field" data-field-key="' + (cfg.key || '').replace(/"/g, '&quot;') + '" data-asana-value="' + asanaValEsc + '" data-deal-pipeline-id="' + String(dealPipelineId).replace(/"/g, '&quot;') + '">Override database with Asana value</button>' : '';
+            var asanaBtn = (canOverrideSync && dealPipelineId && cfg.key !== 'bank') ? ' <button type="button" class="deal-detail-btn deal-detail-asana-override-db-field" data-field-key="' + (cfg.key || '').replace(/"/g, '&quot;') + '" data-asana-value="' + asanaValEsc + '" data-deal-pipeline-id="' + String(dealPipelineId).replace(/"/g, '&quot;') + '">Override database with Asana value</button>' : '';
             rows.push('<div class="deal-detail-asana-field-row">' +
                 '<strong>' + cfg.label + ':</strong> Database: <span>' + displayDb + '</span>; Asana: <span>' + displayAsana + '</span>.' +
                 dbBtn + asanaBtn +
@@ -54,7 +54,7 @@ function buildAsanaOtherFieldsSection(modal, deal, matchedTask, asanaUrl, isAdmi
         }
     }
     container.innerHTML = rows.length ? '<p class="deal-detail-asana-remedies" style="margin-bottom: 8px;">Other fields (sync either direction):</p>' + rows.join('') : '';
-    if (isAdmin) {
+    if (canOverrideSync) {
         modal.querySelectorAll('.deal-detail-asana-override-field').forEach(function(btn) {
             btn.addEventListener('click', function() {
                 var gid = this.getAttribute('data-task-gid');
@@ -242,7 +242,7 @@ function loadDealDetailAsanaDiscrepancy(modal, deal) {
         // Use Asana custom field "Start Date" only; never treat due_on as start date.
         const asanaStartDateStr = (matchedTask.start_date || matchedTask.start_date_custom || '').trim() || null;
 
-        const isAdmin = typeof isAuthenticated !== 'undefined' && isAuthenticated;
+        const canOverrideSync = can('overrideSync', deal);
         const asanaUrl = (matchedTask.permalink_url || 'https://app.asana.com/0/0/' + (matchedTask.gid || '')).replace(/"/g, '&quot;');
 
         // Check Procore: when project is in Procore and start date is 60+ days in past, Procore overrides DB and Asana
@@ -279,14 +279,14 @@ function loadDealDetailAsanaDiscrepancy(modal, deal) {
             }
             content.innerHTML =
                 '<p class="deal-detail-asana-discrepancy-msg">' + msg + '</p>' +
-                (isAdmin && dateToUse
+                (canOverrideSync && dateToUse
                     ? '<div class="deal-detail-asana-remedy-btns">' +
                       '<button type="button" class="deal-detail-btn deal-detail-asana-fill-date" data-task-gid="' + (matchedTask.gid || '').replace(/"/g, '&quot;') + '" data-db-date="' + (dateToUse || '').replace(/"/g, '&quot;') + '" data-procore-date="' + (procoreDateStr || '').replace(/"/g, '&quot;') + '" data-deal-pipeline-id="' + (deal.DealPipelineId || (deal._original && deal._original.DealPipelineId) || '').replace(/"/g, '&quot;') + '" data-project-id="' + (projectId != null ? String(projectId).replace(/"/g, '&quot;') : '') + '">' + (procoreDateStr ? 'Set Asana (and database if needed) to Procore start date' : 'Fill start date in Asana with database date') + '</button>' +
                       '<a href="' + asanaUrl + '" target="_blank" rel="noopener noreferrer" class="deal-detail-btn deal-detail-asana-view-link">View deal in Asana</a>' +
                       '</div>'
                     : '<a href="' + asanaUrl + '" target="_blank" rel="noopener noreferrer" class="deal-detail-btn deal-detail-asana-view-link">View deal in Asana</a>');
             wrap.style.display = 'block';
-            if (isAdmin && dateToUse) {
+            if (canOverrideSync && dateToUse) {
                 modal.querySelectorAll('.deal-detail-asana-fill-date').forEach(function(btn) {
                     btn.addEventListener('click', function() {
                         var taskGid = this.getAttribute('data-task-gid');
@@ -324,7 +324,7 @@ function loadDealDetailAsanaDiscrepancy(modal, deal) {
                     });
                 });
             }
-            buildAsanaOtherFieldsSection(modal, deal, matchedTask, asanaUrl, isAdmin);
+            buildAsanaOtherFieldsSection(modal, deal, matchedTask, asanaUrl, canOverrideSync);
             return;
         }
 
@@ -352,7 +352,7 @@ function loadDealDetailAsanaDiscrepancy(modal, deal) {
         } else {
             content.innerHTML =
                 '<p class="deal-detail-asana-discrepancy-msg">Database start date is <strong>' + (dbFormatted.replace(/</g, '&lt;')) + '</strong>; Asana start date for this project is <strong>' + (asanaFormatted.replace(/</g, '&lt;')) + '</strong>.</p>' +
-                (isAdmin
+                (canOverrideSync
                     ? '<p class="deal-detail-asana-remedies">Correct:</p>' +
                       '<div class="deal-detail-asana-remedy-btns">' +
                       '<button type="button" class="deal-detail-btn deal-detail-asana-override-asana" data-task-gid="' + (matchedTask.gid || '').replace(/"/g, '&quot;') + '" data-db-date="' + (dbDateStr || '').replace(/"/g, '&quot;') + '">Override Asana date with database date</button>' +
@@ -364,7 +364,7 @@ function loadDealDetailAsanaDiscrepancy(modal, deal) {
         }
         wrap.style.display = 'block';
 
-        if (isAdmin && !sameDay && !procoreDateStr) {
+        if (canOverrideSync && !sameDay && !procoreDateStr) {
             const dealPipelineId = deal.DealPipelineId || (deal._original && deal._original.DealPipelineId);
             modal.querySelectorAll('.deal-detail-asana-override-asana').forEach(function(btn) {
                 btn.addEventListener('click', function() {
@@ -511,7 +511,7 @@ function loadDealDetailAsanaDiscrepancy(modal, deal) {
                 });
             });
         }
-        buildAsanaOtherFieldsSection(modal, deal, matchedTask, asanaUrl, isAdmin);
+        buildAsanaOtherFieldsSection(modal, deal, matchedTask, asanaUrl, canOverrideSync);
     }).catch(function() {});
 }
 
@@ -539,6 +539,86 @@ function getDealDetailNavList(deal) {
     return { list: navList, index: idx, prev: idx > 0 ? navList[idx - 1] : null, next: idx >= 0 && idx < navList.length - 1 ? navList[idx + 1] : null };
 }
 
+// Extra deal detail sections contributed by feature scripts (custom fields, covenants, equity, ...)
+var _dealDetailSections = [];
+
+/**
+ * Register a collapsible section for the deal detail popup.
+ * section: { id, title, order?, open?, appliesTo?(deal), render(contentEl, deal, ctx), dispose?(contentEl, deal) }
+ * Sections start collapsed like History and render on first expand (immediately when open: true).
+ * dispose runs when the popup closes for sections that were rendered (destroy charts, timers, ...).
+ * ctx: { modal, dealPipelineId, projectId, close(), reload() }
+ */
+function registerDealDetailSection(section) {
+    if (!section || !section.id || typeof section.render !== 'function') return;
+    _dealDetailSections = _dealDetailSections.filter(function(s) { return s.id !== section.id; });
+    _dealDetailSections.push(section);
+    _dealDetailSections.sort(function(a, b) { return (a.order || 100) - (b.order || 100); });
+}
+
+function _dealDetailSectionsFor(deal) {
+    return _dealDetailSections.filter(function(s) {
+        try { return typeof s.appliesTo !== 'function' || s.appliesTo(deal); } catch (e) { return false; }
+    });
+}
+
+function _dealDetailSectionsHtml(deal) {
+    return _dealDetailSectionsFor(deal).map(function(s) {
+        return '<div class="deal-detail-section deal-detail-extra-section" data-section-id="' + escapeHtml(s.id) + '">' +
+            '<h3 class="deal-detail-extra-toggle" style="cursor:pointer;">' + escapeHtml(s.title || s.id) + ' <span class="deal-detail-history-arrow" style="font-size:0.8em;">&#9654;</span></h3>' +
+            '<div class="deal-detail-extra-content" style="display:none;"><div class="activity-timeline-loading">Loading...</div></div>' +
+        '</div>';
+    }).join('');
+}
+
+function _bindDealDetailSections(modal, deal, close) {
+    var disposers = [];
+    var ctx = {
+        modal: modal,
+        dealPipelineId: deal.DealPipelineId || (deal._original && deal._original.DealPipelineId) || null,
+        projectId: deal.ProjectId || (deal._original && deal._original.ProjectId) || null,
+        close: close
+    };
+    _dealDetailSectionsFor(deal).forEach(function(s) {
+        var wrap = modal.querySelector('.deal-detail-extra-section[data-section-id="' + s.id + '"]');
+        if (!wrap) return;
+        var toggle = wrap.querySelector('.deal-detail-extra-toggle');
+        var content = wrap.querySelector('.deal-detail-extra-content');
+        var loaded = false;
+        var sectionCtx = Object.assign({}, ctx, {
+            reload: function() {
+                content.innerHTML = '<div class="activity-timeline-loading">Loading...</div>';
+                load();
+            }
+        });
+        function load() {
+            loaded = true;
+            try {
+                Promise.resolve(s.render(content, deal, sectionCtx)).catch(function(err) {
+                    content.innerHTML = '<div class="activity-timeline-empty">Could not load ' + escapeHtml((s.title || '').toLowerCase()) + ': ' + escapeHtml(err.message || 'Unknown error') + '</div>';
+                });
+            } catch (err) {
+                content.innerHTML = '<div class="activity-timeline-empty">Could not load ' + escapeHtml((s.title || '').toLowerCase()) + ': ' + escapeHtml(err.message || 'Unknown error') + '</div>';
+            }
+        }
+        function setOpen(open) {
+            content.style.display = open ? 'block' : 'none';
+            var arrow = toggle.querySelector('.deal-detail-history-arrow');
+            if (arrow) arrow.style.transform = open ? 'rotate(90deg)' : '';
+            if (open && !loaded) load();
+        }
+        toggle.addEventListener('click', function() { setOpen(content.style.display === 'none'); });
+        if (s.open) setOpen(true);
+        if (typeof s.dispose === 'function') {
+            disposers.push(function() {
+                if (!loaded) return;
+                try { s.dispose(content, deal); } catch (e) { console.warn('Deal detail section dispose failed:', s.id, e); }
+            });
+        }
+    });
+    return function() { disposers.forEach(function(fn) { fn(); }); };
+}
+
 // Show deal detail page
 function showDealDetail(deal) {
     const stage = normalizeStage(deal.Stage || deal.stage);
@@ -601,7 +681,7 @@ function showDealDetail(deal) {
                 </div>
                 <h2>${escapeHtml(deal.Name || deal.name || 'Unnamed Deal')}</h2>
                 <div class="deal-detail-header-actions">
-                    ${(typeof canEdit === 'function' ? canEdit() : (typeof isAuthenticated !== 'undefined' && isAuthenticated)) ? '<button type="button" class="deal-detail-edit-btn deal-edit-btn-small" aria-label="Edit deal">Edit</button>' : ''}
+                    ${can('editDeal', deal) ? '<button type="button" class="deal-detail-edit-btn deal-edit-btn-small" aria-label="Edit deal">Edit</button>' : ''}
                     <button class="deal-detail-close" aria-label="Close">&times;</button>
                 </div>
             </div>
@@ -659,13 +739,13 @@ function showDealDetail(deal) {
                 </div>
                 <div class="deal-detail-section deal-detail-files-section" id="deal-detail-files-section" data-deal-pipeline-id="${deal.DealPipelineId || deal._original?.DealPipelineId || ''}">
                     <h3>Files</h3>
-                    <p class="deal-detail-files-desc">${typeof isAuthenticated !== 'undefined' && isAuthenticated ? 'View, download, upload, rename, or delete files.' : 'View and download files. Only admins can upload, rename, or delete.'}</p>
+                    <p class="deal-detail-files-desc">${can('manageFiles', deal) ? 'View, download, upload, rename, or delete files.' : 'View and download files. Only admins and editors can upload, rename, or delete.'}</p>
                     <p class="deal-detail-files-map-tip">To have this deal show on the map: either <strong>manually enter Latitude and Longitude</strong> in the deal form (Edit or Core Data Management), or <strong>upload a .kmz file</strong> below—coordinates will be extracted and placed on the map.</p>
                     <div class="deal-detail-files-message" id="deal-detail-files-message" role="status" aria-live="polite"></div>
                     <input type="file" id="deal-detail-file-version-input" accept="*" style="display: none;" />
                     <div class="deal-detail-files-subsections" id="deal-detail-files-subsections">
                         <div class="deal-detail-files-subsection deal-detail-files-single" data-section="Other">
-                            <div class="deal-detail-files-upload" id="deal-detail-files-upload-wrap" style="${typeof isAuthenticated !== 'undefined' && isAuthenticated ? '' : 'display: none;'}">
+                            <div class="deal-detail-files-upload" id="deal-detail-files-upload-wrap" style="${can('manageFiles', deal) ? '' : 'display: none;'}">
                                 <input type="file" class="deal-detail-file-input" data-section="Other" multiple />
                                 <button type="button" class="deal-detail-upload-btn" data-section="Other">Upload</button>
                             </div>
@@ -829,6 +909,7 @@ function showDealDetail(deal) {
                     </div>
                 </div>
                 ` : ''}
+                ${_dealDetailSectionsHtml(deal)}
                 <div class="deal-detail-section deal-detail-history-section">
                     <h3 class="deal-detail-history-toggle" style="cursor:pointer;">History <span class="deal-detail-history-arrow" style="font-size:0.8em;">&#9654;</span></h3>
                     <div class="deal-detail-history-content" id="deal-detail-history-content" style="display:none;">
@@ -916,7 +997,7 @@ function showDealDetail(deal) {
         try {
             var res = await API.listDealPipelineAttachments(dealPipelineId);
             var list = res.data || [];
-            var canEditFiles = (typeof window.canEdit === 'function' ? window.canEdit() : (typeof isAuthenticated !== 'undefined' && isAuthenticated));
+            var canEditFiles = can('manageFiles', deal);
             var emptyMsg = canEditFiles ? 'No files attached. Upload using the button above.' : 'No files attached.';
             if (list.length === 0) {
                 sectionKeys.forEach(function (k) {
@@ -1252,8 +1333,10 @@ function showDealDetail(deal) {
     };
     document.addEventListener('keydown', escapeHandler);
 
+    let disposeSections = null;
     const closeModal = () => {
         document.removeEventListener('keydown', escapeHandler);
+        if (disposeSections) disposeSections();
         animateModalClose(modal, () => {
             document.body.classList.remove('deal-modal-open');
             modal.remove();
@@ -1290,7 +1373,7 @@ function showDealDetail(deal) {
                 var dealId = deal.DealPipelineId || (deal._original && deal._original.DealPipelineId);
                 if (dealId && typeof API !== 'undefined' && typeof API.getDealActivity === 'function') {
                     API.getDealActivity(dealId).then(function(res) {
-                        var items = (res && res.data) || (Array.isArray(res) ? res : []);
+                        var items = apiList(res);
                         if (!items.length) {
                             historyContent.innerHTML = '<div class="activity-timeline-empty">No activity recorded for this deal.</div>';
                             return;
@@ -1326,6 +1409,8 @@ function showDealDetail(deal) {
         });
     }
 
+    disposeSections = _bindDealDetailSections(modal, deal, closeModal);
+
     // Previous/Next deal navigation
     if (nav.prev) {
         modal.querySelector('.deal-detail-prev').addEventListener('click', function() {
@@ -0,0 +1,425 @@
+/**
+ * app-deal-duplicates.js — Duplicate deal finder: scores every pair of deals by name similarity
+ * (fuzzyMatchProjectName), distance between coordinates and matching acreage / price, and lets an admin
+ * merge a pair: pick the surviving value per field; the server moves the duplicate's files, contacts and
+ * activity to the surviving deal and deletes it.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var DUPLICATE_DISMISSED_KEY = 'dealPipeline_dismissedDuplicates';
+var DUPLICATE_MIN_SCORE = 40;
+
+/**
+ * Every deal field the merge can carry over: the grid's columns in grid order (Bank and Sq Ft Price
+ * included, though the grid shows them read-only), then the stored fields the grid does not show.
+ */
+var DEAL_MERGE_FIELDS = [
+    { key: 'ProjectName', label: 'Project Name' },
+    { key: 'Stage', label: 'Stage' },
+    { key: 'Priority', label: 'Priority' },
+    { key: 'City', label: 'City' },
+    { key: 'State', label: 'State' },
+    { key: 'Region', label: 'Region' },
+    { key: 'Latitude', label: 'Latitude' },
+    { key: 'Longitude', label: 'Longitude' },
+    { key: 'ProductType', label: 'Product Type' },
+    { key: 'Bank', label: 'Bank' },
+    { key: 'StartDate', label: 'Start Date' },
+    { key: 'UnitCount', label: 'Unit Count' },
+    { key: 'PreConManagerId', label: 'Pre-Con Manager' },
+    { key: 'Acreage', label: 'Acreage' },
+    { key: 'LandPrice', label: 'Land Price' },
+    { key: 'SqFtPrice', label: 'Sq Ft Price' },
+    { key: 'ExecutionDate', label: 'Execution Date' },
+    { key: 'DueDiligenceDate', label: 'Due Diligence Date' },
+    { key: 'ClosingDate', label: 'Closing Date' },
+    { key: 'ConstructionLoanClosingDate', label: 'Construction Loan Closing' },
+    { key: 'PurchasingEntity', label: 'Purchasing Entity' },
+    { key: 'Cash', label: 'Cash' },
+    { key: 'OpportunityZone', label: 'Opportunity Zone' },
+    { key: 'BrokerReferralContactId', label: 'Broker/Referral' },
+    { key: 'PriceRaw', label: 'Price (raw)' },
+    { key: 'ListingStatus', label: 'Listed/Unlisted' },
+    { key: 'Zoning', label: 'Zoning' },
+    { key: 'County', label: 'County/Parish' },
+    { key: 'Notes', label: 'Notes' },
+    { key: 'ZipCode', label: 'Zip Code' },
+    { key: 'MFAcreage', label: 'MF Acreage' },
+    { key: 'Zoned', label: 'Zoned' },
+    { key: 'BrokerReferralSource', label: 'Broker/Referral Source' }
+];
+
+var _DUP_STOP_WORDS = ['the', 'at', 'of', 'and', 'on', 'project', 'apartments', 'apartment', 'llc', 'inc', 'site', 'tract', 'land', 'phase'];
+
+function _dupId(d) {
+    return d.DealPipelineId;
+}
+
+function _dupPairKey(a, b) {
+    return [_dupId(a), _dupId(b)].sort(function(x, y) { return x - y; }).join(':');
+}
+
+function _dupDismissed() {
+    try { return JSON.parse(localStorage.getItem(DUPLICATE_DISMISSED_KEY) || '[]') || []; } catch (e) { return []; }
+}
+
+function _dupDismiss(key) {
+    var list = _dupDismissed();
+    if (list.indexOf(key) === -1) list.push(key);
+    try { localStorage.setItem(DUPLICATE_DISMISSED_KEY, JSON.stringify(list)); } catch (e) { /* ignore */ }
+}
+
+function _dupWords(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').split(' ').filter(function(w) {
+        return w.length > 1 && _DUP_STOP_WORDS.indexOf(w) === -1;
+    });
+}
+
+function _dupNum(v) {
+    var n = v == null || v === '' ? NaN : parseFloat(v);
+    return isNaN(n) || n <= 0 ? null : n;
+}
+
+function _dupDistanceMiles(a, b) {
+    var lat1 = parseFloat(a.Latitude), lon1 = parseFloat(a.Longitude);
+    var lat2 = parseFloat(b.Latitude), lon2 = parseFloat(b.Longitude);
+    if ([lat1, lon1, lat2, lon2].some(isNaN) || (!lat1 && !lon1) || (!lat2 && !lon2)) return null;
+    var rad = Math.PI / 180;
+    var dLat = (lat2 - lat1) * rad;
+    var dLon = (lon2 - lon1) * rad;
+    var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 3958.8 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Score one pair out of 100: name up to 50, distance up to 30, acreage 10, price 10. Returns
+ * { score, reasons } — reasons are the short labels shown in the list.
+ */
+function scoreDuplicatePair(a, b) {
+    var score = 0;
+    var reasons = [];
+    var nameA = String(a.ProjectName || '').trim();
+    var nameB = String(b.ProjectName || '').trim();
+    if (nameA && nameA.toLowerCase() === nameB.toLowerCase()) {
+        score += 50;
+        reasons.push('Same name');
+    } else if (fuzzyMatchProjectName(nameA, nameB)) {
+        score += 40;
+        reasons.push('Similar names');
+    } else {
+        var wa = _dupWords(nameA), wb = _dupWords(nameB);
+        var shared = wa.filter(function(w) { return wb.indexOf(w) !== -1; }).length;
+        var overlap = shared / (Math.max(wa.length, wb.length) || 1);
+        if (overlap >= 0.5) {
+            score += Math.round(overlap * 30);
+            reasons.push('Names share ' + shared + ' word' + (shared !== 1 ? 's' : ''));
+        }
+    }
+
+    var miles = _dupDistanceMiles(a, b);
+    if (miles != null && miles <= 3) {
+        score += miles <= 0.25 ? 30 : (miles <= 1 ? 20 : 8);
+        reasons.push(miles < 0.1 ? 'Same location' : miles.toFixed(1) + ' mi apart');
+    }
+
+    var acA = _dupNum(a.Acreage), acB = _dupNum(b.Acreage);
+    if (acA && acB && Math.abs(acA - acB) <= Math.max(acA, acB) * 0.02) {
+        score += 10;
+        reasons.push('Same acreage');
+    }
+    var prA = _dupNum(a.LandPrice), prB = _dupNum(b.LandPrice);
+    if (prA && prB && Math.abs(prA - prB) <= Math.max(prA, prB) * 0.01) {
+        score += 10;
+        reasons.push('Same price');
+    }
+    return { score: Math.min(score, 100), reasons: reasons };
+}
+
+/** Likely duplicate pairs, best first. Pairs marked "Not a duplicate" are left out. */
+function findDuplicateDeals(deals) {
+    var dismissed = _dupDismissed();
+    var pairs = [];
+    for (var i = 0; i < deals.length; i++) {
+        for (var j = i + 1; j < deals.length; j++) {
+            var a = deals[i], b = deals[j];
+            if (dismissed.indexOf(_dupPairKey(a, b)) !== -1) continue;
+            var result = scoreDuplicatePair(a, b);
+            if (result.score >= DUPLICATE_MIN_SCORE) pairs.push({ a: a, b: b, score: result.score, reasons: result.reasons });
+        }
+    }
+    return pairs.sort(function(x, y) { return y.score - x.score; });
+}
+
+function _dupSummary(d) {
+    return [normalizeStage(d.Stage), [d.City, d.State].filter(Boolean).join(', '), _dupNum(d.Acreage) ? d.Acreage + ' ac' : '']
+        .filter(Boolean).map(function(s) { return escapeHtml(String(s)); }).join(' · ');
+}
+
+function _dupValue(d, key) {
+    if (key === 'UnitCount') return d.UnitCount != null ? d.UnitCount : d.Units;
+    return d[key];
+}
+
+/** The merge fields of one deal. */
+function _dupPick(d) {
+    var out = {};
+    DEAL_MERGE_FIELDS.forEach(function(f) { out[f.key] = _dupValue(d, f.key); });
+    return out;
+}
+
+function _dupDisplay(v) {
+    if (v == null || v === '') return '<span class="due-diligence-due">(empty)</span>';
+    var s = String(v);
+    if (/^\d{4}-\d{2}-\d{2}T/.test(s)) s = s.slice(0, 10);
+    return escapeHtml(s.length > 120 ? s.slice(0, 120) + '…' : s);
+}
+
+/* ---------- Merge dialog ---------- */
+
+/**
+ * The deal a merge 409 is about, with the server's current copy. The body names it ('survivor' or
+ * 'duplicate'); when it does not, both deals are re-fetched and the one whose version moved is stale.
+ */
+async function _dupStaleDeal(err, survivor, other) {
+    var body = err.response || {};
+    var named = body.conflict === 'duplicate' ? other : (body.conflict === 'survivor' ? survivor : null);
+    if (named && body.data && body.data.DealPipelineId != null) return { deal: named, current: body.data };
+    var candidates = named ? [named] : [survivor, other];
+    for (var i = 0; i < candidates.length; i++) {
+        var res = await API.getDealPipelineById(_dupId(candidates[i]));
+        var current = res && res.data;
+        if (current && (named || dealVersionOf(current) !== dealVersionOf(candidates[i]))) return { deal: candidates[i], current: current };
+    }
+    return null;
+}
+
+/**
+ * Pick the surviving deal and the value to keep for each field that differs. Resolves when the merge is
+ * done (true) or the dialog is closed (false).
+ */
+function openDealMergeDialog(a, b) {
+    if (!requireCapability('deleteDeal')) return Promise.resolve(false);
+    return new Promise(function(resolve) {
+        // The deal entered first survives by default
+        var survivor = _dupId(a) < _dupId(b) ? a : b;
+        var notice = '';
+        var modal = document.createElement('div');
+        modal.className = 'deal-detail-overlay contacts-modal-overlay';
+        document.body.appendChild(modal);
+
+        var escHandler = function(e) { if (e.key === 'Escape') done(false); };
+        document.addEventListener('keydown', escHandler);
+        function done(merged) {
+            document.removeEventListener('keydown', escHandler);
+            modal.remove();
+            resolve(merged);
+        }
+
+        function render() {
+            var other = survivor === a ? b : a;
+            // diffDealEdit with no base lists the fields where the two deals disagree
+            var rows = diffDealEdit(null, _dupPick(survivor), _dupPick(other));
+            var label = function(key) { return DEAL_MERGE_FIELDS.filter(function(f) { return f.key === key; })[0].label; };
+            modal.innerHTML =
+                '<div class="contacts-modal deal-merge-modal deal-dup-merge-modal" role="dialog" aria-modal="true" aria-labelledby="deal-dup-merge-title">' +
+                    '<h3 id="deal-dup-merge-title">Merge duplicate deals</h3>' +
+                    '<div class="deal-dup-survivor">Keep: ' + [a, b].map(function(d) {
+                        return '<label class="deal-merge-choice"><input type="radio" name="deal-dup-survivor" value="' + _dupId(d) + '"' + (d === survivor ? ' checked' : '') + ' /> ' +
+                            '<strong>' + escapeHtml(d.ProjectName || 'Deal ' + _dupId(d)) + '</strong> <span class="due-diligence-due">#' + _dupId(d) + '</span></label>';
+                    }).join('') + '</div>' +
+                    '<p class="contacts-reminder-desc"><strong>' + escapeHtml(other.ProjectName || 'Deal ' + _dupId(other)) + '</strong> will be deleted. Its files, people and activity move to ' +
+                        '<strong>' + escapeHtml(survivor.ProjectName || 'Deal ' + _dupId(survivor)) + '</strong>. Choose the value to keep where they differ.</p>' +
+                    (rows.length ? '<table class="custom-fields-manager-table deal-merge-table"><thead><tr><th>Field</th><th>Keep</th><th>Delete</th></tr></thead><tbody>' +
+                        rows.map(function(r, i) {
+                            // Prefer the surviving deal's value unless it is blank
+                            var side = r.yours == null || r.yours === '' ? 'theirs' : 'yours';
+                            var radio = function(s, value) {
+                                return '<label class="deal-merge-choice"><input type="radio" name="deal-dup-field-' + i + '" value="' + s + '"' + (side === s ? ' checked' : '') + ' /> ' + _dupDisplay(value) + '</label>';
+                            };
+                            return '<tr class="deal-merge-row"><th>' + escapeHtml(label(r.key)) + '</th><td>' + radio('yours', r.yours) + '</td><td>' + radio('theirs', r.theirs) + '</td></tr>';
+                        }).join('') + '</tbody></table>'
+                    : '<p class="activity-timeline-empty">The two deals have the same values.</p>') +
+                    '<p class="custom-fields-detail-error" role="alert"' + (notice ? '>' + escapeHtml(notice) : ' style="display:none;">') + '</p>' +
+                    '<div class="contacts-form-actions">' +
+                        '<button type="button" class="contacts-btn contacts-save-btn deal-dup-merge-btn">Merge</button>' +
+                        '<button type="button" class="contacts-btn contacts-cancel-btn">Cancel</button>' +
+                    '</div>' +
+                '</div>';
+
+            modal.querySelectorAll('input[name="deal-dup-survivor"]').forEach(function(input) {
+                input.addEventListener('change', function() {
+                    survivor = String(_dupId(a)) === input.value ? a : b;
+                    notice = '';
+                    render();
+                });
+            });
+            modal.querySelector('.contacts-cancel-btn').addEventListener('click', function() { done(false); });
+            /**
+             * Both deals' versions go out with the merge. A 409 on the surviving deal goes through the
+             * same merge dialog as an edit conflict and the merge is retried with the values chosen there.
+             * A 409 on the duplicate shows what changed on it, then reloads this dialog with its new values
+             * so they can be picked again. Resolves with the API result, or null when the user gives up.
+             */
+            async function submit(fields) {
+                try {
+                    return await API.mergeDealPipelines(_dupId(survivor), _dupId(other), fields, {
+                        survivor: dealVersionOf(survivor),
+                        duplicate: dealVersionOf(other)
+                    });
+                } catch (err) {
+                    if (!isDealConflictError(err)) throw err;
+                    var stale = await _dupStaleDeal(err, survivor, other);
+                    if (!stale) throw err;
+                    var base = _dupPick(stale.deal);
+                    var mine = stale.deal === survivor ? Object.assign({}, base, fields) : base;
+                    var merged = await showDealMergeDialog(stale.deal.ProjectName, base, mine, stale.current);
+                    if (!merged) return null;
+                    Object.assign(stale.deal, stale.current);
+                    if (stale.deal === other) {
+                        notice = (other.ProjectName || 'Deal ' + _dupId(other)) + ' was changed by someone else. Its current values are shown; choose again and merge.';
+                        render();
+                        return null;
+                    }
+                    // Keep theirs drops the values taken from the duplicate; otherwise send what differs from the server copy
+                    var next = {};
+                    diffDealEdit(null, merged, _dupPick(stale.current)).forEach(function(r) { next[r.key] = r.yours != null ? r.yours : null; });
+                    return submit(next);
+                }
+            }
+
+            modal.querySelector('.deal-dup-merge-btn').addEventListener('click', async function() {
+                var btn = this;
+                var errEl = modal.querySelector('.custom-fields-detail-error');
+                var fields = {};
+                rows.forEach(function(r, i) {
+                    var checked = modal.querySelector('input[name="deal-dup-field-' + i + '"]:checked');
+                    if (checked && checked.value === 'theirs') fields[r.key] = r.theirs != null ? r.theirs : null;
+                });
+                var ok = await domoConfirm('Merge "' + (other.ProjectName || 'Deal ' + _dupId(other)) + '" into "' + (survivor.ProjectName || 'Deal ' + _dupId(survivor)) + '"? The duplicate is deleted. This cannot be undone.', { confirmLabel: 'Merge' });
+                if (!ok) return;
+                btn.disabled = true;
+                errEl.style.display = 'none';
+                try {
+                    var res = await submit(fields);
+                    if (!res) {
+                        btn.disabled = false;
+                        return;
+                    }
+                    var moved = (res && res.data && res.data.moved) || {};
+                    var parts = [['attachments', 'file'], ['contacts', 'person', 'people'], ['activity', 'activity item']]
+                        .filter(function(p) { return moved[p[0]]; })
+                        .map(function(p) { return moved[p[0]] + ' ' + (moved[p[0]] === 1 ? p[1] : (p[2] || p[1] + 's')); });
+                    showToast('Merged into ' + (survivor.ProjectName || 'deal ' + _dupId(survivor)) + (parts.length ? '; moved ' + parts.join(', ') : '') + '.', 'success');
+                    done(true);
+                } catch (err) {
+                    btn.disabled = false;
+                    errEl.textContent = isDealConflictError(err)
+                        ? 'One of these deals was changed since the list loaded. Close this dialog and run the check again.'
+                        : (err.message || 'Failed to merge deals.');
+                    errEl.style.display = 'block';
+                }
+            });
+        }
+        render();
+    });
+}
+
+/* ---------- Finder ---------- */
+
+async function openDuplicateFinder() {
+    var modal = document.createElement('div');
+    modal.className = 'deal-detail-overlay contacts-modal-overlay';
+    modal.innerHTML =
+        '<div class="contacts-modal deal-dup-modal" role="dialog" aria-modal="true" aria-labelledby="deal-dup-title">' +
+            '<h3 id="deal-dup-title">Possible duplicate deals</h3>' +
+            '<div class="deal-dup-body"></div>' +
+            '<div class="contacts-form-actions"><button type="button" class="contacts-btn contacts-cancel-btn">Close</button></div>' +
+        '</div>';
+    document.body.appendChild(modal);
+    var body = modal.querySelector('.deal-dup-body');
+    var mergedAny = false;
+
+    var escHandler = function(e) { if (e.key === 'Escape' && !document.querySelector('.deal-dup-merge-modal')) close(); };
+    document.addEventListener('keydown', escHandler);
+    function close() {
+        document.removeEventListener('keydown', escHandler);
+        modal.remove();
+        if (mergedAny && typeof refreshDealsFromApi === 'function') {
+            refreshDealsFromApi().catch(function(e) { console.warn('Refresh after merge:', e); });
+        }
+    }
+    modal.querySelector('.contacts-cancel-btn').addEventListener('click', close);
+
+    async function load() {
+        body.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Comparing deals…</div>';
+        var deals;
+        try {
+            var res = await API.getAllDealPipelines({ forceApi: true });
+            deals = deduplicateDbDealsByDealPipelineId(apiList(res)).filter(canViewDeal);
+        } catch (err) {
+            body.innerHTML = '<p class="contacts-error">Could not load deals: ' + escapeHtml(err.message || 'Unknown error') + '</p>';
+            return;
+        }
+        var pairs = findDuplicateDeals(deals);
+        var canMerge = can('deleteDeal');
+        if (!pairs.length) {
+            body.innerHTML = '<p class="activity-timeline-empty">No likely duplicates among ' + deals.length + ' deals.</p>';
+            return;
+        }
+        body.innerHTML =
+            '<p class="contacts-reminder-desc">' + pairs.length + ' pair' + (pairs.length !== 1 ? 's' : '') + ' scored ' + DUPLICATE_MIN_SCORE +
+                ' or more out of 100 (name up to 50, distance up to 30, acreage 10, price 10).' + (canMerge ? '' : ' Only admins can merge.') + '</p>' +
+            '<table class="custom-fields-manager-table deal-dup-table"><thead><tr><th>Score</th><th>Deal</th><th>Possible duplicate</th><th>Why</th><th></th></tr></thead><tbody>' +
+                pairs.map(function(p, i) {
+                    var cell = function(d) {
+                        return '<a href="#" class="deal-dup-open" data-deal-id="' + _dupId(d) + '">' + escapeHtml(d.ProjectName || 'Deal ' + _dupId(d)) + '</a>' +
+                            '<div class="due-diligence-due">' + _dupSummary(d) + '</div>';
+                    };
+                    return '<tr data-idx="' + i + '">' +
+                        '<td><span class="deal-dup-score' + (p.score >= 70 ? ' deal-dup-score-high' : '') + '">' + p.score + '</span></td>' +
+                        '<td>' + cell(p.a) + '</td><td>' + cell(p.b) + '</td>' +
+                        '<td>' + p.reasons.map(escapeHtml).join(' · ') + '</td>' +
+                        '<td class="custom-fields-manager-actions">' +
+                            (canMerge ? '<button type="button" class="contacts-btn deal-dup-merge">Merge…</button>' : '') +
+                            '<button type="button" class="contacts-btn deal-dup-dismiss">Not a duplicate</button>' +
+                        '</td></tr>';
+                }).join('') +
+            '</tbody></table>';
+
+        body.querySelectorAll('.deal-dup-open').forEach(function(link) {
+            link.addEventListener('click', function(e) {
+                e.preventDefault();
+                var deal = (window.allDeals || []).filter(function(d) { return String(d.DealPipelineId) === link.dataset.dealId; })[0];
+                if (deal) {
+                    close();
+                    showDealDetail(deal);
+                } else showToast('This deal is not in the current pipeline list.', 'info');
+            });
+        });
+        body.querySelectorAll('tr[data-idx]').forEach(function(tr) {
+            var pair = pairs[parseInt(tr.dataset.idx, 10)];
+            tr.querySelector('.deal-dup-dismiss').addEventListener('click', function() {
+                _dupDismiss(_dupPairKey(pair.a, pair.b));
+                tr.remove();
+            });
+            var mergeBtn = tr.querySelector('.deal-dup-merge');
+            if (mergeBtn) {
+                mergeBtn.addEventListener('click', async function() {
+                    if (await openDealMergeDialog(pair.a, pair.b)) {
+                        mergedAny = true;
+                        load();
+                    }
+                });
+            }
+        });
+    }
+    load();
+}
+
+window.scoreDuplicatePair = scoreDuplicatePair;
+window.findDuplicateDeals = findDuplicateDeals;
+window.openDealMergeDialog = openDealMergeDialog;
+window.openDuplicateFinder = openDuplicateFinder;
+document.getElementById('find-duplicates-admin-btn')?.addEventListener('click', openDuplicateFinder);
@@ -0,0 +1,543 @@
+/**
+ * app-deal-import.js — Import deals from broker lists and old trackers (.xlsx via ExcelJS, or .csv).
+ * Three steps: map spreadsheet columns to deal fields (remembered per column header), a dry run that
+ * matches rows to existing deals (fuzzyMatchProjectName) and lists creates / updates, then the commit.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var DEAL_IMPORT_MAPPINGS_KEY = 'dealPipeline_importMappings';
+
+var DEAL_IMPORT_FIELDS = [
+    { key: 'ProjectName', label: 'Project Name', type: 'text', aliases: ['name', 'deal', 'deal name', 'project', 'property', 'property name', 'site'] },
+    { key: 'Stage', label: 'Stage', type: 'stage', aliases: ['status', 'deal stage'] },
+    { key: 'City', label: 'City', type: 'text', aliases: ['town', 'market'] },
+    { key: 'State', label: 'State', type: 'state', aliases: ['st'] },
+    { key: 'Region', label: 'Region', type: 'text', aliases: [] },
+    { key: 'County', label: 'County/Parish', type: 'text', aliases: ['parish', 'county parish'] },
+    { key: 'ZipCode', label: 'Zip Code', type: 'text', aliases: ['zip', 'postal code'] },
+    { key: 'ProductType', label: 'Product Type', type: 'text', aliases: ['product'] },
+    { key: 'UnitCount', label: 'Units', type: 'number', aliases: ['unit count', 'units', '# units', 'number of units'] },
+    { key: 'Acreage', label: 'Acreage', type: 'number', aliases: ['acres', 'ac', 'total acres', 'total acreage'] },
+    { key: 'MFAcreage', label: 'MF Acreage', type: 'number', aliases: ['mf acres'] },
+    { key: 'LandPrice', label: 'Land Price', type: 'number', aliases: ['price', 'asking price', 'purchase price'] },
+    { key: 'PriceRaw', label: 'Price (raw)', type: 'text', aliases: ['price notes'] },
+    { key: 'Zoning', label: 'Zoning', type: 'text', aliases: ['zone'] },
+    { key: 'Zoned', label: 'Zoned (Yes/No/Partially)', type: 'text', aliases: [] },
+    { key: 'ListingStatus', label: 'Listed/Unlisted', type: 'listing', aliases: ['listing', 'listing status', 'listed'] },
+    { key: 'BrokerReferralSource', label: 'Broker/Referral Source', type: 'text', aliases: ['broker', 'referral', 'source', 'broker referral'] },
+    { key: 'Priority', label: 'Priority', type: 'priority', aliases: [] },
+    { key: 'StartDate', label: 'Start Date', type: 'date', aliases: ['construction start'] },
+    { key: 'ExecutionDate', label: 'Execution Date', type: 'date', aliases: ['psa date', 'contract date'] },
+    { key: 'DueDiligenceDate', label: 'Due Diligence Date', type: 'date', aliases: ['dd date', 'due diligence'] },
+    { key: 'ClosingDate', label: 'Closing Date', type: 'date', aliases: ['close date', 'closing'] },
+    { key: 'PurchasingEntity', label: 'Purchasing Entity', type: 'text', aliases: ['entity', 'buyer'] },
+    { key: 'Latitude', label: 'Latitude', type: 'number', aliases: ['lat'] },
+    { key: 'Longitude', label: 'Longitude', type: 'number', aliases: ['lng', 'lon', 'long'] },
+    { key: 'Notes', label: 'Notes', type: 'text', aliases: ['comments', 'note'] }
+];
+
+var DEAL_IMPORT_STAGES = ['Prospective', 'Under Review', 'Under Contract', 'Under Construction', 'Lease-Up', 'Stabilized', 'Liquidated', 'Closed',
+    'Commercial Land - Listed', 'Rejected', 'Dead', 'Other', 'START'];
+
+function _diHeaderKey(header) {
+    return String(header == null ? '' : header).toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim();
+}
+
+function _diField(key) {
+    return DEAL_IMPORT_FIELDS.filter(function(f) { return f.key === key; })[0] || null;
+}
+
+function _diLoadMappings() {
+    try { return JSON.parse(localStorage.getItem(DEAL_IMPORT_MAPPINGS_KEY) || '{}') || {}; } catch (e) { return {}; }
+}
+
+/** Remember the column → field choices by header text; an explicit "ignore" is remembered as ''. */
+function _diSaveMappings(headers, mapping) {
+    var saved = _diLoadMappings();
+    headers.forEach(function(h, i) {
+        var k = _diHeaderKey(h);
+        if (k) saved[k] = mapping[i] || '';
+    });
+    try { localStorage.setItem(DEAL_IMPORT_MAPPINGS_KEY, JSON.stringify(saved)); } catch (e) { /* ignore */ }
+}
+
+function _diGuessField(header, remembered) {
+    var k = _diHeaderKey(header);
+    if (!k) return '';
+    if (Object.prototype.hasOwnProperty.call(remembered, k)) return remembered[k];
+    var match = DEAL_IMPORT_FIELDS.filter(function(f) {
+        return _diHeaderKey(f.key.replace(/([a-z])([A-Z])/g, '$1 $2')) === k || _diHeaderKey(f.label) === k || f.aliases.indexOf(k) !== -1;
+    })[0];
+    return match ? match.key : '';
+}
+
+/* ---------- Reading files ---------- */
+
+function _diParseCsv(text) {
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+    for (var i = 0; i < text.length; i++) {
+        var ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/** Plain value of an ExcelJS cell (formula results, rich text and hyperlinks unwrapped). */
+function _diCellValue(v) {
+    if (v == null) return '';
+    if (v instanceof Date) return v;
+    if (typeof v === 'object') {
+        if (v.result !== undefined) return _diCellValue(v.result);
+        if (Array.isArray(v.richText)) return v.richText.map(function(t) { return t.text; }).join('');
+        if (v.text !== undefined) return _diCellValue(v.text);
+        return '';
+    }
+    return v;
+}
+
+/** Resolves { headers, rows } from the first worksheet (xlsx) or the file (csv). Header row = first non-empty row. */
+async function _diReadFile(file) {
+    var name = (file.name || '').toLowerCase();
+    var grid;
+    if (/\.csv$/.test(name)) {
+        grid = _diParseCsv(await file.text());
+    } else if (/\.xlsx$/.test(name)) {
+        if (typeof ExcelJS === 'undefined') throw new Error('Excel library not loaded. Please refresh the page and try again.');
+        var workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await file.arrayBuffer());
+        var sheet = workbook.worksheets.filter(function(ws) { return ws.actualRowCount > 0; })[0];
+        if (!sheet) throw new Error('The workbook has no data.');
+        grid = [];
+        sheet.eachRow({ includeEmpty: false }, function(row) {
+            var values = [];
+            for (var c = 1; c <= sheet.columnCount; c++) values.push(_diCellValue(row.getCell(c).value));
+            grid.push(values);
+        });
+    } else {
+        throw new Error('Choose an .xlsx or .csv file. Save older .xls files as .xlsx first.');
+    }
+    var isBlank = function(r) { return !r.some(function(v) { return String(v).trim() !== ''; }); };
+    grid = grid.filter(function(r) { return !isBlank(r); });
+    if (grid.length < 2) throw new Error('The file needs a header row and at least one deal.');
+    var headers = grid[0].map(function(h) { return String(h).trim(); });
+    return { headers: headers, rows: grid.slice(1) };
+}
+
+/* ---------- Values ---------- */
+
+function _diDate(raw) {
+    if (raw instanceof Date) return toNormalizedDateString(raw);
+    var s = String(raw).trim();
+    // Excel serial day: a number from a workbook, or the same number as text in a CSV export
+    if (typeof raw === 'number' || /^\d+(\.\d+)?$/.test(s)) {
+        var serial = typeof raw === 'number' ? raw : parseFloat(s);
+        return serial > 20000 && serial < 80000 ? toNormalizedDateString(new Date(Math.round((serial - 25569) * 86400000))) : '';
+    }
+    var us = s.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2}|\d{4})$/);
+    if (us) {
+        var year = us[3].length === 2 ? 2000 + parseInt(us[3], 10) : parseInt(us[3], 10);
+        return _diYmd(year, parseInt(us[1], 10), parseInt(us[2], 10));
+    }
+    var iso = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|T)/);
+    if (iso) return _diYmd(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+    // Anything else ("TBD 5", "Q3") is reported, not guessed at by Date parsing
+    return '';
+}
+
+/** YYYY-MM-DD for a calendar date, or '' when the month or day does not exist (13/45/2024, 2/30/2025). */
+function _diYmd(year, month, day) {
+    var d = new Date(Date.UTC(year, month - 1, day));
+    if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return '';
+    return year + '-' + String(month).padStart(2, '0') + '-' + String(day).padStart(2, '0');
+}
+
+/** Coerce one cell for a field. Blank cells give undefined: an import never clears an existing value. */
+function _diCoerce(field, raw) {
+    if (raw == null || (typeof raw === 'string' && raw.trim() === '')) return { value: undefined };
+    var s = raw instanceof Date ? '' : String(raw).trim();
+    switch (field.type) {
+        case 'number': {
+            if (typeof raw === 'number') return { value: raw };
+            var n = parseFloat(s.replace(/[$,\s]/g, ''));
+            return isNaN(n) ? { error: field.label + ' "' + s + '" is not a number' } : { value: n };
+        }
+        case 'date': {
+            var d = _diDate(raw);
+            return d ? { value: d } : { error: field.label + ' "' + s + '" is not a date' };
+        }
+        case 'stage': {
+            var stage = normalizeStage(s);
+            return DEAL_IMPORT_STAGES.indexOf(stage) !== -1 ? { value: stage } : { error: 'Unknown stage "' + s + '"' };
+        }
+        case 'state': {
+            var st = extractStateAbbreviation(null, s);
+            return st ? { value: st } : { error: 'State "' + s + '" is not a US state' };
+        }
+        case 'priority': {
+            var p = ['High', 'Medium', 'Low'].filter(function(x) { return x.toLowerCase() === s.toLowerCase(); })[0];
+            return p ? { value: p } : { error: 'Priority must be High, Medium or Low' };
+        }
+        case 'listing': {
+            var l = s.toLowerCase();
+            if (l === 'listed' || l === 'yes' || l === 'y') return { value: 'Listed' };
+            if (l === 'unlisted' || l === 'no' || l === 'n' || l === 'off market' || l === 'off-market') return { value: 'Unlisted' };
+            return { error: 'Listed/Unlisted "' + s + '" not recognised' };
+        }
+        default:
+            return { value: raw instanceof Date ? toNormalizedDateString(raw) : s };
+    }
+}
+
+/* ---------- Dry run ---------- */
+
+/** Existing deal for an imported name: exact (case-insensitive) first, then fuzzy. */
+function _diFindMatch(name, deals) {
+    var lower = name.toLowerCase();
+    var exact = deals.filter(function(d) { return String(d.ProjectName || '').trim().toLowerCase() === lower; })[0];
+    if (exact) return exact;
+    return deals.filter(function(d) { return fuzzyMatchProjectName(d.ProjectName, name); })[0] || null;
+}
+
+/**
+ * Build the import plan without writing anything. Each entry: { rowNumber, name, data, errors, action
+ * ('create' | 'update' | 'unchanged' | 'error'), match, changes, include }.
+ */
+function _diPlan(sheet, mapping, deals) {
+    var seen = [];
+    return sheet.rows.map(function(cells, i) {
+        var entry = { rowNumber: i + 2, data: {}, errors: [], changes: [], match: null, include: false };
+        mapping.forEach(function(key, c) {
+            if (!key) return;
+            var res = _diCoerce(_diField(key), cells[c]);
+            if (res.error) entry.errors.push(res.error);
+            else if (res.value !== undefined) entry.data[key] = res.value;
+        });
+        entry.name = entry.data.ProjectName || '';
+        if (!entry.name) entry.errors.push('Project Name is empty');
+        if (entry.errors.length) {
+            entry.action = 'error';
+            return entry;
+        }
+        var dupe = seen.filter(function(n) { return n.toLowerCase() === entry.name.toLowerCase() || fuzzyMatchProjectName(n, entry.name); })[0];
+        if (dupe) {
+            entry.action = 'error';
+            entry.errors.push('Same deal as "' + dupe + '" earlier in the file');
+            return entry;
+        }
+        seen.push(entry.name);
+
+        entry.match = _diFindMatch(entry.name, deals);
+        if (!entry.match) {
+            if (!can('editDeal', entry.data)) {
+                entry.action = 'error';
+                entry.errors.push(entry.data.Region ? 'Region "' + entry.data.Region + '" is outside your visibility scope' : 'Region is empty; you can only create deals in your regions');
+                return entry;
+            }
+            entry.action = 'create';
+            if (!entry.data.Stage) entry.data.Stage = 'Prospective';
+            entry.include = true;
+            return entry;
+        }
+        if (!can('editDeal', entry.match)) {
+            entry.action = 'error';
+            entry.errors.push('Matches "' + entry.match.ProjectName + '", which you cannot edit');
+            return entry;
+        }
+        // The matched deal keeps its own name; everything else that differs is an update
+        var incoming = Object.assign({}, entry.data);
+        delete incoming.ProjectName;
+        var current = Object.assign({}, entry.match, { UnitCount: entry.match.UnitCount != null ? entry.match.UnitCount : entry.match.Units });
+        entry.changes = diffDealEdit(current, incoming, current);
+        entry.action = entry.changes.length ? 'update' : 'unchanged';
+        entry.include = entry.action === 'update';
+        return entry;
+    });
+}
+
+function _diDisplay(v) {
+    if (v == null || v === '') return '(empty)';
+    var s = String(v);
+    return /^\d{4}-\d{2}-\d{2}T/.test(s) ? s.slice(0, 10) : s;
+}
+
+function _diPlanRowHtml(entry, i) {
+    var detail;
+    if (entry.action === 'error') {
+        detail = '<span class="deal-import-error">' + entry.errors.map(escapeHtml).join('; ') + '</span>';
+    } else if (entry.action === 'create') {
+        detail = Object.keys(entry.data).filter(function(k) { return k !== 'ProjectName'; }).map(function(k) {
+            return escapeHtml(_diField(k).label) + ': ' + escapeHtml(_diDisplay(entry.data[k]));
+        }).join(' · ');
+        // Matching only sees the user's own deals, so a deal outside their scope would be created again
+        if (getUserScope()) {
+            detail += '<div class="due-diligence-due">No match among the deals you can see. If this deal exists outside your scope, importing creates a duplicate.</div>';
+        }
+    } else if (entry.action === 'unchanged') {
+        detail = 'Matches <strong>' + escapeHtml(entry.match.ProjectName) + '</strong>; nothing to change';
+    } else {
+        detail = 'Matches <strong>' + escapeHtml(entry.match.ProjectName) + '</strong><ul class="deal-import-changes">' + entry.changes.map(function(c) {
+            var f = _diField(c.key);
+            return '<li>' + escapeHtml(f ? f.label : c.key) + ': <del>' + escapeHtml(_diDisplay(c.original)) + '</del> → <ins>' + escapeHtml(_diDisplay(c.yours)) + '</ins></li>';
+        }).join('') + '</ul>';
+    }
+    var actionLabel = { create: 'Create', update: 'Update', unchanged: 'No change', error: 'Skip' }[entry.action];
+    return '<tr class="deal-import-' + entry.action + '" data-idx="' + i + '">' +
+        '<td><input type="checkbox" class="deal-import-include"' + (entry.include ? ' checked' : '') + (entry.action === 'create' || entry.action === 'update' ? '' : ' disabled') +
+            ' aria-label="Import row ' + entry.rowNumber + '" /></td>' +
+        '<td>' + entry.rowNumber + '</td>' +
+        '<td>' + escapeHtml(entry.name || '') + '</td>' +
+        '<td><span class="deal-import-action">' + actionLabel + '</span></td>' +
+        '<td>' + detail + '</td>' +
+    '</tr>';
+}
+
+/* ---------- Wizard ---------- */
+
+function openDealImportWizard() {
+    if (!requireCapability('editDeal')) return;
+    var modal = document.createElement('div');
+    modal.className = 'deal-detail-overlay contacts-modal-overlay';
+    modal.innerHTML =
+        '<div class="contacts-modal deal-import-modal" role="dialog" aria-modal="true" aria-labelledby="deal-import-title">' +
+            '<h3 id="deal-import-title">Import deals</h3>' +
+            '<div class="deal-import-body"></div>' +
+            '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+            '<div class="contacts-form-actions"></div>' +
+        '</div>';
+    document.body.appendChild(modal);
+
+    var body = modal.querySelector('.deal-import-body');
+    var actions = modal.querySelector('.contacts-form-actions');
+    var errEl = modal.querySelector('.custom-fields-detail-error');
+    var sheet = null;
+    var mapping = [];
+    var plan = [];
+    var busy = false;
+    var imported = false;
+
+    var escHandler = function(e) { if (e.key === 'Escape' && !busy) close(); };
+    document.addEventListener('keydown', escHandler);
+    function close() {
+        document.removeEventListener('keydown', escHandler);
+        modal.remove();
+        if (imported && typeof refreshDealsFromApi === 'function') {
+            refreshDealsFromApi().catch(function(e) { console.warn('Refresh after import:', e); });
+        }
+    }
+    function showError(msg) {
+        errEl.textContent = msg || '';
+        errEl.style.display = msg ? 'block' : 'none';
+    }
+    function setActions(buttons) {
+        actions.innerHTML = buttons.map(function(b, i) {
+            return '<button type="button" class="contacts-btn' + (b.primary ? ' contacts-save-btn' : '') + (b.cancel ? ' contacts-cancel-btn' : '') + '" data-idx="' + i + '">' + escapeHtml(b.label) + '</button>';
+        }).join('');
+        actions.querySelectorAll('button').forEach(function(btn) {
+            btn.addEventListener('click', buttons[parseInt(btn.dataset.idx, 10)].onClick);
+        });
+    }
+    var cancelButton = { label: 'Cancel', cancel: true, onClick: close };
+
+    function stepFile() {
+        showError('');
+        body.innerHTML =
+            '<p class="contacts-reminder-desc">Choose a broker list or tracker spreadsheet (.xlsx or .csv). The first non-empty row must be the column headers. Nothing is saved until you confirm the preview.</p>' +
+            '<input type="file" class="deal-import-file" accept=".xlsx,.csv" aria-label="Spreadsheet to import" />';
+        setActions([cancelButton]);
+        var input = body.querySelector('.deal-import-file');
+        input.addEventListener('change', async function() {
+            var file = input.files && input.files[0];
+            if (!file) return;
+            showError('');
+            try {
+                sheet = await _diReadFile(file);
+            } catch (err) {
+                showError(err.message || 'Could not read the file.');
+                return;
+            }
+            sheet.fileName = file.name;
+            var remembered = _diLoadMappings();
+            var used = {};
+            mapping = sheet.headers.map(function(h) {
+                var key = _diGuessField(h, remembered);
+                if (!key || used[key]) return '';
+                used[key] = true;
+                return key;
+            });
+            stepMapping();
+        });
+        input.focus();
+    }
+
+    function stepMapping() {
+        showError('');
+        body.innerHTML =
+            '<p class="contacts-reminder-desc"><strong>' + escapeHtml(sheet.fileName) + '</strong>: ' + sheet.rows.length + ' row' + (sheet.rows.length !== 1 ? 's' : '') +
+                '. Match each column to a deal field. Your choices are remembered for the next file with the same headers.</p>' +
+            '<table class="custom-fields-manager-table deal-import-mapping"><thead><tr><th>Column</th><th>First value</th><th>Deal field</th></tr></thead><tbody>' +
+                sheet.headers.map(function(h, i) {
+                    var sample = sheet.rows.map(function(r) { return r[i]; }).filter(function(v) { return v != null && String(v).trim() !== ''; })[0];
+                    return '<tr><th>' + escapeHtml(h || 'Column ' + (i + 1)) + '</th>' +
+                        '<td class="due-diligence-due">' + escapeHtml(sample == null ? '' : (sample instanceof Date ? toNormalizedDateString(sample) : String(sample)).slice(0, 60)) + '</td>' +
+                        '<td><select class="deal-import-field" data-col="' + i + '" aria-label="Deal field for ' + escapeHtml(h || 'column ' + (i + 1)) + '">' +
+                            '<option value="">— Ignore —</option>' +
+                            DEAL_IMPORT_FIELDS.map(function(f) { return '<option value="' + f.key + '"' + (mapping[i] === f.key ? ' selected' : '') + '>' + escapeHtml(f.label) + '</option>'; }).join('') +
+                        '</select></td></tr>';
+                }).join('') +
+            '</tbody></table>';
+        setActions([
+            { label: 'Preview changes', primary: true, onClick: preview },
+            { label: 'Choose another file', onClick: stepFile },
+            cancelButton
+        ]);
+    }
+
+    async function preview() {
+        mapping = Array.prototype.map.call(body.querySelectorAll('.deal-import-field'), function(sel) { return sel.value; });
+        var counts = {};
+        mapping.forEach(function(k) { if (k) counts[k] = (counts[k] || 0) + 1; });
+        var twice = Object.keys(counts).filter(function(k) { return counts[k] > 1; });
+        if (mapping.indexOf('ProjectName') === -1) {
+            showError('Map one column to Project Name.');
+            return;
+        }
+        if (twice.length) {
+            showError(twice.map(function(k) { return _diField(k).label; }).join(', ') + ' is mapped to more than one column.');
+            return;
+        }
+        showError('');
+        _diSaveMappings(sheet.headers, mapping);
+        body.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Comparing with existing deals…</div>';
+        actions.innerHTML = '';
+        var deals;
+        try {
+            var res = await API.getAllDealPipelines();
+            // Match only deals the user can see, so out-of-scope names never show in the preview
+            deals = apiList(res).filter(function(d) { return canViewDeal(d); });
+        } catch (err) {
+            stepMapping();
+            showError('Could not load existing deals: ' + (err.message || 'Unknown error'));
+            return;
+        }
+        plan = _diPlan(sheet, mapping, deals);
+        stepPreview();
+    }
+
+    function stepPreview() {
+        var tally = { create: 0, update: 0, unchanged: 0, error: 0 };
+        plan.forEach(function(e) { tally[e.action]++; });
+        body.innerHTML =
+            '<p class="contacts-reminder-desc">Dry run, nothing saved yet: <strong>' + tally.create + '</strong> new, <strong>' + tally.update + '</strong> to update, ' +
+                tally.unchanged + ' already up to date, ' + tally.error + ' with problems. Untick any row you do not want. Updates only fill in the fields shown; blank cells never clear a value.</p>' +
+            '<div class="deal-import-preview"><table class="custom-fields-manager-table deal-import-plan"><thead><tr><th></th><th>Row</th><th>Deal</th><th>Action</th><th>Details</th></tr></thead><tbody>' +
+                plan.map(_diPlanRowHtml).join('') +
+            '</tbody></table></div>';
+        body.querySelectorAll('.deal-import-include').forEach(function(cb) {
+            cb.addEventListener('change', function() {
+                plan[parseInt(cb.closest('tr').dataset.idx, 10)].include = cb.checked;
+                updateCommitLabel();
+            });
+        });
+        setActions([
+            { label: 'Import', primary: true, onClick: commit },
+            { label: 'Back to columns', onClick: stepMapping },
+            cancelButton
+        ]);
+        updateCommitLabel();
+    }
+
+    function updateCommitLabel() {
+        var n = plan.filter(function(e) { return e.include; }).length;
+        var btn = actions.querySelector('.contacts-save-btn');
+        btn.textContent = 'Import ' + n + ' deal' + (n !== 1 ? 's' : '');
+        btn.disabled = !n;
+    }
+
+    async function commit() {
+        var selected = plan.filter(function(e) { return e.include; });
+        busy = true;
+        actions.querySelectorAll('button').forEach(function(b) { b.disabled = true; });
+        var saveBtn = actions.querySelector('.contacts-save-btn');
+        var failures = [];
+        var done = 0;
+        var keptTheirs = 0;
+        for (var i = 0; i < selected.length; i++) {
+            var entry = selected[i];
+            saveBtn.textContent = 'Importing ' + (i + 1) + ' of ' + selected.length + '…';
+            var tr = body.querySelector('tr[data-idx="' + plan.indexOf(entry) + '"]');
+            try {
+                var result;
+                if (entry.action === 'create') {
+                    // No ProjectId: the API creates the project from ProjectName / City / State / Region
+                    result = await API.createDealPipeline(entry.data);
+                } else {
+                    var payload = { ProjectName: entry.match.ProjectName };
+                    entry.changes.forEach(function(c) { payload[c.key] = c.yours; });
+                    result = await updateDealPipelineWithVersion(entry.match.DealPipelineId, payload, entry.match, entry.match.ProjectName);
+                }
+                if (!result || !result.success) throw new Error((result && result.error && result.error.message) || 'Failed to save');
+                if (entry.action !== 'create') await rememberSavedDealVersion(entry.match, payload, result);
+                if (result.keptTheirs) {
+                    // Nothing from this row was written, so there is nothing to rescore
+                    keptTheirs++;
+                    if (tr) tr.querySelector('.deal-import-action').textContent = 'Kept theirs';
+                    continue;
+                }
+                var savedId = entry.action === 'create' ? (result.data && result.data.DealPipelineId) : entry.match.DealPipelineId;
+                if (savedId && typeof API.scoreDeal === 'function') {
+                    await API.scoreDeal(savedId).catch(function(e) { console.warn('Rescore after import:', e); });
+                }
+                done++;
+                imported = true;
+                if (tr) tr.querySelector('.deal-import-action').textContent = entry.action === 'create' ? 'Created' : 'Updated';
+            } catch (err) {
+                failures.push('Row ' + entry.rowNumber + ' (' + entry.name + '): ' + (err.message || 'Failed to save'));
+                if (tr) {
+                    tr.classList.add('deal-import-failed');
+                    tr.querySelector('.deal-import-action').textContent = 'Failed';
+                }
+            }
+        }
+        busy = false;
+        body.querySelectorAll('.deal-import-include').forEach(function(cb) { cb.disabled = true; });
+        setActions([{ label: 'Close', primary: true, onClick: close }]);
+        var keptNote = keptTheirs ? ' Kept theirs for ' + keptTheirs + ' changed by someone else.' : '';
+        if (failures.length) {
+            showError('Imported ' + done + ' of ' + selected.length + '.' + keptNote + ' ' + failures.join('; '));
+        } else {
+            showToast('Imported ' + done + ' deal' + (done !== 1 ? 's' : '') + '.' + keptNote, 'success');
+        }
+    }
+
+    stepFile();
+}
+
+window.openDealImportWizard = openDealImportWizard;
+document.getElementById('import-deals-btn')?.addEventListener('click', openDealImportWizard);
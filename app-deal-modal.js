@@ -23,6 +23,7 @@ window.openDealEditModal = async function(deal) {
         showToast('Please log in to edit deals.', 'info');
         return;
     }
+    if (!requireCapability('editDeal', deal.DealPipelineId ? deal : null)) return;
     
     // Call the main openDealEditModal function
     const modal = document.getElementById('deal-edit-modal');
@@ -41,7 +42,7 @@ window.openDealEditModal = async function(deal) {
     
     // Show delete button only for existing deals
     if (deleteBtn) {
-        deleteBtn.style.display = deal.DealPipelineId ? 'inline-block' : 'none';
+        deleteBtn.style.display = deal.DealPipelineId && can('deleteDeal', deal) ? 'inline-block' : 'none';
     }
     
     // Load Pre-Con Managers for dropdown
@@ -180,6 +181,14 @@ window.openDealEditModal = async function(deal) {
     };
     editStageSelect.addEventListener('change', editStageSelect._toggleRejectionReason);
     
+    // Admin-defined custom fields (rendered after the modal opens; values load per deal)
+    if (typeof populateDealEditCustomFields === 'function') {
+        populateDealEditCustomFields(deal).catch(function(e) { console.warn('Failed to render custom fields:', e); });
+    }
+    if (typeof populateDealEditUnderwriting === 'function') {
+        populateDealEditUnderwriting(deal).catch(function(e) { console.warn('Failed to render underwriting:', e); });
+    }
+    
     modal.style.display = 'flex';
     modal.scrollTop = 0;
     window.scrollTo({ top: 0, behavior: 'instant' });
@@ -229,6 +238,11 @@ async function handleDealSave(e) {
         errorDiv.style.display = 'block';
         return;
     }
+    if (!can('editDeal', currentEditingDeal && currentEditingDeal.DealPipelineId ? currentEditingDeal : null)) {
+        errorDiv.textContent = 'Your role (' + getUserRole() + ') is not allowed to edit this deal.';
+        errorDiv.style.display = 'block';
+        return;
+    }
     
     const form = e.target;
     // Read project name from DOM by id so it's reliable (form['edit-project-name'] can be undefined when input has name="ProjectName")
@@ -317,6 +331,14 @@ async function handleDealSave(e) {
         County: form['edit-county-parish'] && form['edit-county-parish'].value ? form['edit-county-parish'].value.trim() : null
     };
     
+    // Validate custom fields before anything is written
+    const customFields = typeof collectDealEditCustomFields === 'function' ? collectDealEditCustomFields() : null;
+    if (customFields && customFields.errors.length) {
+        errorDiv.textContent = customFields.errors.join(' ');
+        errorDiv.style.display = 'block';
+        return;
+    }
+    
     // Remove empty fields (never remove ProjectName – backend may require it on update)
     Object.keys(formData).forEach(key => {
         if (key === 'ProjectName') return;
@@ -329,8 +351,14 @@ async function handleDealSave(e) {
         let result;
         const dealPipelineIdForUpdate = currentEditingDeal && (currentEditingDeal.DealPipelineId || (currentEditingDeal._original && currentEditingDeal._original.DealPipelineId));
         if (dealPipelineIdForUpdate) {
-            // Update existing deal
-            result = await API.updateDealPipeline(dealPipelineIdForUpdate, formData);
+            // Update existing deal; a concurrent save by someone else opens the merge dialog
+            result = await updateDealPipelineWithVersion(dealPipelineIdForUpdate, formData, currentEditingDeal, projectName);
+            if (result.cancelled) {
+                errorDiv.textContent = 'Not saved: this deal was changed by someone else. Save again to review their changes.';
+                errorDiv.style.display = 'block';
+                return;
+            }
+            if (result.success) await rememberSavedDealVersion(currentEditingDeal, formData, result);
         } else {
             // Create new deal - need ProjectId
             if (!currentEditingDeal || !currentEditingDeal.ProjectId) {
@@ -374,8 +402,23 @@ async function handleDealSave(e) {
         }
         
         if (result.success) {
+            const savedDealPipelineId = dealPipelineIdForUpdate || (result.data && result.data.DealPipelineId);
+            // Keep theirs discarded this edit, custom fields and stage included; only the rescore still applies
+            if (customFields && savedDealPipelineId && !result.keptTheirs) {
+                const cfResult = await saveDealCustomFields(savedDealPipelineId, customFields.values);
+                if (cfResult.errors.length) {
+                    showToast('Deal saved, but some custom fields failed: ' + cfResult.errors.join('; '), 'error');
+                }
+            }
+            if (typeof attachUnderwritingSnapshotOnReview === 'function' && !result.keptTheirs) {
+                await attachUnderwritingSnapshotOnReview(currentEditingDeal, savedDealPipelineId, stageVal);
+            }
+            // Recalculate DealScore so views pick up the new score on refresh
+            if (savedDealPipelineId && typeof API.scoreDeal === 'function') {
+                await API.scoreDeal(savedDealPipelineId).catch(function(e) { console.warn('Rescore after save:', e); });
+            }
             closeDealEditModal();
-            showToast('Deal saved successfully.', 'success');
+            showToast(result.keptTheirs ? 'Kept the other changes; yours were discarded.' : 'Deal saved successfully.', 'success');
             refreshDealsFromApi().catch(function(e) { console.warn('Background refresh after save:', e); });
         } else {
             throw new Error(result.error?.message || 'Failed to save deal');
@@ -391,6 +434,7 @@ async function handleDealDelete() {
         showToast('You must be logged in and in edit mode to delete deals.', 'info');
         return;
     }
+    if (!requireCapability('deleteDeal', currentEditingDeal)) return;
     
     if (!currentEditingDeal || !currentEditingDeal.DealPipelineId) {
         showToast('Cannot delete: Deal ID not found.', 'error');
@@ -418,7 +462,7 @@ async function handleDealDelete() {
 
 // Add edit button to deal cards when in edit mode
 function addEditButtonToDeal(dealElement, deal) {
-    if (!isAuthenticated || !isEditMode) return;
+    if (!isAuthenticated || !isEditMode || !can('editDeal', deal)) return;
     
     const editBtn = document.createElement('button');
     editBtn.className = 'deal-edit-btn';
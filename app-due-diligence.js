@@ -0,0 +1,251 @@
+/**
+ * app-due-diligence.js — Due diligence checklist deal-detail section for Under Contract deals,
+ * plus the portfolio warning when DD expiry is near and items are still open.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+/** Standard checklist; offsetDays is the default due date relative to the PSA execution date. */
+var DUE_DILIGENCE_ITEMS = [
+    { key: 'title', label: 'Title', offsetDays: 14 },
+    { key: 'survey', label: 'Survey', offsetDays: 21 },
+    { key: 'environmental', label: 'Environmental', offsetDays: 21 },
+    { key: 'geotech', label: 'Geotech', offsetDays: 30 },
+    { key: 'zoning', label: 'Zoning', offsetDays: 30 },
+    { key: 'entitlements', label: 'Entitlements', offsetDays: 45 }
+];
+var DUE_DILIGENCE_STATUSES = ['Not Started', 'In Progress', 'Complete', 'Waived'];
+var DUE_DILIGENCE_WARNING_DAYS = 14;
+
+// DealPipelineId -> open item count in the last warning shown this session
+var _ddWarnedDeals = {};
+
+function _ddOrig(deal, key) {
+    return deal[key] || (deal._original && deal._original[key]) || null;
+}
+
+function _ddIsOpen(item) {
+    return item.Status !== 'Complete' && item.Status !== 'Waived';
+}
+
+function _ddAttachmentIds(item) {
+    var ids = item.AttachmentIds;
+    if (typeof ids === 'string') {
+        try { ids = JSON.parse(ids); } catch (e) { ids = ids.split(','); }
+    }
+    return (Array.isArray(ids) ? ids : []).map(function(id) { return parseInt(id, 10); }).filter(function(id) { return !isNaN(id); });
+}
+
+/** Due date = execution date + offset days, capped at the DD expiry. Null without an execution date. */
+function dueDiligenceItemDueDate(item, deal) {
+    var exec = parseLocalDateOnly(_ddOrig(deal, 'ExecutionDate'));
+    if (!exec) return null;
+    var due = new Date(exec);
+    due.setDate(due.getDate() + (parseInt(item.OffsetDays, 10) || 0));
+    var expiry = parseLocalDateOnly(_ddOrig(deal, 'DueDiligenceDate'));
+    return expiry && due > expiry ? expiry : due;
+}
+
+/** Standard items merged with saved rows (saved rows win; unknown saved types are kept at the end). */
+function buildDueDiligenceChecklist(saved) {
+    var byType = {};
+    (saved || []).forEach(function(it) { byType[it.ItemType] = it; });
+    var rows = DUE_DILIGENCE_ITEMS.map(function(def) {
+        var it = byType[def.key];
+        delete byType[def.key];
+        return Object.assign({ ItemType: def.key, Label: def.label, OffsetDays: def.offsetDays, Status: 'Not Started', Owner: '' }, it || {}, { Label: def.label });
+    });
+    Object.keys(byType).forEach(function(k) { rows.push(Object.assign({ Label: k }, byType[k])); });
+    return rows;
+}
+
+function _ddDaysUntil(date) {
+    if (!date) return null;
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.round((date - today) / 86400000);
+}
+
+function _ddWarningText(deal, openCount) {
+    var days = _ddDaysUntil(parseLocalDateOnly(_ddOrig(deal, 'DueDiligenceDate')));
+    if (days == null || days > DUE_DILIGENCE_WARNING_DAYS || !openCount) return '';
+    var when = days < 0 ? 'expired ' + (-days) + ' day' + (days === -1 ? '' : 's') + ' ago' : days === 0 ? 'expires today' : 'expires in ' + days + ' day' + (days === 1 ? '' : 's');
+    return 'Due diligence ' + when + ' with ' + openCount + ' open item' + (openCount === 1 ? '' : 's') + '.';
+}
+
+function _ddWarningHtml(deal, openCount) {
+    var text = _ddWarningText(deal, openCount);
+    return text ? '<div class="due-diligence-warning" role="alert">' + escapeHtml(text) + '</div>' : '';
+}
+
+async function _downloadDueDiligenceFile(attachmentId, fileName) {
+    var token = (typeof API.getAuthToken === 'function' && API.getAuthToken()) || localStorage.getItem('authToken');
+    var res = await fetch(API.getDealPipelineAttachmentDownloadUrl(attachmentId), { headers: token ? { Authorization: 'Bearer ' + token } : {} });
+    if (!res.ok) throw new Error('Download failed (' + res.status + ')');
+    var objectUrl = URL.createObjectURL(await res.blob());
+    var a = document.createElement('a');
+    a.href = objectUrl;
+    a.download = fileName || 'file';
+    a.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(function() { URL.revokeObjectURL(objectUrl); }, 5000);
+}
+
+async function _renderDealDetailDueDiligence(content, deal, ctx) {
+    if (!ctx.dealPipelineId) {
+        content.innerHTML = '<div class="activity-timeline-empty">Due diligence is tracked on saved pipeline deals.</div>';
+        return;
+    }
+    var none = function() { return { success: true, data: [] }; };
+    var results = await Promise.all([
+        API.getDueDiligenceItems(ctx.dealPipelineId),
+        API.listDealPipelineAttachments(ctx.dealPipelineId).catch(none)
+    ]);
+    var items = buildDueDiligenceChecklist(apiList(results[0]));
+    var files = {};
+    apiList(results[1]).forEach(function(f) { files[f.DealPipelineAttachmentId] = f; });
+    var editable = can('editDeal', deal);
+    var execDate = _ddOrig(deal, 'ExecutionDate');
+    var expiry = _ddOrig(deal, 'DueDiligenceDate');
+    var openCount = items.filter(_ddIsOpen).length;
+
+    content.innerHTML =
+        _ddWarningHtml(deal, openCount) +
+        '<div class="covenant-summary"><span>Executed <strong>' + (execDate ? escapeHtml(formatDate(execDate)) : '—') + '</strong></span>' +
+            '<span>DD expires <strong>' + (expiry ? escapeHtml(formatDate(expiry)) : '—') + '</strong></span>' +
+            '<span>Closing <strong>' + (_ddOrig(deal, 'ClosingDate') ? escapeHtml(formatDate(_ddOrig(deal, 'ClosingDate'))) : '—') + '</strong></span>' +
+            '<span><strong>' + (items.length - openCount) + '</strong> of ' + items.length + ' complete</span></div>' +
+        (execDate ? '' : '<p class="activity-timeline-empty">Set the PSA execution date to compute due dates.</p>') +
+        '<table class="custom-fields-manager-table due-diligence-table"><thead><tr><th>Item</th><th>Owner</th><th>Due</th><th>Status</th><th>Files</th>' + (editable ? '<th></th>' : '') + '</tr></thead><tbody>' +
+        items.map(function(it, idx) {
+            var due = dueDiligenceItemDueDate(it, deal);
+            var daysLeft = _ddDaysUntil(due);
+            var late = _ddIsOpen(it) && daysLeft != null && daysLeft < 0;
+            var fileLinks = _ddAttachmentIds(it).map(function(id) {
+                var f = files[id];
+                return f ? '<a href="#" class="due-diligence-file" data-attachment-id="' + id + '" data-file-name="' + escapeHtml(f.FileName || '') + '">' + escapeHtml(f.FileName || 'File') + '</a>' : '';
+            }).filter(Boolean).join('<br>');
+            var statusClass = it.Status === 'Complete' || it.Status === 'Waived' ? 'pass' : (late ? 'fail' : 'pending');
+            return '<tr data-idx="' + idx + '"' + (late ? ' class="due-diligence-late"' : '') + '>' +
+                '<td><strong>' + escapeHtml(it.Label) + '</strong></td>' +
+                (editable
+                    ? '<td><input type="text" name="Owner" value="' + escapeHtml(it.Owner || '') + '" placeholder="Owner" aria-label="' + escapeHtml(it.Label) + ' owner" /></td>' +
+                      '<td><input type="number" name="OffsetDays" min="0" value="' + escapeHtml(String(it.OffsetDays || 0)) + '" aria-label="' + escapeHtml(it.Label) + ' days after execution" title="Days after execution" /> <span class="due-diligence-due">' + (due ? escapeHtml(formatDate(due)) : '—') + '</span></td>' +
+                      '<td><select name="Status" aria-label="' + escapeHtml(it.Label) + ' status">' + DUE_DILIGENCE_STATUSES.map(function(s) { return '<option' + (s === it.Status ? ' selected' : '') + '>' + s + '</option>'; }).join('') + '</select></td>'
+                    : '<td>' + escapeHtml(it.Owner || '—') + '</td>' +
+                      '<td>' + (due ? escapeHtml(formatDate(due)) : '—') + '</td>' +
+                      '<td><span class="covenant-status covenant-status-' + statusClass + '">' + escapeHtml(it.Status) + '</span></td>') +
+                '<td>' + (fileLinks || '<span class="due-diligence-due">—</span>') +
+                    (editable ? '<label class="due-diligence-upload">Attach<input type="file" hidden /></label>' : '') + '</td>' +
+                (editable ? '<td><button type="button" class="contacts-btn due-diligence-save">Save</button></td>' : '') +
+            '</tr>';
+        }).join('') +
+        '</tbody></table>';
+
+    async function saveItem(it, data) {
+        if (it.DueDiligenceItemId) {
+            await API.updateDueDiligenceItem(it.DueDiligenceItemId, data);
+        } else {
+            await API.createDueDiligenceItem(ctx.dealPipelineId, Object.assign({ ItemType: it.ItemType, OffsetDays: it.OffsetDays, Status: it.Status, Owner: it.Owner }, data));
+        }
+    }
+
+    content.querySelectorAll('tr[data-idx]').forEach(function(tr) {
+        var it = items[parseInt(tr.dataset.idx, 10)];
+        var saveBtn = tr.querySelector('.due-diligence-save');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', async function() {
+                var offset = parseInt(tr.querySelector('input[name="OffsetDays"]').value, 10);
+                if (isNaN(offset) || offset < 0) {
+                    showToast('Days after execution must be zero or more.', 'error');
+                    return;
+                }
+                saveBtn.disabled = true;
+                try {
+                    await saveItem(it, {
+                        Owner: tr.querySelector('input[name="Owner"]').value.trim() || null,
+                        OffsetDays: offset,
+                        Status: tr.querySelector('select[name="Status"]').value
+                    });
+                    showToast(it.Label + ' saved.', 'success');
+                    ctx.reload();
+                    checkDueDiligenceWarnings([deal], true).catch(function(e) { console.warn('DD warning check error:', e); });
+                } catch (err) {
+                    saveBtn.disabled = false;
+                    showToast('Failed to save ' + it.Label + ': ' + (err.message || 'Unknown error'), 'error');
+                }
+            });
+        }
+        var fileInput = tr.querySelector('.due-diligence-upload input');
+        if (fileInput) {
+            fileInput.addEventListener('change', async function() {
+                var file = fileInput.files && fileInput.files[0];
+                if (!file) return;
+                try {
+                    var res = await API.uploadDealPipelineAttachment(ctx.dealPipelineId, file);
+                    var attachmentId = res && res.data && res.data.DealPipelineAttachmentId;
+                    if (attachmentId == null) throw new Error('Upload did not return an attachment id');
+                    await saveItem(it, { AttachmentIds: _ddAttachmentIds(it).concat([attachmentId]) });
+                    showToast(file.name + ' attached to ' + it.Label + '.', 'success');
+                    ctx.reload();
+                } catch (err) {
+                    showToast('Failed to attach file: ' + (err.message || 'Unknown error'), 'error');
+                }
+            });
+        }
+    });
+    content.querySelectorAll('.due-diligence-file').forEach(function(a) {
+        a.addEventListener('click', function(e) {
+            e.preventDefault();
+            _downloadDueDiligenceFile(a.dataset.attachmentId, a.dataset.fileName).catch(function(err) {
+                showToast(err.message || 'Download failed.', 'error');
+            });
+        });
+    });
+}
+
+/**
+ * Warn when an Under Contract deal's DD expiry is within DUE_DILIGENCE_WARNING_DAYS (or has passed)
+ * and checklist items are still open. Called after deals load, once per deal per session; with
+ * recheck (after a checklist save) a deal is warned again only if its open count changed.
+ */
+async function checkDueDiligenceWarnings(deals, recheck) {
+    var dealId = function(d) { return _ddOrig(d, 'DealPipelineId'); };
+    var nearing = (deals || []).filter(function(d) {
+        if (normalizeStage(d.Stage || d.stage) !== 'Under Contract' || !dealId(d)) return false;
+        if (!recheck && _ddWarnedDeals[dealId(d)] != null) return false;
+        var days = _ddDaysUntil(parseLocalDateOnly(_ddOrig(d, 'DueDiligenceDate')));
+        return days != null && days <= DUE_DILIGENCE_WARNING_DAYS;
+    });
+    if (!nearing.length || typeof API === 'undefined' || typeof API.getDueDiligenceOpenSummary !== 'function') return;
+    var res = await API.getDueDiligenceOpenSummary().catch(function() { return null; });
+    if (!res) return;
+    var openByDeal = {};
+    apiList(res).forEach(function(r) { openByDeal[r.DealPipelineId] = parseInt(r.OpenCount, 10) || 0; });
+    nearing.forEach(function(d) {
+        var id = dealId(d);
+        // Deals with no saved checklist yet still have every standard item open
+        var open = openByDeal[id] != null ? openByDeal[id] : DUE_DILIGENCE_ITEMS.length;
+        if (!open) {
+            delete _ddWarnedDeals[id];
+            return;
+        }
+        if (_ddWarnedDeals[id] === open) return;
+        _ddWarnedDeals[id] = open;
+        showToast((d.Name || _ddOrig(d, 'ProjectName') || 'Deal') + ': ' + _ddWarningText(d, open), 'error');
+    });
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({
+        id: 'due-diligence',
+        title: 'Due Diligence',
+        order: 12,
+        appliesTo: function(deal) { return normalizeStage(deal.Stage || deal.stage) === 'Under Contract'; },
+        render: _renderDealDetailDueDiligence
+    });
+}
+
+window.checkDueDiligenceWarnings = checkDueDiligenceWarnings;
+window.dueDiligenceItemDueDate = dueDiligenceItemDueDate;
@@ -0,0 +1,250 @@
+/**
+ * app-equity.js — Equity deal-detail section (commitments + related parties) and equity partner rollup view
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var _equityPartners = null;
+var _equityPartnerNames = {};
+
+function _eqNum(v) {
+    var n = parseFloat(v);
+    return isNaN(n) ? 0 : n;
+}
+
+function _eqMoney(v) {
+    return '$' + _eqNum(v).toLocaleString(undefined, { maximumFractionDigits: 0 });
+}
+
+/** Equity partners by EquityPartnerId (cached; force to refetch) */
+async function loadEquityPartners(force) {
+    if (_equityPartners && !force) return _equityPartners;
+    var res = await API.getAllEquityPartners();
+    _equityPartners = {};
+    apiList(res).forEach(function(p) { if (p.EquityPartnerId != null) _equityPartners[p.EquityPartnerId] = p; });
+    return _equityPartners;
+}
+
+/**
+ * Partner names can still be raw IMS investor profile IDs for partners imported from IMS.
+ * Resolve them via bulkResolveInvestorNames; results are cached for the session, so only values not
+ * seen yet are sent. Returns { rawValue: displayName }.
+ */
+async function resolveEquityPartnerNames(partners) {
+    var values = Object.keys(partners).map(function(id) {
+        var p = partners[id];
+        return p.PartnerName || p.IMSInvestorProfileId;
+    }).filter(function(v) { return v && !Object.prototype.hasOwnProperty.call(_equityPartnerNames, v); });
+    if (!values.length) return _equityPartnerNames;
+    try {
+        var resolved = await API.bulkResolveInvestorNames(values) || {};
+        values.forEach(function(v) { _equityPartnerNames[v] = resolved[v] || v; });
+    } catch (e) {
+        console.warn('Equity: investor name resolution failed:', e);
+    }
+    return _equityPartnerNames;
+}
+
+function _eqPartnerName(partnerId, partners, names, fallback) {
+    var p = partners[partnerId];
+    var raw = (p && (p.PartnerName || p.IMSInvestorProfileId)) || fallback || '';
+    return (names && names[raw]) || raw || 'Unassigned';
+}
+
+/** Funded = explicit FundedAmount when the API sends one, otherwise the full Amount once FundingDate has passed */
+function equityCommitmentFunded(c) {
+    if (c.FundedAmount != null) return _eqNum(c.FundedAmount);
+    if (!c.FundingDate) return 0;
+    var d = parseLocalDateOnly(String(c.FundingDate).slice(0, 10));
+    return d && d <= new Date() ? _eqNum(c.Amount) : 0;
+}
+
+/* ---------- Deal detail: Equity ---------- */
+
+async function _renderDealDetailEquity(content, deal, ctx) {
+    if (!ctx.projectId) {
+        content.innerHTML = '<div class="activity-timeline-empty">Equity is available once the deal is linked to a project.</div>';
+        return;
+    }
+    var results = await Promise.all([API.getEquityCommitmentsByProject(ctx.projectId), loadEquityPartners()]);
+    var commitments = apiList(results[0]);
+    var partners = results[1];
+    var names = await resolveEquityPartnerNames(partners);
+    var admin = can('manageReferenceData');
+
+    if (!commitments.length) {
+        content.innerHTML = '<div class="activity-timeline-empty">No equity commitments recorded for this deal.</div>';
+        return;
+    }
+    var totalCommitted = 0, totalFunded = 0;
+    var rows = commitments.map(function(c) {
+        var funded = equityCommitmentFunded(c);
+        totalCommitted += _eqNum(c.Amount);
+        totalFunded += funded;
+        var lead = partners[c.EquityPartnerId] || {};
+        var related = c.RelatedParties || [];
+        var canRelate = admin && lead.PartnerType !== 'Individual';
+        var relatedIds = related.map(function(r) { return String(r.EquityPartnerId ?? r.RelatedPartyId); });
+        var options = canRelate ? Object.keys(partners).filter(function(id) {
+            return id !== String(c.EquityPartnerId) && relatedIds.indexOf(id) === -1;
+        }).map(function(id) {
+            return { id: id, name: _eqPartnerName(id, partners, names) };
+        }).sort(function(a, b) { return a.name.localeCompare(b.name); }) : [];
+        return '<tr data-commitment-id="' + escapeHtml(String(c.EquityCommitmentId)) + '">' +
+            '<td><strong>' + escapeHtml(_eqPartnerName(c.EquityPartnerId, partners, names, c.PartnerName)) + '</strong>' +
+                (lead.PartnerType ? '<div class="equity-partner-type">' + escapeHtml(lead.PartnerType) + '</div>' : '') + '</td>' +
+            '<td>' + escapeHtml(c.EquityType || '—') + '</td>' +
+            '<td>' + _eqMoney(c.Amount) + '</td>' +
+            '<td>' + _eqMoney(funded) + (c.FundingDate ? '<div class="equity-partner-type">' + escapeHtml(formatDate(c.FundingDate)) + '</div>' : '') + '</td>' +
+            '<td>' + (c.IsPaidOff ? '<span class="covenant-status">Paid off</span>' : '<span class="covenant-status covenant-status-pass">Active</span>') + '</td>' +
+            '<td><div class="equity-related">' +
+                (related.length ? related.map(function(r) {
+                    var rid = r.EquityPartnerId ?? r.RelatedPartyId;
+                    return '<span class="equity-related-chip">' + escapeHtml(_eqPartnerName(rid, partners, names, r.PartnerName)) +
+                        (admin ? '<button type="button" class="equity-related-remove" data-partner-id="' + escapeHtml(String(rid)) + '" aria-label="Remove related party">&times;</button>' : '') +
+                    '</span>';
+                }).join('') : '<span class="equity-partner-type">None</span>') +
+                (canRelate && options.length ? '<select class="equity-related-add" aria-label="Add related party"><option value="">+ Add related party</option>' +
+                    options.map(function(o) { return '<option value="' + escapeHtml(o.id) + '">' + escapeHtml(o.name) + '</option>'; }).join('') +
+                '</select>' : '') +
+            '</div></td>' +
+        '</tr>';
+    }).join('');
+
+    content.innerHTML =
+        '<div class="covenant-summary">' +
+            '<span><strong>' + _eqMoney(totalCommitted) + '</strong> committed</span>' +
+            '<span><strong>' + _eqMoney(totalFunded) + '</strong> funded</span>' +
+            '<span><strong>' + commitments.length + '</strong> commitment' + (commitments.length !== 1 ? 's' : '') + '</span>' +
+        '</div>' +
+        '<table class="custom-fields-manager-table equity-table"><thead><tr><th>Partner</th><th>Type</th><th>Committed</th><th>Funded</th><th>Status</th><th>Related parties</th></tr></thead>' +
+        '<tbody>' + rows + '</tbody></table>';
+
+    content.querySelectorAll('.equity-related-add').forEach(function(sel) {
+        sel.addEventListener('change', async function() {
+            if (!sel.value) return;
+            var commitmentId = sel.closest('tr').dataset.commitmentId;
+            sel.disabled = true;
+            try {
+                await API.addRelatedParty(commitmentId, { RelatedPartyId: parseInt(sel.value, 10) });
+                showToast('Related party added.', 'success');
+                ctx.reload();
+            } catch (err) {
+                sel.disabled = false;
+                sel.value = '';
+                showToast('Failed to add related party: ' + (err.message || 'Unknown error'), 'error');
+            }
+        });
+    });
+    content.querySelectorAll('.equity-related-remove').forEach(function(btn) {
+        btn.addEventListener('click', async function() {
+            var ok = await domoConfirm('Remove this related party from the commitment?', { confirmLabel: 'Remove' });
+            if (!ok) return;
+            try {
+                await API.removeRelatedParty(btn.closest('tr').dataset.commitmentId, btn.dataset.partnerId);
+                showToast('Related party removed.', 'success');
+                ctx.reload();
+            } catch (err) {
+                showToast('Failed to remove related party: ' + (err.message || 'Unknown error'), 'error');
+            }
+        });
+    });
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({ id: 'equity', title: 'Equity', order: 30, render: _renderDealDetailEquity });
+}
+
+/* ---------- Equity partner rollup (view: equity) ---------- */
+
+/** Cross-deal exposure per lead equity partner, with the deals each partner is related to */
+async function renderEquityRollupView(deals) {
+    var container = document.getElementById('deal-list-container');
+    if (!container) return;
+    container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading equity…</div>';
+    var commitments, partners, names;
+    try {
+        var results = await Promise.all([API.getAllEquityCommitments(), loadEquityPartners()]);
+        commitments = apiList(results[0]).filter(canViewDealRow);
+        partners = results[1];
+        names = await resolveEquityPartnerNames(partners);
+    } catch (e) {
+        if (currentView === 'equity') container.innerHTML = '<div class="error-state"><p class="error-message">Could not load equity commitments: ' + escapeHtml(e.message || 'Unknown error') + '</p></div>';
+        return;
+    }
+    if (currentView !== 'equity') return;
+
+    var dealsByProject = {};
+    (deals || []).forEach(function(d) { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+    var byPartner = {};
+    function bucket(id) {
+        var key = String(id == null ? '' : id);
+        if (!byPartner[key]) byPartner[key] = { id: key, name: _eqPartnerName(id, partners, names), committed: 0, funded: 0, outstanding: 0, deals: [], related: [] };
+        return byPartner[key];
+    }
+    commitments.forEach(function(c) {
+        var b = bucket(c.EquityPartnerId);
+        var funded = equityCommitmentFunded(c);
+        b.committed += _eqNum(c.Amount);
+        b.funded += funded;
+        if (!c.IsPaidOff) b.outstanding += funded;
+        b.deals.push({ projectId: c.ProjectId, type: c.EquityType, amount: _eqNum(c.Amount), funded: funded, paidOff: !!c.IsPaidOff });
+        (c.RelatedParties || []).forEach(function(r) {
+            bucket(r.EquityPartnerId ?? r.RelatedPartyId).related.push({ projectId: c.ProjectId, lead: b.name });
+        });
+    });
+    var rows = Object.keys(byPartner).map(function(k) { return byPartner[k]; }).sort(function(a, b) { return b.committed - a.committed; });
+    var total = rows.reduce(function(s, r) { return s + r.committed; }, 0);
+
+    function dealName(projectId) {
+        var d = dealsByProject[projectId];
+        return d ? d.Name : 'Project ' + projectId;
+    }
+
+    container.innerHTML =
+        '<div class="upcoming-dates-view equity-rollup-view">' +
+            '<h2 class="upcoming-dates-view-title">Equity by Partner</h2>' +
+            '<p class="upcoming-dates-view-desc">Total committed, funded and outstanding (funded, not paid off) equity per lead partner across every deal. Related-party involvement is listed separately and carries no amount. Click a partner to see their deals.</p>' +
+            '<div class="covenant-summary"><span><strong>' + _eqMoney(total) + '</strong> committed across <strong>' + commitments.length + '</strong> commitments</span></div>' +
+            '<table class="deal-list-table equity-rollup-table"><thead><tr><th>Partner</th><th>Deals</th><th>Committed</th><th>Funded</th><th>Outstanding</th><th>Related on</th></tr></thead><tbody>' +
+            (rows.length ? rows.map(function(r) {
+                return '<tr class="equity-rollup-row clickable" data-partner-key="' + escapeHtml(r.id) + '">' +
+                        '<td class="deal-name">' + escapeHtml(r.name) + '</td>' +
+                        '<td>' + r.deals.length + '</td>' +
+                        '<td>' + _eqMoney(r.committed) + '</td>' +
+                        '<td>' + _eqMoney(r.funded) + '</td>' +
+                        '<td>' + _eqMoney(r.outstanding) + '</td>' +
+                        '<td>' + r.related.length + '</td>' +
+                    '</tr>' +
+                    '<tr class="equity-rollup-detail" data-partner-key="' + escapeHtml(r.id) + '" style="display:none;"><td colspan="6"><ul class="equity-rollup-deals">' +
+                        r.deals.map(function(d) {
+                            return '<li><a href="#" data-project-id="' + escapeHtml(String(d.projectId)) + '">' + escapeHtml(dealName(d.projectId)) + '</a> — ' +
+                                escapeHtml(d.type || 'Equity') + ', ' + _eqMoney(d.amount) + ' committed, ' + _eqMoney(d.funded) + ' funded' + (d.paidOff ? ' (paid off)' : '') + '</li>';
+                        }).join('') +
+                        r.related.map(function(d) {
+                            return '<li><a href="#" data-project-id="' + escapeHtml(String(d.projectId)) + '">' + escapeHtml(dealName(d.projectId)) + '</a> — related party to ' + escapeHtml(d.lead) + '</li>';
+                        }).join('') +
+                    '</ul></td></tr>';
+            }).join('') : '<tr><td colspan="6" class="no-data">No equity commitments.</td></tr>') +
+            '</tbody></table>' +
+        '</div>';
+
+    container.querySelectorAll('.equity-rollup-row').forEach(function(tr) {
+        tr.addEventListener('click', function() {
+            var detail = container.querySelector('.equity-rollup-detail[data-partner-key="' + tr.dataset.partnerKey + '"]');
+            if (detail) detail.style.display = detail.style.display === 'none' ? '' : 'none';
+        });
+    });
+    container.querySelectorAll('.equity-rollup-deals a').forEach(function(a) {
+        a.addEventListener('click', function(e) {
+            e.preventDefault();
+            var deal = dealsByProject[a.dataset.projectId];
+            if (deal) showDealDetail(deal);
+            else showToast('That project is not in the deal pipeline.', 'info');
+        });
+    });
+}
+
+window.renderEquityRollupView = renderEquityRollupView;
+window.loadEquityPartners = loadEquityPartners;
@@ -0,0 +1,307 @@
+/**
+ * app-guarantees.js — Guarantees deal-detail section with burndown chart, and per-guarantor exposure view
+ * Plain <script> (not ES module). Uses Chart.js (styled like app-charts.js).
+ */
+
+/* jshint esversion: 11 */
+
+var _guaranteeCharts = {};
+var GUARANTOR_COLORS = ['#2563eb', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d'];
+
+function _gNum(v) {
+    var n = parseFloat(v);
+    return isNaN(n) ? null : n;
+}
+
+function _gMoney(v) {
+    return v == null ? '—' : '$' + Number(v).toLocaleString(undefined, { maximumFractionDigits: 0 });
+}
+
+function _gDate(v) {
+    return v ? parseLocalDateOnly(String(v).slice(0, 10)) : null;
+}
+
+function _gKey(x) {
+    return [x.ProjectId, x.PersonId, x.FinancingType || 'Construction'].join('|');
+}
+
+function _gPersonName(g, persons) {
+    var p = persons && persons[g.PersonId];
+    return g.PersonName || g.GuarantorName || g.FullName || (p && (p.FullName || p.Name)) || ('Person ' + g.PersonId);
+}
+
+function _destroyGuaranteeChart(key) {
+    if (_guaranteeCharts[key]) {
+        _guaranteeCharts[key].destroy();
+        _guaranteeCharts[key] = null;
+    }
+}
+
+/**
+ * Attach each guarantee's burndowns (same project, person and financing type), sorted by date.
+ * loansById is optional; it lets percent-only guarantees fall back to percent × loan amount.
+ */
+function buildGuaranteeSchedules(guarantees, burndowns, loansById) {
+    var byKey = {};
+    (burndowns || []).forEach(function(b) {
+        var k = _gKey(b);
+        (byKey[k] = byKey[k] || []).push(b);
+    });
+    return (guarantees || []).map(function(g) {
+        var steps = (byKey[_gKey(g)] || []).filter(function(b) { return _gDate(b.BurndownDate); }).sort(function(a, b) {
+            return _gDate(a.BurndownDate) - _gDate(b.BurndownDate);
+        });
+        var amount = _gNum(g.GuaranteeAmount);
+        if (amount == null && g.GuaranteePercent != null && loansById && loansById[g.LoanId]) {
+            amount = (_gNum(g.GuaranteePercent) || 0) / 100 * (_gNum(loansById[g.LoanId].LoanAmount) || 0);
+        }
+        var original = steps.length && _gNum(steps[0].PreviousAmount) != null ? _gNum(steps[0].PreviousAmount) : amount;
+        return { guarantee: g, steps: steps, original: original, current: steps.length ? _gNum(steps[steps.length - 1].NewAmount) : amount };
+    });
+}
+
+/** Contingent liability of one schedule as of a date: last burndown on or before the date, else the original amount */
+function guaranteeExposureAsOf(schedule, asOf) {
+    var value = schedule.original;
+    schedule.steps.forEach(function(b) {
+        if (_gDate(b.BurndownDate) <= asOf) value = _gNum(b.NewAmount);
+    });
+    return value || 0;
+}
+
+/** Step-line chart of exposure over time: one dataset per series plus a total */
+function _renderGuaranteeBurndownChart(key, canvas, series) {
+    _destroyGuaranteeChart(key);
+    if (!canvas || typeof Chart === 'undefined') return;
+    var pal = _getChartDefaults();
+    var dates = {};
+    series.forEach(function(s) { s.schedules.forEach(function(sc) { sc.steps.forEach(function(b) { dates[String(b.BurndownDate).slice(0, 10)] = true; }); }); });
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    dates[toNormalizedDateString(today)] = true;
+    var points = Object.keys(dates).sort().map(_gDate);
+    var first = new Date(points[0]);
+    first.setDate(first.getDate() - 1);
+    points.unshift(first);
+    var labels = points.map(function(d, i) { return i === 0 ? 'Original' : formatDate(d); });
+    var datasets = series.map(function(s, i) {
+        var color = GUARANTOR_COLORS[i % GUARANTOR_COLORS.length];
+        return {
+            label: s.label,
+            data: points.map(function(d) { return s.schedules.reduce(function(sum, sc) { return sum + guaranteeExposureAsOf(sc, d); }, 0); }),
+            borderColor: color,
+            backgroundColor: color,
+            stepped: true,
+            pointRadius: 3,
+            fill: false
+        };
+    });
+    if (series.length > 1) {
+        datasets.push({
+            label: 'Total',
+            data: points.map(function(_, i) { return datasets.reduce(function(sum, ds) { return sum + ds.data[i]; }, 0); }),
+            borderColor: pal.primaryGreen,
+            backgroundColor: pal.primaryGreen + '33',
+            stepped: true,
+            fill: true,
+            pointRadius: 4,
+            borderWidth: 3
+        });
+    }
+    _guaranteeCharts[key] = new Chart(canvas, {
+        type: 'line',
+        data: { labels: labels, datasets: datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: pal.borderColor },
+                    ticks: { color: pal.textSecondary, font: { family: pal.fontFamily, size: 11 }, callback: function(v) { return '$' + (v >= 1e6 ? (v / 1e6).toFixed(1) + 'M' : (v / 1e3).toFixed(0) + 'K'); } }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: pal.textPrimary, font: { family: pal.fontFamily, size: 11 } }
+                }
+            },
+            plugins: {
+                legend: { display: datasets.length > 1, labels: { font: { family: pal.fontFamily, size: 11 } } },
+                tooltip: {
+                    titleFont: { family: pal.fontFamily },
+                    bodyFont: { family: pal.fontFamily },
+                    callbacks: { label: function(c) { return c.dataset.label + ': ' + _gMoney(c.parsed.y); } }
+                }
+            }
+        }
+    });
+}
+
+/* ---------- Deal detail: Guarantees ---------- */
+
+async function _renderDealDetailGuarantees(content, deal, ctx) {
+    _destroyGuaranteeChart('deal');
+    if (!ctx.projectId) {
+        content.innerHTML = '<div class="activity-timeline-empty">Guarantees are available once the deal is linked to a project.</div>';
+        return;
+    }
+    var none = function() { return { success: true, data: [] }; };
+    var results = await Promise.all([
+        API.getGuaranteesByProject(ctx.projectId),
+        API.getGuaranteeBurndownsByProject(ctx.projectId).catch(none),
+        API.getLoansByProject(ctx.projectId).catch(none),
+        API.getAllPersons().catch(none)
+    ]);
+    var guarantees = apiList(results[0]);
+    if (!guarantees.length) {
+        content.innerHTML = '<div class="activity-timeline-empty">No guarantees recorded for this deal.</div>';
+        return;
+    }
+    var loansById = {}, persons = {};
+    apiList(results[2]).forEach(function(l) { loansById[l.LoanId] = l; });
+    apiList(results[3]).forEach(function(p) { if (p.PersonId != null) persons[p.PersonId] = p; });
+    var schedules = buildGuaranteeSchedules(guarantees, apiList(results[1]), loansById);
+    var steps = [];
+    schedules.forEach(function(sc) { sc.steps.forEach(function(b) { steps.push({ b: b, name: _gPersonName(sc.guarantee, persons) }); }); });
+    steps.sort(function(x, y) { return _gDate(y.b.BurndownDate) - _gDate(x.b.BurndownDate); });
+
+    content.innerHTML =
+        '<table class="custom-fields-manager-table guarantee-table"><thead><tr><th>Guarantor</th><th>Financing</th><th>%</th><th>Original</th><th>Current</th></tr></thead><tbody>' +
+            schedules.map(function(sc) {
+                var g = sc.guarantee;
+                return '<tr><td>' + escapeHtml(_gPersonName(g, persons)) + '</td><td>' + escapeHtml(g.FinancingType || 'Construction') + '</td>' +
+                    '<td>' + (g.GuaranteePercent != null ? escapeHtml(String(g.GuaranteePercent)) + '%' : '—') + '</td>' +
+                    '<td>' + _gMoney(sc.original) + '</td><td><strong>' + _gMoney(sc.current) + '</strong></td></tr>';
+            }).join('') +
+        '</tbody></table>' +
+        '<div class="chart-container guarantee-chart-container"><canvas class="guarantee-burndown-canvas"></canvas></div>' +
+        (steps.length ? '<h4 class="covenant-group-title">Burndown history</h4>' +
+            '<table class="custom-fields-manager-table"><thead><tr><th>Date</th><th>Guarantor</th><th>From → To</th><th>Reason</th></tr></thead><tbody>' +
+            steps.map(function(s) {
+                return '<tr><td>' + escapeHtml(formatDate(s.b.BurndownDate)) + '</td><td>' + escapeHtml(s.name) + '</td>' +
+                    '<td>' + _gMoney(_gNum(s.b.PreviousAmount)) + ' → ' + _gMoney(_gNum(s.b.NewAmount)) + '</td>' +
+                    '<td>' + escapeHtml([s.b.BurndownReason, s.b.TriggeredBy].filter(Boolean).join(' · ') || '—') + '</td></tr>';
+            }).join('') + '</tbody></table>'
+            : '<div class="activity-timeline-empty">No burndowns recorded yet.</div>');
+
+    var byPerson = {};
+    schedules.forEach(function(sc) {
+        var k = sc.guarantee.PersonId;
+        (byPerson[k] = byPerson[k] || { label: _gPersonName(sc.guarantee, persons), schedules: [] }).schedules.push(sc);
+    });
+    requestAnimationFrame(function() {
+        var canvas = content.querySelector('.guarantee-burndown-canvas');
+        // The popup may have closed (or the section reloaded) before this frame
+        if (!canvas || !canvas.isConnected) return;
+        _renderGuaranteeBurndownChart('deal', canvas, Object.keys(byPerson).map(function(k) { return byPerson[k]; }));
+    });
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({
+        id: 'guarantees',
+        title: 'Guarantees',
+        order: 40,
+        render: _renderDealDetailGuarantees,
+        dispose: function() { _destroyGuaranteeChart('deal'); }
+    });
+}
+
+/* ---------- Guarantor exposure (view: guarantors) ---------- */
+
+var guarantorViewState = { personId: null, asOf: null };
+
+/** Contingent liability for one guarantor across every deal they have guaranteed, as of a chosen date */
+async function renderGuarantorExposureView(deals) {
+    var container = document.getElementById('deal-list-container');
+    if (!container) return;
+    _destroyGuaranteeChart('guarantor');
+    container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading guarantees…</div>';
+    var none = function() { return { success: true, data: [] }; };
+    var guarantees, persons = {}, loansById = {};
+    try {
+        var results = await Promise.all([API.getAllGuarantees(), API.getAllPersons().catch(none), API.getAllLoans().catch(none)]);
+        guarantees = apiList(results[0]).filter(canViewDealRow);
+        apiList(results[1]).forEach(function(p) { if (p.PersonId != null) persons[p.PersonId] = p; });
+        apiList(results[2]).forEach(function(l) { loansById[l.LoanId] = l; });
+    } catch (e) {
+        if (currentView === 'guarantors') container.innerHTML = '<div class="error-state"><p class="error-message">Could not load guarantees: ' + escapeHtml(e.message || 'Unknown error') + '</p></div>';
+        return;
+    }
+    if (currentView !== 'guarantors') return;
+
+    var guarantors = {};
+    guarantees.forEach(function(g) { if (g.PersonId != null) guarantors[g.PersonId] = _gPersonName(g, persons); });
+    var ids = Object.keys(guarantors).sort(function(a, b) { return guarantors[a].localeCompare(guarantors[b]); });
+    if (!ids.length) {
+        container.innerHTML = '<div class="upcoming-dates-view"><h2 class="upcoming-dates-view-title">Guarantor Exposure</h2><p class="no-data">No guarantees recorded.</p></div>';
+        return;
+    }
+    if (!guarantorViewState.personId || !guarantors[guarantorViewState.personId]) guarantorViewState.personId = ids[0];
+    if (!guarantorViewState.asOf) guarantorViewState.asOf = toNormalizedDateString(new Date());
+
+    var dealsByProject = {};
+    (deals || []).forEach(function(d) { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+
+    container.innerHTML =
+        '<div class="upcoming-dates-view guarantor-view">' +
+            '<h2 class="upcoming-dates-view-title">Guarantor Exposure</h2>' +
+            '<p class="upcoming-dates-view-desc">Contingent liability for a guarantor across every deal they have guaranteed. Each guarantee counts at its amount after the last burndown on or before the chosen date.</p>' +
+            '<div class="guarantor-controls">' +
+                '<label>Guarantor <select id="guarantor-select">' + ids.map(function(id) {
+                    return '<option value="' + escapeHtml(id) + '"' + (String(id) === String(guarantorViewState.personId) ? ' selected' : '') + '>' + escapeHtml(guarantors[id]) + '</option>';
+                }).join('') + '</select></label>' +
+                '<label>As of <input type="date" id="guarantor-as-of" value="' + escapeHtml(guarantorViewState.asOf) + '" /></label>' +
+            '</div>' +
+            '<div id="guarantor-body"><div class="activity-timeline-loading">Loading...</div></div>' +
+        '</div>';
+
+    async function renderBody() {
+        var body = document.getElementById('guarantor-body');
+        if (!body) return;
+        var personId = guarantorViewState.personId;
+        var burndowns = apiList(await API.getGuaranteeBurndownsByPerson(personId).catch(none));
+        if (currentView !== 'guarantors' || personId !== guarantorViewState.personId) return;
+        var asOf = _gDate(guarantorViewState.asOf) || new Date();
+        var schedules = buildGuaranteeSchedules(guarantees.filter(function(g) { return String(g.PersonId) === String(personId); }), burndowns, loansById);
+        var rows = schedules.map(function(sc) {
+            var g = sc.guarantee;
+            var deal = dealsByProject[g.ProjectId];
+            return { sc: sc, deal: deal, name: deal ? deal.Name : (g.ProjectName || 'Project ' + g.ProjectId), exposure: guaranteeExposureAsOf(sc, asOf) };
+        }).sort(function(a, b) { return b.exposure - a.exposure; });
+        var total = rows.reduce(function(s, r) { return s + r.exposure; }, 0);
+        body.innerHTML =
+            '<div class="covenant-summary"><span><strong>' + _gMoney(total) + '</strong> contingent liability on ' + escapeHtml(formatDate(asOf)) + ' across <strong>' + rows.filter(function(r) { return r.exposure > 0; }).length + '</strong> deals</span></div>' +
+            '<div class="chart-card"><h3>Exposure over time</h3><p class="chart-subtitle">Stepped at each burndown</p><div class="chart-container"><canvas id="guarantor-burndown-chart"></canvas></div></div>' +
+            '<table class="deal-list-table guarantor-table"><thead><tr><th>Deal</th><th>Financing</th><th>Original</th><th>On date</th><th>Current</th></tr></thead><tbody>' +
+                rows.map(function(r) {
+                    return '<tr class="upcoming-date-row' + (r.deal ? ' clickable' : '') + '" data-project-id="' + escapeHtml(String(r.sc.guarantee.ProjectId)) + '">' +
+                        '<td class="deal-name">' + escapeHtml(r.name) + '</td>' +
+                        '<td>' + escapeHtml(r.sc.guarantee.FinancingType || 'Construction') + '</td>' +
+                        '<td>' + _gMoney(r.sc.original) + '</td>' +
+                        '<td><strong>' + _gMoney(r.exposure) + '</strong></td>' +
+                        '<td>' + _gMoney(r.sc.current) + '</td></tr>';
+                }).join('') +
+            '</tbody></table>';
+        body.querySelectorAll('tr.clickable').forEach(function(tr) {
+            tr.addEventListener('click', function() { showDealDetail(dealsByProject[tr.dataset.projectId]); });
+        });
+        requestAnimationFrame(function() {
+            _renderGuaranteeBurndownChart('guarantor', document.getElementById('guarantor-burndown-chart'), rows.map(function(r) { return { label: r.name, schedules: [r.sc] }; }));
+        });
+    }
+
+    document.getElementById('guarantor-select').addEventListener('change', function() {
+        guarantorViewState.personId = this.value;
+        renderBody();
+    });
+    document.getElementById('guarantor-as-of').addEventListener('change', function() {
+        if (!this.value) return;
+        guarantorViewState.asOf = this.value;
+        renderBody();
+    });
+    renderBody();
+}
+
+window.renderGuarantorExposureView = renderGuarantorExposureView;
+window.guaranteeExposureAsOf = guaranteeExposureAsOf;
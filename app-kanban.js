@@ -123,15 +123,18 @@ function _kanbanCardHtml(deal) {
     var startDate = deal['Start Date'] || deal.startDate || '';
     var formattedDate = startDate ? formatDate(startDate) : '';
     var dealPipelineId = deal.DealPipelineId || deal.dealPipelineId || deal.id || '';
-    var isAdmin = (typeof canEdit === 'function' ? canEdit() : (typeof isAuthenticated !== 'undefined' && isAuthenticated)) && (typeof isEditMode !== 'undefined' && isEditMode);
+    var canMove = can('editDeal', deal) && (typeof isEditMode !== 'undefined' && isEditMode);
+    var score = deal.DealScore != null ? Math.round(deal.DealScore) : null;
 
     return '<div class="kanban-card" ' +
         'data-deal-pipeline-id="' + escapeHtml(String(dealPipelineId)) + '" ' +
         'data-deal-name="' + escapeHtml(name) + '" ' +
         'data-stage="' + escapeHtml(stage) + '" ' +
-        (isAdmin ? 'draggable="true"' : '') +
+        (canMove ? 'draggable="true"' : '') +
         ' style="border-left: 4px solid ' + stageConfig.color + ';">' +
-        '<div class="kanban-card-name">' + escapeHtml(name) + '</div>' +
+        '<div class="kanban-card-name">' + escapeHtml(name) +
+            (score != null ? ' <span class="deal-score-badge deal-score-' + dealScoreTier(score) + '" title="Deal score">' + score + '</span>' : '') +
+        '</div>' +
         (location ? '<div class="kanban-card-location">' + escapeHtml(location) + '</div>' : '') +
         '<div class="kanban-card-meta">' +
             (units ? '<span class="kanban-card-units">' + escapeHtml(String(units)) + ' units</span>' : '') +
@@ -217,6 +220,11 @@ function _kanbanBindEvents() {
             var dealName = e.dataTransfer.getData('application/x-kanban-name');
             var newStage = col.getAttribute('data-stage');
             if (!dealPipelineId || !newStage || newStage === oldStage) return;
+            var deals = typeof allDeals !== 'undefined' ? allDeals : [];
+            var deal = deals.find(function (d) {
+                return String(d.DealPipelineId || d.dealPipelineId || d.id) === String(dealPipelineId);
+            });
+            if (!requireCapability('editDeal', deal)) return;
             _kanbanConfirmMove(dealPipelineId, dealName, oldStage, newStage);
         });
     });
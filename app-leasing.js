@@ -0,0 +1,269 @@
+/**
+ * app-leasing.js — Leasing deal-detail section for Lease-Up / Stabilized deals
+ * (occupancy / leased trend, trade-outs, unit mix, pricing; as-of date picker).
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var LEASING_STAGES = ['Lease-Up', 'Stabilized'];
+var _leasingChart = null;
+// asOf ('' = latest) -> promise of the portfolio-wide [summary, dashboard, supplemental] payloads
+var _leasingPortfolioCache = {};
+
+/** First non-empty value among keys (leasing payloads mix PascalCase and camelCase). */
+function _lsPick(row, keys) {
+    if (!row) return null;
+    for (var i = 0; i < keys.length; i++) {
+        var v = row[keys[i]];
+        if (v != null && v !== '') return v;
+    }
+    return null;
+}
+
+function _lsNum(v) {
+    var n = parseFloat(String(v == null ? '' : v).replace(/[$,%\s]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+/** Occupancy / leased percent as 0–100 (payloads send either 0.93 or 93). Trade-outs are already percents; read them with _lsNum. */
+function _lsPct(v) {
+    var n = _lsNum(v);
+    if (n == null) return null;
+    return Math.abs(n) <= 1.5 ? n * 100 : n;
+}
+
+function _lsPctText(v) {
+    return v == null ? '—' : v.toFixed(1) + '%';
+}
+
+function _lsMoney(v) {
+    return v == null ? '—' : '$' + Math.round(v).toLocaleString();
+}
+
+function _lsKey(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Rows for one property from a leasing collection. Collections are either arrays of rows carrying
+ * Property / PropertyName, or objects keyed by property name.
+ */
+function leasingRowsForProperty(collection, propertyName) {
+    var key = _lsKey(propertyName);
+    if (!collection || !key) return [];
+    if (Array.isArray(collection)) {
+        return collection.filter(function(r) { return _lsKey(_lsPick(r, ['Property', 'property', 'PropertyName', 'propertyName'])) === key; });
+    }
+    var match = Object.keys(collection).filter(function(k) { return _lsKey(k) === key; })[0];
+    if (!match) return [];
+    return Array.isArray(collection[match]) ? collection[match] : [collection[match]];
+}
+
+function _lsDestroyChart() {
+    if (_leasingChart) {
+        try { _leasingChart.destroy(); } catch (e) {}
+        _leasingChart = null;
+    }
+}
+
+function _renderLeasingTrendChart(canvas, trend) {
+    _lsDestroyChart();
+    // The popup may have closed before this frame
+    if (!canvas || !canvas.isConnected || typeof Chart === 'undefined' || !trend.length) return;
+    var pal = _getChartDefaults();
+    _leasingChart = new Chart(canvas, {
+        type: 'line',
+        data: {
+            labels: trend.map(function(t) { return formatDate(t.date); }),
+            datasets: [
+                { label: 'Occupied', data: trend.map(function(t) { return t.occupancy; }), borderColor: pal.primaryGreen, backgroundColor: pal.primaryGreen, pointRadius: 2, spanGaps: true },
+                { label: 'Leased', data: trend.map(function(t) { return t.leased; }), borderColor: '#2563eb', backgroundColor: '#2563eb', pointRadius: 2, spanGaps: true }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    suggestedMin: 0,
+                    suggestedMax: 100,
+                    grid: { color: pal.borderColor },
+                    ticks: { color: pal.textSecondary, font: { family: pal.fontFamily, size: 11 }, callback: function(v) { return v + '%'; } }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: pal.textPrimary, font: { family: pal.fontFamily, size: 11 }, maxTicksLimit: 8 }
+                }
+            },
+            plugins: {
+                legend: { labels: { font: { family: pal.fontFamily, size: 11 } } },
+                tooltip: {
+                    titleFont: { family: pal.fontFamily },
+                    bodyFont: { family: pal.fontFamily },
+                    callbacks: { label: function(c) { return c.dataset.label + ': ' + _lsPctText(c.parsed.y); } }
+                }
+            }
+        }
+    });
+}
+
+/** Unit mix from the supplemental UnitMix rows, falling back to grouping PUD rows by floor plan. */
+function _lsUnitMix(mixRows, pudRows) {
+    if (mixRows.length) {
+        return mixRows.map(function(r) {
+            return {
+                plan: _lsPick(r, ['FloorPlan', 'floorPlan', 'UnitType', 'unitType', 'Bedrooms', 'bedrooms']) || '—',
+                units: _lsNum(_lsPick(r, ['Units', 'units', 'UnitCount', 'unitCount'])),
+                occupancy: _lsPct(_lsPick(r, ['OccupancyPct', 'Occupancy', 'occupancy'])),
+                rent: _lsNum(_lsPick(r, ['AvgRent', 'avgRent', 'MarketRent', 'marketRent']))
+            };
+        });
+    }
+    var byPlan = {};
+    pudRows.forEach(function(r) {
+        var plan = _lsPick(r, ['FloorPlan', 'floorPlan', 'UnitType', 'unitType']) || '—';
+        var b = byPlan[plan] = byPlan[plan] || { plan: plan, units: 0, occupied: 0, rentSum: 0, rentCount: 0 };
+        b.units++;
+        var status = String(_lsPick(r, ['UnitStatus', 'unitStatus', 'Status', 'status']) || '').toLowerCase();
+        if (status.indexOf('occupied') === 0) b.occupied++;
+        var rent = _lsNum(_lsPick(r, ['MarketRent', 'marketRent', 'Rent', 'rent']));
+        if (rent != null) { b.rentSum += rent; b.rentCount++; }
+    });
+    return Object.keys(byPlan).sort().map(function(k) {
+        var b = byPlan[k];
+        return { plan: b.plan, units: b.units, occupancy: b.units ? b.occupied / b.units * 100 : null, rent: b.rentCount ? b.rentSum / b.rentCount : null };
+    });
+}
+
+/** Summary, dashboard and supplemental payloads cover the whole portfolio; load them once per as-of date per session. */
+function _loadLeasingPortfolio(asOf) {
+    if (_leasingPortfolioCache[asOf]) return _leasingPortfolioCache[asOf];
+    var opts = asOf ? { asOf: asOf } : {};
+    var none = function() { return null; };
+    var promise = Promise.all([
+        API.getLeasingDashboardSummary(opts).catch(none),
+        API.getLeasingDashboard(opts),
+        API.getLeasingDashboardSupplemental(opts).catch(none)
+    ]);
+    _leasingPortfolioCache[asOf] = promise;
+    promise.catch(function() { delete _leasingPortfolioCache[asOf]; });
+    return promise;
+}
+
+async function _renderDealDetailLeasing(content, deal, ctx) {
+    var property = deal.Name || (deal._original && deal._original.ProjectName) || '';
+    var asOf = content.dataset.asOf || '';
+    var loaded = await Promise.all([
+        _loadLeasingPortfolio(asOf),
+        API.getLeasingPud(property, asOf ? { asOf: asOf } : {}).catch(function() { return null; })
+    ]);
+    var results = loaded[0].concat([loaded[1]]);
+    var summary = results[0];
+    var dashRes = results[1] || {};
+    var dashboard = dashRes.dashboard || dashRes.data || {};
+    var supp = (results[2] && (results[2].supplemental || results[2].data)) || {};
+    var pudRows = (results[3] && (results[3].rows || results[3].data)) || [];
+    var reportDate = (results[2] && results[2]._meta && results[2]._meta.reportDate) ||
+        (summary && summary._meta && summary._meta.latestReportDate) || asOf;
+
+    var row = leasingRowsForProperty(Array.isArray(dashboard) ? dashboard : (dashboard.properties || dashboard.rows || []), property)[0] || null;
+    if (!row && !pudRows.length) {
+        content.innerHTML = '<div class="activity-timeline-empty">No leasing data found for "' + escapeHtml(property) + '". The property name in the leasing system must match the deal name.</div>';
+        return;
+    }
+
+    var units = _lsNum(_lsPick(row, ['Units', 'units', 'TotalUnits', 'totalUnits'])) || pudRows.length || null;
+    var occupancy = _lsPct(_lsPick(row, ['OccupancyPct', 'Occupancy', 'occupancy', 'PercentOccupied']));
+    var leased = _lsPct(_lsPick(row, ['LeasedPct', 'Leased', 'leased', 'PercentLeased']));
+    var income = _lsNum(_lsPick(row, ['CurrentMonthIncome', 'currentMonthIncome']));
+    var budget = _lsNum(_lsPick(row, ['BudgetedIncome', 'budgetedIncome']));
+
+    var trend = leasingRowsForProperty(_lsPick(supp, ['leasingTS', 'LeasingTS', 'timeSeries']), property).map(function(r) {
+        return {
+            date: _lsPick(r, ['ReportDate', 'reportDate', 'Date', 'date']),
+            occupancy: _lsPct(_lsPick(r, ['OccupancyPct', 'Occupancy', 'occupancy'])),
+            leased: _lsPct(_lsPick(r, ['LeasedPct', 'Leased', 'leased']))
+        };
+    }).filter(function(t) { return t.date; }).sort(function(a, b) { return new Date(a.date) - new Date(b.date); });
+
+    var tradeouts = leasingRowsForProperty(_lsPick(supp, ['Tradeouts', 'tradeouts', 'TradeOuts', 'tradeoutSummary']), property)
+        .concat(leasingRowsForProperty(_lsPick(supp, ['Recents', 'recents']), property).filter(function(r) {
+            return _lsPick(r, ['PriorRent', 'priorRent']) != null;
+        }));
+    var mix = _lsUnitMix(leasingRowsForProperty(_lsPick(supp, ['UnitMix', 'unitMix']), property), pudRows);
+    var pricing = leasingRowsForProperty(_lsPick(supp, ['Pricing', 'pricing']), property);
+
+    var tradeoutPcts = tradeouts.map(function(t) {
+        var prior = _lsNum(_lsPick(t, ['PriorRent', 'priorRent'])), next = _lsNum(_lsPick(t, ['NewRent', 'newRent', 'Rent', 'rent']));
+        var pct = _lsNum(_lsPick(t, ['TradeoutPct', 'tradeoutPct']));
+        return pct != null ? pct : (prior && next != null ? (next - prior) / prior * 100 : null);
+    }).filter(function(v) { return v != null; });
+    var avgTradeout = tradeoutPcts.length ? tradeoutPcts.reduce(function(s, v) { return s + v; }, 0) / tradeoutPcts.length : null;
+
+    content.innerHTML =
+        '<div class="leasing-controls"><label>As of <input type="date" class="leasing-as-of" value="' + escapeHtml(asOf) + '" max="' + toNormalizedDateString(new Date()) + '" /></label>' +
+            (reportDate ? '<span class="due-diligence-due">Report date ' + escapeHtml(formatDate(reportDate)) + '</span>' : '') +
+            (asOf ? '<button type="button" class="deal-detail-btn leasing-latest">Latest</button>' : '') + '</div>' +
+        '<div class="deal-detail-grid">' +
+            '<div class="deal-detail-item"><label>Units</label><span>' + (units != null ? units : '—') + '</span></div>' +
+            '<div class="deal-detail-item"><label>Occupied</label><span>' + _lsPctText(occupancy) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Leased</label><span>' + _lsPctText(leased) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Avg trade-out</label><span class="' + (avgTradeout != null && avgTradeout < 0 ? 'leasing-negative' : '') + '">' + (avgTradeout != null ? (avgTradeout >= 0 ? '+' : '') + avgTradeout.toFixed(1) + '%' : '—') + '</span></div>' +
+            '<div class="deal-detail-item"><label>Monthly income</label><span>' + _lsMoney(income) + (budget ? ' <span class="due-diligence-due">of ' + _lsMoney(budget) + ' budget</span>' : '') + '</span></div>' +
+        '</div>' +
+        '<h4 class="covenant-group-title">Occupancy &amp; leased trend</h4>' +
+        (trend.length ? '<div class="leasing-chart-container"><canvas></canvas></div>' : '<div class="activity-timeline-empty">No trend data for this property.</div>') +
+        '<h4 class="covenant-group-title">Trade-outs</h4>' +
+        (tradeouts.length ? '<table class="custom-fields-manager-table"><thead><tr><th>Unit</th><th>Type</th><th>Prior</th><th>New</th><th>Change</th><th>Date</th></tr></thead><tbody>' +
+            tradeouts.slice(0, 15).map(function(t) {
+                var prior = _lsNum(_lsPick(t, ['PriorRent', 'priorRent'])), next = _lsNum(_lsPick(t, ['NewRent', 'newRent', 'Rent', 'rent']));
+                var pct = prior && next != null ? (next - prior) / prior * 100 : _lsNum(_lsPick(t, ['TradeoutPct', 'tradeoutPct']));
+                return '<tr><td>' + escapeHtml(String(_lsPick(t, ['Unit', 'unit', 'UnitNumber']) || '—')) + '</td>' +
+                    '<td>' + escapeHtml(String(_lsPick(t, ['LeaseType', 'leaseType', 'Type']) || '—')) + '</td>' +
+                    '<td>' + _lsMoney(prior) + '</td><td>' + _lsMoney(next) + '</td>' +
+                    '<td class="' + (pct != null && pct < 0 ? 'leasing-negative' : '') + '">' + (pct != null ? (pct >= 0 ? '+' : '') + pct.toFixed(1) + '%' : '—') + '</td>' +
+                    '<td>' + escapeHtml(_lsPick(t, ['LeaseStart', 'leaseStart', 'Date', 'date']) ? formatDate(_lsPick(t, ['LeaseStart', 'leaseStart', 'Date', 'date'])) : '—') + '</td></tr>';
+            }).join('') + '</tbody></table>' : '<div class="activity-timeline-empty">No trade-outs reported.</div>') +
+        '<h4 class="covenant-group-title">Unit mix</h4>' +
+        (mix.length ? '<table class="custom-fields-manager-table"><thead><tr><th>Plan</th><th>Units</th><th>Occupied</th><th>Avg rent</th></tr></thead><tbody>' +
+            mix.map(function(m) {
+                return '<tr><td>' + escapeHtml(String(m.plan)) + '</td><td>' + (m.units != null ? m.units : '—') + '</td><td>' + _lsPctText(m.occupancy) + '</td><td>' + _lsMoney(m.rent) + '</td></tr>';
+            }).join('') + '</tbody></table>' : '<div class="activity-timeline-empty">No unit mix reported.</div>') +
+        '<h4 class="covenant-group-title">Pricing</h4>' +
+        (pricing.length ? '<table class="custom-fields-manager-table"><thead><tr><th>Plan</th><th>Market rent</th><th>Effective rent</th><th>Concessions</th></tr></thead><tbody>' +
+            pricing.map(function(p) {
+                return '<tr><td>' + escapeHtml(String(_lsPick(p, ['FloorPlan', 'floorPlan', 'UnitType', 'unitType']) || '—')) + '</td>' +
+                    '<td>' + _lsMoney(_lsNum(_lsPick(p, ['MarketRent', 'marketRent']))) + '</td>' +
+                    '<td>' + _lsMoney(_lsNum(_lsPick(p, ['EffectiveRent', 'effectiveRent', 'NetEffectiveRent']))) + '</td>' +
+                    '<td>' + escapeHtml(String(_lsPick(p, ['Concessions', 'concessions', 'Special']) || '—')) + '</td></tr>';
+            }).join('') + '</tbody></table>' : '<div class="activity-timeline-empty">No pricing reported.</div>');
+
+    if (trend.length) {
+        requestAnimationFrame(function() { _renderLeasingTrendChart(content.querySelector('.leasing-chart-container canvas'), trend); });
+    }
+    content.querySelector('.leasing-as-of').addEventListener('change', function() {
+        content.dataset.asOf = this.value;
+        ctx.reload();
+    });
+    var latest = content.querySelector('.leasing-latest');
+    if (latest) {
+        latest.addEventListener('click', function() {
+            content.dataset.asOf = '';
+            ctx.reload();
+        });
+    }
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({
+        id: 'leasing',
+        title: 'Leasing',
+        order: 18,
+        appliesTo: function(deal) { return LEASING_STAGES.indexOf(normalizeStage(deal.Stage || deal.stage)) !== -1; },
+        render: _renderDealDetailLeasing,
+        dispose: _lsDestroyChart
+    });
+}
+
+window.leasingRowsForProperty = leasingRowsForProperty;
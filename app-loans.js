@@ -0,0 +1,251 @@
+/**
+ * app-loans.js — Loan structure deal-detail section: phases, modifications, draws, participations
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var LOAN_PHASE_ORDER = ['Land', 'Construction', 'MiniPerm', 'Permanent', 'Other'];
+var _loanBankNames = null;
+
+function _lnNum(v) {
+    var n = parseFloat(v);
+    return isNaN(n) ? null : n;
+}
+
+function _lnMoney(v) {
+    var n = _lnNum(v);
+    return n == null ? '—' : '$' + n.toLocaleString(undefined, { maximumFractionDigits: 0 });
+}
+
+function _lnDate(v) {
+    return v ? formatDate(v) : '—';
+}
+
+/** BankId → BankName (cached for the session) */
+async function loadLoanBankNames() {
+    if (_loanBankNames) return _loanBankNames;
+    var res = await API.getAllBanks().catch(function() { return { data: [] }; });
+    _loanBankNames = {};
+    apiList(res).forEach(function(b) { if (b.BankId != null) _loanBankNames[b.BankId] = b.BankName; });
+    return _loanBankNames;
+}
+
+function _lnLender(loan, banks) {
+    return (banks && banks[loan.LenderId]) || loan.LenderName || loan.BankName || '—';
+}
+
+function _lnRate(loan) {
+    if (loan.FixedOrFloating === 'Floating' && (loan.IndexName || loan.Spread)) {
+        var floating = [loan.IndexName, loan.Spread ? '+ ' + loan.Spread : ''].filter(Boolean).join(' ');
+        var bounds = [loan.InterestRateFloor ? 'floor ' + loan.InterestRateFloor : '', loan.InterestRateCeiling ? 'cap ' + loan.InterestRateCeiling : ''].filter(Boolean).join(', ');
+        return floating + (bounds ? ' (' + bounds + ')' : '');
+    }
+    return loan.InterestRate || loan.FixedOrFloating || '—';
+}
+
+function _lnLabel(loan, banks) {
+    return (loan.LoanPhase || 'Loan') + ' — ' + _lnLender(loan, banks) + ' (' + _lnMoney(loan.LoanAmount) + ')';
+}
+
+function _lnItem(label, value) {
+    return '<div class="deal-detail-item"><label>' + label + '</label><span>' + escapeHtml(value == null || value === '' ? '—' : String(value)) + '</span></div>';
+}
+
+/** One card per loan; construction loans also show their perm-phase / mini-perm terms */
+function _loanPhaseCardHtml(loan, banks, admin) {
+    var items = [
+        _lnItem('Lender', _lnLender(loan, banks)),
+        _lnItem('Amount', _lnMoney(loan.LoanAmount)),
+        _lnItem('Rate', _lnRate(loan)),
+        _lnItem('Closing', _lnDate(loan.LoanClosingDate)),
+        _lnItem('Maturity', _lnDate(loan.MaturityDate))
+    ];
+    if (loan.IOMaturityDate || loan.ConversionDate) items.push(_lnItem('I/O maturity', _lnDate(loan.IOMaturityDate || loan.ConversionDate)));
+    if (loan.LoanType || loan.LoanTypeName) items.push(_lnItem('Type', loan.LoanTypeName || loan.LoanType));
+    var perm = [];
+    if (loan.MiniPermMaturity || loan.MiniPermInterestRate) {
+        perm.push(_lnItem('Mini-perm rate', loan.MiniPermInterestRate || [loan.MiniPermIndex, loan.MiniPermSpread ? '+ ' + loan.MiniPermSpread : ''].filter(Boolean).join(' ')));
+        perm.push(_lnItem('Mini-perm maturity', _lnDate(loan.MiniPermMaturity)));
+    }
+    if (loan.PermanentCloseDate || loan.PermanentLoanAmount || loan.PermPhaseMaturity) {
+        perm.push(_lnItem('Perm close', _lnDate(loan.PermanentCloseDate)));
+        perm.push(_lnItem('Perm amount', _lnMoney(loan.PermanentLoanAmount)));
+        perm.push(_lnItem('Perm rate', loan.PermPhaseInterestRate));
+        perm.push(_lnItem('Perm maturity', _lnDate(loan.PermPhaseMaturity)));
+    }
+    return '<div class="loan-phase-card' + (loan.IsActive === false ? ' loan-phase-inactive' : '') + '" data-loan-id="' + escapeHtml(String(loan.LoanId)) + '">' +
+        '<div class="loan-phase-header"><strong>' + escapeHtml(loan.LoanPhase || 'Loan') + '</strong>' +
+            (loan.IsActive === false ? '<span class="covenant-status">Inactive</span>' : '<span class="covenant-status covenant-status-pass">Active</span>') +
+            (loan.IsPrimary ? '<span class="covenant-status">Primary</span>' : '') +
+            (admin && loan.IsActive === false ? '<button type="button" class="contacts-btn loan-activate-btn">Make active</button>' : '') +
+        '</div>' +
+        '<div class="deal-detail-grid">' + items.join('') + '</div>' +
+        (perm.length ? '<div class="loan-phase-sub">Permanent phase</div><div class="deal-detail-grid">' + perm.join('') + '</div>' : '') +
+    '</div>';
+}
+
+function _loanModificationsHtml(mods, loans, banks) {
+    if (!mods.length) return '<div class="activity-timeline-empty">No modifications recorded.</div>';
+    var loansById = {};
+    loans.forEach(function(l) { loansById[l.LoanId] = l; });
+    return '<div class="activity-timeline">' + mods.slice().sort(function(a, b) {
+        return String(b.EffectiveDate || '').localeCompare(String(a.EffectiveDate || ''));
+    }).map(function(m) {
+        var loan = loansById[m.LoanId];
+        var meta = [_lnDate(m.EffectiveDate), loan ? _lnLabel(loan, banks) : ''].filter(Boolean).join(' · ');
+        return '<div class="activity-item">' +
+            '<div class="activity-icon activity-icon-field_update">✏</div>' +
+            '<div class="activity-content">' +
+                '<div class="activity-description"><strong>' + escapeHtml(m.Type || 'Modification') + '</strong>' + (m.Description ? ' — ' + escapeHtml(m.Description) : '') + '</div>' +
+                '<div class="activity-meta">' + escapeHtml(meta) + (m.Notes ? ' · ' + escapeHtml(m.Notes) : '') + '</div>' +
+            '</div></div>';
+    }).join('') + '</div>';
+}
+
+/** Draw ledger with a running total (CumulativeAmount from the API wins when present) */
+function _loanProceedsHtml(rows, loan) {
+    if (!rows.length) return '<div class="activity-timeline-empty">No draws recorded for this loan.</div>';
+    var running = 0;
+    var body = rows.slice().sort(function(a, b) { return String(a.ProceedsDate || '').localeCompare(String(b.ProceedsDate || '')); }).map(function(p) {
+        running += _lnNum(p.ProceedsAmount) || 0;
+        var cumulative = _lnNum(p.CumulativeAmount) != null ? _lnNum(p.CumulativeAmount) : running;
+        return '<tr><td>' + escapeHtml(_lnDate(p.ProceedsDate)) + '</td><td>' + escapeHtml(String(p.DrawNumber ?? '—')) + '</td>' +
+            '<td>' + escapeHtml(p.DrawDescription || p.Notes || '') + '</td><td>' + _lnMoney(p.ProceedsAmount) + '</td><td>' + _lnMoney(cumulative) + '</td></tr>';
+    }).join('');
+    var amount = _lnNum(loan.LoanAmount);
+    var pct = amount ? Math.min(100, running / amount * 100) : null;
+    return (pct != null ? '<div class="loan-drawn-bar" title="' + pct.toFixed(1) + '% drawn"><div class="loan-drawn-fill" style="width:' + pct.toFixed(1) + '%;"></div></div>' +
+            '<div class="equity-partner-type">' + _lnMoney(running) + ' of ' + _lnMoney(amount) + ' drawn (' + pct.toFixed(1) + '%)</div>' : '') +
+        '<table class="custom-fields-manager-table"><thead><tr><th>Date</th><th>Draw #</th><th>Description</th><th>Amount</th><th>Cumulative</th></tr></thead><tbody>' + body + '</tbody></table>';
+}
+
+function _loanParticipationsHtml(parts, loans, banks, summaries) {
+    if (!parts.length) return '<div class="activity-timeline-empty">No participations recorded.</div>';
+    return loans.concat([{ LoanId: null, LoanPhase: 'Unlinked' }]).map(function(loan) {
+        var rows = parts.filter(function(p) { return loan.LoanId == null ? !loans.some(function(l) { return String(l.LoanId) === String(p.LoanId); }) : String(p.LoanId) === String(loan.LoanId); });
+        if (!rows.length) return '';
+        var s = summaries[loan.LoanId];
+        return '<h4 class="covenant-group-title">' + escapeHtml(loan.LoanId == null ? 'Not linked to a loan' : _lnLabel(loan, banks)) +
+                (s && s.mismatch ? ' <span class="covenant-status covenant-status-fail" title="Participation total does not match loan amount">' + _lnMoney(s.participationTotal) + ' vs ' + _lnMoney(s.loanAmount) + '</span>' : '') + '</h4>' +
+            '<table class="custom-fields-manager-table"><thead><tr><th>Bank</th><th>Share</th><th>Exposure</th><th></th></tr></thead><tbody>' +
+            rows.map(function(p) {
+                return '<tr><td>' + escapeHtml(banks[p.BankId] || p.BankName || '—') + '</td>' +
+                    '<td>' + escapeHtml(String(p.ParticipationPercent ?? '—')) + '</td><td>' + _lnMoney(p.ExposureAmount) + '</td>' +
+                    '<td>' + (p.IsLead ? '<span class="covenant-status">Lead</span> ' : '') + (p.PaidOff ? '<span class="covenant-status">Paid off</span>' : '') + '</td></tr>';
+            }).join('') + '</tbody></table>';
+    }).join('');
+}
+
+/* ---------- Deal detail: Loan Structure ---------- */
+
+async function _renderDealDetailLoans(content, deal, ctx) {
+    if (!ctx.projectId) {
+        content.innerHTML = '<div class="activity-timeline-empty">Loans are available once the deal is linked to a project.</div>';
+        return;
+    }
+    var none = function() { return { success: true, data: [] }; };
+    var results = await Promise.all([
+        API.getLoansByProject(ctx.projectId),
+        API.getLoanModificationsByProject(ctx.projectId).catch(none),
+        API.getParticipationsByProject(ctx.projectId).catch(none),
+        loadLoanBankNames()
+    ]);
+    var loans = apiList(results[0]).slice().sort(function(a, b) {
+        var pa = LOAN_PHASE_ORDER.indexOf(a.LoanPhase), pb = LOAN_PHASE_ORDER.indexOf(b.LoanPhase);
+        return (pa === -1 ? 99 : pa) - (pb === -1 ? 99 : pb);
+    });
+    var mods = apiList(results[1]);
+    var parts = apiList(results[2]);
+    var banks = results[3];
+    if (!loans.length) {
+        content.innerHTML = '<div class="activity-timeline-empty">No loans recorded for this deal.</div>';
+        return;
+    }
+    var summaries = {};
+    await Promise.all(loans.map(function(l) {
+        return API.getLoanParticipationSummary(l.LoanId).then(function(res) { if (res && res.data) summaries[l.LoanId] = res.data; }).catch(function() {});
+    }));
+    var admin = can('manageReferenceData');
+    var loanOptions = loans.map(function(l) { return '<option value="' + escapeHtml(String(l.LoanId)) + '">' + escapeHtml(_lnLabel(l, banks)) + '</option>'; }).join('');
+
+    content.innerHTML =
+        '<div class="loan-phase-cards">' + loans.map(function(l) { return _loanPhaseCardHtml(l, banks, admin); }).join('') + '</div>' +
+        '<h4 class="covenant-group-title">Modifications</h4>' + _loanModificationsHtml(mods, loans, banks) +
+        '<h4 class="covenant-group-title">Draws / proceeds</h4>' +
+        '<select class="loan-proceeds-select" aria-label="Loan">' + loanOptions + '</select>' +
+        '<div class="loan-proceeds-ledger"><div class="activity-timeline-loading">Loading...</div></div>' +
+        '<h4 class="covenant-group-title">Participations</h4>' + _loanParticipationsHtml(parts, loans, banks, summaries) +
+        (admin && loans.length > 1 ? '<div class="covenant-inline-form loan-copy-form">' +
+            '<h4 class="covenant-group-title">Copy covenants / guarantees between loans</h4>' +
+            '<div class="custom-fields-detail-form">' +
+                '<div class="deal-detail-item"><label>From</label><select name="source">' + loanOptions + '</select></div>' +
+                '<div class="deal-detail-item"><label>To</label><select name="target">' + loanOptions + '</select></div>' +
+                '<div class="deal-detail-item"><label><input type="checkbox" name="copyCovenants" checked /> Covenants</label></div>' +
+                '<div class="deal-detail-item"><label><input type="checkbox" name="copyGuarantees" checked /> Guarantees</label></div>' +
+            '</div>' +
+            '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+            '<div class="custom-fields-detail-actions"><button type="button" class="deal-detail-btn loan-copy-btn">Copy</button></div>' +
+        '</div>' : '');
+
+    var ledger = content.querySelector('.loan-proceeds-ledger');
+    var proceedsSelect = content.querySelector('.loan-proceeds-select');
+    function loadProceeds() {
+        var loan = loans.find(function(l) { return String(l.LoanId) === proceedsSelect.value; });
+        ledger.innerHTML = '<div class="activity-timeline-loading">Loading...</div>';
+        API.getLoanProceedsByLoan(loan.LoanId).then(function(res) {
+            if (proceedsSelect.value === String(loan.LoanId)) ledger.innerHTML = _loanProceedsHtml(apiList(res), loan);
+        }).catch(function(err) {
+            ledger.innerHTML = '<div class="activity-timeline-empty">Could not load draws: ' + escapeHtml(err.message || 'Unknown error') + '</div>';
+        });
+    }
+    proceedsSelect.addEventListener('change', loadProceeds);
+    loadProceeds();
+
+    content.querySelectorAll('.loan-activate-btn').forEach(function(btn) {
+        btn.addEventListener('click', async function() {
+            var loanId = btn.closest('.loan-phase-card').dataset.loanId;
+            var ok = await domoConfirm('Make this loan active? Other loans on this project will be set inactive.', { confirmLabel: 'Make active' });
+            if (!ok) return;
+            btn.disabled = true;
+            try {
+                await API.setLoanActive(loanId);
+                showToast('Loan set active.', 'success');
+                ctx.reload();
+            } catch (err) {
+                btn.disabled = false;
+                showToast('Failed to set loan active: ' + (err.message || 'Unknown error'), 'error');
+            }
+        });
+    });
+
+    var copyForm = content.querySelector('.loan-copy-form');
+    if (copyForm) {
+        copyForm.querySelector('select[name="target"]').selectedIndex = 1;
+        copyForm.querySelector('.loan-copy-btn').addEventListener('click', async function() {
+            var errEl = copyForm.querySelector('.custom-fields-detail-error');
+            var source = copyForm.querySelector('select[name="source"]').value;
+            var target = copyForm.querySelector('select[name="target"]').value;
+            var options = { copyCovenants: copyForm.querySelector('input[name="copyCovenants"]').checked, copyGuarantees: copyForm.querySelector('input[name="copyGuarantees"]').checked };
+            var error = source === target ? 'Choose two different loans.' : (!options.copyCovenants && !options.copyGuarantees ? 'Choose covenants, guarantees or both.' : '');
+            errEl.textContent = error;
+            errEl.style.display = error ? 'block' : 'none';
+            if (error) return;
+            this.disabled = true;
+            try {
+                var res = await API.copyLoanAttributes(target, source, options);
+                var d = (res && res.data) || {};
+                showToast('Copied ' + (d.copyCovenants || 0) + ' covenant(s) and ' + (d.copyGuarantees || 0) + ' guarantee(s).', 'success');
+                ctx.reload();
+            } catch (err) {
+                this.disabled = false;
+                errEl.textContent = err.message || 'Copy failed.';
+                errEl.style.display = 'block';
+            }
+        });
+    }
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({ id: 'loan-structure', title: 'Loan Structure', order: 15, render: _renderDealDetailLoans });
+}
@@ -8,6 +8,7 @@
 
 // Layer group references (cleaned up when map is destroyed)
 var _mapLayerGroups = {};
+var _mapLayerDeals = [];
 
 /**
  * Add layer controls to the map after initMap completes.
@@ -30,39 +31,11 @@ function addMapLayers(map, pipelineDeals) {
     var stoaPropertiesLayer = L.layerGroup();
     _mapLayerGroups.stoaProperties = stoaPropertiesLayer;
 
-    // Fetch existing properties from the API
-    if (typeof API !== 'undefined' && typeof API.getClosedProperties === 'function') {
-        API.getClosedProperties().then(function(res) {
-            var properties = (res && res.success && res.data) ? res.data : [];
-            properties.forEach(function(prop) {
-                var lat = parseFloat(prop.Latitude || prop.latitude || 0);
-                var lng = parseFloat(prop.Longitude || prop.longitude || 0);
-                if (!lat || !lng) return;
-
-                var name = prop.ProjectName || prop.propertyName || 'Stoa Property';
-                var units = prop.UnitCount || prop.unitCount || '—';
-                var city = prop.City || prop.city || '';
-                var state = prop.State || prop.state || '';
-
-                var icon = L.divIcon({
-                    className: 'stoa-property-marker',
-                    html: '<div class="stoa-marker-dot"></div>',
-                    iconSize: [14, 14],
-                    iconAnchor: [7, 7]
-                });
-
-                var marker = L.marker([lat, lng], { icon: icon });
-                marker.bindPopup(
-                    '<div class="map-popup stoa-popup">' +
-                    '<strong>' + escapeHtml(name) + '</strong><br>' +
-                    '<span style="color:#6b7280;font-size:12px;">' +
-                    escapeHtml(city) + (city && state ? ', ' : '') + escapeHtml(state) +
-                    ' · ' + units + ' units</span>' +
-                    '<div style="margin-top:4px;font-size:11px;color:#7e8a6b;font-weight:600;">EXISTING STOA PROPERTY</div>' +
-                    '</div>'
-                );
-                stoaPropertiesLayer.addLayer(marker);
-            });
+    // Existing properties come from the closed properties registry (shared cache)
+    _mapLayerDeals = pipelineDeals || [];
+    if (typeof loadClosedProperties === 'function') {
+        loadClosedProperties().then(function(properties) {
+            _renderStoaPropertyMarkers(stoaPropertiesLayer, properties);
         }).catch(function() {});
     }
 
@@ -110,6 +83,55 @@ function addMapLayers(map, pipelineDeals) {
     _addLayerToggleUI(map, overlays);
 }
 
+/**
+ * Draw closed properties as "existing Stoa property" markers. Properties without coordinates
+ * fall back to the originating pipeline deal's location.
+ */
+function _renderStoaPropertyMarkers(layer, properties) {
+    layer.clearLayers();
+    var dealsByProject = {};
+    (window.allDeals || _mapLayerDeals).forEach(function(d) { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+    (properties || []).forEach(function(prop) {
+        var deal = dealsByProject[prop.ProjectId] || {};
+        var lat = parseFloat(prop.Latitude || prop.latitude || deal.Latitude || deal.latitude || 0);
+        var lng = parseFloat(prop.Longitude || prop.longitude || deal.Longitude || deal.longitude || 0);
+        if (!lat || !lng) return;
+
+        var name = prop.ProjectName || prop.propertyName || 'Stoa Property';
+        var units = prop.Units || prop.UnitCount || prop.unitCount || '—';
+        var city = prop.City || prop.city || '';
+        var state = prop.State || prop.state || '';
+
+        var icon = L.divIcon({
+            className: 'stoa-property-marker',
+            html: '<div class="stoa-marker-dot"></div>',
+            iconSize: [14, 14],
+            iconAnchor: [7, 7]
+        });
+
+        var marker = L.marker([lat, lng], { icon: icon });
+        marker.bindPopup(
+            '<div class="map-popup stoa-popup">' +
+            '<strong>' + escapeHtml(name) + '</strong><br>' +
+            '<span style="color:#6b7280;font-size:12px;">' +
+            escapeHtml(city) + (city && state ? ', ' : '') + escapeHtml(state) +
+            ' · ' + escapeHtml(String(units)) + ' units</span>' +
+            '<div style="margin-top:4px;font-size:11px;color:#7e8a6b;font-weight:600;">EXISTING STOA PROPERTY</div>' +
+            '</div>'
+        );
+        layer.addLayer(marker);
+    });
+}
+
+/** Redraw the Stoa Properties layer from the closed properties cache (after registry edits). */
+function refreshStoaPropertiesLayer() {
+    var layer = _mapLayerGroups.stoaProperties;
+    if (!layer || typeof loadClosedProperties !== 'function') return;
+    loadClosedProperties().then(function(properties) {
+        _renderStoaPropertyMarkers(layer, properties);
+    }).catch(function() {});
+}
+
 /**
  * Add a custom layer toggle panel below the map controls.
  */
@@ -0,0 +1,481 @@
+/**
+ * app-pipeline-grid.js — Spreadsheet editing for the Deal Pipeline table: range selection, copy / paste
+ * to and from Excel (tab-separated), fill-down, find-and-replace within a column, and session undo / redo.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var GRID_HISTORY_LIMIT = 200;
+
+/** Selection is kept as visible-row / column indexes so it survives the search filter hiding rows. */
+var _grid = { anchor: null, focus: null, dragging: false, applying: false };
+var _gridUndo = [];
+var _gridRedo = [];
+
+function _gridTable() {
+    return document.querySelector('.deal-pipeline-table');
+}
+
+function _gridRows() {
+    var table = _gridTable();
+    if (!table || !table.tBodies[0]) return [];
+    return Array.prototype.filter.call(table.tBodies[0].rows, function(tr) { return tr.style.display !== 'none'; });
+}
+
+function _gridEditor(td) {
+    return td ? td.querySelector('.deal-pipeline-field, .deal-pipeline-custom-field') : null;
+}
+
+/** Cells the grid must not write: Procore-synced, auto-calculated, read-only, and the searchable selects (they carry an id, not text). */
+function _gridLocked(el) {
+    return !el || el.readOnly || el.disabled || el.classList.contains('external-source-field') ||
+        el.classList.contains('auto-calculated-field') || el.classList.contains('searchable-select-input');
+}
+
+function _gridPos(td) {
+    var r = _gridRows().indexOf(td.parentElement);
+    return r === -1 ? null : { r: r, c: td.cellIndex };
+}
+
+function _gridRect() {
+    if (!_grid.anchor || !_grid.focus) return null;
+    return {
+        r1: Math.min(_grid.anchor.r, _grid.focus.r), r2: Math.max(_grid.anchor.r, _grid.focus.r),
+        c1: Math.min(_grid.anchor.c, _grid.focus.c), c2: Math.max(_grid.anchor.c, _grid.focus.c)
+    };
+}
+
+function _gridIsRange(rect) {
+    return !!rect && (rect.r1 !== rect.r2 || rect.c1 !== rect.c2);
+}
+
+function _gridPaintSelection() {
+    var table = _gridTable();
+    if (!table) return;
+    table.querySelectorAll('.grid-cell-selected').forEach(function(td) { td.classList.remove('grid-cell-selected'); });
+    var rect = _gridRect();
+    table.classList.toggle('grid-range-active', _gridIsRange(rect));
+    if (!_gridIsRange(rect)) return;
+    var rows = _gridRows();
+    for (var r = rect.r1; r <= rect.r2; r++) {
+        for (var c = rect.c1; c <= rect.c2; c++) {
+            var td = rows[r] && rows[r].cells[c];
+            if (td) td.classList.add('grid-cell-selected');
+        }
+    }
+}
+
+/* ---------- Values ---------- */
+
+function _gridRaw(el) {
+    return el.type === 'checkbox' ? el.checked : el.value;
+}
+
+function _gridText(td) {
+    var el = _gridEditor(td);
+    if (!el) return td ? td.textContent.trim() : '';
+    if (el.type === 'checkbox') return el.checked ? 'TRUE' : 'FALSE';
+    return el.value;
+}
+
+/** YYYY-MM-DD for a calendar date, or null when the month or day does not exist (13/45/2024, 2/30/2025). */
+function _gridYmd(year, month, day) {
+    var d = new Date(Date.UTC(year, month - 1, day));
+    if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+    return year + '-' + ('0' + month).slice(-2) + '-' + ('0' + day).slice(-2);
+}
+
+/** Date text as YYYY-MM-DD, or null (the cell is skipped) when it is not a real date. */
+function _gridDate(text) {
+    var iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:$|T)/);
+    if (iso) return _gridYmd(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+    var m = text.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2}|\d{4})$/);
+    if (m) {
+        var y = m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10);
+        return _gridYmd(y, parseInt(m[1], 10), parseInt(m[2], 10));
+    }
+    // Spelled-out dates ("Mar 5, 2024"); a four-digit year keeps text like "TBD 5" from parsing
+    if (!/\b\d{4}\b/.test(text)) return null;
+    var d = new Date(text);
+    return isNaN(d.getTime()) ? null : toNormalizedDateString(d);
+}
+
+/** Convert pasted / replaced text into what the cell's input accepts. Returns undefined when it cannot. */
+function _gridCoerce(el, text) {
+    var t = el.tagName === 'TEXTAREA' ? String(text) : String(text).trim();
+    if (el.type === 'checkbox') {
+        if (/^(true|yes|y|1|x)$/i.test(t)) return true;
+        if (/^(false|no|n|0|)$/i.test(t)) return false;
+        return undefined;
+    }
+    if (el.tagName === 'SELECT') {
+        var lower = t.toLowerCase();
+        var opt = Array.prototype.filter.call(el.options, function(o) {
+            return o.value.toLowerCase() === lower || o.text.trim().toLowerCase() === lower;
+        })[0];
+        return opt ? opt.value : undefined;
+    }
+    if (t === '') return '';
+    if (el.type === 'date') return _gridDate(t) || undefined;
+    if (el.type === 'number') {
+        var n = parseFloat(t.replace(/[$,\s]/g, ''));
+        return isNaN(n) ? undefined : String(n);
+    }
+    if (el.dataset.field === 'State') return t.replace(/[^A-Za-z]/g, '').toUpperCase().slice(0, 2);
+    return t;
+}
+
+function _gridWrite(el, value) {
+    if (el.type === 'checkbox') el.checked = !!value;
+    else el.value = value;
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/* ---------- Undo / redo ---------- */
+
+/** Identify a cell by deal id + field so history outlives a table re-render (sort, filter, save). */
+function _gridEntry(el, before, after) {
+    var tr = el.closest('tr');
+    return { el: el, dealId: tr ? tr.dataset.dealId : '', field: el.dataset.field || null, customFieldId: el.dataset.customFieldId || null, before: before, after: after };
+}
+
+function _gridResolve(entry) {
+    if (entry.el.isConnected) return entry.el;
+    if (!entry.dealId || entry.dealId === 'new') return null;
+    var sel = entry.field ? '.deal-pipeline-field[data-field="' + entry.field + '"]' : '[data-custom-field-id="' + entry.customFieldId + '"]';
+    var el = document.querySelector('.deal-pipeline-table tr[data-deal-id="' + entry.dealId + '"] ' + sel);
+    if (el) entry.el = el;
+    return el;
+}
+
+function _gridPush(label, entries) {
+    if (!entries.length) return;
+    _gridUndo.push({ label: label, entries: entries });
+    if (_gridUndo.length > GRID_HISTORY_LIMIT) _gridUndo.shift();
+    _gridRedo = [];
+    _gridUpdateToolbar();
+}
+
+/** Write a set of { el, value } edits as one undoable step. Returns how many cells changed. */
+function _gridApply(label, edits) {
+    var entries = [];
+    _grid.applying = true;
+    try {
+        edits.forEach(function(e) {
+            var before = _gridRaw(e.el);
+            if (String(before) === String(e.value)) return;
+            _gridWrite(e.el, e.value);
+            e.el._gridBefore = _gridRaw(e.el);
+            entries.push(_gridEntry(e.el, before, _gridRaw(e.el)));
+        });
+    } finally {
+        _grid.applying = false;
+    }
+    _gridPush(label, entries);
+    return entries.length;
+}
+
+function _gridReplay(from, to, side, verb) {
+    var step = from.pop();
+    if (!step) return;
+    var missing = 0;
+    _grid.applying = true;
+    try {
+        (side === 'before' ? step.entries.slice().reverse() : step.entries).forEach(function(entry) {
+            var el = _gridResolve(entry);
+            if (!el) { missing++; return; }
+            _gridWrite(el, entry[side]);
+            el._gridBefore = _gridRaw(el);
+        });
+    } finally {
+        _grid.applying = false;
+    }
+    to.push(step);
+    _gridUpdateToolbar();
+    showToast(verb + ': ' + step.label + (missing ? ' (' + missing + ' cell' + (missing !== 1 ? 's' : '') + ' no longer in the table)' : ''), 'info');
+}
+
+function dealPipelineGridUndo() { _gridReplay(_gridUndo, _gridRedo, 'before', 'Undid'); }
+function dealPipelineGridRedo() { _gridReplay(_gridRedo, _gridUndo, 'after', 'Redid'); }
+
+/* ---------- Copy / paste / fill ---------- */
+
+function _gridTsvCell(text) {
+    return /[\t\n\r"]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/** Parse tab-separated text as Excel puts it on the clipboard (quoted cells may contain tabs / newlines). */
+function _gridParseTsv(text) {
+    var rows = [[]];
+    var cell = '';
+    var quoted = false;
+    text = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+    for (var i = 0; i < text.length; i++) {
+        var ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === '\t') {
+            rows[rows.length - 1].push(cell); cell = '';
+        } else if (ch === '\n') {
+            rows[rows.length - 1].push(cell); cell = ''; rows.push([]);
+        } else {
+            cell += ch;
+        }
+    }
+    rows[rows.length - 1].push(cell);
+    return rows;
+}
+
+function _gridOnCopy(e) {
+    var rect = _gridRect();
+    if (!_gridIsRange(rect)) return;
+    var rows = _gridRows();
+    var lines = [];
+    for (var r = rect.r1; r <= rect.r2; r++) {
+        var cells = [];
+        for (var c = rect.c1; c <= rect.c2; c++) cells.push(_gridTsvCell(_gridText(rows[r] && rows[r].cells[c])));
+        lines.push(cells.join('\t'));
+    }
+    e.clipboardData.setData('text/plain', lines.join('\n'));
+    e.preventDefault();
+    showToast('Copied ' + (rect.r2 - rect.r1 + 1) + ' × ' + (rect.c2 - rect.c1 + 1) + ' cells.', 'info');
+}
+
+function _gridOnPaste(e) {
+    var text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+    var rect = _gridRect();
+    var multi = /[\t\n]/.test(text.replace(/\r?\n$/, ''));
+    if (!text || (!multi && !_gridIsRange(rect))) return;
+    var start = rect || (e.target.closest('td') && _gridPos(e.target.closest('td')));
+    if (!start) return;
+    e.preventDefault();
+    var matrix = _gridParseTsv(text);
+    var rows = _gridRows();
+    var edits = [];
+    var skipped = 0;
+    var r1 = start.r1 != null ? start.r1 : start.r;
+    var c1 = start.c1 != null ? start.c1 : start.c;
+    // One value onto a range fills the range; otherwise the block lands at the top-left cell
+    var height = matrix.length === 1 && matrix[0].length === 1 && _gridIsRange(rect) ? rect.r2 - rect.r1 + 1 : matrix.length;
+    var width = matrix.length === 1 && matrix[0].length === 1 && _gridIsRange(rect) ? rect.c2 - rect.c1 + 1 : Math.max.apply(null, matrix.map(function(m) { return m.length; }));
+    for (var i = 0; i < height; i++) {
+        var tr = rows[r1 + i];
+        if (!tr) { skipped += width; continue; }
+        for (var j = 0; j < width; j++) {
+            var src = matrix.length === 1 && matrix[0].length === 1 ? matrix[0][0] : (matrix[i] || [])[j];
+            if (src === undefined) continue;
+            var el = _gridEditor(tr.cells[c1 + j]);
+            var value = el && !_gridLocked(el) ? _gridCoerce(el, src) : undefined;
+            if (value === undefined) { skipped++; continue; }
+            edits.push({ el: el, value: value });
+        }
+    }
+    var changed = _gridApply('paste', edits);
+    _grid.anchor = { r: r1, c: c1 };
+    _grid.focus = { r: Math.min(r1 + height, rows.length) - 1, c: c1 + width - 1 };
+    _gridPaintSelection();
+    showToast('Pasted into ' + changed + ' cell' + (changed !== 1 ? 's' : '') + (skipped ? '; skipped ' + skipped + ' read-only, invalid or out-of-range cell' + (skipped !== 1 ? 's' : '') : '') + '.', skipped ? 'info' : 'success');
+}
+
+/** Ctrl+D: copy the top row of the selection down through it (a one-row selection copies the row above). */
+function dealPipelineGridFillDown() {
+    var rect = _gridRect();
+    if (!rect) {
+        showToast('Select cells to fill down first (drag, or Shift+click).', 'info');
+        return;
+    }
+    var rows = _gridRows();
+    var srcRow = rect.r1 === rect.r2 ? rect.r1 - 1 : rect.r1;
+    var from = rect.r1 === rect.r2 ? rect.r1 : rect.r1 + 1;
+    if (srcRow < 0) return;
+    var edits = [];
+    var skipped = 0;
+    for (var c = rect.c1; c <= rect.c2; c++) {
+        var srcEl = _gridEditor(rows[srcRow].cells[c]);
+        if (!srcEl) continue;
+        for (var r = from; r <= rect.r2; r++) {
+            var el = _gridEditor(rows[r].cells[c]);
+            if (!el || _gridLocked(el)) continue;
+            var value = el.type === 'checkbox' ? srcEl.checked : _gridCoerce(el, srcEl.value);
+            if (value !== undefined) edits.push({ el: el, value: value });
+            else skipped++;
+        }
+    }
+    var changed = _gridApply('fill down', edits);
+    showToast('Filled ' + changed + ' cell' + (changed !== 1 ? 's' : '') + (skipped ? '; skipped ' + skipped + ' invalid' : '') + '.', 'info');
+}
+
+/* ---------- Find and replace ---------- */
+
+/** Columns find-and-replace can work on: text, number and date inputs and textareas. */
+function _gridTextColumns(table) {
+    var headers = table.tHead ? table.tHead.rows[0].cells : [];
+    var first = table.tBodies[0] && table.tBodies[0].rows[0];
+    var cols = [];
+    if (!first) return cols;
+    Array.prototype.forEach.call(first.cells, function(td, c) {
+        var el = _gridEditor(td);
+        if (!el || el.type === 'checkbox' || el.tagName === 'SELECT' || el.classList.contains('searchable-select-input')) return;
+        if (el.classList.contains('auto-calculated-field') || el.dataset.field === 'Bank') return;
+        cols.push({ index: c, label: headers[c] ? headers[c].childNodes[0].textContent.trim() : 'Column ' + (c + 1) });
+    });
+    return cols;
+}
+
+function _gridReplaceAll(col, find, replace, matchCase) {
+    if (!find) {
+        showToast('Enter text to find.', 'info');
+        return;
+    }
+    var re = new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), matchCase ? 'g' : 'gi');
+    var edits = [];
+    var skipped = 0;
+    _gridRows().forEach(function(tr) {
+        var el = _gridEditor(tr.cells[col]);
+        if (!el || !re.test(el.value)) return;
+        re.lastIndex = 0;
+        if (_gridLocked(el)) { skipped++; return; }
+        var value = _gridCoerce(el, el.value.replace(re, replace));
+        if (value === undefined) { skipped++; return; }
+        edits.push({ el: el, value: value });
+    });
+    var changed = _gridApply('replace "' + find + '"', edits);
+    showToast(changed ? 'Replaced in ' + changed + ' row' + (changed !== 1 ? 's' : '') + (skipped ? '; skipped ' + skipped + ' read-only or invalid' : '') + '.' : 'No matches' + (skipped ? ' you can edit' : '') + '.', changed ? 'success' : 'info');
+}
+
+/* ---------- Toolbar and wiring ---------- */
+
+function _gridUpdateToolbar() {
+    var bar = document.querySelector('.deal-pipeline-grid-toolbar');
+    if (!bar) return;
+    var undo = bar.querySelector('.grid-undo-btn');
+    var redo = bar.querySelector('.grid-redo-btn');
+    undo.disabled = !_gridUndo.length;
+    redo.disabled = !_gridRedo.length;
+    undo.title = _gridUndo.length ? 'Undo ' + _gridUndo[_gridUndo.length - 1].label + ' (Ctrl+Z)' : 'Nothing to undo';
+    redo.title = _gridRedo.length ? 'Redo ' + _gridRedo[_gridRedo.length - 1].label + ' (Ctrl+Y)' : 'Nothing to redo';
+}
+
+function _gridToolbarHtml(cols) {
+    return '<div class="deal-pipeline-grid-toolbar">' +
+        '<button type="button" class="contacts-btn grid-undo-btn">Undo</button>' +
+        '<button type="button" class="contacts-btn grid-redo-btn">Redo</button>' +
+        '<button type="button" class="contacts-btn grid-fill-btn" title="Copy the top selected row down (Ctrl+D)">Fill down</button>' +
+        '<button type="button" class="contacts-btn grid-find-toggle" aria-expanded="false">Find &amp; replace</button>' +
+        '<span class="due-diligence-due">Drag or Shift+click to select cells · Ctrl+C / Ctrl+V copies and pastes ranges with Excel · Ctrl+D fills down · Ctrl+Z / Ctrl+Y undo and redo</span>' +
+        '<div class="deal-pipeline-grid-find" hidden>' +
+            '<select class="grid-find-column" aria-label="Column">' + cols.map(function(c) { return '<option value="' + c.index + '">' + escapeHtml(c.label) + '</option>'; }).join('') + '</select>' +
+            '<input type="text" class="grid-find-text" placeholder="Find" aria-label="Find" />' +
+            '<input type="text" class="grid-replace-text" placeholder="Replace with" aria-label="Replace with" />' +
+            '<label><input type="checkbox" class="grid-find-case" /> Match case</label>' +
+            '<button type="button" class="contacts-btn grid-replace-btn">Replace all</button>' +
+        '</div>' +
+    '</div>';
+}
+
+/** Called by renderDealPipelineTable after each render. Selection resets; undo / redo history is kept. */
+function initDealPipelineGrid(container) {
+    var table = container && container.querySelector('.deal-pipeline-table');
+    if (!table) return;
+    _grid.anchor = _grid.focus = null;
+    var wrapper = container.querySelector('.deal-pipeline-table-wrapper');
+    wrapper.insertAdjacentHTML('beforebegin', _gridToolbarHtml(_gridTextColumns(table)));
+    var bar = container.querySelector('.deal-pipeline-grid-toolbar');
+    var findPanel = bar.querySelector('.deal-pipeline-grid-find');
+    bar.querySelector('.grid-undo-btn').addEventListener('click', dealPipelineGridUndo);
+    bar.querySelector('.grid-redo-btn').addEventListener('click', dealPipelineGridRedo);
+    bar.querySelector('.grid-fill-btn').addEventListener('click', dealPipelineGridFillDown);
+    bar.querySelector('.grid-find-toggle').addEventListener('click', function() {
+        var open = findPanel.hasAttribute('hidden');
+        findPanel.toggleAttribute('hidden', !open);
+        this.setAttribute('aria-expanded', String(open));
+        if (open) findPanel.querySelector('.grid-find-text').focus();
+    });
+    bar.querySelector('.grid-replace-btn').addEventListener('click', function() {
+        _gridReplaceAll(parseInt(findPanel.querySelector('.grid-find-column').value, 10),
+            findPanel.querySelector('.grid-find-text').value, findPanel.querySelector('.grid-replace-text').value,
+            findPanel.querySelector('.grid-find-case').checked);
+    });
+    _gridUpdateToolbar();
+
+    table.addEventListener('mousedown', function(e) {
+        var td = e.target.closest('tbody td');
+        if (!td || !_gridEditor(td) || e.button !== 0) return;
+        var pos = _gridPos(td);
+        if (!pos) return;
+        if (e.shiftKey && _grid.anchor) {
+            e.preventDefault();
+            _grid.focus = pos;
+        } else {
+            _grid.anchor = _grid.focus = pos;
+            _grid.dragging = true;
+        }
+        _gridPaintSelection();
+    });
+    table.addEventListener('mouseover', function(e) {
+        if (!_grid.dragging) return;
+        var td = e.target.closest('tbody td');
+        var pos = td && _gridPos(td);
+        if (!pos || (pos.r === _grid.focus.r && pos.c === _grid.focus.c)) return;
+        _grid.focus = pos;
+        if (document.activeElement && table.contains(document.activeElement)) document.activeElement.blur();
+        _gridPaintSelection();
+    });
+    table.addEventListener('copy', _gridOnCopy);
+    table.addEventListener('paste', _gridOnPaste);
+
+    // Record manual edits so they undo alongside paste / fill / replace
+    table.addEventListener('focusin', function(e) {
+        var el = e.target;
+        if (el.matches('.deal-pipeline-field, .deal-pipeline-custom-field') && el._gridBefore === undefined) el._gridBefore = _gridRaw(el);
+    });
+    table.addEventListener('change', function(e) {
+        var el = e.target;
+        if (_grid.applying || !el.matches('.deal-pipeline-field, .deal-pipeline-custom-field') || el._gridBefore === undefined) return;
+        var after = _gridRaw(el);
+        if (String(after) === String(el._gridBefore)) return;
+        _gridPush('edit ' + (el.dataset.field || 'custom field'), [_gridEntry(el, el._gridBefore, after)]);
+        el._gridBefore = after;
+    });
+    table.addEventListener('keydown', function(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        var key = e.key.toLowerCase();
+        var el = e.target;
+        // Let the browser undo typing that has not been committed to the cell yet
+        var typing = el.matches && el.matches('input[type="text"], textarea') && el._gridBefore !== undefined && String(el.value) !== String(el._gridBefore);
+        if (key === 'z' && !typing) {
+            e.preventDefault();
+            if (e.shiftKey) dealPipelineGridRedo(); else dealPipelineGridUndo();
+        } else if (key === 'y' && !typing) {
+            e.preventDefault();
+            dealPipelineGridRedo();
+        } else if (key === 'd') {
+            e.preventDefault();
+            if (!_grid.anchor && el.closest) {
+                var td = el.closest('td');
+                _grid.anchor = _grid.focus = td ? _gridPos(td) : null;
+            }
+            dealPipelineGridFillDown();
+        }
+    });
+    if (!_grid.mouseupBound) {
+        _grid.mouseupBound = true;
+        document.addEventListener('mouseup', function() { _grid.dragging = false; });
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape' && _gridIsRange(_gridRect())) {
+                _grid.anchor = _grid.focus = null;
+                _gridPaintSelection();
+            }
+        });
+    }
+}
+
+window.initDealPipelineGrid = initDealPipelineGrid;
+window.dealPipelineGridUndo = dealPipelineGridUndo;
+window.dealPipelineGridRedo = dealPipelineGridRedo;
+window.dealPipelineGridFillDown = dealPipelineGridFillDown;
@@ -10,6 +10,7 @@ function showDealPipelineView() {
         showToast('Please login to access Deal Pipeline management.', 'info');
         return;
     }
+    if (!requireCapability('editDeal')) return;
     
     // Require Edit Mode to be on before opening Deal Pipeline
     if (!isEditMode) {
@@ -82,7 +83,7 @@ async function renderDealPipelineTable(opts) {
             throw new Error(response.error?.message || 'Failed to load deals');
         }
         
-        const deals = response.data || [];
+        const deals = (response.data || []).filter(canViewDeal);
         
         // Get loans and banks to determine bank names
         let loansMap = {};
@@ -142,6 +143,12 @@ async function renderDealPipelineTable(opts) {
             console.warn('Failed to load product types:', error);
         }
         
+        // Admin-defined custom fields become extra columns (cached; the manager reloads them after edits)
+        let customFields = [];
+        if (typeof loadCustomFieldDefinitions === 'function') {
+            customFields = await loadCustomFieldDefinitions();
+        }
+        
         // Build table HTML with helpful tooltips
         let html = `
             <div class="deal-pipeline-table-wrapper">
@@ -179,6 +186,8 @@ async function renderDealPipelineTable(opts) {
                         <th title="Zoning code">Zoning</th>
                         <th title="County or Parish">County/Parish</th>
                         <th title="Notes about the deal">Notes</th>
+                        ${customFields.length ? renderCustomFieldHeaderCells(customFields) : ''}
+                        <th title="Weighted deal score from the Scoring Criteria (recalculated on save)">Score <span class="auto-badge">Auto</span></th>
                         <th>Actions</th>
                     </tr>
                 </thead>
@@ -222,6 +231,7 @@ async function renderDealPipelineTable(opts) {
                         <option value="name" ${sortBy === 'name' ? 'selected' : ''}>Project Name</option>
                         <option value="date" ${sortBy === 'date' ? 'selected' : ''}>Start Date</option>
                         <option value="city" ${sortBy === 'city' ? 'selected' : ''}>City</option>
+                        <option value="score" ${sortBy === 'score' ? 'selected' : ''}>Deal Score</option>
                     </select>
                     <select class="deal-pipeline-sort-order">
                         <option value="asc" ${sortOrder === 'asc' ? 'selected' : ''}>Ascending</option>
@@ -267,6 +277,8 @@ async function renderDealPipelineTable(opts) {
                 cmp = (isNaN(dA) ? 0 : dA) - (isNaN(dB) ? 0 : dB);
             } else if (sortBy === 'city') {
                 cmp = (dealA.Location || '').localeCompare(dealB.Location || '');
+            } else if (sortBy === 'score') {
+                cmp = (dealA.DealScore != null ? dealA.DealScore : -1) - (dealB.DealScore != null ? dealB.DealScore : -1);
             }
             return sortOrder === 'desc' ? -cmp : cmp;
         });
@@ -284,6 +296,12 @@ async function renderDealPipelineTable(opts) {
             filterSortEl.querySelector('.deal-pipeline-sort-order')?.addEventListener('change', () => renderDealPipelineTable());
         }
         
+        // Custom field values for the rows being rendered
+        let customFieldValues = {};
+        if (customFields.length) {
+            customFieldValues = await loadCustomFieldValuesForDeals(dealsToRender.map(d => d.DealPipelineId), !!(opts && opts.forceApi));
+        }
+        
         dealsToRender.forEach(dbDeal => {
             const dealId = dbDeal.DealPipelineId || '';
             const projectId = dbDeal.ProjectId || '';
@@ -488,6 +506,8 @@ async function renderDealPipelineTable(opts) {
                     <td><input type="text" class="deal-pipeline-field" data-field="Zoning" value="${(deal.Zoning || '').replace(/"/g, '&quot;')}" placeholder="e.g. CH" style="min-width: 80px;" /></td>
                     <td><input type="text" class="deal-pipeline-field" data-field="County" value="${(deal.CountyParish || deal.County || '').replace(/"/g, '&quot;')}" placeholder="County/Parish" style="min-width: 100px;" title="County or Parish" /></td>
                     <td><textarea class="deal-pipeline-field" data-field="Notes" rows="4" style="min-width: 300px; width: 100%;">${(deal.Notes || deal.ClosingNotes || '').replace(/"/g, '&quot;')}</textarea></td>
+                    ${customFields.length ? renderCustomFieldRowCells(customFields, customFieldValues[dealId]) : ''}
+                    <td class="deal-pipeline-score-cell">${deal.DealScore != null ? `<span class="deal-score-badge deal-score-${dealScoreTier(deal.DealScore)}">${Math.round(deal.DealScore)}</span>` : '-'}</td>
                     <td class="deal-pipeline-actions">
                         ${dealId ? `<button type="button" class="edit-form-btn" data-deal-id="${dealId}" title="Open full edit form for all fields">Edit</button>` : ''}
                         <button class="save-btn" onclick="saveDealPipelineRow(event, '${dealId || 'new'}', '${projectId || ''}')" title="Save changes to this deal">Save</button>
@@ -556,6 +576,8 @@ async function renderDealPipelineTable(opts) {
         
         // Bind change listeners to track changes
         bindDealPipelineFieldListeners();
+        if (customFields.length) bindDealPipelineCustomFieldListeners(container);
+        initDealPipelineGrid(container);
         
         // Edit button: open full edit modal (user-friendly form view)
         container.querySelectorAll('.edit-form-btn').forEach(btn => {
@@ -734,12 +756,180 @@ function updateSaveAllButtonVisibility() {
     }
 }
 
+/**
+ * Read one Deal Pipeline table row into an update payload.
+ * Returns { data, customFields, errors } — Procore-synced and read-only columns are left out of data.
+ */
+function collectDealPipelineRowData(row) {
+    const errors = [];
+    const data = {};
+    const projectNameField = row.querySelector('[data-field="ProjectName"]');
+    if (!projectNameField || !projectNameField.value.trim()) {
+        errors.push('Project Name is required.');
+    }
+    
+    const customFields = typeof collectCustomFieldInputs === 'function' && row.querySelector('.deal-pipeline-custom-field')
+        ? collectCustomFieldInputs(row) : null;
+    if (customFields && customFields.errors.length) errors.push(...customFields.errors);
+    
+    // Check if this project has Procore data
+    const rowProjectId = row.dataset.projectId;
+    const procoreMatch = rowProjectId ? window.PROCORE_MATCHES?.get(parseInt(rowProjectId)) : null;
+    const hasProcore = procoreMatch && procoreMatch.hasProcore;
+    
+    row.querySelectorAll('.deal-pipeline-field').forEach(field => {
+        const fieldName = field.dataset.field;
+        if (!fieldName) return;
+        
+        // Skip Bank field
+        if (fieldName === 'Bank') return;
+        
+        // Skip Procore fields if this project has Procore data
+        if (hasProcore) {
+            if (fieldName === 'City' && procoreMatch.city) return;
+            if (fieldName === 'State' && procoreMatch.state) return;
+            if (fieldName === 'Region' && procoreMatch.region) return;
+            if (fieldName === 'Latitude' && (procoreMatch.latitude != null && procoreMatch.latitude !== '')) return;
+            if (fieldName === 'Longitude' && (procoreMatch.longitude != null && procoreMatch.longitude !== '')) return;
+            if (fieldName === 'StartDate' && procoreMatch.actualStartDate && isProcoreStartDateOverride(procoreMatch.actualStartDate)) return;
+            if (fieldName === 'UnitCount' && procoreMatch.unitCount) return;
+        }
+        
+        // Handle searchable select for PreConManagerId
+        if (fieldName === 'PreConManagerId' && field.classList.contains('searchable-select-input')) {
+            const managerId = field.dataset.preconManagerId;
+            if (managerId) {
+                data[fieldName] = parseInt(managerId);
+            }
+            return;
+        }
+        
+        // Handle searchable select for BrokerReferralContactId
+        if (fieldName === 'BrokerReferralContactId' && field.classList.contains('broker-referral-input')) {
+            const contactId = field.dataset.brokerReferralId || field.getAttribute('data-broker-referral-id');
+            if (contactId) {
+                const parsedId = parseInt(contactId);
+                if (!isNaN(parsedId) && parsedId > 0) data[fieldName] = parsedId;
+            } else if (!field.value.trim()) {
+                data[fieldName] = null;
+            }
+            return;
+        }
+        
+        if (field.type === 'checkbox') {
+            data[fieldName] = field.checked;
+        } else if (field.type === 'number') {
+            const value = field.value;
+            if (value !== '') {
+                data[fieldName] = parseFloat(value);
+            }
+        } else if (field.type === 'date') {
+            if (field.value) {
+                data[fieldName] = field.value;
+            }
+        } else {
+            let value = field.value.trim();
+            if (value !== '') {
+                // Special handling for State field
+                if (fieldName === 'State') {
+                    value = value.replace(/[^A-Za-z]/g, '').toUpperCase();
+                    if (value.length !== 2) {
+                        errors.push('State must be exactly 2 letters.');
+                        return;
+                    }
+                }
+                data[fieldName] = value;
+            }
+        }
+    });
+    
+    return { data, customFields, errors };
+}
+
+/**
+ * Put the server's values back into a row after "Keep theirs", for the fields the user had edited.
+ * Searchable selects (display name, not id) are left for the next table refresh.
+ */
+function applyServerDealToRow(row, server, keys) {
+    keys.forEach(key => {
+        const el = row.querySelector(`.deal-pipeline-field[data-field="${key}"]`);
+        if (!el || el.classList.contains('searchable-select-input')) return;
+        const value = server[key];
+        if (el.type === 'checkbox') el.checked = !!value;
+        else if (el.type === 'date') el.value = value ? String(value).slice(0, 10) : '';
+        else el.value = value == null ? '' : String(value);
+    });
+    row.classList.remove('has-changes');
+}
+
+/** Project fields for a new deal row (the single-row create and the batch send the same set). */
+function dealPipelineProjectPayload(data) {
+    return {
+        ProjectName: data.ProjectName,
+        City: data.City || null,
+        State: data.State || null,
+        Region: data.Region || null,
+        Units: data.UnitCount || data.Units || null,
+        ProductType: data.ProductType || null,
+        Stage: data.Stage || 'Prospective',
+        EstimatedConstructionStartDate: data.StartDate || data.EstimatedConstructionStartDate || null
+    };
+}
+
+function markDealPipelineRowError(row, message) {
+    row.classList.add('deal-pipeline-row-error');
+    row.title = message;
+}
+
+/**
+ * Send the changed rows as one transactional batch (all rows commit or none do). Rows someone else saved
+ * since the table loaded come back as conflicts: each goes through the merge dialog and the batch is resent.
+ * Any other row error rolls the batch back and is reported per row.
+ * Resolves { ok: true, saved: [{ item, data }] } or { ok: false, failures: [{ item, message }] }.
+ */
+async function sendDealPipelineBatch(items) {
+    let pending = items.slice();
+    for (;;) {
+        if (!pending.length) return { ok: true, saved: [] };
+        let results;
+        try {
+            const res = await API.saveDealPipelineBatch(pending.map(item => ({
+                DealPipelineId: item.dealId ? parseInt(item.dealId) : null,
+                UpdatedAt: item.dealId ? dealVersionOf(item.loaded) : null,
+                Project: item.dealId ? null : dealPipelineProjectPayload(item.data),
+                Data: item.data
+            })));
+            results = (res.data && res.data.results) || [];
+            return { ok: true, saved: pending.map((item, i) => ({ item, data: (results[i] && results[i].data) || null })) };
+        } catch (err) {
+            results = err.response && err.response.data && err.response.data.results;
+            if (!Array.isArray(results)) throw err;
+        }
+        const failures = results
+            .filter(r => !r.success && !r.conflict && pending[r.index])
+            .map(r => ({ item: pending[r.index], message: (r.error && r.error.message) || r.error || 'Failed to save' }));
+        const conflicts = results.filter(r => r.conflict && r.current && pending[r.index]);
+        if (failures.length) return { ok: false, failures };
+        if (!conflicts.length) throw new Error('Batch save was rejected without row details.');
+        for (const r of conflicts) {
+            const item = pending[r.index];
+            const merged = await showDealMergeDialog(item.data.ProjectName, item.loaded && (item.loaded._original || item.loaded), item.data, r.current);
+            if (!merged) return { ok: false, failures: [{ item, message: 'Changed by someone else since the table loaded; merge cancelled.' }] };
+            item.loaded = r.current;
+            if (Object.keys(merged).length) item.data = merged;
+            else item.keptTheirs = r.current;
+        }
+        pending = pending.filter(item => !item.keptTheirs);
+    }
+}
+
 // Save all modified deal pipeline rows
 async function saveAllDealPipelineRows() {
     if (!isAuthenticated || !isEditMode) {
         showToast('You must be logged in and in edit mode to save changes.', 'info');
         return;
     }
+    if (!requireCapability('editDeal')) return;
     
     const changedRows = document.querySelectorAll('.deal-pipeline-table tr.has-changes');
     if (changedRows.length === 0) {
@@ -758,165 +948,81 @@ async function saveAllDealPipelineRows() {
     saveAllBtn.disabled = true;
     saveAllBtn.innerHTML = '<span class="loading-spinner-small"></span> Saving...';
     
-    let successCount = 0;
-    let errorCount = 0;
     const errors = [];
     
-    // Save each row sequentially
-    for (let i = 0; i < changedRows.length; i++) {
-        const row = changedRows[i];
-        const dealId = row.dataset.dealId || 'new';
-        const projectId = row.dataset.projectId || null;
-        
+    // Collect every changed row first: the batch is all-or-nothing, so nothing is sent while a row is invalid
+    const items = [];
+    changedRows.forEach((row, i) => {
+        row.classList.remove('deal-pipeline-row-error');
+        row.removeAttribute('title');
+        const collected = collectDealPipelineRowData(row);
+        if (collected.errors.length) {
+            markDealPipelineRowError(row, collected.errors.join(' '));
+            errors.push(`Row ${i + 1}: ${collected.errors.join(' ')}`);
+            return;
+        }
+        const dealId = row.dataset.dealId && row.dataset.dealId !== 'new' ? row.dataset.dealId : null;
+        const loaded = dealId && window._dealPipelineDealsForEdit ? window._dealPipelineDealsForEdit[dealId] : null;
+        // Scope is per deal: existing rows by the loaded deal, new rows by the region they are created in
+        if (!can('editDeal', loaded || collected.data)) {
+            const message = 'This deal is outside your visibility scope.';
+            markDealPipelineRowError(row, message);
+            errors.push(`Row ${i + 1}: ${message}`);
+            return;
+        }
+        items.push({
+            row,
+            label: `Row ${i + 1}`,
+            dealId,
+            loaded,
+            data: collected.data,
+            customFields: collected.customFields
+        });
+    });
+    
+    let outcome = null;
+    if (!errors.length) {
         try {
-            // Use the existing saveDealPipelineRow logic but without alerts
-            const fields = row.querySelectorAll('.deal-pipeline-field');
-            const data = {};
-            
-            // Validate required fields
-            const projectNameField = row.querySelector('[data-field="ProjectName"]');
-            if (!projectNameField || !projectNameField.value.trim()) {
-                errors.push(`Row ${i + 1}: Project Name is required.`);
-                errorCount++;
-                continue;
+            outcome = await sendDealPipelineBatch(items);
+        } catch (error) {
+            errors.push(error.message || 'Batch save failed');
+        }
+    }
+    if (outcome && !outcome.ok) {
+        outcome.failures.forEach(f => {
+            markDealPipelineRowError(f.item.row, f.message);
+            errors.push(`${f.item.label} (${f.item.data.ProjectName || 'new deal'}): ${f.message}`);
+        });
+    }
+    
+    let successCount = 0;
+    let errorCount = errors.length;
+    if (outcome && outcome.ok) {
+        for (const { item, data } of outcome.saved) {
+            const savedDealId = item.dealId ? parseInt(item.dealId) : (data && data.DealPipelineId);
+            if (!item.dealId && data) {
+                item.row.dataset.dealId = data.DealPipelineId || '';
+                item.row.dataset.projectId = data.ProjectId || '';
             }
-            
-            // Check if this project has Procore data
-            const rowProjectId = row.dataset.projectId;
-            const procoreMatch = rowProjectId ? window.PROCORE_MATCHES?.get(parseInt(rowProjectId)) : null;
-            const hasProcore = procoreMatch && procoreMatch.hasProcore;
-            
-            fields.forEach(field => {
-                const fieldName = field.dataset.field;
-                if (!fieldName) return;
-                
-                // Skip Bank field
-                if (fieldName === 'Bank') return;
-                
-                // Skip Procore fields if this project has Procore data
-                if (hasProcore) {
-                    if (fieldName === 'City' && procoreMatch.city) return;
-                    if (fieldName === 'State' && procoreMatch.state) return;
-                    if (fieldName === 'Region' && procoreMatch.region) return;
-                    if (fieldName === 'Latitude' && (procoreMatch.latitude != null && procoreMatch.latitude !== '')) return;
-                    if (fieldName === 'Longitude' && (procoreMatch.longitude != null && procoreMatch.longitude !== '')) return;
-                    if (fieldName === 'StartDate' && procoreMatch.actualStartDate && isProcoreStartDateOverride(procoreMatch.actualStartDate)) return;
-                    if (fieldName === 'UnitCount' && procoreMatch.unitCount) return;
-                }
-                
-                // Handle searchable select for PreConManagerId
-                if (fieldName === 'PreConManagerId' && field.classList.contains('searchable-select-input')) {
-                    const managerId = field.dataset.preconManagerId;
-                    if (managerId) {
-                        data[fieldName] = parseInt(managerId);
-                    }
-                    return;
-                }
-                
-                // Handle searchable select for BrokerReferralContactId
-                if (fieldName === 'BrokerReferralContactId' && field.classList.contains('broker-referral-input')) {
-                    const contactId = field.dataset.brokerReferralId || field.getAttribute('data-broker-referral-id');
-                    if (contactId) {
-                        const parsedId = parseInt(contactId);
-                        if (!isNaN(parsedId) && parsedId > 0) data[fieldName] = parsedId;
-                    } else if (!field.value.trim()) {
-                        data[fieldName] = null;
-                    }
-                    return;
-                }
-                
-                if (field.type === 'checkbox') {
-                    data[fieldName] = field.checked;
-                } else if (field.type === 'number') {
-                    const value = field.value;
-                    if (value !== '') {
-                        data[fieldName] = parseFloat(value);
-                    }
-                } else if (field.type === 'date') {
-                    if (field.value) {
-                        data[fieldName] = field.value;
-                    }
-                } else {
-                    let value = field.value.trim();
-                    if (value !== '') {
-                        // Special handling for State field
-                        if (fieldName === 'State') {
-                            value = value.replace(/[^A-Za-z]/g, '').toUpperCase();
-                            if (value.length !== 2) {
-                                errors.push(`Row ${i + 1}: State must be exactly 2 letters.`);
-                                errorCount++;
-                                return;
-                            }
-                        }
-                        data[fieldName] = value;
-                    }
-                }
-            });
-            
-            // Save the deal
-            const isNewDeal = !dealId || dealId === 'new' || dealId === '';
-            let result;
-            if (isNewDeal) {
-                // For new deals, create Project first (which auto-generates ProjectId)
-                // Then use that ProjectId to create the DealPipeline
-                
-                // Separate Project fields from DealPipeline fields
-                const projectData = {
-                    ProjectName: data.ProjectName,
-                    City: data.City || null,
-                    State: data.State || null,
-                    Region: data.Region || null,
-                    Units: data.UnitCount || data.Units || null,
-                    ProductType: data.ProductType || null,
-                    Stage: data.Stage || 'Prospective',
-                    EstimatedConstructionStartDate: data.StartDate || data.EstimatedConstructionStartDate || null
-                };
-                
-                // Remove Project fields from DealPipeline data (they'll be in the Project)
-                const dealPipelineData = { ...data };
-                delete dealPipelineData.ProjectName;
-                delete dealPipelineData.City;
-                delete dealPipelineData.State;
-                delete dealPipelineData.Region;
-                delete dealPipelineData.Units;
-                delete dealPipelineData.ProductType;
-                delete dealPipelineData.Stage;
-                delete dealPipelineData.EstimatedConstructionStartDate;
-                
-                // Create Project first
-                const projectResult = await API.createProject(projectData);
-                if (!projectResult.success) {
-                    throw new Error(projectResult.error?.message || 'Failed to create project');
-                }
-                
-                const newProjectId = projectResult.data.ProjectId;
-                if (!newProjectId) {
-                    throw new Error('Project was created but ProjectId was not returned');
-                }
-                
-                // Now create DealPipeline with the ProjectId
-                dealPipelineData.ProjectId = newProjectId;
-                result = await API.createDealPipeline(dealPipelineData);
-            } else {
-                result = await API.updateDealPipeline(parseInt(dealId), data);
+            // Custom field values and scores live outside the deal row, so they follow the committed batch
+            if (item.customFields && savedDealId) {
+                const cfResult = await saveDealCustomFields(savedDealId, item.customFields.values);
+                cfResult.errors.forEach(msg => errors.push(`${item.label}: ${msg}`));
+                errorCount += cfResult.errors.length ? 1 : 0;
             }
-            
-            if (result.success) {
-                successCount++;
-                // Remove has-changes class
-                row.classList.remove('has-changes');
-                // Update row data attributes if it was a new deal
-                if (isNewDeal && result.data) {
-                    row.dataset.dealId = result.data.DealPipelineId || '';
-                    row.dataset.projectId = result.data.ProjectId || '';
-                }
-            } else {
-                errors.push(`Row ${i + 1}: ${result.error?.message || 'Failed to save'}`);
-                errorCount++;
+            if (savedDealId && typeof API.scoreDeal === 'function') {
+                await API.scoreDeal(savedDealId).catch(e => console.warn('Rescore after save:', e));
             }
-        } catch (error) {
-            errors.push(`Row ${i + 1}: ${error.message}`);
-            errorCount++;
+            const editEntry = item.dealId && window._dealPipelineDealsForEdit ? window._dealPipelineDealsForEdit[item.dealId] : null;
+            if (editEntry) await rememberSavedDealVersion(editEntry, item.data, { data });
+            successCount++;
+            item.row.classList.remove('has-changes');
+        }
+        // "Keep theirs": the server row replaces both the loaded copy and the edited cells
+        for (const item of items.filter(i => i.keptTheirs)) {
+            const editEntry = window._dealPipelineDealsForEdit && window._dealPipelineDealsForEdit[item.dealId];
+            if (editEntry) await rememberSavedDealVersion(editEntry, null, { keptTheirs: true, data: item.keptTheirs });
+            applyServerDealToRow(item.row, item.keptTheirs, Object.keys(item.data));
         }
     }
     
@@ -978,7 +1084,8 @@ async function saveAllDealPipelineRows() {
                     .filter(deal => {
                         const stage = normalizeStage(deal.Stage || deal.stage);
                         return stage !== 'HoldCo' && stage.toLowerCase() !== 'holdco';
-                    });
+                    })
+                    .filter(canViewDeal);
                 
                 // Update global reference
                 window.allDeals = allDeals;
@@ -992,6 +1099,9 @@ async function saveAllDealPipelineRows() {
             console.warn('Failed to refresh main allDeals array:', error);
             // Still refresh the table even if main refresh fails
         }
+    } else if (!outcome || !outcome.ok) {
+        // The batch was rolled back: keep every edit on screen and flag the rows that need fixing
+        showToast(`Nothing was saved. Fix the highlighted row${errorCount !== 1 ? 's' : ''} and try again: ${errors.join('; ')}`, 'error');
     } else {
         const errorMsg = `Saved ${successCount} deal${successCount !== 1 ? 's' : ''}, but ${errorCount} error${errorCount !== 1 ? 's' : ''} occurred: ${errors.join('; ')}`;
         showToast(errorMsg, 'error');
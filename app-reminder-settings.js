@@ -0,0 +1,228 @@
+/**
+ * app-reminder-settings.js — Upcoming dates reminder settings panel (recipients, daysBefore, 30-day preview, test email)
+ * Shown above the Upcoming Dates table for admins.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+/** Deal dates the key-date reminders cover (same fields as the Upcoming Dates view). */
+var REMINDER_KEY_DATE_FIELDS = [
+    { key: 'Start Date', alt: 'startDate', label: 'Start date' },
+    { key: 'ExecutionDate', label: 'Execution' },
+    { key: 'DueDiligenceDate', label: 'Due Diligence' },
+    { key: 'ClosingDate', label: 'Closing' },
+    { key: 'ConstructionLoanClosingDate', label: 'Construction Loan Closing' }
+];
+var REMINDER_PREVIEW_DAYS = 30;
+var REMINDER_SKIP_STAGES = ['Dead', 'Rejected'];
+
+function _rsEmails(text) {
+    return String(text || '').split(/[\s,;]+/).map(function(e) { return e.trim(); }).filter(Boolean);
+}
+
+function _rsValidEmail(e) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
+}
+
+/** "7, 14, 30" → [7, 14, 30]; null if any entry is not a whole number 0–365 */
+function _rsParseDays(text) {
+    var parts = String(text || '').split(/[\s,;]+/).filter(Boolean);
+    var days = [];
+    for (var i = 0; i < parts.length; i++) {
+        var n = Number(parts[i]);
+        if (!Number.isInteger(n) || n < 0 || n > 365) return null;
+        if (days.indexOf(n) === -1) days.push(n);
+    }
+    return days.sort(function(a, b) { return a - b; });
+}
+
+/**
+ * Reminders that would be sent in the next REMINDER_PREVIEW_DAYS days: one per key date per offset,
+ * sent `daysBefore` days ahead. Covenants with their own ReminderDaysBefore use those offsets instead.
+ */
+function buildReminderPreview(deals, covenantTests, daysBefore) {
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    var horizon = new Date(today);
+    horizon.setDate(horizon.getDate() + REMINDER_PREVIEW_DAYS);
+    var out = [];
+    function add(date, offsets, entry) {
+        if (!date) return;
+        offsets.forEach(function(d) {
+            var send = new Date(date);
+            send.setHours(0, 0, 0, 0);
+            send.setDate(send.getDate() - d);
+            if (send >= today && send <= horizon) out.push(Object.assign({ sendDate: send, keyDate: date, daysBefore: d }, entry));
+        });
+    }
+    (deals || []).forEach(function(deal) {
+        if (REMINDER_SKIP_STAGES.indexOf(normalizeStage(deal.Stage || deal.stage)) !== -1) return;
+        REMINDER_KEY_DATE_FIELDS.forEach(function(f) {
+            var val = deal[f.key] || (f.alt && deal[f.alt]);
+            add(val ? parseLocalDateOnly(String(val).slice(0, 10)) : null, daysBefore, { deal: deal, name: deal.Name || 'Unnamed', label: f.label, kind: 'Key date' });
+        });
+    });
+    var dealsByProject = {};
+    (deals || []).forEach(function(d) { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+    (covenantTests || []).forEach(function(t) {
+        var deal = dealsByProject[t.projectId];
+        var own = t.raw && t.raw.ReminderDaysBefore;
+        if (typeof own === 'string') own = _rsParseDays(own);
+        add(t.date, Array.isArray(own) && own.length ? own : daysBefore, {
+            deal: deal || null, name: deal ? deal.Name : (t.raw.ProjectName || 'Project ' + t.projectId), label: t.label, kind: 'Covenant'
+        });
+    });
+    return out.sort(function(a, b) { return a.sendDate - b.sendDate; });
+}
+
+function _rsPreviewHtml(rows) {
+    if (!rows.length) return '<p class="no-data">No reminders would go out in the next ' + REMINDER_PREVIEW_DAYS + ' days.</p>';
+    return '<table class="deal-list-table reminder-preview-table"><thead><tr><th>Sends</th><th>Deal</th><th>Date</th><th>Type</th><th>Days before</th></tr></thead><tbody>' +
+        rows.map(function(r, i) {
+            return '<tr class="upcoming-date-row' + (r.deal ? ' clickable' : '') + '" data-idx="' + i + '">' +
+                '<td>' + escapeHtml(formatDate(r.sendDate)) + '</td>' +
+                '<td class="deal-name">' + escapeHtml(r.name) + '</td>' +
+                '<td>' + escapeHtml(formatDate(r.keyDate)) + '</td>' +
+                '<td>' + escapeHtml(r.kind + ' — ' + r.label) + '</td>' +
+                '<td>' + r.daysBefore + '</td></tr>';
+        }).join('') + '</tbody></table>';
+}
+
+/** Bind the "Reminder settings" button rendered by renderUpcomingDatesView (admins only). */
+function setupUpcomingReminderSettings(container, deals) {
+    var btn = container.querySelector('#upcoming-reminder-settings-btn');
+    var panel = container.querySelector('#upcoming-reminder-settings');
+    if (!btn || !panel) return;
+    btn.addEventListener('click', function() {
+        var open = panel.style.display === 'none';
+        panel.style.display = open ? '' : 'none';
+        btn.setAttribute('aria-expanded', String(open));
+        if (open && !panel.dataset.loaded) {
+            panel.dataset.loaded = '1';
+            _renderReminderSettingsPanel(panel, window.allDeals || deals).catch(function(err) {
+                panel.dataset.loaded = '';
+                panel.innerHTML = '<div class="activity-timeline-empty">Could not load reminder settings: ' + escapeHtml(err.message || 'Unknown error') + '</div>';
+            });
+        }
+    });
+}
+
+async function _renderReminderSettingsPanel(panel, deals) {
+    panel.innerHTML = '<div class="activity-timeline-loading">Loading...</div>';
+    var none = function() { return { success: true, data: [] }; };
+    var results = await Promise.all([
+        API.getUpcomingDatesReminderSettings(),
+        API.getAllCovenants().catch(none),
+        API.getAllDSCRTests().catch(none)
+    ]);
+    var settings = (results[0] && results[0].data) || {};
+    var covenantTests = normalizeCovenantTests(apiList(results[1]), apiList(results[2]));
+    var recipients = (settings.recipientEmails || []).slice();
+    var me = (typeof currentUser !== 'undefined' && currentUser && currentUser.email) || '';
+
+    panel.innerHTML =
+        '<div class="custom-fields-detail-form reminder-settings-form">' +
+            '<div class="deal-detail-item"><label>Recipients</label>' +
+                '<div class="reminder-recipient-chips"></div>' +
+                '<div class="reminder-recipient-add"><input type="email" name="newRecipient" placeholder="name@stoagroup.com" aria-label="Add recipient" /> <button type="button" class="contacts-btn reminder-add-recipient">Add</button></div></div>' +
+            '<div class="deal-detail-item"><label>Additional emails (comma separated)</label><textarea name="additionalEmails" rows="2">' + escapeHtml(settings.additionalEmails || '') + '</textarea></div>' +
+            '<div class="deal-detail-item"><label>Days before each date</label><input type="text" name="daysBefore" value="' + escapeHtml((settings.daysBefore || []).join(', ')) + '" placeholder="7, 14, 30" /></div>' +
+        '</div>' +
+        '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+        '<div class="custom-fields-detail-actions">' +
+            '<button type="button" class="deal-detail-btn reminder-save">Save settings</button>' +
+            '<button type="button" class="deal-detail-btn reminder-test"' + (me ? '' : ' disabled title="Your account has no email address"') + '>Send test to ' + escapeHtml(me || 'me') + '</button>' +
+        '</div>' +
+        '<h4 class="covenant-group-title">Next ' + REMINDER_PREVIEW_DAYS + ' days</h4>' +
+        '<div class="reminder-preview"></div>';
+
+    var chips = panel.querySelector('.reminder-recipient-chips');
+    var errEl = panel.querySelector('.custom-fields-detail-error');
+    var daysInput = panel.querySelector('input[name="daysBefore"]');
+    var preview = panel.querySelector('.reminder-preview');
+    var previewRows = [];
+
+    function showError(msg) {
+        errEl.textContent = msg || '';
+        errEl.style.display = msg ? 'block' : 'none';
+    }
+    function renderChips() {
+        chips.innerHTML = recipients.length ? recipients.map(function(e, i) {
+            return '<span class="equity-related-chip">' + escapeHtml(e) + '<button type="button" class="equity-related-remove reminder-remove-recipient" data-idx="' + i + '" aria-label="Remove ' + escapeHtml(e) + '">&times;</button></span>';
+        }).join('') : '<span class="due-diligence-due">No recipients</span>';
+        chips.querySelectorAll('.reminder-remove-recipient').forEach(function(b) {
+            b.addEventListener('click', function() {
+                recipients.splice(parseInt(b.dataset.idx, 10), 1);
+                renderChips();
+            });
+        });
+    }
+    function renderPreview() {
+        var days = _rsParseDays(daysInput.value);
+        if (!days) {
+            preview.innerHTML = '<p class="no-data">Enter whole days between 0 and 365 to preview.</p>';
+            return;
+        }
+        previewRows = buildReminderPreview(deals, covenantTests, days);
+        preview.innerHTML = _rsPreviewHtml(previewRows);
+        preview.querySelectorAll('tr.clickable').forEach(function(tr) {
+            tr.addEventListener('click', function() { showDealDetail(previewRows[parseInt(tr.dataset.idx, 10)].deal); });
+        });
+    }
+    function collect() {
+        var days = _rsParseDays(daysInput.value);
+        if (!days || !days.length) return { error: 'Days before must be whole numbers between 0 and 365, e.g. 7, 14, 30.' };
+        var extra = _rsEmails(panel.querySelector('textarea[name="additionalEmails"]').value);
+        var bad = extra.filter(function(e) { return !_rsValidEmail(e); });
+        if (bad.length) return { error: 'Not a valid email: ' + bad.join(', ') };
+        if (!recipients.length && !extra.length) return { error: 'Add at least one recipient.' };
+        return { settings: { recipientEmails: recipients.slice(), additionalEmails: extra.join(', '), daysBefore: days } };
+    }
+
+    renderChips();
+    renderPreview();
+    daysInput.addEventListener('input', renderPreview);
+
+    var newInput = panel.querySelector('input[name="newRecipient"]');
+    function addRecipient() {
+        var email = newInput.value.trim();
+        if (!_rsValidEmail(email)) { showError('Enter a valid email address.'); return; }
+        showError('');
+        if (recipients.map(function(e) { return e.toLowerCase(); }).indexOf(email.toLowerCase()) === -1) recipients.push(email);
+        newInput.value = '';
+        renderChips();
+    }
+    panel.querySelector('.reminder-add-recipient').addEventListener('click', addRecipient);
+    newInput.addEventListener('keydown', function(e) { if (e.key === 'Enter') { e.preventDefault(); addRecipient(); } });
+
+    panel.querySelector('.reminder-save').addEventListener('click', async function() {
+        var c = collect();
+        showError(c.error);
+        if (c.error) return;
+        this.disabled = true;
+        try {
+            await API.saveUpcomingDatesReminderSettings(c.settings);
+            showToast('Reminder settings saved.', 'success');
+        } catch (err) {
+            showError(err.message || 'Save failed.');
+        }
+        this.disabled = false;
+    });
+    panel.querySelector('.reminder-test').addEventListener('click', async function() {
+        var days = _rsParseDays(daysInput.value);
+        if (!days || !days.length) { showError('Days before must be whole numbers between 0 and 365, e.g. 7, 14, 30.'); return; }
+        showError('');
+        this.disabled = true;
+        try {
+            await API.sendUpcomingDatesReminderTest({ toEmail: me, daysBefore: days });
+            showToast('Test reminder sent to ' + me + '.', 'success');
+        } catch (err) {
+            showError(err.status === 404 ? 'Test emails are not available on this server yet.' : (err.message || 'Could not send test email.'));
+        }
+        this.disabled = false;
+    });
+}
+
+window.setupUpcomingReminderSettings = setupUpcomingReminderSettings;
+window.buildReminderPreview = buildReminderPreview;
@@ -0,0 +1,338 @@
+/**
+ * app-reviews.js — Resident reviews: deal-detail panel (rating trend, recent reviews, low-rating highlight)
+ * and the Reviews view (per-property review config + daily alert recipients for admins).
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var REVIEW_STAGES = ['Lease-Up', 'Stabilized'];
+var REVIEW_LOW_RATING = 2;
+var REVIEW_TREND_MONTHS = 12;
+var REVIEW_SUMMARY_DAYS = 90;
+var _reviewTrendChart = null;
+
+function _rvPick(row, keys) {
+    for (var i = 0; i < keys.length; i++) {
+        var v = row[keys[i]];
+        if (v != null && v !== '') return v;
+    }
+    return null;
+}
+
+function _rvRating(r) {
+    var n = parseFloat(_rvPick(r, ['rating', 'Rating', 'stars', 'Stars']));
+    return isNaN(n) ? null : n;
+}
+
+function _rvDate(r) {
+    var v = _rvPick(r, ['review_date', 'ReviewDate', 'reviewDate', 'date', 'Date', 'CreatedAt']);
+    if (!v) return null;
+    var d = /^\d{4}-\d{2}-\d{2}$/.test(String(v)) ? parseLocalDateOnly(String(v)) : new Date(v);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+function _rvStars(rating) {
+    if (rating == null) return '—';
+    var full = Math.round(rating);
+    return '<span class="review-stars" aria-label="' + rating + ' out of 5">' + '★★★★★'.slice(0, full) + '<span class="review-stars-empty">' + '★★★★★'.slice(full) + '</span></span>';
+}
+
+/** Count, average, low-rating count and monthly averages (oldest first) for a set of reviews. */
+function summarizeReviews(reviews) {
+    var rated = reviews.filter(function(r) { return _rvRating(r) != null; });
+    var byMonth = {};
+    rated.forEach(function(r) {
+        var d = _rvDate(r);
+        if (!d) return;
+        var key = d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0');
+        var m = byMonth[key] = byMonth[key] || { month: key, sum: 0, count: 0 };
+        m.sum += _rvRating(r);
+        m.count++;
+    });
+    return {
+        count: reviews.length,
+        avg: rated.length ? rated.reduce(function(s, r) { return s + _rvRating(r); }, 0) / rated.length : null,
+        low: rated.filter(function(r) { return _rvRating(r) <= REVIEW_LOW_RATING; }).length,
+        byMonth: Object.keys(byMonth).sort().slice(-REVIEW_TREND_MONTHS).map(function(k) {
+            return { month: k, avg: byMonth[k].sum / byMonth[k].count, count: byMonth[k].count };
+        })
+    };
+}
+
+function _rvDestroyChart() {
+    if (_reviewTrendChart) {
+        try { _reviewTrendChart.destroy(); } catch (e) {}
+        _reviewTrendChart = null;
+    }
+}
+
+function _renderReviewTrendChart(canvas, byMonth) {
+    _rvDestroyChart();
+    // The popup may have closed before this frame
+    if (!canvas || !canvas.isConnected || typeof Chart === 'undefined' || !byMonth.length) return;
+    var pal = _getChartDefaults();
+    _reviewTrendChart = new Chart(canvas, {
+        type: 'line',
+        data: {
+            labels: byMonth.map(function(m) {
+                var p = m.month.split('-');
+                return new Date(Number(p[0]), Number(p[1]) - 1, 1).toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+            }),
+            datasets: [{
+                label: 'Average rating',
+                data: byMonth.map(function(m) { return Math.round(m.avg * 100) / 100; }),
+                borderColor: pal.primaryGreen,
+                backgroundColor: pal.primaryGreen,
+                pointRadius: 3
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: { min: 1, max: 5, grid: { color: pal.borderColor }, ticks: { stepSize: 1, color: pal.textSecondary, font: { family: pal.fontFamily, size: 11 } } },
+                x: { grid: { display: false }, ticks: { color: pal.textPrimary, font: { family: pal.fontFamily, size: 11 } } }
+            },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    titleFont: { family: pal.fontFamily },
+                    bodyFont: { family: pal.fontFamily },
+                    callbacks: { label: function(c) { return c.parsed.y.toFixed(2) + ' ★ (' + byMonth[c.dataIndex].count + ' reviews)'; } }
+                }
+            }
+        }
+    });
+}
+
+function _reviewItemHtml(r) {
+    var rating = _rvRating(r);
+    var d = _rvDate(r);
+    var low = rating != null && rating <= REVIEW_LOW_RATING;
+    var text = _rvPick(r, ['Review_Text', 'review_text', 'ReviewText', 'text']) || '';
+    return '<li class="review-item' + (low ? ' review-item-low' : '') + '">' +
+        '<div class="review-item-head">' + _rvStars(rating) +
+            '<span class="review-item-author">' + escapeHtml(String(_rvPick(r, ['reviewer_name', 'ReviewerName', 'author']) || 'Anonymous')) + '</span>' +
+            (d ? '<span class="due-diligence-due">' + escapeHtml(formatDate(d)) + '</span>' : '') +
+            (low ? '<span class="covenant-status covenant-status-fail">Low rating</span>' : '') +
+        '</div>' +
+        (text ? '<p class="review-item-text">' + escapeHtml(String(text)) + '</p>' : '') +
+    '</li>';
+}
+
+function _reviewConfigFormHtml(prop) {
+    return '<div class="custom-fields-detail-form review-config-form">' +
+            '<div class="deal-detail-item"><label>Google Maps URL</label><input type="url" name="GoogleMapsUrl" value="' + escapeHtml(prop.GoogleMapsUrl || '') + '" placeholder="https://maps.google.com/..." /></div>' +
+            '<div class="deal-detail-item"><label><input type="checkbox" name="IncludeInReviewsReport"' + (prop.IncludeInReviewsReport ? ' checked' : '') + ' /> Include in reviews report</label></div>' +
+        '</div>' +
+        '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+        '<div class="custom-fields-detail-actions"><button type="button" class="deal-detail-btn review-config-save">Save review settings</button></div>';
+}
+
+/** Wire a config form rendered by _reviewConfigFormHtml; updates `prop` in place on success. */
+function _bindReviewConfigForm(root, prop) {
+    var errEl = root.querySelector('.custom-fields-detail-error');
+    root.querySelector('.review-config-save').addEventListener('click', async function() {
+        var url = root.querySelector('input[name="GoogleMapsUrl"]').value.trim();
+        var include = root.querySelector('input[name="IncludeInReviewsReport"]').checked;
+        if (url && !/^https?:\/\//i.test(url)) {
+            errEl.textContent = 'Google Maps URL must start with http:// or https://.';
+            errEl.style.display = 'block';
+            return;
+        }
+        errEl.style.display = 'none';
+        this.disabled = true;
+        try {
+            await API.updatePropertyReviewConfig(prop.ProjectId, { GoogleMapsUrl: url || null, IncludeInReviewsReport: include });
+            prop.GoogleMapsUrl = url || null;
+            prop.IncludeInReviewsReport = include;
+            showToast('Review settings saved.', 'success');
+        } catch (err) {
+            errEl.textContent = err.message || 'Save failed.';
+            errEl.style.display = 'block';
+        }
+        this.disabled = false;
+    });
+}
+
+async function _renderDealDetailReviews(content, deal, ctx) {
+    var admin = can('manageReferenceData');
+    var none = function() { return { success: true, data: [] }; };
+    var results = await Promise.all([
+        API.getReviews({ property: deal.Name, limit: 500 }),
+        admin ? API.getReviewProperties().catch(none) : Promise.resolve(none())
+    ]);
+    var reviews = apiList(results[0]).slice().sort(function(a, b) { return (_rvDate(b) || 0) - (_rvDate(a) || 0); });
+    var prop = apiList(results[1]).filter(function(p) { return String(p.ProjectId) === String(ctx.projectId); })[0] || null;
+    var s = summarizeReviews(reviews);
+
+    content.innerHTML =
+        (reviews.length ?
+            '<div class="deal-detail-grid">' +
+                '<div class="deal-detail-item"><label>Average rating</label><span>' + (s.avg != null ? s.avg.toFixed(2) + ' ' + _rvStars(s.avg) : '—') + '</span></div>' +
+                '<div class="deal-detail-item"><label>Reviews</label><span>' + s.count + '</span></div>' +
+                '<div class="deal-detail-item"><label>Low ratings (≤ ' + REVIEW_LOW_RATING + '★)</label><span class="' + (s.low ? 'review-low-count' : '') + '">' + s.low + '</span></div>' +
+            '</div>' +
+            '<h4 class="covenant-group-title">Rating trend</h4>' +
+            (s.byMonth.length > 1 ? '<div class="review-trend-chart"><canvas></canvas></div>' : '<div class="activity-timeline-empty">Not enough dated reviews for a trend.</div>') +
+            '<h4 class="covenant-group-title">Recent reviews</h4>' +
+            '<ul class="review-list">' + reviews.slice(0, 10).map(_reviewItemHtml).join('') + '</ul>'
+        : '<div class="activity-timeline-empty">No reviews tracked for "' + escapeHtml(deal.Name || '') + '".</div>') +
+        (admin && prop ? '<h4 class="covenant-group-title">Review tracking</h4><div class="review-config">' + _reviewConfigFormHtml(prop) + '</div>' : '');
+
+    if (s.byMonth.length > 1) {
+        requestAnimationFrame(function() { _renderReviewTrendChart(content.querySelector('.review-trend-chart canvas'), s.byMonth); });
+    }
+    if (admin && prop) _bindReviewConfigForm(content.querySelector('.review-config'), prop);
+}
+
+/** Top-level Reviews view: portfolio ratings plus (admins) review config and daily alert recipients. */
+async function renderReviewsView(deals) {
+    var container = document.getElementById('deal-list-container');
+    if (!container) return;
+    container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading reviews…</div>';
+    var admin = can('manageReferenceData');
+    var since = new Date();
+    since.setDate(since.getDate() - REVIEW_SUMMARY_DAYS);
+    var none = function() { return { success: true, data: [] }; };
+    var results;
+    try {
+        results = await Promise.all([
+            API.getReviewProperties(),
+            API.getReviews({ from: toNormalizedDateString(since), limit: 5000 }).catch(none),
+            admin ? API.getDailyAlertList().catch(none) : Promise.resolve(none())
+        ]);
+    } catch (e) {
+        if (currentView === 'reviews') container.innerHTML = '<div class="error-state"><p class="error-message">Could not load reviews: ' + escapeHtml(e.message || 'Unknown error') + '</p></div>';
+        return;
+    }
+    if (currentView !== 'reviews') return;
+
+    var properties = apiList(results[0]).filter(canViewDealRow).sort(function(a, b) { return String(a.ProjectName || '').localeCompare(String(b.ProjectName || '')); });
+    var reviewsByProperty = {};
+    apiList(results[1]).forEach(function(r) {
+        var key = String(_rvPick(r, ['Property', 'property', 'ProjectName']) || '').trim().toLowerCase();
+        (reviewsByProperty[key] = reviewsByProperty[key] || []).push(r);
+    });
+    var recipients = apiList(results[2]);
+    var dealsByProject = {};
+    (window.allDeals || deals || []).forEach(function(d) { if (d.ProjectId) dealsByProject[d.ProjectId] = d; });
+
+    container.innerHTML =
+        '<div class="upcoming-dates-view reviews-view">' +
+            '<h2 class="upcoming-dates-view-title">Reviews</h2>' +
+            '<p class="upcoming-dates-view-desc">Online resident reviews for Lease-Up and Stabilized properties, last ' + REVIEW_SUMMARY_DAYS + ' days. Ratings of ' + REVIEW_LOW_RATING + '★ or lower are flagged.</p>' +
+            (properties.length ? '<table class="deal-list-table reviews-table"><thead><tr><th>Property</th><th>Avg rating</th><th>Reviews</th><th>Low ratings</th>' +
+                (admin ? '<th>Google Maps URL</th><th>In report</th><th></th>' : '<th>In report</th>') + '</tr></thead><tbody>' +
+                properties.map(function(p, i) {
+                    var s = summarizeReviews(reviewsByProperty[String(p.ProjectName || '').trim().toLowerCase()] || []);
+                    var deal = dealsByProject[p.ProjectId];
+                    return '<tr class="upcoming-date-row' + (s.low ? ' review-row-low' : '') + '" data-idx="' + i + '">' +
+                        '<td class="deal-name">' + (deal ? '<a href="#" class="review-open-deal">' + escapeHtml(p.ProjectName || '') + '</a>' : escapeHtml(p.ProjectName || '')) + '</td>' +
+                        '<td>' + (s.avg != null ? s.avg.toFixed(2) + ' ' + _rvStars(s.avg) : '—') + '</td>' +
+                        '<td>' + s.count + '</td>' +
+                        '<td class="' + (s.low ? 'review-low-count' : '') + '">' + s.low + '</td>' +
+                        (admin
+                            ? '<td><input type="url" class="review-url-input" value="' + escapeHtml(p.GoogleMapsUrl || '') + '" placeholder="https://maps.google.com/..." aria-label="Google Maps URL for ' + escapeHtml(p.ProjectName || '') + '" /></td>' +
+                              '<td><input type="checkbox" class="review-include-input"' + (p.IncludeInReviewsReport ? ' checked' : '') + ' aria-label="Include ' + escapeHtml(p.ProjectName || '') + ' in reviews report" /></td>' +
+                              '<td><button type="button" class="deal-detail-btn review-row-save">Save</button></td>'
+                            : '<td>' + (p.IncludeInReviewsReport ? 'Yes' : 'No') + '</td>') +
+                    '</tr>';
+                }).join('') + '</tbody></table>'
+            : '<p class="no-data">No Lease-Up or Stabilized properties.</p>') +
+            (admin ? '<h3 class="covenant-group-title">Daily review alert recipients</h3><div class="review-recipients"></div>' : '') +
+        '</div>';
+
+    container.querySelectorAll('.reviews-table tbody tr').forEach(function(tr) {
+        var p = properties[parseInt(tr.dataset.idx, 10)];
+        var link = tr.querySelector('.review-open-deal');
+        if (link) link.addEventListener('click', function(e) { e.preventDefault(); showDealDetail(dealsByProject[p.ProjectId]); });
+        var save = tr.querySelector('.review-row-save');
+        if (!save) return;
+        save.addEventListener('click', async function() {
+            var url = tr.querySelector('.review-url-input').value.trim();
+            var include = tr.querySelector('.review-include-input').checked;
+            if (url && !/^https?:\/\//i.test(url)) {
+                showToast('Google Maps URL must start with http:// or https://.', 'error');
+                return;
+            }
+            save.disabled = true;
+            try {
+                await API.updatePropertyReviewConfig(p.ProjectId, { GoogleMapsUrl: url || null, IncludeInReviewsReport: include });
+                p.GoogleMapsUrl = url || null;
+                p.IncludeInReviewsReport = include;
+                showToast('Saved review settings for ' + (p.ProjectName || 'property') + '.', 'success');
+            } catch (err) {
+                showToast('Failed to save review settings: ' + (err.message || 'Unknown error'), 'error');
+            }
+            save.disabled = false;
+        });
+    });
+
+    if (admin) _renderDailyAlertRecipients(container.querySelector('.review-recipients'), recipients);
+}
+
+function _renderDailyAlertRecipients(el, recipients) {
+    el.innerHTML =
+        '<div class="reminder-recipient-chips">' + (recipients.length ? recipients.map(function(r) {
+            var label = r.DisplayName ? r.DisplayName + ' <' + (r.Email || '') + '>' : (r.Email || 'Person ' + r.PersonId);
+            return '<span class="equity-related-chip">' + escapeHtml(label) + '<button type="button" class="equity-related-remove review-remove-recipient" data-id="' + escapeHtml(String(r.Id)) + '" aria-label="Remove ' + escapeHtml(label) + '">&times;</button></span>';
+        }).join('') : '<span class="due-diligence-due">No recipients</span>') + '</div>' +
+        '<div class="reminder-recipient-add">' +
+            '<input type="email" name="recipientEmail" placeholder="name@stoagroup.com" aria-label="Recipient email" /> ' +
+            '<input type="text" name="recipientName" placeholder="Display name (optional)" aria-label="Recipient display name" /> ' +
+            '<button type="button" class="contacts-btn review-add-recipient">Add</button>' +
+        '</div>';
+
+    var reload = function() {
+        return API.getDailyAlertList().then(function(res) { _renderDailyAlertRecipients(el, apiList(res)); });
+    };
+    el.querySelectorAll('.review-remove-recipient').forEach(function(btn) {
+        btn.addEventListener('click', async function() {
+            btn.disabled = true;
+            try {
+                await API.removeDailyAlertRecipient(btn.dataset.id);
+                await reload();
+            } catch (err) {
+                btn.disabled = false;
+                showToast('Failed to remove recipient: ' + (err.message || 'Unknown error'), 'error');
+            }
+        });
+    });
+    var emailInput = el.querySelector('input[name="recipientEmail"]');
+    var add = async function() {
+        var email = emailInput.value.trim();
+        var name = el.querySelector('input[name="recipientName"]').value.trim();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            showToast('Enter a valid email address.', 'error');
+            return;
+        }
+        if (recipients.some(function(r) { return String(r.Email || '').toLowerCase() === email.toLowerCase(); })) {
+            showToast(email + ' is already on the list.', 'info');
+            return;
+        }
+        try {
+            await API.addDailyAlertRecipient(name ? { Email: email, DisplayName: name } : { Email: email });
+            await reload();
+        } catch (err) {
+            showToast('Failed to add recipient: ' + (err.message || 'Unknown error'), 'error');
+        }
+    };
+    el.querySelector('.review-add-recipient').addEventListener('click', add);
+    emailInput.addEventListener('keydown', function(e) { if (e.key === 'Enter') { e.preventDefault(); add(); } });
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({
+        id: 'reviews',
+        title: 'Reviews',
+        order: 19,
+        appliesTo: function(deal) { return REVIEW_STAGES.indexOf(normalizeStage(deal.Stage || deal.stage)) !== -1; },
+        render: _renderDealDetailReviews,
+        dispose: _rvDestroyChart
+    });
+}
+
+window.summarizeReviews = summarizeReviews;
+window.renderReviewsView = renderReviewsView;
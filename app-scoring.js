@@ -0,0 +1,279 @@
+/**
+ * app-scoring.js — Scoring criteria editor (admin) with score preview before saving
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var SCORING_FIELDS = [
+    { value: 'UnitCount', label: 'Unit Count', kind: 'number' },
+    { value: 'Acreage', label: 'Acreage', kind: 'number' },
+    { value: 'LandPrice', label: 'Land Price', kind: 'number' },
+    { value: 'SqFtPrice', label: 'Price / SqFt', kind: 'number' },
+    { value: 'YieldOnCost', label: 'Yield on Cost (%)', kind: 'number' },
+    { value: 'Stage', label: 'Stage', kind: 'text' },
+    { value: 'Region', label: 'Region', kind: 'text' },
+    { value: 'State', label: 'State', kind: 'text' },
+    { value: 'ProductType', label: 'Product Type', kind: 'text' },
+    { value: 'Priority', label: 'Priority', kind: 'text' },
+    { value: 'ListingStatus', label: 'Listed / Unlisted', kind: 'text' },
+    { value: 'Zoning', label: 'Zoning', kind: 'text' },
+    { value: 'OpportunityZone', label: 'Opportunity Zone', kind: 'boolean' },
+    { value: 'Cash', label: 'Cash', kind: 'boolean' }
+];
+
+var SCORING_OPERATORS = {
+    number: [['>', 'greater than'], ['>=', 'at least'], ['<', 'less than'], ['<=', 'at most'], ['=', 'equals'], ['!=', 'not equal']],
+    text: [['=', 'equals'], ['!=', 'not equal'], ['contains', 'contains'], ['in', 'is one of (comma list)']],
+    boolean: [['is_true', 'is yes'], ['is_false', 'is no']]
+};
+
+function _scoringCriterionId(c) { return c ? (c.ScoringCriteriaId ?? c.CriteriaId ?? c.id ?? null) : null; }
+
+function _scoringFieldKind(fieldName) {
+    var f = SCORING_FIELDS.find(function(x) { return x.value === fieldName; });
+    return f ? f.kind : 'text';
+}
+
+/** Normalise an API criterion to the shape the editor and computeDealScore use */
+function _scoringNormalize(c) {
+    return {
+        id: _scoringCriterionId(c),
+        FieldName: c.FieldName ?? c.fieldName ?? c.Field ?? '',
+        Operator: c.Operator ?? c.operator ?? '>',
+        Threshold: c.Threshold ?? c.threshold ?? '',
+        Weight: c.Weight ?? c.weight ?? 1
+    };
+}
+
+function _scoringRowHtml(c, idx) {
+    var kind = _scoringFieldKind(c.FieldName);
+    var hasField = SCORING_FIELDS.some(function(f) { return f.value === c.FieldName; });
+    return '<tr data-idx="' + idx + '">' +
+        '<td><select class="scoring-field">' +
+            (hasField || !c.FieldName ? '' : '<option value="' + escapeHtml(c.FieldName) + '" selected>' + escapeHtml(c.FieldName) + '</option>') +
+            SCORING_FIELDS.map(function(f) { return '<option value="' + f.value + '"' + (f.value === c.FieldName ? ' selected' : '') + '>' + f.label + '</option>'; }).join('') +
+        '</select></td>' +
+        '<td><select class="scoring-operator">' +
+            SCORING_OPERATORS[kind].map(function(o) { return '<option value="' + escapeHtml(o[0]) + '"' + (o[0] === String(c.Operator) ? ' selected' : '') + '>' + o[1] + '</option>'; }).join('') +
+        '</select></td>' +
+        '<td><input type="' + (kind === 'number' ? 'number' : 'text') + '" step="any" class="scoring-threshold" value="' + escapeHtml(c.Threshold == null ? '' : String(c.Threshold)) + '"' + (kind === 'boolean' ? ' disabled placeholder="n/a"' : '') + ' /></td>' +
+        '<td><input type="number" min="0" step="any" class="scoring-weight" value="' + escapeHtml(String(c.Weight)) + '" /></td>' +
+        '<td><button type="button" class="contacts-btn scoring-remove-btn" aria-label="Remove criterion">Remove</button></td>' +
+    '</tr>';
+}
+
+/** Admin editor for weighted scoring criteria */
+async function openScoringCriteriaManager() {
+    if (!can('manageReferenceData')) {
+        showToast('Only admins can manage scoring criteria.', 'info');
+        return;
+    }
+    var existing = document.getElementById('scoring-criteria-modal');
+    if (existing) existing.remove();
+    var modal = document.createElement('div');
+    modal.className = 'deal-detail-overlay contacts-modal-overlay';
+    modal.id = 'scoring-criteria-modal';
+    modal.innerHTML =
+        '<div class="contacts-modal scoring-manager" role="dialog" aria-labelledby="scoring-manager-title">' +
+            '<h3 id="scoring-manager-title">Scoring Criteria</h3>' +
+            '<p class="contacts-reminder-desc">Each criterion a deal meets adds its weight. The deal score is the share of total weight earned (0–100).</p>' +
+            '<div class="scoring-criteria-wrap"><div class="activity-timeline-loading">Loading...</div></div>' +
+            '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+            '<div class="contacts-form-actions">' +
+                '<button type="button" class="contacts-btn scoring-add-btn">+ Add criterion</button>' +
+                '<button type="button" class="contacts-btn scoring-preview-btn">Preview scores</button>' +
+                '<button type="button" class="contacts-btn contacts-save-btn scoring-save-btn">Save &amp; rescore</button>' +
+                '<button type="button" class="contacts-btn contacts-cancel-btn">Close</button>' +
+            '</div>' +
+            '<div class="scoring-preview" style="display:none;"></div>' +
+        '</div>';
+    document.body.appendChild(modal);
+
+    var wrap = modal.querySelector('.scoring-criteria-wrap');
+    var errEl = modal.querySelector('.custom-fields-detail-error');
+    var previewEl = modal.querySelector('.scoring-preview');
+    var original = [];
+    var criteria = [];
+
+    var escHandler = function(e) { if (e.key === 'Escape') close(); };
+    document.addEventListener('keydown', escHandler);
+    function close() {
+        document.removeEventListener('keydown', escHandler);
+        modal.remove();
+    }
+    modal.addEventListener('click', function(e) { if (e.target === modal) close(); });
+    modal.querySelector('.contacts-cancel-btn').addEventListener('click', close);
+
+    function showError(msg) {
+        errEl.textContent = msg || '';
+        errEl.style.display = msg ? 'block' : 'none';
+    }
+
+    function render() {
+        if (!criteria.length) {
+            wrap.innerHTML = '<div class="activity-timeline-empty">No criteria yet. Add one to start scoring deals.</div>';
+            return;
+        }
+        wrap.innerHTML = '<table class="custom-fields-manager-table scoring-criteria-table"><thead><tr><th>Field</th><th>Operator</th><th>Threshold</th><th>Weight</th><th></th></tr></thead><tbody>' +
+            criteria.map(_scoringRowHtml).join('') + '</tbody></table>';
+    }
+
+    /** Pull edits from the table back into criteria */
+    function readRows() {
+        wrap.querySelectorAll('tbody tr').forEach(function(tr) {
+            var c = criteria[parseInt(tr.dataset.idx, 10)];
+            if (!c) return;
+            c.FieldName = tr.querySelector('.scoring-field').value;
+            c.Operator = tr.querySelector('.scoring-operator').value;
+            c.Threshold = _scoringFieldKind(c.FieldName) === 'boolean' ? null : tr.querySelector('.scoring-threshold').value.trim();
+            c.Weight = tr.querySelector('.scoring-weight').value;
+        });
+    }
+
+    function validate() {
+        for (var i = 0; i < criteria.length; i++) {
+            var c = criteria[i];
+            var label = 'Row ' + (i + 1) + ': ';
+            var kind = _scoringFieldKind(c.FieldName);
+            if (!c.FieldName) return label + 'choose a field.';
+            if (!(parseFloat(c.Weight) > 0)) return label + 'weight must be greater than 0.';
+            if (kind !== 'boolean' && (c.Threshold == null || c.Threshold === '')) return label + 'threshold is required.';
+            if (kind === 'number' && isNaN(parseFloat(c.Threshold))) return label + 'threshold must be a number.';
+        }
+        return '';
+    }
+
+    wrap.addEventListener('change', function(e) {
+        var tr = e.target.closest('tr');
+        if (!tr) return;
+        readRows();
+        if (e.target.classList.contains('scoring-field')) {
+            var c = criteria[parseInt(tr.dataset.idx, 10)];
+            var ops = SCORING_OPERATORS[_scoringFieldKind(c.FieldName)];
+            if (!ops.some(function(o) { return o[0] === c.Operator; })) c.Operator = ops[0][0];
+            render();
+        }
+        if (previewEl.style.display !== 'none') renderPreview();
+    });
+    wrap.addEventListener('click', function(e) {
+        var btn = e.target.closest('.scoring-remove-btn');
+        if (!btn) return;
+        readRows();
+        criteria.splice(parseInt(btn.closest('tr').dataset.idx, 10), 1);
+        render();
+        if (previewEl.style.display !== 'none') renderPreview();
+    });
+    modal.querySelector('.scoring-add-btn').addEventListener('click', function() {
+        readRows();
+        criteria.push({ id: null, FieldName: 'UnitCount', Operator: '>=', Threshold: '', Weight: 1 });
+        render();
+    });
+
+    /** Current vs. previewed score for active deals, biggest movers first */
+    function renderPreview() {
+        var error = validate();
+        showError(error);
+        if (error) return;
+        var deals = (window.allDeals || []).filter(function(d) {
+            var s = normalizeStage(d.Stage || d.stage);
+            return s !== 'Dead' && s !== 'Rejected';
+        });
+        var rows = deals.map(function(d) {
+            var next = computeDealScore(d, criteria);
+            var current = d.DealScore != null ? Math.round(d.DealScore) : null;
+            return { deal: d, current: current, next: next, delta: (next != null && current != null) ? next - current : null };
+        }).sort(function(a, b) {
+            return Math.abs(b.delta || 0) - Math.abs(a.delta || 0) || (b.next || 0) - (a.next || 0);
+        });
+        var changed = rows.filter(function(r) { return r.current !== r.next; }).length;
+        var shown = rows.slice(0, 25);
+        previewEl.innerHTML =
+            '<h4 class="custom-fields-manager-form-title">Preview</h4>' +
+            '<p class="contacts-reminder-desc">' + changed + ' of ' + rows.length + ' active deals would change score.' + (rows.length > shown.length ? ' Showing the ' + shown.length + ' biggest changes.' : '') + '</p>' +
+            '<table class="custom-fields-manager-table scoring-preview-table"><thead><tr><th>Deal</th><th>Stage</th><th>Current</th><th>Preview</th><th>Change</th></tr></thead><tbody>' +
+            shown.map(function(r) {
+                var deltaCls = r.delta > 0 ? 'scoring-delta-up' : r.delta < 0 ? 'scoring-delta-down' : '';
+                return '<tr>' +
+                    '<td>' + escapeHtml(r.deal.Name || r.deal.name || '') + '</td>' +
+                    '<td>' + escapeHtml(normalizeStage(r.deal.Stage || r.deal.stage)) + '</td>' +
+                    '<td>' + (r.current != null ? '<span class="deal-score-badge deal-score-' + dealScoreTier(r.current) + '">' + r.current + '</span>' : '-') + '</td>' +
+                    '<td>' + (r.next != null ? '<span class="deal-score-badge deal-score-' + dealScoreTier(r.next) + '">' + r.next + '</span>' : '-') + '</td>' +
+                    '<td class="' + deltaCls + '">' + (r.delta == null ? (r.current == null && r.next != null ? 'new' : '') : (r.delta > 0 ? '+' : '') + r.delta) + '</td>' +
+                '</tr>';
+            }).join('') + '</tbody></table>';
+        previewEl.style.display = 'block';
+    }
+    modal.querySelector('.scoring-preview-btn').addEventListener('click', function() {
+        readRows();
+        renderPreview();
+    });
+
+    modal.querySelector('.scoring-save-btn').addEventListener('click', async function() {
+        readRows();
+        var error = validate();
+        showError(error);
+        if (error) return;
+        var saveBtn = this;
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+        var failures = [];
+        var keptIds = criteria.map(function(c) { return c.id; }).filter(function(id) { return id != null; });
+        var originalById = {};
+        original.forEach(function(c) { originalById[c.id] = c; });
+        for (var i = 0; i < original.length; i++) {
+            if (keptIds.indexOf(original[i].id) >= 0) continue;
+            try { await API.deleteScoringCriteria(original[i].id); } catch (err) { failures.push(err.message || 'Delete failed'); }
+        }
+        for (var j = 0; j < criteria.length; j++) {
+            var c = criteria[j];
+            var payload = {
+                FieldName: c.FieldName,
+                Operator: c.Operator,
+                Threshold: c.Threshold === '' ? null : c.Threshold,
+                Weight: parseFloat(c.Weight)
+            };
+            var prev = c.id != null ? originalById[c.id] : null;
+            try {
+                if (!prev) await API.createScoringCriteria(payload);
+                else if (prev.FieldName !== payload.FieldName || String(prev.Operator) !== String(payload.Operator) ||
+                         String(prev.Threshold ?? '') !== String(payload.Threshold ?? '') || parseFloat(prev.Weight) !== payload.Weight) {
+                    await API.updateScoringCriteria(c.id, payload);
+                }
+            } catch (err) {
+                failures.push(err.message || 'Save failed');
+            }
+        }
+        try {
+            await API.scoreAllDeals();
+        } catch (err) {
+            failures.push('Rescore failed: ' + (err.message || 'Unknown error'));
+        }
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save & rescore';
+        if (failures.length) {
+            showError(failures.join(' '));
+            await load();
+            return;
+        }
+        showToast('Scoring criteria saved and deals rescored.', 'success');
+        close();
+        if (typeof refreshDealsFromApi === 'function') refreshDealsFromApi().catch(function(e) { console.warn('Refresh after rescore:', e); });
+    });
+
+    async function load() {
+        try {
+            var res = await API.getScoringCriteria();
+            var list = apiList(res);
+            original = list.map(_scoringNormalize);
+            criteria = original.map(function(c) { return Object.assign({}, c); });
+            render();
+        } catch (err) {
+            wrap.innerHTML = '<div class="activity-timeline-empty">Could not load scoring criteria: ' + escapeHtml(err.message || 'Unknown error') + '</div>';
+        }
+    }
+    await load();
+}
+
+window.openScoringCriteriaManager = openScoringCriteriaManager;
+document.getElementById('scoring-criteria-admin-btn')?.addEventListener('click', openScoringCriteriaManager);
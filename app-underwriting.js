@@ -0,0 +1,460 @@
+/**
+ * app-underwriting.js — Underwriting calculator tab in the deal edit modal (untrended yield, development
+ * spread, max supportable land price) with named, versioned scenarios per deal (Base / Downside / Lender case);
+ * Excel snapshot attached when a deal moves to Under Review.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var UNDERWRITING_DEFAULTS = {
+    UnitMix: [{ Type: '1BR', Units: null, Rent: null }, { Type: '2BR', Units: null, Rent: null }],
+    VacancyPct: 5,
+    OpexPerUnit: null,
+    LandPrice: null,
+    HardCosts: null,
+    SoftCosts: null,
+    CapRate: null,
+    TargetSpreadBps: 150
+};
+
+/** Scalar inputs in form order; percents are entered as 5 = 5%. */
+var UNDERWRITING_FIELDS = [
+    { key: 'VacancyPct', label: 'Vacancy & credit loss (%)' },
+    { key: 'OpexPerUnit', label: 'Opex per unit / year ($)' },
+    { key: 'LandPrice', label: 'Land price ($)' },
+    { key: 'HardCosts', label: 'Hard costs ($)' },
+    { key: 'SoftCosts', label: 'Soft costs ($)' },
+    { key: 'CapRate', label: 'Market cap rate (%)' },
+    { key: 'TargetSpreadBps', label: 'Target spread (bps)' }
+];
+
+var UNDERWRITING_REVIEW_STAGE = 'Under Review';
+
+/** Suggested scenario names (any name is allowed). */
+var UNDERWRITING_SCENARIO_NAMES = ['Base', 'Downside', 'Lender case'];
+
+// Scenarios of the deal open in the edit modal; _underwritingSaved holds the selected scenario's saved inputs
+var _underwritingDealId = null;
+var _underwritingScenarios = [];
+var _underwritingScenarioId = null;
+var _underwritingSaved = null;
+
+function _uwNum(v) {
+    var n = parseFloat(String(v == null ? '' : v).replace(/[$,%\s]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+function _uwMoney(v) {
+    return v == null || !isFinite(v) ? '—' : (v < 0 ? '-$' : '$') + Math.round(Math.abs(v)).toLocaleString();
+}
+
+/**
+ * Untrended underwriting from calculator inputs (rents are monthly, opex annual per unit, percents as 5 = 5%).
+ * Yield = stabilized NOI / (land + hard + soft); spread = yield − cap rate; max land price is what keeps
+ * yield at cap rate + target spread.
+ */
+function computeUnderwriting(inputs) {
+    var units = 0, gpr = 0;
+    (inputs.UnitMix || []).forEach(function(m) {
+        var u = _uwNum(m.Units) || 0;
+        units += u;
+        gpr += u * (_uwNum(m.Rent) || 0) * 12;
+    });
+    var egi = gpr * (1 - (_uwNum(inputs.VacancyPct) || 0) / 100);
+    var opex = units * (_uwNum(inputs.OpexPerUnit) || 0);
+    var noi = egi - opex;
+    var buildCost = (_uwNum(inputs.HardCosts) || 0) + (_uwNum(inputs.SoftCosts) || 0);
+    var totalCost = buildCost + (_uwNum(inputs.LandPrice) || 0);
+    var cap = _uwNum(inputs.CapRate);
+    var yieldPct = totalCost > 0 && gpr > 0 ? noi / totalCost * 100 : null;
+    var targetYield = cap != null ? cap + (_uwNum(inputs.TargetSpreadBps) || 0) / 100 : null;
+    return {
+        units: units,
+        gpr: gpr,
+        egi: egi,
+        opex: opex,
+        noi: gpr > 0 ? noi : null,
+        totalCost: totalCost > 0 ? totalCost : null,
+        costPerUnit: totalCost > 0 && units > 0 ? totalCost / units : null,
+        yieldPct: yieldPct,
+        spreadBps: yieldPct != null && cap != null ? Math.round((yieldPct - cap) * 100) : null,
+        targetYield: targetYield,
+        maxLandPrice: gpr > 0 && targetYield > 0 && buildCost > 0 ? noi / (targetYield / 100) - buildCost : null
+    };
+}
+
+function _uwMixRowHtml(m) {
+    return '<tr>' +
+        '<td><input type="text" class="uw-mix-type" value="' + escapeHtml(m.Type || '') + '" aria-label="Unit type" /></td>' +
+        '<td><input type="text" inputmode="numeric" class="uw-mix-units" value="' + (m.Units != null ? escapeHtml(String(m.Units)) : '') + '" aria-label="Units" /></td>' +
+        '<td><input type="text" inputmode="decimal" class="uw-mix-rent" value="' + (m.Rent != null ? escapeHtml(String(m.Rent)) : '') + '" aria-label="Monthly rent" /></td>' +
+        '<td><button type="button" class="equity-related-remove uw-mix-remove" aria-label="Remove unit type">&times;</button></td>' +
+    '</tr>';
+}
+
+function _uwCollect(panel) {
+    var inputs = { UnitMix: [] };
+    panel.querySelectorAll('.uw-mix tbody tr').forEach(function(tr) {
+        var type = tr.querySelector('.uw-mix-type').value.trim();
+        var units = _uwNum(tr.querySelector('.uw-mix-units').value);
+        var rent = _uwNum(tr.querySelector('.uw-mix-rent').value);
+        if (type || units != null || rent != null) inputs.UnitMix.push({ Type: type, Units: units, Rent: rent });
+    });
+    UNDERWRITING_FIELDS.forEach(function(f) {
+        inputs[f.key] = _uwNum(panel.querySelector('[data-uw-field="' + f.key + '"]').value);
+    });
+    return inputs;
+}
+
+/** Saved inputs in the shape _uwCollect returns, to tell whether the form has unsaved edits. */
+function _uwNormalize(inputs) {
+    var out = { UnitMix: [] };
+    (inputs.UnitMix || []).forEach(function(m) {
+        var type = String(m.Type || '').trim(), units = _uwNum(m.Units), rent = _uwNum(m.Rent);
+        if (type || units != null || rent != null) out.UnitMix.push({ Type: type, Units: units, Rent: rent });
+    });
+    UNDERWRITING_FIELDS.forEach(function(f) { out[f.key] = _uwNum(inputs[f.key]); });
+    return out;
+}
+
+function _uwOutputsHtml(out, dealUnits) {
+    var spreadCls = out.spreadBps == null ? '' : (out.spreadBps < 0 ? ' uw-negative' : ' uw-positive');
+    return '<div class="deal-detail-grid">' +
+            '<div class="deal-detail-item"><label>Untrended yield</label><span class="uw-headline">' + (out.yieldPct != null ? out.yieldPct.toFixed(2) + '%' : '—') + '</span></div>' +
+            '<div class="deal-detail-item"><label>Development spread</label><span class="uw-headline' + spreadCls + '">' + (out.spreadBps != null ? (out.spreadBps > 0 ? '+' : '') + out.spreadBps + ' bps' : '—') + '</span></div>' +
+            '<div class="deal-detail-item"><label>Max supportable land price</label><span class="uw-headline' + (out.maxLandPrice != null && out.maxLandPrice < 0 ? ' uw-negative' : '') + '">' + _uwMoney(out.maxLandPrice) + '</span>' +
+                (out.targetYield != null ? '<small class="due-diligence-due">at ' + out.targetYield.toFixed(2) + '% yield</small>' : '') + '</div>' +
+            '<div class="deal-detail-item"><label>Gross potential rent</label><span>' + _uwMoney(out.gpr || null) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Stabilized NOI</label><span>' + _uwMoney(out.noi) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Total cost</label><span>' + _uwMoney(out.totalCost) + (out.costPerUnit != null ? ' <small class="due-diligence-due">' + _uwMoney(out.costPerUnit) + '/unit</small>' : '') + '</span></div>' +
+        '</div>' +
+        (dealUnits && out.units && dealUnits !== out.units ? '<p class="custom-fields-detail-error" style="display:block;">Unit mix totals ' + out.units + ' units; the deal has ' + dealUnits + '.</p>' : '');
+}
+
+function _uwDealUnits() {
+    return parseInt((document.getElementById('edit-unit-count') || {}).value, 10) || null;
+}
+
+function _uwRecalc(panel) {
+    panel.querySelector('.uw-outputs').innerHTML = _uwOutputsHtml(computeUnderwriting(_uwCollect(panel)), _uwDealUnits());
+}
+
+/** Parsed inputs of a scenario or version record (Inputs may arrive as JSON text). */
+function underwritingScenarioInputs(scenario) {
+    var inputs = scenario && scenario.Inputs;
+    return typeof inputs === 'string' ? JSON.parse(inputs) : (inputs || null);
+}
+
+function _uwSelectedScenario() {
+    return _underwritingScenarios.filter(function(sc) { return sc.UnderwritingScenarioId === _underwritingScenarioId; })[0] || null;
+}
+
+function _uwScenarioBarHtml() {
+    var selected = _uwSelectedScenario();
+    return '<div class="uw-scenario-bar">' +
+            (_underwritingScenarios.length
+                ? '<label>Scenario <select class="uw-scenario-select">' + _underwritingScenarios.map(function(sc) {
+                    return '<option value="' + escapeHtml(String(sc.UnderwritingScenarioId)) + '"' + (sc === selected ? ' selected' : '') + '>' +
+                        escapeHtml(sc.Name || 'Untitled') + (sc.IsActive ? ' (active)' : '') + '</option>';
+                }).join('') + '</select></label>' +
+                  (selected ? (selected.IsActive
+                      ? '<span class="covenant-status covenant-status-pass">Active</span>'
+                      : '<button type="button" class="contacts-btn uw-promote">Promote to active</button>') +
+                      '<span class="due-diligence-due">v' + escapeHtml(String(selected.Version || 1)) + (selected.UpdatedAt ? ' · ' + escapeHtml(formatDate(selected.UpdatedAt)) : '') + (selected.UpdatedBy ? ' · ' + escapeHtml(selected.UpdatedBy) : '') + '</span>' +
+                      '<button type="button" class="contacts-btn uw-history-toggle" aria-expanded="false">History</button>' : '')
+                : '<span class="due-diligence-due">No saved scenarios yet. Saving creates the Base scenario.</span>') +
+            '<span class="uw-new-scenario"><input type="text" class="uw-new-name" list="uw-scenario-names" placeholder="New scenario name" aria-label="New scenario name" />' +
+                '<datalist id="uw-scenario-names">' + UNDERWRITING_SCENARIO_NAMES.map(function(n) { return '<option value="' + escapeHtml(n) + '">'; }).join('') + '</datalist>' +
+                '<button type="button" class="contacts-btn uw-new">Save as new scenario</button></span>' +
+        '</div>' +
+        '<div class="uw-history" style="display: none;"></div>';
+}
+
+function _uwRenderForm(panel, inputs, canSave) {
+    panel.innerHTML =
+        (canSave ? _uwScenarioBarHtml() : '') +
+        '<h3 class="uw-heading">Unit mix &amp; rents</h3>' +
+        '<table class="custom-fields-manager-table uw-mix"><thead><tr><th>Type</th><th>Units</th><th>Rent / month ($)</th><th></th></tr></thead><tbody>' +
+            (inputs.UnitMix && inputs.UnitMix.length ? inputs.UnitMix : UNDERWRITING_DEFAULTS.UnitMix).map(_uwMixRowHtml).join('') +
+        '</tbody></table>' +
+        '<button type="button" class="contacts-btn uw-mix-add">+ Add unit type</button>' +
+        '<h3 class="uw-heading">Operations &amp; costs</h3>' +
+        '<div class="form-row">' +
+            UNDERWRITING_FIELDS.map(function(f) {
+                var v = inputs[f.key];
+                return '<div class="form-group"><label for="uw-' + f.key + '">' + escapeHtml(f.label) + ':</label>' +
+                    '<input type="text" inputmode="decimal" id="uw-' + f.key + '" data-uw-field="' + f.key + '" value="' + (v != null ? escapeHtml(String(v)) : '') + '" /></div>';
+            }).join('') +
+        '</div>' +
+        '<h3 class="uw-heading">Results</h3>' +
+        '<div class="uw-outputs"></div>' +
+        '<div class="form-error uw-error" style="display: none;"></div>' +
+        '<div class="form-actions">' +
+            (canSave ? '<button type="button" class="btn-primary uw-save">' + (_underwritingScenarioId ? 'Save new version' : 'Save underwriting') + '</button>' : '<span class="due-diligence-due">Save the deal first to keep underwriting inputs.</span>') +
+            '<button type="button" class="btn-secondary uw-use-land-price">Use deal land price</button>' +
+        '</div>';
+
+    var tbody = panel.querySelector('.uw-mix tbody');
+    var errEl = panel.querySelector('.uw-error');
+    function showError(msg) {
+        errEl.textContent = msg || '';
+        errEl.style.display = msg ? 'block' : 'none';
+    }
+    if (!panel._uwBound) {
+        panel._uwBound = true;
+        panel.addEventListener('input', function(e) { if (panel.querySelector('.uw-mix') && !e.target.classList.contains('uw-new-name')) _uwRecalc(panel); });
+    }
+    tbody.addEventListener('click', function(e) {
+        var btn = e.target.closest('.uw-mix-remove');
+        if (!btn) return;
+        btn.closest('tr').remove();
+        _uwRecalc(panel);
+    });
+    panel.querySelector('.uw-mix-add').addEventListener('click', function() {
+        tbody.insertAdjacentHTML('beforeend', _uwMixRowHtml({ Type: '', Units: null, Rent: null }));
+        tbody.lastElementChild.querySelector('input').focus();
+    });
+    panel.querySelector('.uw-use-land-price').addEventListener('click', function() {
+        panel.querySelector('[data-uw-field="LandPrice"]').value = (document.getElementById('edit-land-price') || {}).value || '';
+        _uwRecalc(panel);
+    });
+    _uwRecalc(panel);
+    if (!canSave) return;
+
+    // Replace (or add) a scenario returned by the API and re-render with it selected
+    function applyScenario(sc, formInputs) {
+        if (!sc || sc.UnderwritingScenarioId == null) return;
+        var i = _underwritingScenarios.map(function(x) { return x.UnderwritingScenarioId; }).indexOf(sc.UnderwritingScenarioId);
+        if (i === -1) _underwritingScenarios.push(sc); else _underwritingScenarios[i] = sc;
+        _underwritingScenarioId = sc.UnderwritingScenarioId;
+        _underwritingSaved = underwritingScenarioInputs(sc) || formInputs;
+        _uwRenderForm(panel, formInputs, true);
+    }
+
+    panel.querySelector('.uw-save').addEventListener('click', async function() {
+        showError('');
+        var formInputs = _uwCollect(panel);
+        this.disabled = true;
+        try {
+            var res = _underwritingScenarioId
+                ? await API.updateUnderwritingScenario(_underwritingScenarioId, { Inputs: formInputs })
+                : await API.createUnderwritingScenario(_underwritingDealId, { Name: UNDERWRITING_SCENARIO_NAMES[0], Inputs: formInputs });
+            applyScenario(res && res.data, formInputs);
+            showToast('Underwriting saved.', 'success');
+        } catch (err) {
+            this.disabled = false;
+            showError(err.message || 'Failed to save underwriting.');
+        }
+    });
+    panel.querySelector('.uw-new').addEventListener('click', async function() {
+        var name = panel.querySelector('.uw-new-name').value.trim();
+        if (!name) { showError('Enter a name for the new scenario.'); return; }
+        if (_underwritingScenarios.some(function(sc) { return String(sc.Name || '').toLowerCase() === name.toLowerCase(); })) {
+            showError('This deal already has a "' + name + '" scenario.');
+            return;
+        }
+        showError('');
+        var formInputs = _uwCollect(panel);
+        this.disabled = true;
+        try {
+            var res = await API.createUnderwritingScenario(_underwritingDealId, { Name: name, Inputs: formInputs });
+            applyScenario(res && res.data, formInputs);
+            showToast('Scenario "' + name + '" created.', 'success');
+        } catch (err) {
+            this.disabled = false;
+            showError(err.message || 'Failed to create scenario.');
+        }
+    });
+
+    var select = panel.querySelector('.uw-scenario-select');
+    if (select) {
+        select.addEventListener('change', async function() {
+            var dirty = JSON.stringify(_uwCollect(panel)) !== JSON.stringify(_uwNormalize(_underwritingSaved || UNDERWRITING_DEFAULTS));
+            if (dirty && !(await domoConfirm('Discard unsaved changes to this scenario?', { confirmLabel: 'Discard' }))) {
+                select.value = String(_underwritingScenarioId);
+                return;
+            }
+            _underwritingScenarioId = _underwritingScenarios.filter(function(sc) { return String(sc.UnderwritingScenarioId) === select.value; })[0].UnderwritingScenarioId;
+            _underwritingSaved = underwritingScenarioInputs(_uwSelectedScenario());
+            _uwRenderForm(panel, Object.assign({}, UNDERWRITING_DEFAULTS, _underwritingSaved), true);
+        });
+    }
+    var promote = panel.querySelector('.uw-promote');
+    if (promote) {
+        promote.addEventListener('click', async function() {
+            var selected = _uwSelectedScenario();
+            promote.disabled = true;
+            try {
+                await API.promoteUnderwritingScenario(selected.UnderwritingScenarioId);
+                _underwritingScenarios.forEach(function(sc) { sc.IsActive = sc === selected; });
+                _uwRenderForm(panel, _uwCollect(panel), true);
+                showToast('"' + (selected.Name || 'Scenario') + '" is now the active scenario.', 'success');
+            } catch (err) {
+                promote.disabled = false;
+                showError(err.message || 'Failed to promote scenario.');
+            }
+        });
+    }
+    var historyBtn = panel.querySelector('.uw-history-toggle');
+    if (historyBtn) {
+        historyBtn.addEventListener('click', function() {
+            var history = panel.querySelector('.uw-history');
+            var open = history.style.display === 'none';
+            history.style.display = open ? '' : 'none';
+            historyBtn.setAttribute('aria-expanded', String(open));
+            if (open) _uwRenderHistory(panel, history);
+        });
+    }
+}
+
+/** Version list for the selected scenario; "Load" puts an old version in the form (saving it makes a new version). */
+async function _uwRenderHistory(panel, history) {
+    var scenarioId = _underwritingScenarioId;
+    history.innerHTML = '<div class="activity-timeline-loading">Loading...</div>';
+    var res = await API.getUnderwritingScenarioVersions(scenarioId).catch(function(err) {
+        history.innerHTML = '<div class="activity-timeline-empty">Could not load history: ' + escapeHtml(err.message || 'Unknown error') + '</div>';
+        return null;
+    });
+    if (!res || scenarioId !== _underwritingScenarioId) return;
+    var versions = apiList(res);
+    if (!versions.length) {
+        history.innerHTML = '<div class="activity-timeline-empty">No versions saved.</div>';
+        return;
+    }
+    history.innerHTML = '<table class="custom-fields-manager-table"><thead><tr><th>Version</th><th>Saved</th><th>By</th><th>Yield</th><th>Max land</th><th></th></tr></thead><tbody>' +
+        versions.map(function(v, i) {
+            var out = computeUnderwriting(underwritingScenarioInputs(v) || {});
+            return '<tr><td>v' + escapeHtml(String(v.Version)) + '</td>' +
+                '<td>' + escapeHtml(v.CreatedAt ? formatDate(v.CreatedAt) : '—') + '</td>' +
+                '<td>' + escapeHtml(v.CreatedBy || '—') + '</td>' +
+                '<td>' + (out.yieldPct != null ? out.yieldPct.toFixed(2) + '%' : '—') + '</td>' +
+                '<td>' + _uwMoney(out.maxLandPrice) + '</td>' +
+                '<td><button type="button" class="contacts-btn uw-load-version" data-idx="' + i + '">Load</button></td></tr>';
+        }).join('') + '</tbody></table>' +
+        '<p class="due-diligence-due">Loading a version fills the calculator; save to make it the latest version.</p>';
+    history.querySelectorAll('.uw-load-version').forEach(function(btn) {
+        btn.addEventListener('click', function() {
+            var v = versions[parseInt(btn.dataset.idx, 10)];
+            _uwRenderForm(panel, Object.assign({}, UNDERWRITING_DEFAULTS, underwritingScenarioInputs(v)), true);
+            showToast('Loaded v' + v.Version + '. Save to keep it.', 'info');
+        });
+    });
+}
+
+/** Switch the deal edit modal between the deal form and the underwriting calculator. */
+function setDealEditTab(tab) {
+    var form = document.getElementById('deal-edit-form');
+    var panel = document.getElementById('deal-edit-underwriting');
+    document.querySelectorAll('#deal-edit-modal .deal-edit-tab').forEach(function(btn) {
+        var active = btn.dataset.tab === tab;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-selected', String(active));
+    });
+    if (form) form.style.display = tab === 'underwriting' ? 'none' : '';
+    if (panel) {
+        panel.style.display = tab === 'underwriting' ? '' : 'none';
+        if (tab === 'underwriting' && panel.querySelector('.uw-mix')) _uwRecalc(panel);
+    }
+}
+
+/** Called from openDealEditModal: load the deal's scenarios (active one selected) into the Underwriting tab. */
+async function populateDealEditUnderwriting(deal) {
+    var panel = document.getElementById('deal-edit-underwriting');
+    if (!panel) return;
+    var tabs = document.querySelectorAll('#deal-edit-modal .deal-edit-tab');
+    tabs.forEach(function(btn) {
+        if (btn._uwBound) return;
+        btn._uwBound = true;
+        btn.addEventListener('click', function() { setDealEditTab(btn.dataset.tab); });
+    });
+    setDealEditTab('deal');
+    _underwritingDealId = deal && (deal.DealPipelineId || (deal._original && deal._original.DealPipelineId)) || null;
+    _underwritingScenarios = [];
+    _underwritingScenarioId = null;
+    _underwritingSaved = null;
+    var original = (deal && deal._original) || deal || {};
+    var inputs = Object.assign({}, UNDERWRITING_DEFAULTS, { LandPrice: _uwNum(original.LandPrice) });
+    if (_underwritingDealId) {
+        panel.innerHTML = '<div class="activity-timeline-loading">Loading...</div>';
+        var dealId = _underwritingDealId;
+        var res = await API.getUnderwritingScenarios(dealId).catch(function(e) {
+            console.warn('Failed to load underwriting scenarios:', e);
+            return null;
+        });
+        if (dealId !== _underwritingDealId) return;
+        _underwritingScenarios = apiList(res);
+        var active = _underwritingScenarios.filter(function(sc) { return sc.IsActive; })[0] || _underwritingScenarios[0];
+        if (active) {
+            _underwritingScenarioId = active.UnderwritingScenarioId;
+            _underwritingSaved = underwritingScenarioInputs(active);
+            inputs = Object.assign({}, UNDERWRITING_DEFAULTS, _underwritingSaved);
+        }
+    }
+    _uwRenderForm(panel, inputs, !!_underwritingDealId);
+}
+
+async function _uwSnapshotBlob(dealName, inputs) {
+    var out = computeUnderwriting(inputs);
+    var workbook = new ExcelJS.Workbook();
+    var sheet = workbook.addWorksheet('Underwriting');
+    sheet.columns = [{ width: 32 }, { width: 18 }, { width: 18 }];
+    sheet.addRow([dealName + ' — underwriting snapshot']).font = { bold: true, size: 14 };
+    sheet.addRow(['Taken ' + formatDate(new Date()) + (typeof currentUser !== 'undefined' && currentUser && currentUser.email ? ' by ' + currentUser.email : '')]);
+    sheet.addRow([]);
+    var header = sheet.addRow(['Unit type', 'Units', 'Rent / month']);
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF7E8A6B' } };
+    (inputs.UnitMix || []).forEach(function(m) { sheet.addRow([m.Type, m.Units, m.Rent]).getCell(3).numFmt = '$#,##0'; });
+    sheet.addRow([]);
+    UNDERWRITING_FIELDS.forEach(function(f) { sheet.addRow([f.label, inputs[f.key]]); });
+    sheet.addRow([]);
+    [
+        ['Gross potential rent', out.gpr, '$#,##0'],
+        ['Effective gross income', out.egi, '$#,##0'],
+        ['Opex', out.opex, '$#,##0'],
+        ['Stabilized NOI', out.noi, '$#,##0'],
+        ['Total cost', out.totalCost, '$#,##0'],
+        ['Untrended yield (%)', out.yieldPct != null ? Math.round(out.yieldPct * 100) / 100 : null, '0.00'],
+        ['Development spread (bps)', out.spreadBps, '0'],
+        ['Max supportable land price', out.maxLandPrice, '$#,##0']
+    ].forEach(function(r) {
+        var row = sheet.addRow([r[0], r[1]]);
+        row.font = { bold: true };
+        row.getCell(2).numFmt = r[2];
+    });
+    var buffer = await workbook.xlsx.writeBuffer();
+    return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+/**
+ * Called from handleDealSave after a successful save: when the stage moved into Under Review and the
+ * calculator has inputs, offer to attach an Excel snapshot of them to the deal.
+ */
+async function attachUnderwritingSnapshotOnReview(deal, dealPipelineId, newStage) {
+    var previous = deal && normalizeStage(deal.Stage || (deal._original && deal._original.Stage) || '');
+    if (!dealPipelineId || normalizeStage(newStage) !== UNDERWRITING_REVIEW_STAGE || previous === UNDERWRITING_REVIEW_STAGE) return;
+    var panel = document.getElementById('deal-edit-underwriting');
+    var inputs = panel && panel.querySelector('.uw-mix') ? _uwCollect(panel) : _underwritingSaved;
+    if (!inputs || !(computeUnderwriting(inputs).gpr > 0)) return;
+    if (typeof ExcelJS === 'undefined') return;
+    var ok = await domoConfirm('This deal is moving to Under Review. Attach an underwriting snapshot to it?', { confirmLabel: 'Attach snapshot' });
+    if (!ok) return;
+    var name = (deal && (deal.Name || (deal._original && deal._original.ProjectName))) || 'Deal';
+    var scenario = _uwSelectedScenario();
+    if (scenario && scenario.Name) name += ' (' + scenario.Name + ')';
+    try {
+        var blob = await _uwSnapshotBlob(name, inputs);
+        var file = new File([blob], 'Underwriting_' + name.replace(/[^\w-]+/g, '_').replace(/_+$/, '') + '_' + toNormalizedDateString(new Date()) + '.xlsx', { type: blob.type });
+        await API.uploadDealPipelineAttachment(dealPipelineId, file);
+        showToast('Underwriting snapshot attached.', 'success');
+    } catch (err) {
+        showToast('Deal saved, but the underwriting snapshot failed: ' + (err.message || 'Unknown error'), 'error');
+    }
+}
+
+window.computeUnderwriting = computeUnderwriting;
+window.underwritingScenarioInputs = underwritingScenarioInputs;
+window.setDealEditTab = setDealEditTab;
+window.populateDealEditUnderwriting = populateDealEditUnderwriting;
+window.attachUnderwritingSnapshotOnReview = attachUnderwritingSnapshotOnReview;
@@ -44,6 +44,8 @@ function renderUpcomingDatesView(deals) {
         <div class="upcoming-dates-view">
             <h2 class="upcoming-dates-view-title">Upcoming Dates</h2>
             <p class="upcoming-dates-view-desc">Internal deal start dates and key dates from the database. The &quot;Date Type&quot; column indicates the kind of date; &quot;Days from today&quot; shows how many days until each date. Click a row to open the deal; the detail view will flag any Asana start date discrepancy if the API is available.</p>
+            ${can('manageReferenceData') ? `<button type="button" class="contacts-btn" id="upcoming-reminder-settings-btn" aria-expanded="false" aria-controls="upcoming-reminder-settings">Reminder settings</button>
+            <div class="upcoming-reminder-settings" id="upcoming-reminder-settings" style="display: none;"></div>` : ''}
             <div class="upcoming-dates-list" id="upcoming-dates-list">
                 <table class="deal-list-table upcoming-dates-table">
                     <thead>
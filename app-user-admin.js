@@ -0,0 +1,192 @@
+/**
+ * app-user-admin.js — Users view (admin only): change each user's role and limit which regions / deals
+ * they can see. Capabilities per role live in globals.js (ROLE_CAPABILITIES, can()).
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var USER_ROLE_DESCRIPTIONS = {
+    Admin: 'Everything, including users, reference data and sync overrides',
+    Editor: 'Edit deals and manage files',
+    ReadOnly: 'View only'
+};
+
+function _uaId(u) {
+    return u.userId != null ? u.userId : (u.UserId != null ? u.UserId : u.id);
+}
+
+function _uaName(u) {
+    return u.fullName || u.FullName || u.username || u.Username || u.email || u.Email || 'User ' + _uaId(u);
+}
+
+function _uaScope(u) {
+    return {
+        regions: (u.regions || u.Regions || []).map(String),
+        dealIds: (u.dealIds || u.DealIds || []).map(String)
+    };
+}
+
+function _uaIsMe(u) {
+    var me = typeof currentUser !== 'undefined' && currentUser;
+    if (!me) return false;
+    var meId = me.userId != null ? me.userId : (me.UserId != null ? me.UserId : me.id);
+    if (meId != null && String(meId) === String(_uaId(u))) return true;
+    return !!(me.email && String(me.email).toLowerCase() === String(u.email || u.Email || '').toLowerCase());
+}
+
+function _uaScopeSummary(scope, dealNames) {
+    if (!scope.regions.length && !scope.dealIds.length) return 'All deals';
+    var parts = [];
+    if (scope.regions.length) parts.push(scope.regions.join(', '));
+    if (scope.dealIds.length) parts.push(scope.dealIds.length === 1 ? (dealNames[scope.dealIds[0]] || '1 deal') : scope.dealIds.length + ' deals');
+    return parts.join(' + ');
+}
+
+function _uaScopeFormHtml(scope, regions, dealNames) {
+    return '<div class="user-admin-scope">' +
+        '<div class="deal-detail-item"><label>Regions</label><div class="user-admin-regions">' +
+            (regions.length ? regions.map(function(r) {
+                return '<label class="user-admin-region"><input type="checkbox" value="' + escapeHtml(r) + '"' + (scope.regions.indexOf(r) !== -1 ? ' checked' : '') + ' /> ' + escapeHtml(r) + '</label>';
+            }).join('') : '<span class="due-diligence-due">No regions on current deals</span>') +
+        '</div></div>' +
+        '<div class="deal-detail-item"><label>Individual deals</label>' +
+            '<div class="reminder-recipient-chips user-admin-deal-chips">' + scope.dealIds.map(function(id) {
+                var label = dealNames[id] || 'Deal ' + id;
+                return '<span class="equity-related-chip" data-deal-id="' + escapeHtml(id) + '">' + escapeHtml(label) +
+                    '<button type="button" class="equity-related-remove user-admin-deal-remove" aria-label="Remove ' + escapeHtml(label) + '">&times;</button></span>';
+            }).join('') + '</div>' +
+            '<div class="reminder-recipient-add"><input type="text" class="user-admin-deal-input" list="user-admin-deal-options" placeholder="Add a deal…" aria-label="Add a deal" /> ' +
+            '<button type="button" class="contacts-btn user-admin-deal-add">Add</button></div>' +
+        '</div>' +
+        '<p class="due-diligence-due">Leave everything empty to let the user see every deal. Admins always see every deal.</p>' +
+    '</div>';
+}
+
+async function renderUserAdminView() {
+    var container = document.getElementById('deal-list-container');
+    if (!container) return;
+    if (!can('manageUsers')) {
+        container.innerHTML = '<p class="no-data">Only admins can manage users.</p>';
+        return;
+    }
+    container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading users…</div>';
+    var users;
+    try {
+        users = apiList(await API.getUsers());
+    } catch (e) {
+        if (currentView === 'users') container.innerHTML = '<div class="error-state"><p class="error-message">Could not load users: ' + escapeHtml(e.message || 'Unknown error') + '</p></div>';
+        return;
+    }
+    if (currentView !== 'users') return;
+    users.sort(function(a, b) { return _uaName(a).localeCompare(_uaName(b)); });
+
+    var regionSet = {};
+    var dealNames = {};
+    (window.allDeals || []).forEach(function(d) {
+        if (d.Region) regionSet[String(d.Region).trim()] = true;
+        if (d.DealPipelineId != null) dealNames[String(d.DealPipelineId)] = d.Name || d.name || 'Deal ' + d.DealPipelineId;
+    });
+    var regions = Object.keys(regionSet).sort();
+
+    container.innerHTML =
+        '<div class="upcoming-dates-view user-admin-view">' +
+            '<h2 class="upcoming-dates-view-title">Users</h2>' +
+            '<p class="upcoming-dates-view-desc">' + USER_ROLES.map(function(r) { return '<strong>' + r + '</strong>: ' + escapeHtml(USER_ROLE_DESCRIPTIONS[r]); }).join(' · ') + '</p>' +
+            (users.length ? '<table class="deal-list-table user-admin-table"><thead><tr><th>User</th><th>Email</th><th>Role</th><th>Visibility</th><th></th></tr></thead><tbody>' +
+                users.map(function(u, i) {
+                    var role = u.role || u.Role || 'ReadOnly';
+                    var me = _uaIsMe(u);
+                    return '<tr data-idx="' + i + '">' +
+                        '<td class="deal-name">' + escapeHtml(_uaName(u)) + (me ? ' <span class="due-diligence-due">(you)</span>' : '') + '</td>' +
+                        '<td>' + escapeHtml(u.email || u.Email || '') + '</td>' +
+                        '<td><select class="user-admin-role" aria-label="Role for ' + escapeHtml(_uaName(u)) + '"' + (me ? ' disabled title="You cannot change your own role"' : '') + '>' +
+                            USER_ROLES.concat(USER_ROLES.indexOf(role) === -1 ? [role] : []).map(function(r) {
+                                return '<option value="' + escapeHtml(r) + '"' + (r === role ? ' selected' : '') + '>' + escapeHtml(r) + '</option>';
+                            }).join('') + '</select></td>' +
+                        '<td><button type="button" class="contacts-btn user-admin-scope-toggle" aria-expanded="false">' + escapeHtml(_uaScopeSummary(_uaScope(u), dealNames)) + '</button></td>' +
+                        '<td><button type="button" class="deal-detail-btn user-admin-save">Save</button></td>' +
+                    '</tr>' +
+                    '<tr class="user-admin-scope-row" data-idx="' + i + '" hidden><td colspan="5">' + _uaScopeFormHtml(_uaScope(u), regions, dealNames) + '</td></tr>';
+                }).join('') + '</tbody></table>' +
+                '<datalist id="user-admin-deal-options">' + Object.keys(dealNames).map(function(id) { return '<option value="' + escapeHtml(dealNames[id]) + '">'; }).join('') + '</datalist>'
+            : '<p class="no-data">No users returned.</p>') +
+        '</div>';
+
+    container.querySelectorAll('.user-admin-table tbody tr:not(.user-admin-scope-row)').forEach(function(tr) {
+        var user = users[parseInt(tr.dataset.idx, 10)];
+        var scopeRow = tr.nextElementSibling;
+        var toggle = tr.querySelector('.user-admin-scope-toggle');
+        var chips = scopeRow.querySelector('.user-admin-deal-chips');
+        var dealInput = scopeRow.querySelector('.user-admin-deal-input');
+
+        toggle.addEventListener('click', function() {
+            var open = scopeRow.hasAttribute('hidden');
+            scopeRow.toggleAttribute('hidden', !open);
+            toggle.setAttribute('aria-expanded', String(open));
+        });
+        chips.addEventListener('click', function(e) {
+            var btn = e.target.closest('.user-admin-deal-remove');
+            if (btn) btn.parentElement.remove();
+        });
+        scopeRow.querySelector('.user-admin-deal-add').addEventListener('click', function() {
+            var text = dealInput.value.trim().toLowerCase();
+            var id = Object.keys(dealNames).filter(function(k) { return dealNames[k].toLowerCase() === text; })[0];
+            if (!id) {
+                showToast(text ? 'No deal named "' + dealInput.value.trim() + '".' : 'Choose a deal to add.', 'info');
+                return;
+            }
+            if (!chips.querySelector('[data-deal-id="' + id + '"]')) {
+                chips.insertAdjacentHTML('beforeend', '<span class="equity-related-chip" data-deal-id="' + escapeHtml(id) + '">' + escapeHtml(dealNames[id]) +
+                    '<button type="button" class="equity-related-remove user-admin-deal-remove" aria-label="Remove ' + escapeHtml(dealNames[id]) + '">&times;</button></span>');
+            }
+            dealInput.value = '';
+        });
+
+        tr.querySelector('.user-admin-save').addEventListener('click', async function() {
+            var btn = this;
+            var role = tr.querySelector('.user-admin-role').value;
+            var scope = {
+                regions: Array.prototype.map.call(scopeRow.querySelectorAll('.user-admin-region input:checked'), function(el) { return el.value; }),
+                dealIds: Array.prototype.map.call(chips.querySelectorAll('[data-deal-id]'), function(el) { return el.dataset.dealId; })
+            };
+            var oldRole = user.role || user.Role || 'ReadOnly';
+            var oldScope = _uaScope(user);
+            var scopeChanged = JSON.stringify(scope.regions.slice().sort()) !== JSON.stringify(oldScope.regions.slice().sort()) ||
+                JSON.stringify(scope.dealIds.slice().sort()) !== JSON.stringify(oldScope.dealIds.slice().sort());
+            if (role === oldRole && !scopeChanged) {
+                showToast('No changes for ' + _uaName(user) + '.', 'info');
+                return;
+            }
+            btn.disabled = true;
+            var roleSaved = false;
+            try {
+                if (role !== oldRole) {
+                    await API.updateUserRole(_uaId(user), role);
+                    roleSaved = true;
+                }
+                if (scopeChanged) {
+                    await API.updateUserScope(_uaId(user), { regions: scope.regions, dealIds: scope.dealIds.map(Number) });
+                    user.regions = scope.regions;
+                    user.dealIds = scope.dealIds;
+                }
+                if (roleSaved) user.role = role;
+                toggle.textContent = _uaScopeSummary(_uaScope(user), dealNames);
+                showToast('Saved ' + _uaName(user) + '.', 'success');
+            } catch (err) {
+                // Role and scope are separate requests; undo the role so the user is not left half-updated
+                var rolledBack = !roleSaved;
+                if (roleSaved) {
+                    rolledBack = await API.updateUserRole(_uaId(user), oldRole).then(function() { return true; }, function() { return false; });
+                    if (!rolledBack) user.role = role;
+                }
+                if (rolledBack) tr.querySelector('.user-admin-role').value = oldRole;
+                showToast('Failed to save ' + _uaName(user) + ': ' + (err.message || 'Unknown error') +
+                    (roleSaved ? (rolledBack ? ' The role change was undone.' : ' The role was changed to ' + role + ' but could not be undone.') : ''), 'error');
+            }
+            btn.disabled = false;
+        });
+    });
+}
+
+window.renderUserAdminView = renderUserAdminView;
@@ -112,11 +112,47 @@ async function switchView(view, deals) {
         case 'upcoming-dates':
             container.innerHTML = renderUpcomingDatesView(deals);
             setupDrillDownHandlers();
+            if (typeof setupUpcomingReminderSettings === 'function') setupUpcomingReminderSettings(container, deals);
             // Asynchronously fetch and merge Asana tasks into the table
             if (typeof loadUpcomingDatesAsanaAndMerge === 'function') {
                 loadUpcomingDatesAsanaAndMerge(container, deals);
             }
             break;
+        case 'covenants':
+            renderCovenantCalendarView(deals);
+            break;
+        case 'equity':
+            renderEquityRollupView(deals);
+            break;
+        case 'guarantors':
+            renderGuarantorExposureView(deals);
+            break;
+        case 'commercial-land':
+            renderCommercialLandView(deals);
+            break;
+        case 'closed-properties':
+            renderClosedPropertiesView(deals);
+            break;
+        case 'activity':
+            renderActivityView(deals);
+            break;
+        case 'reviews':
+            renderReviewsView(deals);
+            break;
+        case 'lenders':
+            container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading lenders…</div>';
+            (async () => {
+                try {
+                    const html = await renderByBank(deals);
+                    if (currentView !== 'lenders') return;
+                    container.innerHTML = html;
+                    setupLenderDashboardHandlers(container);
+                } catch (err) {
+                    if (currentView !== 'lenders') return;
+                    container.innerHTML = '<p class="no-data">Could not load lenders: ' + escapeHtml(err.message || 'Unknown error') + '</p>';
+                }
+            })();
+            break;
         case 'contacts':
             container.innerHTML = '<div class="loading"><div class="loading-spinner"></div>Loading contacts…</div>';
             (async () => {
@@ -258,6 +294,9 @@ async function switchView(view, deals) {
         case 'compare':
             renderComparablesView(deals);
             break;
+        case 'users':
+            renderUserAdminView(deals);
+            break;
         default:
             renderDealList(deals);
     }
@@ -0,0 +1,516 @@
+/**
+ * app-workflow-rules.js — Workflow automation rule builder (trigger → condition → action) with dry run
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+var WORKFLOW_TRIGGERS = [
+    { value: 'stage_change', label: 'Stage changes' },
+    { value: 'field_update', label: 'Field is updated' },
+    { value: 'date_approaching', label: 'Date is approaching' },
+    { value: 'created', label: 'Deal is created' }
+];
+
+var WORKFLOW_DATE_FIELDS = [
+    { value: 'StartDate', label: 'Start Date' },
+    { value: 'ExecutionDate', label: 'Execution Date' },
+    { value: 'DueDiligenceDate', label: 'Due Diligence Date' },
+    { value: 'ClosingDate', label: 'Closing Date' },
+    { value: 'ConstructionLoanClosingDate', label: 'Construction Loan Closing' }
+];
+
+var WORKFLOW_UPDATABLE_FIELDS = [
+    { value: 'Priority', label: 'Priority', options: ['High', 'Medium', 'Low'] },
+    { value: 'Stage', label: 'Stage' },
+    { value: 'ListingStatus', label: 'Listed / Unlisted', options: ['Listed', 'Unlisted'] },
+    { value: 'Zoning', label: 'Zoning' }
+];
+
+function _wfRuleId(r) { return r ? (r.WorkflowRuleId ?? r.RuleId ?? r.id ?? null) : null; }
+
+function _wfParseJson(v, fallback) {
+    if (v == null || v === '') return fallback;
+    if (typeof v !== 'string') return v;
+    try { return JSON.parse(v); } catch (e) { return fallback; }
+}
+
+/** Normalise an API rule (JSON columns may arrive as strings) */
+function _wfNormalize(r) {
+    return {
+        id: _wfRuleId(r),
+        Name: r.Name || r.name || '',
+        IsActive: r.IsActive !== false && r.isActive !== false,
+        TriggerType: r.TriggerType || r.triggerType || 'stage_change',
+        TriggerConfig: _wfParseJson(r.TriggerConfig ?? r.triggerConfig, {}) || {},
+        Conditions: _wfParseJson(r.Conditions ?? r.conditions, []) || [],
+        Actions: _wfParseJson(r.Actions ?? r.actions, []) || []
+    };
+}
+
+function _wfFieldLabel(list, value) {
+    var f = list.find(function(x) { return x.value === value; });
+    return f ? f.label : (value || '');
+}
+
+/** One-line human summary of a rule, e.g. "When stage changes to Under Contract → notify 2, set Priority" */
+function describeWorkflowRule(rule) {
+    var t = rule.TriggerConfig || {};
+    var when;
+    switch (rule.TriggerType) {
+        case 'stage_change': when = 'When stage changes' + (t.fromStage ? ' from ' + t.fromStage : '') + (t.toStage ? ' to ' + t.toStage : ''); break;
+        case 'field_update': when = 'When ' + (_wfFieldLabel(SCORING_FIELDS, t.field) || 'any field') + ' is updated'; break;
+        case 'date_approaching': when = 'When ' + _wfFieldLabel(WORKFLOW_DATE_FIELDS, t.dateField) + ' is ' + (t.daysBefore || 0) + ' days away'; break;
+        default: when = 'When a deal is created';
+    }
+    var conds = (rule.Conditions || []).length ? ' and ' + rule.Conditions.length + ' condition' + (rule.Conditions.length !== 1 ? 's' : '') : '';
+    var thens = (rule.Actions || []).map(function(a) {
+        return a.type === 'field_update' ? 'set ' + _wfFieldLabel(WORKFLOW_UPDATABLE_FIELDS, a.field) + ' = ' + (a.value ?? '') : 'notify ' + (a.recipients || 'deal team');
+    }).join(', ');
+    return when + conds + ' → ' + (thens || 'no actions');
+}
+
+/**
+ * Latest matching activity item per deal: { dealPipelineId: pick(item) }. pick returns what to keep for
+ * an item, or null to skip it; later items win.
+ */
+function _wfLatestByDeal(items, pick) {
+    var latest = {};
+    (items || []).slice()
+        .sort(function(a, b) { return new Date(a.createdAt || a.timestamp || 0) - new Date(b.createdAt || b.timestamp || 0); })
+        .forEach(function(item) {
+            var id = item.dealPipelineId || item.DealPipelineId || item.dealId;
+            var value = id != null ? pick(item) : null;
+            if (value) latest[String(id)] = value;
+        });
+    return latest;
+}
+
+function _wfItemType(item) {
+    return item.type || item.activityType;
+}
+
+/**
+ * Latest stage transition per deal from activity items: { dealPipelineId: { from, to } }.
+ * Stage-change items carry the move as a Stage before/after change (see activityChanges).
+ */
+function workflowLastStageChanges(items) {
+    return _wfLatestByDeal(items, function(item) {
+        if (_wfItemType(item) !== 'stage_change') return null;
+        var change = activityChanges(item).filter(function(c) { return c.field === 'Stage'; })[0];
+        var from = change ? change.before : (item.fromStage ?? item.oldValue);
+        var to = change ? change.after : (item.toStage ?? item.newValue);
+        return to ? { from: from, to: to } : null;
+    });
+}
+
+/** Latest update of one field per deal from activity items: { dealPipelineId: { before, after } }. */
+function workflowLastFieldUpdates(items, field) {
+    return _wfLatestByDeal(items, function(item) {
+        var type = _wfItemType(item);
+        if (type !== 'field_update' && type !== 'stage_change') return null;
+        return activityChanges(item).filter(function(c) { return c.field === field; })[0] || null;
+    });
+}
+
+/** Deals created within the activity window: { dealPipelineId: true }. */
+function workflowCreatedDeals(items) {
+    return _wfLatestByDeal(items, function(item) { return _wfItemType(item) === 'created'; });
+}
+
+/**
+ * Dry run: evaluate a rule against the current deals snapshot (state.allDeals). Event triggers match only
+ * deals where the event happened, taken from `history` (built from recent activity):
+ * stage_change → the deal's last stage change (workflowLastStageChanges) left the "from" stage and entered
+ * the "to" stage, where set; field_update → the field's last change (workflowLastFieldUpdates);
+ * created → the deal was created (workflowCreatedDeals). date_approaching needs no history: the date is
+ * exactly daysBefore days away (what today's daily job would fire on). Conditions must all match.
+ * Returns [{ deal, reason }].
+ */
+function dryRunWorkflowRule(rule, deals, history) {
+    var t = rule.TriggerConfig || {};
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return (deals || []).map(function(deal) {
+        var reason = '';
+        var last = (history || {})[String(deal.DealPipelineId)];
+        switch (rule.TriggerType) {
+            case 'stage_change':
+                if (!last) return null;
+                if (t.fromStage && normalizeStage(last.from || '') !== normalizeStage(t.fromStage)) return null;
+                if (t.toStage && normalizeStage(last.to) !== normalizeStage(t.toStage)) return null;
+                reason = (last.from ? 'Moved from ' + normalizeStage(last.from) + ' to ' : 'Moved to ') + normalizeStage(last.to);
+                break;
+            case 'field_update':
+                if (!t.field || !last) return null;
+                reason = _wfFieldLabel(SCORING_FIELDS, t.field) + ' changed from ' + (last.before ?? '(empty)') + ' to ' + (last.after ?? '(empty)');
+                break;
+            case 'date_approaching':
+                var raw = deal[t.dateField] ?? (deal._original && deal._original[t.dateField]);
+                if (t.dateField === 'StartDate') raw = raw || deal['Start Date'];
+                if (!raw) return null;
+                var d = typeof parseLocalDateOnly === 'function' ? parseLocalDateOnly(raw) : new Date(raw);
+                if (!d || isNaN(d.getTime())) return null;
+                var days = Math.round((d - today) / 86400000);
+                if (days !== (parseInt(t.daysBefore, 10) || 0)) return null;
+                reason = _wfFieldLabel(WORKFLOW_DATE_FIELDS, t.dateField) + ' in ' + days + ' day' + (days !== 1 ? 's' : '');
+                break;
+            default:
+                if (!last) return null;
+                reason = 'Created';
+        }
+        var conditions = rule.Conditions || [];
+        if (!conditions.every(function(c) { return dealMatchesCriterion(deal, c); })) return null;
+        return { deal: deal, reason: reason };
+    }).filter(Boolean);
+}
+
+/* ---------- Builder ---------- */
+
+function _wfOptions(list, selected) {
+    return list.map(function(o) {
+        var value = typeof o === 'string' ? o : o.value;
+        var label = typeof o === 'string' ? o : o.label;
+        return '<option value="' + escapeHtml(value) + '"' + (String(value) === String(selected ?? '') ? ' selected' : '') + '>' + escapeHtml(label) + '</option>';
+    }).join('');
+}
+
+function _wfStages() {
+    return (typeof STAGE_DISPLAY_ORDER !== 'undefined' ? STAGE_DISPLAY_ORDER : []).filter(function(s) { return s !== 'START'; });
+}
+
+function _wfTriggerConfigHtml(rule) {
+    var t = rule.TriggerConfig || {};
+    switch (rule.TriggerType) {
+        case 'stage_change':
+            return '<label>From stage</label><select name="fromStage"><option value="">Any</option>' + _wfOptions(_wfStages(), t.fromStage) + '</select>' +
+                '<label>To stage</label><select name="toStage"><option value="">Any</option>' + _wfOptions(_wfStages(), t.toStage) + '</select>';
+        case 'field_update':
+            return '<label>Field</label><select name="field">' + _wfOptions(SCORING_FIELDS, t.field) + '</select>';
+        case 'date_approaching':
+            return '<label>Date field</label><select name="dateField">' + _wfOptions(WORKFLOW_DATE_FIELDS, t.dateField) + '</select>' +
+                '<label>Days before</label><input type="number" name="daysBefore" min="0" step="1" value="' + escapeHtml(String(t.daysBefore ?? 14)) + '" />';
+        default:
+            return '<p class="contacts-reminder-desc">Fires once when a deal is added to the pipeline.</p>';
+    }
+}
+
+function _wfConditionHtml(c, idx) {
+    var kind = _scoringFieldKind(c.FieldName);
+    return '<div class="workflow-condition" data-idx="' + idx + '">' +
+        '<select class="wf-cond-field">' + _wfOptions(SCORING_FIELDS, c.FieldName) + '</select>' +
+        '<select class="wf-cond-operator">' + SCORING_OPERATORS[kind].map(function(o) { return '<option value="' + escapeHtml(o[0]) + '"' + (o[0] === c.Operator ? ' selected' : '') + '>' + o[1] + '</option>'; }).join('') + '</select>' +
+        (kind === 'boolean' ? '' : '<input type="' + (kind === 'number' ? 'number' : 'text') + '" step="any" class="wf-cond-value" value="' + escapeHtml(String(c.Threshold ?? '')) + '" placeholder="Value" />') +
+        '<button type="button" class="contacts-btn wf-remove-condition" aria-label="Remove condition">&times;</button>' +
+    '</div>';
+}
+
+function _wfActionHtml(a, idx) {
+    var body;
+    if (a.type === 'field_update') {
+        var target = WORKFLOW_UPDATABLE_FIELDS.find(function(f) { return f.value === a.field; }) || WORKFLOW_UPDATABLE_FIELDS[0];
+        var options = target.value === 'Stage' ? _wfStages() : target.options;
+        body = '<select class="wf-action-field">' + _wfOptions(WORKFLOW_UPDATABLE_FIELDS, target.value) + '</select>' +
+            (options ? '<select class="wf-action-value">' + _wfOptions(options, a.value) + '</select>'
+                     : '<input type="text" class="wf-action-value" value="' + escapeHtml(String(a.value ?? '')) + '" placeholder="New value" />');
+    } else {
+        body = '<input type="text" class="wf-action-recipients" value="' + escapeHtml(a.recipients || '') + '" placeholder="Emails (comma separated) — blank = deal team" />' +
+            '<input type="text" class="wf-action-message" value="' + escapeHtml(a.message || '') + '" placeholder="Message, e.g. {DealName} moved to {Stage}" />';
+    }
+    return '<div class="workflow-action" data-idx="' + idx + '">' +
+        '<select class="wf-action-type">' + _wfOptions([{ value: 'notification', label: 'Send notification' }, { value: 'field_update', label: 'Update field' }], a.type) + '</select>' +
+        body +
+        '<button type="button" class="contacts-btn wf-remove-action" aria-label="Remove action">&times;</button>' +
+    '</div>';
+}
+
+/** Admin screen: list rules, edit them in the visual builder, dry-run against current deals */
+async function openWorkflowRulesManager() {
+    if (!can('manageReferenceData')) {
+        showToast('Only admins can manage workflow rules.', 'info');
+        return;
+    }
+    var existing = document.getElementById('workflow-rules-modal');
+    if (existing) existing.remove();
+    var modal = document.createElement('div');
+    modal.className = 'deal-detail-overlay contacts-modal-overlay';
+    modal.id = 'workflow-rules-modal';
+    modal.innerHTML =
+        '<div class="contacts-modal workflow-manager" role="dialog" aria-labelledby="workflow-manager-title">' +
+            '<h3 id="workflow-manager-title">Workflow Rules</h3>' +
+            '<div class="workflow-body"><div class="activity-timeline-loading">Loading...</div></div>' +
+        '</div>';
+    document.body.appendChild(modal);
+    var body = modal.querySelector('.workflow-body');
+    var rules = [];
+
+    var escHandler = function(e) { if (e.key === 'Escape') close(); };
+    document.addEventListener('keydown', escHandler);
+    function close() {
+        document.removeEventListener('keydown', escHandler);
+        modal.remove();
+    }
+    modal.addEventListener('click', function(e) { if (e.target === modal) close(); });
+
+    async function renderDryRun(target, rule) {
+        var t = rule.TriggerConfig || {};
+        var history = null;
+        var note;
+        if (rule.TriggerType === 'date_approaching') {
+            note = 'Deals the daily job would fire on today. Nothing is saved or sent.';
+        } else {
+            // Event triggers only match deals where the event happened, which only the activity history has
+            target.innerHTML = '<div class="activity-timeline-loading">Loading activity…</div>';
+            target.style.display = 'block';
+            var items;
+            try {
+                items = apiList(await API.getGlobalActivity(ACTIVITY_MAX_DAYS));
+            } catch (err) {
+                target.innerHTML = '<p class="contacts-error">Dry run not possible: the activity history could not be loaded (' + escapeHtml(err.message || 'Unknown error') + ').</p>';
+                return;
+            }
+            var within = ' in the past ' + ACTIVITY_MAX_DAYS + ' days';
+            if (rule.TriggerType === 'stage_change') {
+                history = workflowLastStageChanges(items);
+                note = 'Deals whose last stage change' + within + (t.fromStage ? ' left ' + escapeHtml(t.fromStage) : '') +
+                    (t.fromStage && t.toStage ? ' and' : '') + (t.toStage ? ' entered ' + escapeHtml(t.toStage) : '') + '.';
+            } else if (rule.TriggerType === 'field_update') {
+                history = workflowLastFieldUpdates(items, t.field);
+                note = 'Deals whose ' + escapeHtml(_wfFieldLabel(SCORING_FIELDS, t.field)) + ' changed' + within + '.';
+            } else {
+                history = workflowCreatedDeals(items);
+                note = 'Deals created' + within + '.';
+            }
+            note += ' Nothing is saved or sent.';
+        }
+        var hits = dryRunWorkflowRule(rule, window.allDeals || [], history);
+        target.innerHTML =
+            '<h4 class="custom-fields-manager-form-title">Dry run: ' + hits.length + ' deal' + (hits.length !== 1 ? 's' : '') + ' would fire</h4>' +
+            '<p class="contacts-reminder-desc">' + note + '</p>' +
+            (hits.length ? '<table class="custom-fields-manager-table"><thead><tr><th>Deal</th><th>Stage</th><th>Why</th></tr></thead><tbody>' +
+                hits.map(function(h) {
+                    return '<tr><td><a href="#" class="workflow-dry-run-deal" data-deal-id="' + escapeHtml(String(h.deal.DealPipelineId || '')) + '">' + escapeHtml(h.deal.Name || '') + '</a></td>' +
+                        '<td>' + escapeHtml(normalizeStage(h.deal.Stage || h.deal.stage)) + '</td><td>' + escapeHtml(h.reason) + '</td></tr>';
+                }).join('') + '</tbody></table>' : '');
+        target.style.display = 'block';
+        target.querySelectorAll('.workflow-dry-run-deal').forEach(function(a) {
+            a.addEventListener('click', function(e) {
+                e.preventDefault();
+                var deal = (window.allDeals || []).find(function(d) { return String(d.DealPipelineId) === a.dataset.dealId; });
+                if (deal) { close(); showDealDetail(deal); }
+            });
+        });
+    }
+
+    function renderList() {
+        body.innerHTML =
+            '<p class="contacts-reminder-desc">Rules run on the server when their trigger fires. Inactive rules are kept but never run.</p>' +
+            (rules.length ? '<table class="custom-fields-manager-table workflow-rules-table"><thead><tr><th>Active</th><th>Rule</th><th></th></tr></thead><tbody>' +
+                rules.map(function(r, i) {
+                    return '<tr data-idx="' + i + '">' +
+                        '<td><input type="checkbox" class="wf-active-toggle"' + (r.IsActive ? ' checked' : '') + ' aria-label="Active" /></td>' +
+                        '<td><strong>' + escapeHtml(r.Name || 'Untitled rule') + '</strong><div class="workflow-rule-summary">' + escapeHtml(describeWorkflowRule(r)) + '</div></td>' +
+                        '<td class="custom-fields-manager-actions">' +
+                            '<button type="button" class="contacts-btn wf-dry-run-row">Dry run</button>' +
+                            '<button type="button" class="contacts-btn wf-edit-row">Edit</button>' +
+                            '<button type="button" class="contacts-btn wf-delete-row">Delete</button>' +
+                        '</td></tr>';
+                }).join('') + '</tbody></table>' : '<div class="activity-timeline-empty">No workflow rules yet.</div>') +
+            '<div class="workflow-dry-run" style="display:none;"></div>' +
+            '<div class="contacts-form-actions">' +
+                '<button type="button" class="contacts-btn contacts-add-btn wf-new-rule">+ New rule</button>' +
+                '<button type="button" class="contacts-btn contacts-cancel-btn">Close</button>' +
+            '</div>';
+        var dryRunEl = body.querySelector('.workflow-dry-run');
+        body.querySelector('.contacts-cancel-btn').addEventListener('click', close);
+        body.querySelector('.wf-new-rule').addEventListener('click', function() {
+            renderBuilder({ id: null, Name: '', IsActive: true, TriggerType: 'stage_change', TriggerConfig: {}, Conditions: [], Actions: [{ type: 'notification', recipients: '', message: '' }] });
+        });
+        body.querySelectorAll('tbody tr').forEach(function(tr) {
+            var rule = rules[parseInt(tr.dataset.idx, 10)];
+            tr.querySelector('.wf-edit-row').addEventListener('click', function() { renderBuilder(JSON.parse(JSON.stringify(rule))); });
+            tr.querySelector('.wf-dry-run-row').addEventListener('click', function() { renderDryRun(dryRunEl, rule); });
+            tr.querySelector('.wf-active-toggle').addEventListener('change', async function() {
+                var checked = this.checked;
+                try {
+                    await API.setWorkflowRuleActive(rule.id, checked);
+                    rule.IsActive = checked;
+                    showToast('Rule ' + (checked ? 'activated' : 'paused') + '.', 'success');
+                } catch (err) {
+                    this.checked = !checked;
+                    showToast('Failed to update rule: ' + (err.message || 'Unknown error'), 'error');
+                }
+            });
+            tr.querySelector('.wf-delete-row').addEventListener('click', async function() {
+                var ok = await domoConfirm('Delete the workflow rule "' + (rule.Name || 'Untitled rule') + '"?', { confirmLabel: 'Delete' });
+                if (!ok) return;
+                try {
+                    await API.deleteWorkflowRule(rule.id);
+                    showToast('Workflow rule deleted.', 'success');
+                    load();
+                } catch (err) {
+                    showToast('Failed to delete rule: ' + (err.message || 'Unknown error'), 'error');
+                }
+            });
+        });
+    }
+
+    function renderBuilder(rule) {
+        body.innerHTML =
+            '<form class="contacts-form workflow-builder">' +
+                '<label>Rule name <span class="required">*</span></label>' +
+                '<input type="text" name="name" required maxlength="120" value="' + escapeHtml(rule.Name) + '" placeholder="e.g. Notify capital markets when a deal goes under contract" />' +
+                '<div class="workflow-steps">' +
+                    '<div class="workflow-step"><div class="workflow-step-title">1. When</div>' +
+                        '<select name="triggerType">' + _wfOptions(WORKFLOW_TRIGGERS, rule.TriggerType) + '</select>' +
+                        '<div class="workflow-trigger-config"></div>' +
+                    '</div>' +
+                    '<div class="workflow-step-arrow" aria-hidden="true">&rarr;</div>' +
+                    '<div class="workflow-step"><div class="workflow-step-title">2. If (all match)</div>' +
+                        '<div class="workflow-conditions"></div>' +
+                        '<button type="button" class="contacts-btn wf-add-condition">+ Condition</button>' +
+                    '</div>' +
+                    '<div class="workflow-step-arrow" aria-hidden="true">&rarr;</div>' +
+                    '<div class="workflow-step"><div class="workflow-step-title">3. Then</div>' +
+                        '<div class="workflow-actions"></div>' +
+                        '<button type="button" class="contacts-btn wf-add-action">+ Action</button>' +
+                    '</div>' +
+                '</div>' +
+                '<label class="custom-fields-required-label"><input type="checkbox" name="isActive"' + (rule.IsActive ? ' checked' : '') + ' /> Active</label>' +
+                '<p class="custom-fields-detail-error" role="alert" style="display:none;"></p>' +
+                '<div class="workflow-dry-run" style="display:none;"></div>' +
+                '<div class="contacts-form-actions">' +
+                    '<button type="submit" class="contacts-btn contacts-save-btn">' + (rule.id ? 'Save rule' : 'Create rule') + '</button>' +
+                    '<button type="button" class="contacts-btn wf-dry-run">Dry run</button>' +
+                    '<button type="button" class="contacts-btn contacts-cancel-btn">Back</button>' +
+                '</div>' +
+            '</form>';
+        var form = body.querySelector('.workflow-builder');
+        var triggerConfigEl = form.querySelector('.workflow-trigger-config');
+        var conditionsEl = form.querySelector('.workflow-conditions');
+        var actionsEl = form.querySelector('.workflow-actions');
+        var errEl = form.querySelector('.custom-fields-detail-error');
+        var dryRunEl = form.querySelector('.workflow-dry-run');
+
+        function renderParts() {
+            triggerConfigEl.innerHTML = _wfTriggerConfigHtml(rule);
+            conditionsEl.innerHTML = rule.Conditions.map(_wfConditionHtml).join('') || '<p class="workflow-empty-hint">No conditions — every triggered deal qualifies.</p>';
+            actionsEl.innerHTML = rule.Actions.map(_wfActionHtml).join('') || '<p class="workflow-empty-hint">Add at least one action.</p>';
+        }
+
+        /** Copy the builder inputs back into rule */
+        function readForm() {
+            rule.Name = form.elements.name.value.trim();
+            rule.IsActive = form.elements.isActive.checked;
+            rule.TriggerType = form.elements.triggerType.value;
+            var cfg = {};
+            triggerConfigEl.querySelectorAll('select, input').forEach(function(el) { if (el.name && el.value !== '') cfg[el.name] = el.type === 'number' ? parseInt(el.value, 10) : el.value; });
+            rule.TriggerConfig = cfg;
+            rule.Conditions = Array.prototype.map.call(conditionsEl.querySelectorAll('.workflow-condition'), function(row) {
+                var valueEl = row.querySelector('.wf-cond-value');
+                return { FieldName: row.querySelector('.wf-cond-field').value, Operator: row.querySelector('.wf-cond-operator').value, Threshold: valueEl ? valueEl.value.trim() : null };
+            });
+            rule.Actions = Array.prototype.map.call(actionsEl.querySelectorAll('.workflow-action'), function(row) {
+                var type = row.querySelector('.wf-action-type').value;
+                if (type === 'field_update') {
+                    return { type: type, field: row.querySelector('.wf-action-field')?.value || WORKFLOW_UPDATABLE_FIELDS[0].value, value: row.querySelector('.wf-action-value')?.value ?? '' };
+                }
+                return { type: type, recipients: row.querySelector('.wf-action-recipients')?.value.trim() || '', message: row.querySelector('.wf-action-message')?.value.trim() || '' };
+            });
+        }
+
+        function validate() {
+            if (!rule.Name) return 'Rule name is required.';
+            if (rule.TriggerType === 'date_approaching' && !(rule.TriggerConfig.daysBefore >= 0)) return 'Days before must be 0 or more.';
+            for (var i = 0; i < rule.Conditions.length; i++) {
+                var c = rule.Conditions[i];
+                var kind = _scoringFieldKind(c.FieldName);
+                if (kind !== 'boolean' && !c.Threshold) return 'Condition ' + (i + 1) + ' needs a value.';
+                if (kind === 'number' && isNaN(parseFloat(c.Threshold))) return 'Condition ' + (i + 1) + ' value must be a number.';
+            }
+            if (!rule.Actions.length) return 'Add at least one action.';
+            for (var j = 0; j < rule.Actions.length; j++) {
+                var a = rule.Actions[j];
+                if (a.type === 'field_update' && (a.value == null || a.value === '')) return 'Action ' + (j + 1) + ' needs a value.';
+                if (a.type === 'notification' && a.recipients && a.recipients.split(',').some(function(e) { return e.trim() && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(e.trim()); })) return 'Action ' + (j + 1) + ' has an invalid email address.';
+            }
+            return '';
+        }
+
+        form.addEventListener('change', function(e) {
+            var el = e.target;
+            if (el.name === 'triggerType' || el.classList.contains('wf-cond-field') || el.classList.contains('wf-action-type') || el.classList.contains('wf-action-field')) {
+                readForm();
+                if (el.name === 'triggerType') rule.TriggerConfig = {};
+                rule.Conditions.forEach(function(c) {
+                    var ops = SCORING_OPERATORS[_scoringFieldKind(c.FieldName)];
+                    if (!ops.some(function(o) { return o[0] === c.Operator; })) c.Operator = ops[0][0];
+                });
+                if (el.classList.contains('wf-action-field')) rule.Actions[parseInt(el.closest('.workflow-action').dataset.idx, 10)].value = '';
+                renderParts();
+            }
+        });
+        form.addEventListener('click', function(e) {
+            var t = e.target;
+            if (t.classList.contains('wf-add-condition')) { readForm(); rule.Conditions.push({ FieldName: 'UnitCount', Operator: '>=', Threshold: '' }); renderParts(); }
+            else if (t.classList.contains('wf-add-action')) { readForm(); rule.Actions.push({ type: 'notification', recipients: '', message: '' }); renderParts(); }
+            else if (t.classList.contains('wf-remove-condition')) { readForm(); rule.Conditions.splice(parseInt(t.closest('.workflow-condition').dataset.idx, 10), 1); renderParts(); }
+            else if (t.classList.contains('wf-remove-action')) { readForm(); rule.Actions.splice(parseInt(t.closest('.workflow-action').dataset.idx, 10), 1); renderParts(); }
+        });
+        form.querySelector('.contacts-cancel-btn').addEventListener('click', renderList);
+        form.querySelector('.wf-dry-run').addEventListener('click', function() {
+            readForm();
+            var error = validate();
+            errEl.textContent = error;
+            errEl.style.display = error ? 'block' : 'none';
+            if (!error) renderDryRun(dryRunEl, rule);
+        });
+        form.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            readForm();
+            var error = validate();
+            errEl.textContent = error;
+            errEl.style.display = error ? 'block' : 'none';
+            if (error) return;
+            var payload = {
+                Name: rule.Name,
+                IsActive: rule.IsActive,
+                TriggerType: rule.TriggerType,
+                TriggerConfig: rule.TriggerConfig,
+                Conditions: rule.Conditions,
+                Actions: rule.Actions
+            };
+            try {
+                if (rule.id) await API.updateWorkflowRule(rule.id, payload);
+                else await API.createWorkflowRule(payload);
+                showToast(rule.id ? 'Workflow rule saved.' : 'Workflow rule created.', 'success');
+                load();
+            } catch (err) {
+                errEl.textContent = err.message || 'Failed to save workflow rule.';
+                errEl.style.display = 'block';
+            }
+        });
+        renderParts();
+        form.elements.name.focus();
+    }
+
+    async function load() {
+        try {
+            var res = await API.getWorkflowRules();
+            rules = apiList(res).map(_wfNormalize);
+            renderList();
+        } catch (err) {
+            body.innerHTML = '<div class="activity-timeline-empty">Could not load workflow rules: ' + escapeHtml(err.message || 'Unknown error') + '</div>' +
+                '<div class="contacts-form-actions"><button type="button" class="contacts-btn contacts-cancel-btn">Close</button></div>';
+            body.querySelector('.contacts-cancel-btn').addEventListener('click', close);
+        }
+    }
+    await load();
+}
+
+window.openWorkflowRulesManager = openWorkflowRulesManager;
+window.workflowLastStageChanges = workflowLastStageChanges;
+window.workflowLastFieldUpdates = workflowLastFieldUpdates;
+window.workflowCreatedDeals = workflowCreatedDeals;
+window.dryRunWorkflowRule = dryRunWorkflowRule;
+document.getElementById('workflow-rules-admin-btn')?.addEventListener('click', openWorkflowRulesManager);
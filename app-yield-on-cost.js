@@ -0,0 +1,143 @@
+/**
+ * app-yield-on-cost.js — Yield-on-cost breakdown deal-detail section: the inputs computeYieldOnCostForDeals
+ * used, a sandbox to override them, and a rent / cost sensitivity grid.
+ * Plain <script> (not ES module). Relies on globals set by main.js state proxy.
+ */
+
+/* jshint esversion: 11 */
+
+/** Sensitivity steps (fractions) for both the rent and the cost axis. */
+var YOC_SENSITIVITY_STEPS = [-0.10, -0.05, 0, 0.05, 0.10];
+
+var YOC_COST_SOURCES = { project: 'Project cost per unit × units', capital: 'Loans + active equity (no project cost per unit)' };
+// computeYieldOnCostForDeals annualizes leasing income with no vacancy or opex deducted, so the
+// input (annualizedNOI) is shown as gross income rather than NOI.
+var YOC_NOI_SOURCES = { current: 'Leasing: current month income × 12', budget: 'Leasing: budgeted income × 12 (no current income)' };
+
+/** Sandbox fields; `derived` ones fall back to the computed value when left blank. */
+var YOC_SANDBOX_FIELDS = [
+    { key: 'costPerUnit', label: 'Cost per unit', money: true },
+    { key: 'units', label: 'Units' },
+    { key: 'totalCost', label: 'Total cost', money: true, derived: true },
+    { key: 'annualizedNOI', label: 'Annual gross income', money: true },
+    { key: 'loanTotal', label: 'Loan amount', money: true },
+    { key: 'equityTotal', label: 'Equity', money: true }
+];
+
+function _yocMoney(v) {
+    return v == null ? '—' : '$' + Math.round(v).toLocaleString();
+}
+
+function _yocPct(v) {
+    return v == null ? '—' : v.toFixed(2) + '%';
+}
+
+function _yocNum(v) {
+    var n = parseFloat(String(v == null ? '' : v).replace(/[$,\s]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Yield on cost (%) from a set of inputs. Total cost follows computeYieldOnCostForDeals: an explicit
+ * total wins, then cost per unit × units, then loans + equity.
+ */
+function computeYieldOnCost(inputs) {
+    var cost = inputs.totalCost;
+    if (!(cost > 0) && inputs.costPerUnit > 0 && inputs.units > 0) cost = inputs.costPerUnit * inputs.units;
+    if (!(cost > 0) && (inputs.loanTotal || 0) + (inputs.equityTotal || 0) > 0) cost = (inputs.loanTotal || 0) + (inputs.equityTotal || 0);
+    var noi = inputs.annualizedNOI;
+    return {
+        totalCost: cost > 0 ? cost : null,
+        noi: noi > 0 ? noi : null,
+        yoc: cost > 0 && noi > 0 ? noi / cost * 100 : null,
+        loanToCost: cost > 0 && inputs.loanTotal > 0 ? inputs.loanTotal / cost * 100 : null
+    };
+}
+
+function _yocSensitivityHtml(noi, cost) {
+    if (!(noi > 0) || !(cost > 0)) return '<div class="activity-timeline-empty">Needs a total cost and annual gross income for the sensitivity grid.</div>';
+    var label = function(step) { return step === 0 ? 'Base' : (step > 0 ? '+' : '') + Math.round(step * 100) + '%'; };
+    var base = noi / cost * 100;
+    return '<table class="custom-fields-manager-table yoc-sensitivity"><thead><tr><th>Rent \\ Cost</th>' +
+        YOC_SENSITIVITY_STEPS.map(function(c) { return '<th>' + label(c) + '</th>'; }).join('') + '</tr></thead><tbody>' +
+        YOC_SENSITIVITY_STEPS.map(function(r) {
+            return '<tr><th>' + label(r) + '</th>' + YOC_SENSITIVITY_STEPS.map(function(c) {
+                var y = noi * (1 + r) / (cost * (1 + c)) * 100;
+                var cls = r === 0 && c === 0 ? 'yoc-base' : (y < base ? 'yoc-below' : 'yoc-above');
+                return '<td class="' + cls + '">' + _yocPct(y) + '</td>';
+            }).join('') + '</tr>';
+        }).join('') + '</tbody></table>';
+}
+
+function _renderDealDetailYieldOnCost(content, deal) {
+    var source = deal._yieldOnCostInputs ? deal : (window.allDeals || []).filter(function(d) {
+        return d.DealPipelineId != null && d.DealPipelineId === deal.DealPipelineId;
+    })[0];
+    var inputs = source && source._yieldOnCostInputs;
+    if (!inputs) {
+        content.innerHTML = '<div class="activity-timeline-empty">Yield on cost has not been computed for this deal yet. Reopen the deal once the pipeline finishes loading.</div>';
+        return;
+    }
+    var computed = computeYieldOnCost(inputs);
+
+    content.innerHTML =
+        '<div class="deal-detail-grid">' +
+            '<div class="deal-detail-item"><label>Yield on cost</label><span class="yoc-value">' + _yocPct(computed.yoc) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Total cost</label><span>' + _yocMoney(inputs.totalCost) + '</span><small class="due-diligence-due">' + escapeHtml(YOC_COST_SOURCES[inputs.costSource] || 'No cost data') + '</small></div>' +
+            '<div class="deal-detail-item"><label>Annual gross income</label><span>' + _yocMoney(inputs.annualizedNOI) + '</span><small class="due-diligence-due">' + escapeHtml(YOC_NOI_SOURCES[inputs.noiSource] || 'No leasing income for "' + (deal.Name || '') + '"') + '</small></div>' +
+            '<div class="deal-detail-item"><label>Loan amount</label><span>' + _yocMoney(inputs.loanTotal || null) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Equity</label><span>' + _yocMoney(inputs.equityTotal || null) + '</span></div>' +
+            '<div class="deal-detail-item"><label>Loan to cost</label><span>' + _yocPct(computed.loanToCost) + '</span></div>' +
+        '</div>' +
+        '<h4 class="covenant-group-title">Sandbox</h4>' +
+        '<p class="due-diligence-due">Override any input to see yield on cost recompute. Nothing here is saved.</p>' +
+        '<div class="custom-fields-detail-form yoc-sandbox">' +
+            YOC_SANDBOX_FIELDS.map(function(f) {
+                var v = inputs[f.key];
+                return '<div class="deal-detail-item"><label>' + escapeHtml(f.label) + '</label><input type="text" inputmode="decimal" data-key="' + f.key + '" value="' + (v != null && !f.derived ? escapeHtml(String(Math.round(v * 100) / 100)) : '') + '" placeholder="' + (f.derived ? escapeHtml(v != null ? 'computed: ' + _yocMoney(v) : 'computed') : '') + '" /></div>';
+            }).join('') +
+        '</div>' +
+        '<div class="custom-fields-detail-actions"><span class="yoc-sandbox-result"></span><button type="button" class="deal-detail-btn yoc-sandbox-reset">Reset</button></div>' +
+        '<h4 class="covenant-group-title">Sensitivity (rent × cost)</h4>' +
+        '<div class="yoc-sensitivity-wrap"></div>';
+
+    var result = content.querySelector('.yoc-sandbox-result');
+    var grid = content.querySelector('.yoc-sensitivity-wrap');
+    function recompute() {
+        var sandbox = Object.assign({}, inputs, { totalCost: null });
+        content.querySelectorAll('.yoc-sandbox input').forEach(function(input) {
+            var n = _yocNum(input.value);
+            input.classList.toggle('yoc-invalid', input.value.trim() !== '' && n == null);
+            if (n != null) sandbox[input.dataset.key] = n;
+            else if (input.dataset.key !== 'totalCost') sandbox[input.dataset.key] = null;
+        });
+        var c = computeYieldOnCost(sandbox);
+        var delta = c.yoc != null && computed.yoc != null ? c.yoc - computed.yoc : null;
+        result.innerHTML = 'Sandbox yield on cost: <strong>' + _yocPct(c.yoc) + '</strong>' +
+            (delta != null && Math.abs(delta) >= 0.005 ? ' <span class="' + (delta < 0 ? 'yoc-below' : 'yoc-above') + '">(' + (delta > 0 ? '+' : '') + delta.toFixed(2) + ' pts)</span>' : '') +
+            ' on ' + _yocMoney(c.totalCost) + ' cost';
+        grid.innerHTML = _yocSensitivityHtml(c.noi, c.totalCost);
+    }
+    content.querySelectorAll('.yoc-sandbox input').forEach(function(input) { input.addEventListener('input', recompute); });
+    content.querySelector('.yoc-sandbox-reset').addEventListener('click', function() {
+        content.querySelectorAll('.yoc-sandbox input').forEach(function(input) {
+            var f = YOC_SANDBOX_FIELDS.filter(function(x) { return x.key === input.dataset.key; })[0];
+            var v = inputs[f.key];
+            input.value = v != null && !f.derived ? String(Math.round(v * 100) / 100) : '';
+        });
+        recompute();
+    });
+    recompute();
+}
+
+if (typeof registerDealDetailSection === 'function') {
+    registerDealDetailSection({
+        id: 'yield-on-cost',
+        title: 'Yield on Cost',
+        order: 17,
+        appliesTo: function(deal) { return !!deal.ProjectId; },
+        render: _renderDealDetailYieldOnCost
+    });
+}
+
+window.computeYieldOnCost = computeYieldOnCost;
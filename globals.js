@@ -10,6 +10,11 @@ window.escapeHtml = function(str) {
   return String(str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
 };
 
+// Unwrap a list response: { success, data: [...] } or a bare array; anything else is an empty list
+window.apiList = function(res) {
+  return (res && res.success && Array.isArray(res.data)) ? res.data : (Array.isArray(res) ? res : []);
+};
+
 // Stub: inline onclick="clearFilters()" in HTML calls this before main.js sets the real one
 window.clearFilters = function() {
   if (window.__clearFilters) window.__clearFilters();
@@ -104,14 +109,168 @@ window.getUserRole = function() {
   } catch(e) { return 'ReadOnly'; }
 };
 
-window.isAdmin = function() { return getUserRole() === 'Admin'; };
-window.canEdit = function() { return ['Admin', 'Editor'].includes(getUserRole()); };
+window.USER_ROLES = ['Admin', 'Editor', 'ReadOnly'];
+
+/** Named capabilities. Every write control checks one of these through can(). */
+window.CAPABILITIES = {
+  editDeal: 'edit deals',
+  deleteDeal: 'delete deals',
+  manageFiles: 'upload, rename or delete files',
+  manageReferenceData: 'manage reference data',
+  manageUsers: 'manage users',
+  overrideSync: 'override Asana / Procore sync'
+};
+
+window.ROLE_CAPABILITIES = {
+  Admin: Object.keys(window.CAPABILITIES),
+  Editor: ['editDeal', 'manageFiles'],
+  ReadOnly: []
+};
+
+/**
+ * Visibility scope of the current user: { regions: [...], dealIds: [...] }, or null when the user sees
+ * every deal. Admins are never scoped. Comes from the `regions` / `dealIds` fields on the auth user.
+ */
+window.getUserScope = function() {
+  if (typeof currentUser === 'undefined' || !currentUser || getUserRole() === 'Admin') return null;
+  var regions = currentUser.regions || currentUser.Regions || [];
+  var dealIds = currentUser.dealIds || currentUser.DealIds || [];
+  if (!regions.length && !dealIds.length) return null;
+  return {
+    regions: regions.map(function(r) { return String(r).trim().toLowerCase(); }),
+    dealIds: dealIds.map(String)
+  };
+};
+
+/** Whether the current user's scope includes this deal. */
+window.canViewDeal = function(deal) {
+  var scope = getUserScope();
+  if (!scope || !deal) return true;
+  var id = deal.DealPipelineId != null ? deal.DealPipelineId : (deal._original && deal._original.DealPipelineId);
+  if (id != null && scope.dealIds.indexOf(String(id)) !== -1) return true;
+  return scope.regions.indexOf(String(deal.Region || '').trim().toLowerCase()) !== -1;
+};
+
+/**
+ * canViewDeal for a row of another table (activity, loan, covenant, commitment…). The row is matched to
+ * its loaded deal by DealPipelineId, then ProjectId. window.allDeals holds only the deals in scope, so a
+ * row whose deal is not loaded is checked on its own DealPipelineId and Region.
+ */
+window.canViewDealRow = function(row) {
+  if (!getUserScope() || !row) return true;
+  var dealId = row.DealPipelineId != null ? String(row.DealPipelineId) : null;
+  var projectId = row.ProjectId != null ? String(row.ProjectId) : null;
+  var deal = (window.allDeals || []).filter(function(d) {
+    return (dealId && String(d.DealPipelineId) === dealId) || (projectId && String(d.ProjectId) === projectId);
+  })[0];
+  return canViewDeal(deal || { DealPipelineId: row.DealPipelineId, Region: row.Region });
+};
+
+/** Whether the current user has a capability (and, when a deal is given, can see that deal). */
+window.can = function(capability, deal) {
+  if (typeof isAuthenticated !== 'undefined' && !isAuthenticated) return false;
+  if ((ROLE_CAPABILITIES[getUserRole()] || []).indexOf(capability) === -1) return false;
+  return !deal || canViewDeal(deal);
+};
+
+/** can() that tells the user why when the answer is no. Use at the top of write handlers. */
+window.requireCapability = function(capability, deal) {
+  if (can(capability, deal)) return true;
+  var action = CAPABILITIES[capability] || capability;
+  if (typeof isAuthenticated !== 'undefined' && !isAuthenticated) showToast('Please log in to ' + action + '.', 'info');
+  else if (deal && !canViewDeal(deal)) showToast('This deal is outside your visibility scope.', 'error');
+  else showToast('Your role (' + getUserRole() + ') is not allowed to ' + action + '.', 'error');
+  return false;
+};
+
+window.isAdmin = function() { return (typeof isAuthenticated === 'undefined' || isAuthenticated) && getUserRole() === 'Admin'; };
+window.canEdit = function(deal) { return can('editDeal', deal); };
 
 // ============================================================
 // Notification bell
 // ============================================================
 
 window._notificationPollTimer = null;
+// Bumped by init/stop so polls still in flight from an earlier session do not reschedule
+window._notificationPollGeneration = 0;
+window._notificationSeenIds = null;
+window._notificationItems = [];
+window._notificationPrefs = null;
+
+var NOTIFICATION_POLL_MS = 60000;
+var NOTIFICATION_BROWSER_KEY = 'notifications.browserAlerts';
+
+/** Event types users can subscribe to; keys match the notification `type` sent by the API. */
+window.NOTIFICATION_EVENT_TYPES = [
+  { key: 'stage_change', label: 'Stage change' },
+  { key: 'date_approaching', label: 'Date approaching' },
+  { key: 'file_uploaded', label: 'File uploaded' },
+  { key: 'mention', label: 'Mention' }
+];
+
+function _notificationType(n) {
+  return n.type || n.eventType || n.EventType || 'other';
+}
+
+function _notificationTypeLabel(type) {
+  var match = NOTIFICATION_EVENT_TYPES.filter(function(t) { return t.key === type; })[0];
+  return match ? match.label : 'Other';
+}
+
+function _notificationDealId(n) {
+  var id = n.dealPipelineId || n.DealPipelineId || n.dealId || n.DealId;
+  return id != null ? String(id) : '';
+}
+
+function _notificationTimeAgo(n) {
+  if (!n.createdAt && !n.timestamp) return '';
+  var d = new Date(n.createdAt || n.timestamp);
+  if (isNaN(d.getTime())) return '';
+  var mins = Math.floor((new Date() - d) / 60000);
+  if (mins < 60) return mins + 'm ago';
+  if (mins < 1440) return Math.floor(mins / 60) + 'h ago';
+  return Math.floor(mins / 1440) + 'd ago';
+}
+
+function _findNotificationDeal(n) {
+  var dealId = _notificationDealId(n);
+  var projectId = n.projectId || n.ProjectId;
+  return (window.allDeals || []).filter(function(d) {
+    return (dealId && String(d.DealPipelineId) === dealId) || (projectId != null && String(d.ProjectId) === String(projectId));
+  })[0] || null;
+}
+
+/** Preferences default to in-app on, email off for every event type. */
+function _defaultNotificationPrefs() {
+  var prefs = {};
+  NOTIFICATION_EVENT_TYPES.forEach(function(t) { prefs[t.key] = { inApp: true, email: false }; });
+  return prefs;
+}
+
+function _notificationInAppEnabled(type) {
+  var prefs = window._notificationPrefs;
+  return !prefs || !prefs[type] || prefs[type].inApp !== false;
+}
+
+function _browserAlertsEnabled() {
+  return typeof Notification !== 'undefined' && Notification.permission === 'granted' &&
+    localStorage.getItem(NOTIFICATION_BROWSER_KEY) === '1';
+}
+
+window.loadNotificationPreferences = function() {
+  if (typeof API === 'undefined' || typeof API.getNotificationPreferences !== 'function') return Promise.resolve(_defaultNotificationPrefs());
+  return API.getNotificationPreferences().then(function(res) {
+    var prefs = _defaultNotificationPrefs();
+    var saved = (res && res.data) || {};
+    Object.keys(prefs).forEach(function(k) {
+      if (saved[k]) prefs[k] = { inApp: saved[k].inApp !== false, email: !!saved[k].email };
+    });
+    window._notificationPrefs = prefs;
+    return prefs;
+  }).catch(function() {
+    return window._notificationPrefs || _defaultNotificationPrefs();
+  });
+};
 
 window.toggleNotificationPanel = function() {
   var panel = document.getElementById('notification-panel');
@@ -121,52 +280,109 @@ window.toggleNotificationPanel = function() {
   if (!isOpen) loadNotifications();
 };
 
+/** Show a browser alert for unread notifications that arrived since the last poll (not on first load). */
+function _alertNewNotifications(unread) {
+  var seen = window._notificationSeenIds;
+  var ids = {};
+  unread.forEach(function(n) { ids[String(n.id || n.notificationId || '')] = true; });
+  window._notificationSeenIds = ids;
+  if (!seen || !_browserAlertsEnabled() || document.hasFocus()) return;
+  unread.filter(function(n) { return !seen[String(n.id || n.notificationId || '')]; }).slice(0, 3).forEach(function(n) {
+    try {
+      var alert = new Notification(n.dealName || n.DealName || 'Deal Pipeline', { body: n.message || n.title || '', tag: 'notification-' + (n.id || n.notificationId) });
+      alert.onclick = function() {
+        window.focus();
+        _openNotification(n);
+        alert.close();
+      };
+    } catch (e) {}
+  });
+}
+
+function _openNotification(n) {
+  var nId = n.id || n.notificationId;
+  if (nId && !(n.read || n.isRead) && typeof API.markNotificationRead === 'function') {
+    API.markNotificationRead(nId).then(function() { loadNotifications(); }).catch(function() {});
+  }
+  var deal = _findNotificationDeal(n);
+  if (!deal) {
+    if (_notificationDealId(n) && typeof showToast === 'function') showToast('That deal is not in the current pipeline list.', 'info');
+    return;
+  }
+  var panel = document.getElementById('notification-panel');
+  if (panel) panel.style.display = 'none';
+  showDealDetail(deal);
+}
+
+/** Render notifications grouped by deal, then by event type within each deal. */
+function _renderNotificationList(body, items) {
+  var esc = typeof escapeHtml === 'function' ? escapeHtml : function(s) { return s; };
+  if (items.length === 0) {
+    body.innerHTML = '<div class="notification-empty">No notifications</div>';
+    return;
+  }
+  var groups = {};
+  var order = [];
+  items.forEach(function(n, idx) {
+    var key = _notificationDealId(n) || 'general';
+    if (!groups[key]) {
+      groups[key] = { name: n.dealName || n.DealName || (key === 'general' ? 'General' : ''), byType: {}, types: [] };
+      order.push(key);
+    }
+    var g = groups[key];
+    if (!g.name) {
+      var deal = _findNotificationDeal(n);
+      g.name = deal ? deal.Name : 'Deal #' + key;
+    }
+    var type = _notificationType(n);
+    if (!g.byType[type]) { g.byType[type] = []; g.types.push(type); }
+    g.byType[type].push(idx);
+  });
+  var html = '';
+  order.forEach(function(key) {
+    var g = groups[key];
+    html += '<div class="notification-group"><div class="notification-group-title">' + esc(g.name) + '</div>';
+    g.types.forEach(function(type) {
+      html += '<div class="notification-type-title">' + esc(_notificationTypeLabel(type)) + '</div>';
+      g.byType[type].forEach(function(idx) {
+        var n = items[idx];
+        var timeStr = _notificationTimeAgo(n);
+        html += '<div class="notification-item' + ((n.read || n.isRead) ? '' : ' notification-unread') + '" data-notification-idx="' + idx + '" role="button" tabindex="0">' +
+          '<div class="notification-item-text">' + esc(n.message || n.title || '') + '</div>' +
+          (timeStr ? '<div class="notification-item-time">' + timeStr + '</div>' : '') +
+          '</div>';
+      });
+    });
+    html += '</div>';
+  });
+  body.innerHTML = html;
+  body.querySelectorAll('.notification-item').forEach(function(el) {
+    var open = function() { _openNotification(items[parseInt(el.getAttribute('data-notification-idx'), 10)]); };
+    el.addEventListener('click', open);
+    el.addEventListener('keydown', function(e) { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); open(); } });
+  });
+}
+
 window.loadNotifications = function() {
-  if (typeof API === 'undefined' || typeof API.getNotifications !== 'function') return;
-  API.getNotifications().then(function(res) {
-    var items = (res && res.data) || (Array.isArray(res) ? res : []);
+  if (typeof API === 'undefined' || typeof API.getNotifications !== 'function') return Promise.resolve();
+  var generation = window._notificationPollGeneration;
+  return API.getNotifications().then(function(res) {
+    // Polling was stopped (sign-out) while the request was in flight
+    if (generation !== window._notificationPollGeneration) return;
+    var all = apiList(res);
+    var items = all.filter(function(n) { return _notificationInAppEnabled(_notificationType(n)); });
+    window._notificationItems = items;
     var badge = document.getElementById('notification-badge');
     var body = document.getElementById('notification-panel-body');
     var unread = items.filter(function(n) { return !n.read && !n.isRead; });
     if (badge) {
-      badge.textContent = unread.length;
+      badge.textContent = unread.length > 99 ? '99+' : unread.length;
       badge.style.display = unread.length > 0 ? 'inline-flex' : 'none';
     }
-    if (!body) return;
-    if (items.length === 0) {
-      body.innerHTML = '<div class="notification-empty">No notifications</div>';
-      return;
-    }
-    var html = '';
-    items.forEach(function(n) {
-      var isRead = n.read || n.isRead;
-      var timeStr = '';
-      if (n.createdAt || n.timestamp) {
-        try {
-          var d = new Date(n.createdAt || n.timestamp);
-          var now = new Date();
-          var diffMs = now - d;
-          var mins = Math.floor(diffMs / 60000);
-          if (mins < 60) timeStr = mins + 'm ago';
-          else if (mins < 1440) timeStr = Math.floor(mins / 60) + 'h ago';
-          else timeStr = Math.floor(mins / 1440) + 'd ago';
-        } catch(e) {}
-      }
-      html += '<div class="notification-item' + (isRead ? '' : ' notification-unread') + '" data-notification-id="' + (n.id || n.notificationId || '') + '">' +
-        '<div class="notification-item-text">' + (typeof escapeHtml === 'function' ? escapeHtml(n.message || n.title || '') : (n.message || n.title || '')) + '</div>' +
-        (timeStr ? '<div class="notification-item-time">' + timeStr + '</div>' : '') +
-        '</div>';
-    });
-    body.innerHTML = html;
-    // Click to mark single notification read
-    body.querySelectorAll('.notification-item').forEach(function(el) {
-      el.addEventListener('click', function() {
-        var nId = el.getAttribute('data-notification-id');
-        if (nId && typeof API.markNotificationRead === 'function') {
-          API.markNotificationRead(nId).then(function() { loadNotifications(); }).catch(function() {});
-        }
-      });
-    });
+    _alertNewNotifications(unread);
+    // Leave the preferences form alone if the user has it open
+    if (!body || body.querySelector('.notification-prefs')) return;
+    _renderNotificationList(body, items);
   }).catch(function() {});
 };
 
@@ -180,17 +396,94 @@ window.markAllNotificationsRead = function() {
   });
 };
 
+/** Swap the panel body for the per-event preferences form (in-app / email, plus browser alerts on this device). */
+window.showNotificationPreferences = function() {
+  var body = document.getElementById('notification-panel-body');
+  if (!body) return;
+  body.innerHTML = '<div class="notification-empty">Loading preferences…</div>';
+  loadNotificationPreferences().then(function(prefs) {
+    var browserSupported = typeof Notification !== 'undefined';
+    var html = '<div class="notification-prefs"><table><thead><tr><th>Event</th><th>In-app</th><th>Email</th></tr></thead><tbody>';
+    NOTIFICATION_EVENT_TYPES.forEach(function(t) {
+      html += '<tr><td>' + t.label + '</td>' +
+        '<td><input type="checkbox" data-pref-type="' + t.key + '" data-pref-channel="inApp" aria-label="' + t.label + ' in-app"' + (prefs[t.key].inApp ? ' checked' : '') + ' /></td>' +
+        '<td><input type="checkbox" data-pref-type="' + t.key + '" data-pref-channel="email" aria-label="' + t.label + ' email"' + (prefs[t.key].email ? ' checked' : '') + ' /></td></tr>';
+    });
+    html += '</tbody></table>' +
+      '<label class="notification-prefs-browser"><input type="checkbox" id="notification-pref-browser"' + (_browserAlertsEnabled() ? ' checked' : '') + (browserSupported ? '' : ' disabled') + ' /> Browser alerts on this device' +
+      (browserSupported && Notification.permission === 'denied' ? ' <span class="notification-item-time">(blocked in browser settings)</span>' : '') + '</label>' +
+      '<div class="notification-prefs-actions"><button type="button" class="notification-mark-all" id="notification-prefs-cancel">Back</button>' +
+      '<button type="button" class="notification-mark-all" id="notification-prefs-save">Save</button></div></div>';
+    body.innerHTML = html;
+    document.getElementById('notification-prefs-cancel').addEventListener('click', function(e) {
+      // The button is detached by the re-render; keep the outside-click handler from closing the panel
+      e.stopPropagation();
+      _renderNotificationList(body, window._notificationItems || []);
+    });
+    document.getElementById('notification-prefs-save').addEventListener('click', function() {
+      var next = _defaultNotificationPrefs();
+      body.querySelectorAll('input[data-pref-type]').forEach(function(cb) {
+        next[cb.getAttribute('data-pref-type')][cb.getAttribute('data-pref-channel')] = cb.checked;
+      });
+      var wantBrowser = document.getElementById('notification-pref-browser').checked;
+      var permission = (wantBrowser && browserSupported && Notification.permission === 'default')
+        ? Notification.requestPermission() : Promise.resolve(browserSupported ? Notification.permission : 'denied');
+      Promise.resolve(permission).then(function(result) {
+        localStorage.setItem(NOTIFICATION_BROWSER_KEY, wantBrowser && result === 'granted' ? '1' : '0');
+        if (wantBrowser && result !== 'granted' && typeof showToast === 'function') showToast('Browser alerts are blocked for this site.', 'info');
+        return API.saveNotificationPreferences(next);
+      }).then(function() {
+        window._notificationPrefs = next;
+        if (typeof showToast === 'function') showToast('Notification preferences saved', 'success');
+        body.innerHTML = '';
+        loadNotifications();
+      }).catch(function(err) {
+        if (typeof showToast === 'function') showToast('Failed to save preferences: ' + ((err && err.message) || 'Unknown error'), 'error');
+      });
+    });
+  });
+};
+
+function _scheduleNotificationPoll(generation) {
+  if (generation !== window._notificationPollGeneration) return;
+  if (window._notificationPollTimer) clearTimeout(window._notificationPollTimer);
+  window._notificationPollTimer = null;
+  if (document.hidden) return;
+  window._notificationPollTimer = setTimeout(function() {
+    window._notificationPollTimer = null;
+    if (generation !== window._notificationPollGeneration) return;
+    loadNotifications().then(function() { _scheduleNotificationPoll(generation); });
+  }, NOTIFICATION_POLL_MS);
+}
+
+/** Polling pauses while the tab is hidden and catches up as soon as it is visible again. */
+function _onNotificationVisibilityChange() {
+  if (document.hidden) {
+    if (window._notificationPollTimer) { clearTimeout(window._notificationPollTimer); window._notificationPollTimer = null; }
+    return;
+  }
+  var generation = window._notificationPollGeneration;
+  loadNotifications().then(function() { _scheduleNotificationPoll(generation); });
+}
+
 window.initNotificationPolling = function() {
   // Show bell only when authenticated
   var bellWrap = document.getElementById('notification-bell');
   if (bellWrap) bellWrap.style.display = '';
-  loadNotifications();
-  if (window._notificationPollTimer) clearInterval(window._notificationPollTimer);
-  window._notificationPollTimer = setInterval(loadNotifications, 60000);
+  var generation = ++window._notificationPollGeneration;
+  if (window._notificationPollTimer) { clearTimeout(window._notificationPollTimer); window._notificationPollTimer = null; }
+  window._notificationSeenIds = null;
+  document.removeEventListener('visibilitychange', _onNotificationVisibilityChange);
+  document.addEventListener('visibilitychange', _onNotificationVisibilityChange);
+  loadNotificationPreferences().then(loadNotifications).then(function() { _scheduleNotificationPoll(generation); });
 };
 
 window.stopNotificationPolling = function() {
-  if (window._notificationPollTimer) { clearInterval(window._notificationPollTimer); window._notificationPollTimer = null; }
+  window._notificationPollGeneration++;
+  if (window._notificationPollTimer) { clearTimeout(window._notificationPollTimer); window._notificationPollTimer = null; }
+  document.removeEventListener('visibilitychange', _onNotificationVisibilityChange);
+  window._notificationSeenIds = null;
+  window._notificationPrefs = null;
   var bellWrap = document.getElementById('notification-bell');
   if (bellWrap) bellWrap.style.display = 'none';
 };
@@ -26,7 +26,7 @@ import {
     getDealLocation, getDealState, getDealProductType,
     parseNotes, deduplicateDbDealsByDealPipelineId, mapDealPipelineDataToDeal,
     applyFilters, sortDeal, applySorting, groupDealsByStage, groupDealsByYear,
-    calculateSummary, computeYieldOnCostForDeals
+    calculateSummary, computeYieldOnCostForDeals, computeDealScore, dealScoreTier, dealMatchesCriterion
 } from './modules/data/transforms.js';
 import {
     buildProcoreMatches, syncProcoreDataToDatabase,
@@ -92,6 +92,9 @@ window.groupDealsByStage = groupDealsByStage;
 window.groupDealsByYear = groupDealsByYear;
 window.calculateSummary = calculateSummary;
 window.computeYieldOnCostForDeals = computeYieldOnCostForDeals;
+window.computeDealScore = computeDealScore;
+window.dealScoreTier = dealScoreTier;
+window.dealMatchesCriterion = dealMatchesCriterion;
 
 // Procore
 window.buildProcoreMatches = buildProcoreMatches;
@@ -395,6 +398,9 @@ async function init() {
         // Compute Yield on Cost (non-blocking)
         computeYieldOnCostForDeals(state.allDeals, loansMap).catch(e => console.warn('YoC computation error:', e));
 
+        // Due diligence expiry warnings (non-blocking)
+        if (typeof window.checkDueDiligenceWarnings === 'function') window.checkDueDiligenceWarnings(state.allDeals).catch(e => console.warn('DD warning check error:', e));
+
         // Mobile filter toggle
         const mobileFilterToggleBtn = document.getElementById('mobile-filter-toggle');
         if (mobileFilterToggleBtn) {
@@ -414,7 +420,7 @@ async function init() {
             document.addEventListener('keydown', function(e) {
                 if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT' || e.target.isContentEditable) return;
                 const deals = state.allDeals;
-                const viewMap = { '1': 'overview', '2': 'list', '3': 'location', '4': 'product', '5': 'bank', '6': 'upcoming-dates', '7': 'contacts' };
+                const viewMap = { '1': 'overview', '2': 'list', '3': 'location', '4': 'product', '5': 'lenders', '6': 'upcoming-dates', '7': 'contacts' };
                 if (viewMap[e.key]) { e.preventDefault(); if (typeof window.switchView === 'function') window.switchView(viewMap[e.key], deals); return; }
                 if (e.key === '/' && !e.ctrlKey && !e.metaKey) {
                     e.preventDefault();
@@ -7,7 +7,10 @@ const $ = (sel, root) => (root || document).querySelector(sel);
 
 /* ---------- Auth state helpers ---------- */
 
-export function isAdmin() { return state.isAuthenticated; }
+export function isAdmin() { return state.isAuthenticated && state.currentUser?.role === 'Admin'; }
+
+/** Role-based capability check; see window.can in globals.js. */
+function can(capability) { return typeof window.can === 'function' && window.can(capability); }
 
 /* ---------- Auth UI update ---------- */
 
@@ -19,12 +22,20 @@ export function updateAuthUI() {
     const editModeBtn = document.getElementById('edit-mode-btn');
     const otherAdminsEl = document.getElementById('other-admins-viewing');
 
+    document.querySelectorAll('[data-view="users"]').forEach(el => { el.style.display = can('manageUsers') ? '' : 'none'; });
+
     if (state.isAuthenticated) {
-        if (adminBadge) adminBadge.style.display = 'inline-flex';
+        const role = state.currentUser?.role || 'ReadOnly';
+        if (adminBadge) {
+            adminBadge.style.display = 'inline-flex';
+            adminBadge.textContent = (role === 'ReadOnly' ? 'READ-ONLY' : role.toUpperCase()) + ' logged in';
+            adminBadge.title = can('editDeal') ? 'You can edit and use Deal Pipeline / Edit Mode' : 'Your role can view deals but not edit them';
+        }
         if (authActions) authActions.style.display = 'flex';
         if (loginBtn) loginBtn.style.display = 'none';
-        if (dealPipelineBtn) dealPipelineBtn.style.display = 'inline-block';
-        if (editModeBtn) editModeBtn.style.display = 'inline-block';
+        if (dealPipelineBtn) dealPipelineBtn.style.display = can('editDeal') ? 'inline-block' : 'none';
+        if (editModeBtn) editModeBtn.style.display = can('editDeal') ? 'inline-block' : 'none';
+        if (state.isEditMode && !can('editDeal')) { state.isEditMode = false; updateEditModeUI(); }
         if (otherAdminsEl) {
             otherAdminsEl.style.display = 'inline-flex';
             updateOtherAdminsViewingUI([]);
@@ -59,6 +70,7 @@ export function updateEditModeUI() {
 
 export function toggleEditMode() {
     if (!state.isAuthenticated) { showToast('Please login first to enable edit mode.', 'info'); return; }
+    if (!can('editDeal')) { showToast('Your role is read-only. Ask an admin for Editor access.', 'info'); return; }
     state.isEditMode = !state.isEditMode;
     updateEditModeUI();
     showToast(state.isEditMode ? 'Edit Mode enabled. Click any deal to edit.' : 'Edit Mode disabled.', 'info');
@@ -84,6 +96,8 @@ export async function handleLogin(e) {
             updateAuthUI();
             document.getElementById('login-modal').style.display = 'none';
             document.getElementById('login-form').reset();
+            // Deals were loaded before login; reload so a scoped user only keeps their regions / deals.
+            if (window.getUserScope?.() && typeof window.refreshDealsFromApi === 'function') window.refreshDealsFromApi();
         } else {
             throw new Error(result.error?.message || 'Login failed');
         }
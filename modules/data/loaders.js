@@ -6,6 +6,9 @@ import { deduplicateDbDealsByDealPipelineId, mapDealPipelineDataToDeal, buildBan
 
 const $ = (sel, root) => (root || document).querySelector(sel);
 
+/** Per-region / per-deal visibility scoping of the logged-in user (window.canViewDeal in globals.js). */
+const isDealInUserScope = deal => typeof window.canViewDeal !== 'function' || window.canViewDeal(deal);
+
 /**
  * Load all deals from API, including loans and banks for lender resolution.
  * Returns { allDeals, loansMap, banksMap } or throws.
@@ -45,7 +48,8 @@ export async function loadAllDeals(opts = {}) {
         .filter(deal => {
             const stage = normalizeStage(deal.Stage || deal.stage);
             return stage !== 'HoldCo' && stage.toLowerCase() !== 'holdco';
-        });
+        })
+        .filter(isDealInUserScope);
 
     return { allDeals, loansMap, banksMap };
 }
@@ -81,7 +85,8 @@ export async function refreshDealsFromApi() {
         .filter(deal => {
             const stage = normalizeStage(deal.Stage || deal.stage);
             return stage !== 'HoldCo' && stage.toLowerCase() !== 'holdco';
-        });
+        })
+        .filter(isDealInUserScope);
     // Mutate in-place so references remain valid (don't reassign window.allDeals — proxy getter returns state.allDeals)
     state.allDeals.length = 0;
     mapped.forEach(d => state.allDeals.push(d));
@@ -241,6 +241,7 @@ export function mapDealPipelineDataToDeal(dbDeal, loansMap = {}, banksMap = {})
         PriceRaw: dbDeal.PriceRaw ?? dbDeal.Price_raw ?? null,
         ListingStatus: dbDeal.ListingStatus || null, Zoning: dbDeal.Zoning || null,
         CountyParish: dbDeal.County || dbDeal.CountyParish || null,
+        DealScore: parseDealScore(dbDeal.DealScore ?? dbDeal.dealScore ?? dbDeal.Score),
         CreatedAt: dbDeal.CreatedAt || dbDeal.createdAt || dbDeal.createdat || null,
         UpdatedAt: dbDeal.UpdatedAt || dbDeal.updatedAt || dbDeal.updatedat || null
     };
@@ -338,6 +339,7 @@ export function sortDeal(a, b, sortConfig) {
         case 'bank': aVal = (a.Bank || a.bank || '').toLowerCase(); bVal = (b.Bank || b.bank || '').toLowerCase(); break;
         case 'notes': aVal = (a.Notes || a.notes || '').toLowerCase(); bVal = (b.Notes || b.notes || '').toLowerCase(); break;
         case 'product': case 'productType': aVal = (a['Product Type'] || a.productType || '').toLowerCase(); bVal = (b['Product Type'] || b.productType || '').toLowerCase(); break;
+        case 'score': aVal = a.DealScore != null ? a.DealScore : -Infinity; bVal = b.DealScore != null ? b.DealScore : -Infinity; break;
         case 'yoc': aVal = (a._yieldOnCost != null && !isNaN(a._yieldOnCost)) ? a._yieldOnCost : -Infinity; bVal = (b._yieldOnCost != null && !isNaN(b._yieldOnCost)) ? b._yieldOnCost : -Infinity; break;
         case 'updated': {
             const uA = a.UpdatedAt || a.CreatedAt || null; const uB = b.UpdatedAt || b.CreatedAt || null;
@@ -506,6 +508,68 @@ export function calculateSummary(deals, excludeStart = true) {
     return summary;
 }
 
+/* ---------- Deal score ---------- */
+
+export function parseDealScore(v) {
+    if (v == null || v === '') return null;
+    const n = parseFloat(v);
+    return isNaN(n) ? null : n;
+}
+
+/** 'high' | 'mid' | 'low' band for badge colouring (null when unscored) */
+export function dealScoreTier(score) {
+    if (score == null || isNaN(score)) return null;
+    return score >= 70 ? 'high' : score >= 40 ? 'mid' : 'low';
+}
+
+function scoringFieldValue(deal, field) {
+    if (!deal || !field) return null;
+    if (field === 'YieldOnCost') return deal._yieldOnCost;
+    const v = deal[field] !== undefined ? deal[field] : (deal._original ? deal._original[field] : undefined);
+    return v === undefined ? null : v;
+}
+
+function criterionMatches(value, operator, threshold) {
+    if (value == null || value === '') return false;
+    const op = String(operator || '').toLowerCase();
+    if (op === 'contains') return String(value).toLowerCase().includes(String(threshold || '').toLowerCase());
+    if (op === 'in') return String(threshold || '').split(',').map(s => s.trim().toLowerCase()).includes(String(value).toLowerCase());
+    if (op === 'is_true') return value === true || value === 1 || String(value).toLowerCase() === 'true';
+    if (op === 'is_false') return !(value === true || value === 1 || String(value).toLowerCase() === 'true');
+    const a = parseFloat(value), b = parseFloat(threshold);
+    const numeric = !isNaN(a) && !isNaN(b);
+    switch (op) {
+        case '>': case 'gt': return numeric && a > b;
+        case '>=': case 'gte': return numeric && a >= b;
+        case '<': case 'lt': return numeric && a < b;
+        case '<=': case 'lte': return numeric && a <= b;
+        case '=': case '==': case 'eq': return numeric ? a === b : String(value).toLowerCase() === String(threshold).toLowerCase();
+        case '!=': case 'neq': return numeric ? a !== b : String(value).toLowerCase() !== String(threshold).toLowerCase();
+        default: return false;
+    }
+}
+
+/** True when the deal meets one criterion/condition ({ FieldName, Operator, Threshold }) */
+export function dealMatchesCriterion(deal, c) {
+    if (!c) return false;
+    return criterionMatches(scoringFieldValue(deal, c.FieldName ?? c.fieldName ?? c.Field), c.Operator ?? c.operator, c.Threshold ?? c.threshold ?? c.Value ?? c.value);
+}
+
+/**
+ * Score a deal 0–100 against weighted criteria ({ FieldName, Operator, Threshold, Weight }).
+ * Used for the admin preview; the saved DealScore comes from the API (scoreDeal / scoreAllDeals).
+ */
+export function computeDealScore(deal, criteria) {
+    let total = 0, earned = 0;
+    (criteria || []).forEach(c => {
+        const weight = parseFloat(c.Weight ?? c.weight) || 0;
+        if (weight <= 0) return;
+        total += weight;
+        if (dealMatchesCriterion(deal, c)) earned += weight;
+    });
+    return total > 0 ? Math.round((earned / total) * 100) : null;
+}
+
 /* ---------- Yield on Cost ---------- */
 
 export async function computeYieldOnCostForDeals(deals, loansMap) {
@@ -529,21 +593,27 @@ export async function computeYieldOnCostForDeals(deals, loansMap) {
         const pid = deal.ProjectId;
         if (!pid) continue;
         const proj = projectsMap[pid];
-        let totalCost = null;
-        if (proj && proj.CostPerUnit && proj.Units && proj.CostPerUnit > 0 && proj.Units > 0) totalCost = proj.CostPerUnit * proj.Units;
-        if (!totalCost) {
-            let loanTotal = 0, equityTotal = 0;
-            (loansMap[pid] || []).forEach(l => { if (l.LoanAmount) loanTotal += parseFloat(l.LoanAmount) || 0; });
-            (equityMap[pid] || []).forEach(ec => { if (ec.Amount && !ec.IsPaidOff) equityTotal += parseFloat(ec.Amount) || 0; });
-            if (loanTotal + equityTotal > 0) totalCost = loanTotal + equityTotal;
-        }
-        let annualizedNOI = null;
+        let loanTotal = 0, equityTotal = 0;
+        (loansMap[pid] || []).forEach(l => { if (l.LoanAmount) loanTotal += parseFloat(l.LoanAmount) || 0; });
+        (equityMap[pid] || []).forEach(ec => { if (ec.Amount && !ec.IsPaidOff) equityTotal += parseFloat(ec.Amount) || 0; });
+        let totalCost = null, costSource = null;
+        if (proj && proj.CostPerUnit && proj.Units && proj.CostPerUnit > 0 && proj.Units > 0) { totalCost = proj.CostPerUnit * proj.Units; costSource = 'project'; }
+        if (!totalCost && loanTotal + equityTotal > 0) { totalCost = loanTotal + equityTotal; costSource = 'capital'; }
+        let annualizedNOI = null, monthlyIncome = null, noiSource = null;
         const dealName = (deal.Name || '').trim().toLowerCase();
         if (dealName && leasingMap[dealName]) {
             const lr = leasingMap[dealName];
-            const monthlyIncome = parseFloat(lr.CurrentMonthIncome || lr.currentMonthIncome || lr.BudgetedIncome || lr.budgetedIncome || 0);
-            if (monthlyIncome > 0) annualizedNOI = monthlyIncome * 12;
+            const current = parseFloat(lr.CurrentMonthIncome || lr.currentMonthIncome || 0);
+            const budgeted = parseFloat(lr.BudgetedIncome || lr.budgetedIncome || 0);
+            if (current > 0) { monthlyIncome = current; noiSource = 'current'; } else if (budgeted > 0) { monthlyIncome = budgeted; noiSource = 'budget'; }
+            if (monthlyIncome) annualizedNOI = monthlyIncome * 12;
         }
+        // Inputs behind the number, for the deal-detail yield-on-cost breakdown
+        deal._yieldOnCostInputs = {
+            costPerUnit: proj && proj.CostPerUnit > 0 ? proj.CostPerUnit : null,
+            units: proj && proj.Units > 0 ? proj.Units : null,
+            totalCost, costSource, loanTotal, equityTotal, monthlyIncome, annualizedNOI, noiSource
+        };
         deal._yieldOnCost = (totalCost && totalCost > 0 && annualizedNOI && annualizedNOI > 0) ? (annualizedNOI / totalCost) * 100 : null;
     }
 }
@@ -1,7 +1,7 @@
 // modules/ui/deal-list.js — Deal list rendering (table rows, list by location/stage)
 import { state, STAGE_CONFIG, STAGE_DISPLAY_ORDER } from '../core/state.js';
 import { formatDate, isOverdue } from '../core/utils.js';
-import { normalizeStage, getDealLocation, getDealProductType, applyFilters, sortDeal, groupDealsByStage, groupDealsByYear } from '../data/transforms.js';
+import { normalizeStage, getDealLocation, getDealProductType, applyFilters, sortDeal, groupDealsByStage, groupDealsByYear, dealScoreTier } from '../data/transforms.js';
 import { renderActiveFilters } from './filters.js';
 
 const $ = (sel, root) => (root || document).querySelector(sel);
@@ -24,6 +24,7 @@ export function renderDealRow(deal) {
             <td class="deal-cell secondary" data-label="Product Type">${deal['Product Type'] || deal.productType || '-'}</td>
             <td class="deal-cell" data-label="Location">${(() => { const loc = getDealLocation(deal); return loc ? `<span class="location-badge clickable" data-location="${loc}">${loc}</span>` : '-'; })()}</td>
             <td class="deal-cell yoc-cell" data-label="Yield on Cost">${(() => { const yoc = deal._yieldOnCost; if (yoc != null && !isNaN(yoc)) return `<span class="yoc-value" title="Yield on Cost">${yoc.toFixed(1)}%</span>`; return '<span class="yoc-na" title="Insufficient data">N/A</span>'; })()}</td>
+            <td class="deal-cell score-cell" data-label="Score">${deal.DealScore != null ? `<span class="deal-score-badge deal-score-${dealScoreTier(deal.DealScore)}" title="Deal score">${Math.round(deal.DealScore)}</span>` : '<span class="yoc-na" title="Not scored">-</span>'}</td>
             <td class="deal-cell date-display date-added-cell" data-label="Date Added">${(() => { const ca = deal.CreatedAt; if (!ca) return '-'; const d = new Date(ca); if (isNaN(d.getTime())) return '-'; return `${String(d.getMonth()+1).padStart(2,'0')}/${String(d.getDate()).padStart(2,'0')}/${d.getFullYear()}`; })()}</td>
             <td class="deal-cell date-display updated-cell" data-label="Last Updated">${(() => { const ua = deal.UpdatedAt || deal.CreatedAt; if (!ua) return '-'; const d = new Date(ua); if (isNaN(d.getTime())) return '-'; const now = new Date(); const diffDays = Math.floor((now - d) / 86400000); if (diffDays === 0) return 'Today'; if (diffDays === 1) return 'Yesterday'; if (diffDays < 30) return `${diffDays}d ago`; return `${String(d.getMonth()+1).padStart(2,'0')}/${String(d.getDate()).padStart(2,'0')}/${d.getFullYear()}`; })()}</td>
             <td class="deal-cell notes-cell clickable" data-label="Notes" title="${(deal.Notes || deal.notes || '').replace(/"/g, '&quot;')}">${deal.Notes || deal.notes ? `<span class="notes-preview">${(deal.Notes || deal.notes).substring(0, 100)}${(deal.Notes || deal.notes).length > 100 ? '...' : ''}</span>` : '-'}</td>
@@ -176,6 +177,7 @@ export function renderDealListFlat(deals) {
                 <th class="sortable-header" data-sort-by="product" data-sort-order="${sortConfig.by === 'product' && sortConfig.order === 'asc' ? 'desc' : 'asc'}">Product Type${sortConfig.by === 'product' ? (sortConfig.order === 'asc' ? ' ▲' : ' ▼') : ''}</th>
                 <th class="sortable-header" data-sort-by="location" data-sort-order="${sortConfig.by === 'location' && sortConfig.order === 'asc' ? 'desc' : 'asc'}">Location${sortConfig.by === 'location' ? (sortConfig.order === 'asc' ? ' ▲' : ' ▼') : ''}</th>
                 <th class="sortable-header" data-sort-by="yoc" data-sort-order="${sortConfig.by === 'yoc' && sortConfig.order === 'asc' ? 'desc' : 'asc'}">YoC${sortConfig.by === 'yoc' ? (sortConfig.order === 'asc' ? ' ▲' : ' ▼') : ''}</th>
+                <th class="sortable-header" data-sort-by="score" data-sort-order="${sortConfig.by === 'score' && sortConfig.order === 'asc' ? 'desc' : 'asc'}">Score${sortConfig.by === 'score' ? (sortConfig.order === 'asc' ? ' ▲' : ' ▼') : ''}</th>
                 <th class="sortable-header" data-sort-by="dateAdded" data-sort-order="${sortConfig.by === 'dateAdded' && sortConfig.order === 'asc' ? 'desc' : 'asc'}">Date Added${sortConfig.by === 'dateAdded' ? (sortConfig.order === 'asc' ? ' ▲' : ' ▼') : ''}</th>
                 <th class="sortable-header" data-sort-by="updated" data-sort-order="${sortConfig.by === 'updated' && sortConfig.order === 'asc' ? 'desc' : 'asc'}">Updated${sortConfig.by === 'updated' ? (sortConfig.order === 'asc' ? ' ▲' : ' ▼') : ''}</th>
                 <th>Notes</th>
@@ -3,7 +3,8 @@
  * Cache-first for static assets, network-first for API calls.
  */
 
-const CACHE_NAME = 'deal-pipeline-v1';
+// Bump whenever APP_SHELL or any cached file changes; activate deletes every other cache
+const CACHE_NAME = 'deal-pipeline-v2';
 const APP_SHELL = [
     '/',
     '/index.html',
@@ -25,6 +26,28 @@ const APP_SHELL = [
     '/app-pipeline-table.js',
     '/app-admin.js',
     '/app-export.js',
+    '/app-custom-fields.js',
+    '/app-scoring.js',
+    '/app-workflow-rules.js',
+    '/app-covenants.js',
+    '/app-equity.js',
+    '/app-guarantees.js',
+    '/app-loans.js',
+    '/app-activity.js',
+    '/app-commercial-land.js',
+    '/app-closed-properties.js',
+    '/app-due-diligence.js',
+    '/app-reminder-settings.js',
+    '/app-leasing.js',
+    '/app-reviews.js',
+    '/app-yield-on-cost.js',
+    '/app-underwriting.js',
+    '/app-deal-contacts.js',
+    '/app-user-admin.js',
+    '/app-deal-conflicts.js',
+    '/app-pipeline-grid.js',
+    '/app-deal-import.js',
+    '/app-deal-duplicates.js',
     '/main.js',
     '/Logos/STOA20-Logo-Mark-Green.jpg'
 ];